@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Link research created before canonical companies existed to a Company,
+ * oldest first, together with its embeddings. Records are also linked when
+ * they are refreshed; this does the rest in one pass. Safe to re-run.
+ *
+ *   npm run companies:backfill
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Research = require('../src/models/Research');
+const CompanyEmbedding = require('../src/models/CompanyEmbedding');
+const { linkResearchToCompany } = require('../src/services/companyResolution');
+
+async function backfill() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clientiq');
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Research.find({ companyId: { $exists: false } })
+        .select('companyName companyWebsite industry results.companyDetails.industry results.contactInfo provenance')
+        .sort({ createdAt: 1 })
+        .cursor();
+
+    const methods = {};
+    let failed = 0;
+
+    for await (const research of cursor) {
+        try {
+            const stored = await CompanyEmbedding.findOne({ researchId: research._id }).select('embedding').lean();
+            const { method } = await linkResearchToCompany(research, { embedding: stored ? stored.embedding : null });
+
+            // Bypass validation: only the link changes
+            await Research.updateOne({ _id: research._id }, { companyId: research.companyId });
+            methods[method] = (methods[method] || 0) + 1;
+        } catch (error) {
+            console.error(`⚠️ Could not link research ${research._id} (${research.companyName}):`, error.message);
+            failed++;
+        }
+    }
+
+    const linked = Object.values(methods).reduce((sum, count) => sum + count, 0);
+    console.log(`✅ Linked ${linked} research record(s) to companies`, methods);
+    if (failed > 0) {
+        console.log(`⚠️ ${failed} record(s) could not be linked`);
+        process.exitCode = 1;
+    }
+}
+
+backfill()
+    .catch(error => {
+        console.error('❌ Company backfill failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
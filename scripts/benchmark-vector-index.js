@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Recall and latency of the HNSW index against the exact brute-force scan.
+ *
+ *   npm run vector:benchmark                      # synthetic clustered vectors, no database
+ *   npm run vector:benchmark -- --source=mongo    # stored CompanyEmbedding vectors
+ *
+ * Options: --count=5000 --dimensions=256 --queries=200 --k=10 --ef=64 --M=16 --efConstruction=100
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const HnswIndex = require('../src/services/vector/hnswIndex');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+const options = {
+    source: args.source || 'synthetic',
+    count: parseInt(args.count) || 5000,
+    dimensions: parseInt(args.dimensions) || 256,
+    queries: parseInt(args.queries) || 200,
+    k: parseInt(args.k) || 10,
+    ef: parseInt(args.ef) || 64,
+    M: parseInt(args.M) || 16,
+    efConstruction: parseInt(args.efConstruction) || 100
+};
+
+// Seeded RNG so runs are comparable
+let seed = 42;
+const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+};
+
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+};
+
+// Embeddings cluster by topic, so uniform random vectors would flatter the index
+const syntheticDataset = () => {
+    const clusters = Array.from({ length: 50 }, () =>
+        Array.from({ length: options.dimensions }, gaussian)
+    );
+
+    const vectors = Array.from({ length: options.count }, (_, i) => ({
+        id: `v${i}`,
+        vector: clusters[i % clusters.length].map(value => value + gaussian() * 0.6)
+    }));
+
+    const queries = Array.from({ length: options.queries }, (_, i) =>
+        clusters[i % clusters.length].map(value => value + gaussian() * 0.8)
+    );
+
+    return { vectors, queries };
+};
+
+const mongoDataset = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clientiq');
+    const CompanyEmbedding = require('../src/models/CompanyEmbedding');
+
+    const docs = await CompanyEmbedding.find().select('_id embedding').lean();
+    const vectors = docs.map(doc => ({ id: String(doc._id), vector: doc.embedding }));
+
+    if (vectors.length === 0) {
+        throw new Error('No stored embeddings to benchmark');
+    }
+
+    // Perturbed copies of stored vectors stand in for real queries
+    const queries = Array.from({ length: options.queries }, () => {
+        const base = vectors[Math.floor(random() * vectors.length)].vector;
+        return base.map(value => value + gaussian() * 0.01);
+    });
+
+    return { vectors, queries };
+};
+
+const percentile = (values, p) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(Math.floor(sorted.length * p), sorted.length - 1)];
+};
+
+const time = (fn) => {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+};
+
+async function benchmark() {
+    const { vectors, queries } = options.source === 'mongo' ? await mongoDataset() : syntheticDataset();
+
+    console.log(`📐 ${vectors.length} vectors x ${vectors[0].vector.length} dimensions, ${queries.length} queries, k=${options.k}`);
+
+    const index = new HnswIndex({ M: options.M, efConstruction: options.efConstruction, efSearch: options.ef, random });
+    const build = time(() => vectors.forEach(item => index.add(item.id, item.vector)));
+    console.log(`🏗️  HNSW build (M=${options.M}, efConstruction=${options.efConstruction}): ${build.ms.toFixed(0)}ms`);
+
+    const bruteLatencies = [];
+    const annLatencies = [];
+    let recall = 0;
+
+    for (const query of queries) {
+        const exact = time(() => vectors
+            .map(item => ({ id: item.id, score: cosineSimilarity(query, item.vector) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, options.k));
+        bruteLatencies.push(exact.ms);
+
+        const approximate = time(() => index.search(query, options.k, { ef: options.ef }));
+        annLatencies.push(approximate.ms);
+
+        const truth = new Set(exact.result.map(item => item.id));
+        recall += approximate.result.filter(item => truth.has(item.id)).length / exact.result.length;
+    }
+
+    const report = (label, latencies) => console.log(
+        `${label} p50 ${percentile(latencies, 0.5).toFixed(2)}ms  p95 ${percentile(latencies, 0.95).toFixed(2)}ms  p99 ${percentile(latencies, 0.99).toFixed(2)}ms`
+    );
+
+    report('🐢 Brute force', bruteLatencies);
+    report(`⚡ HNSW (ef=${options.ef})`, annLatencies);
+    console.log(`🎯 Recall@${options.k}: ${(recall / queries.length * 100).toFixed(2)}%`);
+}
+
+benchmark()
+    .catch(error => {
+        console.error('❌ Benchmark failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
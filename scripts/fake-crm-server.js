@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * In-memory stand-in for the HubSpot and Salesforce REST APIs, covering the
+ * endpoints the CRM connectors use. Point a connection's instanceUrl at it
+ * (with CRM_ALLOW_CUSTOM_URLS=true) to exercise CRM sync offline.
+ *
+ *   npm run crm:fake              # http://localhost:4010
+ *   GET    /__fake/records        # everything pushed so far
+ *   DELETE /__fake/records        # reset
+ *
+ * Any bearer token is accepted unless FAKE_CRM_TOKEN is set.
+ */
+
+const express = require('express');
+
+const createFakeCrmApp = ({ token = process.env.FAKE_CRM_TOKEN } = {}) => {
+    const app = express();
+    const store = { hubspot: {}, salesforce: {} };
+    let sequence = 0;
+
+    const nextId = (prefix = '') => `${prefix}${String(++sequence).padStart(prefix ? 15 : 1, '0')}`;
+    const collection = (crm, type) => (store[crm][type] = store[crm][type] || {});
+
+    app.use(express.json({ limit: '1mb' }));
+
+    app.use((req, res, next) => {
+        if (req.path.startsWith('/__fake')) return next();
+
+        const header = req.headers.authorization || '';
+        const presented = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+        if (!presented || (token && presented !== token)) {
+            return res.status(401).json({ status: 'error', message: 'Authentication credentials not found' });
+        }
+        next();
+    });
+
+    // HubSpot CRM v3 objects
+
+    app.get('/crm/v3/objects/:type', (req, res) => {
+        const records = Object.values(collection('hubspot', req.params.type));
+        res.json({ results: records.slice(0, parseInt(req.query.limit) || 10) });
+    });
+
+    app.get('/crm/v3/objects/:type/:id', (req, res) => {
+        const record = collection('hubspot', req.params.type)[req.params.id];
+        if (!record) return res.status(404).json({ status: 'error', message: 'Object not found' });
+        res.json(record);
+    });
+
+    app.post('/crm/v3/objects/:type', (req, res) => {
+        const id = nextId();
+        const now = new Date().toISOString();
+        const record = {
+            id,
+            properties: req.body.properties || {},
+            associations: req.body.associations || [],
+            createdAt: now,
+            updatedAt: now
+        };
+        collection('hubspot', req.params.type)[id] = record;
+        res.status(201).json(record);
+    });
+
+    app.patch('/crm/v3/objects/:type/:id', (req, res) => {
+        const record = collection('hubspot', req.params.type)[req.params.id];
+        if (!record) return res.status(404).json({ status: 'error', message: 'Object not found' });
+
+        Object.assign(record.properties, req.body.properties || {});
+        record.updatedAt = new Date().toISOString();
+        res.json(record);
+    });
+
+    // Salesforce REST sObjects
+
+    app.get('/services/data/:version/limits', (req, res) => {
+        res.json({ DailyApiRequests: { Max: 15000, Remaining: 15000 } });
+    });
+
+    app.get('/services/data/:version/sobjects/:sObject/:id', (req, res) => {
+        const record = collection('salesforce', req.params.sObject)[req.params.id];
+        if (!record) return res.status(404).json([{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+        res.json(record);
+    });
+
+    app.post('/services/data/:version/sobjects/:sObject', (req, res) => {
+        const prefix = { Account: '001', Contact: '003', Note: '002' }[req.params.sObject] || 'a00';
+        const id = nextId(prefix);
+        collection('salesforce', req.params.sObject)[id] = { Id: id, ...req.body };
+        res.status(201).json({ id, success: true, errors: [] });
+    });
+
+    app.patch('/services/data/:version/sobjects/:sObject/:id', (req, res) => {
+        const record = collection('salesforce', req.params.sObject)[req.params.id];
+        if (!record) return res.status(404).json([{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+
+        Object.assign(record, req.body);
+        res.status(204).end();
+    });
+
+    // Inspection helpers
+
+    app.get('/__fake/records', (req, res) => res.json(store));
+
+    app.delete('/__fake/records', (req, res) => {
+        store.hubspot = {};
+        store.salesforce = {};
+        res.status(204).end();
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const port = parseInt(process.env.FAKE_CRM_PORT) || 4010;
+    createFakeCrmApp().listen(port, () => {
+        console.log(`🧪 Fake CRM server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createFakeCrmApp };
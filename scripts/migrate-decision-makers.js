@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Convert research records that still store decision makers as
+ * "Name - Title" strings into structured contacts. Records are converted on
+ * read as well, but only stored contacts get stable ids and show up in the
+ * cross-research contact search.
+ *
+ *   npm run contacts:migrate
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Research = require('../src/models/Research');
+const { normalizeDecisionMakers } = require('../src/utils/contacts');
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clientiq');
+    console.log('✅ Connected to MongoDB');
+
+    // Bypass the model so legacy strings are read as stored
+    const cursor = Research.collection.find(
+        { 'results.decisionMakers': { $type: 'string' } },
+        { projection: { companyWebsite: 1, 'results.decisionMakers': 1, 'results.contactInfo.website': 1 } }
+    );
+
+    let migrated = 0;
+    for await (const raw of cursor) {
+        const contacts = normalizeDecisionMakers(raw.results.decisionMakers, {
+            website: raw.companyWebsite || (raw.results.contactInfo && raw.results.contactInfo.website)
+        }).map(contact => ({
+            _id: new mongoose.Types.ObjectId(),
+            ...Object.fromEntries(Object.entries(contact).filter(([, value]) => value !== undefined))
+        }));
+
+        await Research.collection.updateOne({ _id: raw._id }, { $set: { 'results.decisionMakers': contacts } });
+        migrated++;
+    }
+
+    console.log(`✅ Migrated decision makers on ${migrated} research record(s)`);
+}
+
+migrate()
+    .catch(error => {
+        console.error('❌ Decision maker migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
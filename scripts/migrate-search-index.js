@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Replace the old Research text indexes (companyName, overview/pitch) with the
+ * weighted `research_text` index used by hybrid search. MongoDB allows one
+ * text index per collection, so the new one cannot be built next to them.
+ *
+ *   npm run search:migrate
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Research = require('../src/models/Research');
+
+const TEXT_INDEX = 'research_text';
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clientiq');
+    console.log('✅ Connected to MongoDB');
+
+    const indexes = await Research.collection.indexes();
+    const stale = indexes.filter(index => index.key._fts === 'text' && index.name !== TEXT_INDEX);
+
+    for (const index of stale) {
+        await Research.collection.dropIndex(index.name);
+        console.log(`🗑️  Dropped text index ${index.name}`);
+    }
+
+    console.log(`🔎 Building ${TEXT_INDEX}...`);
+    await Research.createIndexes();
+
+    console.log('✅ Search index ready');
+}
+
+migrate()
+    .catch(error => {
+        console.error('❌ Search index migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild the HNSW vector index from every stored company embedding and
+ * persist it to MongoDB. Run after bulk imports/deletes or when changing
+ * VECTOR_INDEX_M / VECTOR_INDEX_EF_CONSTRUCTION.
+ *
+ *   npm run vector:rebuild
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const vectorService = require('../src/services/vectorService');
+
+async function rebuild() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clientiq');
+    console.log('✅ Connected to MongoDB');
+
+    console.log('🧭 Rebuilding vector index...');
+    const stats = await vectorService.rebuildIndex();
+
+    console.log(`✅ Indexed ${stats.vectors} vectors (${stats.dimensions} dimensions) in ${stats.durationMs}ms`);
+    console.log(`💾 Snapshot: ${(stats.snapshotBytes / 1024 / 1024).toFixed(2)}MB in ${stats.snapshotChunks} chunk(s)`);
+}
+
+rebuild()
+    .catch(error => {
+        console.error('❌ Vector index rebuild failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
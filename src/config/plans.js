@@ -0,0 +1,44 @@
+/**
+ * Monthly usage quotas per plan (User.role). `null` means unlimited.
+ *
+ * - research: research records generated
+ * - tokens: LLM tokens across research, alternative pitches and outreach sequences
+ * - embeddingCalls: embedding requests (research indexing, vector search, manual embeddings)
+ * - alternativePitches: alternative pitch generations
+ * - sequences: outreach sequence generations
+ */
+const PLANS = {
+    basic: {
+        name: 'Basic',
+        quotas: {
+            research: 25,
+            tokens: 100000,
+            embeddingCalls: 250,
+            alternativePitches: 0,
+            sequences: 10
+        }
+    },
+    premium: {
+        name: 'Premium',
+        quotas: {
+            research: 500,
+            tokens: 2500000,
+            embeddingCalls: 5000,
+            alternativePitches: 500,
+            sequences: 500
+        }
+    }
+};
+
+// Plan a user is sent to when they run out, if any
+const UPGRADE_PATH = {
+    basic: 'premium'
+};
+
+const getPlan = (role) => PLANS[role] || PLANS.basic;
+
+module.exports = {
+    PLANS,
+    UPGRADE_PATH,
+    getPlan
+};
@@ -0,0 +1,182 @@
+/**
+ * Built-in prompt templates and pitch angles. Teams can replace a template
+ * (see models/PromptTemplate) and add angles of their own; these are used
+ * otherwise.
+ *
+ * Templates reference variables as {{name}}. The JSON output format of each
+ * kind is not part of the template: it is appended when the prompt is built,
+ * so an edited template cannot break parsing.
+ */
+
+const TEMPLATE_VARIABLES = {
+    company: 'Company being researched or pitched',
+    industry: 'Industry of that company, when known',
+    product: 'Our product or service (the seller profile product description)',
+    persona: 'Role or person the output is aimed at, e.g. "VP of IT"',
+    angle: 'Pitch angle label (alternative pitches)',
+    angleInstructions: 'What the pitch angle should focus on (alternative pitches)',
+    originalPitch: 'Pitch from the research record (alternative pitches)'
+};
+
+const RESEARCH_VARIABLES = ['company', 'industry', 'product', 'persona'];
+
+const BASIC_RESEARCH = `You are an expert B2B sales researcher with extensive knowledge of companies worldwide. Analyze the company "{{company}}" using your training data and provide comprehensive, accurate information in JSON format.
+
+INSTRUCTIONS:
+- Use your extensive knowledge about companies, industries, and business models
+- Provide realistic and accurate information based on known company data
+- Generate professional contact information based on industry standards
+- Focus on actionable insights for B2B sales professionals
+- Ensure all information is professional and realistic
+
+Please provide detailed analysis for {{company}} including:
+
+1. **Company Overview** - Comprehensive description of the company, its business model, market position, and key offerings
+2. **Pain Points** - 3 specific business challenges this company likely faces based on their industry and business model
+3. **Custom Sales Pitch** - Tailored sales approach based on the company's profile and industry needs
+4. **Decision Makers** - Names and titles of the key decision makers you know of, such as:
+   * CEO/Founder
+   * CTO/Technology Head
+   * CMO/Marketing Head
+   * Head of Sales/Business Development
+   * Other relevant executives
+   Only list people known to hold the role; leave the list empty rather than inventing names
+5. **Technologies** - Industry-specific technologies they likely use or need:
+   * For technology companies: Development tools, cloud platforms, APIs, security solutions
+   * For manufacturing: ERP systems, supply chain software, IoT sensors, automation tools
+   * For retail/e-commerce: Payment systems, inventory management, analytics, customer management
+   * For finance: Trading platforms, risk management, compliance software, security tools
+   * For healthcare: EMR systems, patient management, compliance software, telemedicine
+   * Match technologies to their actual industry and business needs
+6. **Contact Information** - Generate realistic contact information including:
+   * Professional website URL based on company name
+   * Business email formats (info@, sales@, contact@)
+   * LinkedIn company page URL
+   * General business phone format
+   * Professional address format for headquarters location
+7. **Company Details** - Industry classification, typical company size, headquarters region, and business model`;
+
+const PREMIUM_RESEARCH = `You are a senior B2B sales strategist with deep expertise in company analysis and market intelligence. Conduct an in-depth analysis of "{{company}}" using your comprehensive business knowledge and provide detailed insights in JSON format.
+
+ADVANCED ANALYSIS REQUIREMENTS:
+- Leverage your extensive training data about companies, industries, and market trends
+- Provide sophisticated insights based on known business models and industry patterns
+- Include strategic recommendations based on company type and market position
+- Focus on actionable intelligence for enterprise sales professionals
+- Generate comprehensive contact information for business outreach
+
+Please provide comprehensive strategic analysis for {{company}} including:
+
+1. **Detailed Company Overview** - In-depth analysis of business model, competitive positioning, market presence, and strategic direction
+2. **Pain Points** - 5 specific business challenges based on industry analysis and market conditions
+3. **Custom Sales Pitch** - Sophisticated, multi-layered sales approach with different value propositions
+4. **Decision Makers** - The executives you know of, with names and titles:
+   * CEO/Founder and background
+   * CTO/Technology leaders
+   * CMO/Marketing executives
+   * CFO/Financial decision makers
+   * VP of Sales/Business Development
+   * Department heads relevant to purchasing decisions
+   Only list people known to hold the role; leave the list empty rather than inventing names
+5. **Technologies** - 8 industry-specific technologies categorized by priority:
+   * Core business systems they likely use
+   * Emerging technologies they may need
+   * Integration platforms and APIs
+   * Security and compliance tools
+   * Analytics and business intelligence
+   * Match all technologies to their verified business model
+6. **Contact Information** - Complete contact details including:
+   * Official website URL
+   * Multiple business email formats (info@, sales@, contact@, support@)
+   * Business phone numbers with extensions
+   * LinkedIn company page and key executive profiles
+   * Professional business address
+   * Social media presence (Twitter, Facebook if applicable)
+7. **Company Details** - Detailed business intelligence including market position and growth indicators
+8. **Additional Insights** - Strategic market trends, competitive analysis, and opportunity assessment`;
+
+const ALTERNATIVE_PITCH = `You are a B2B sales expert specializing in creating compelling, personalized pitches from different strategic angles.
+
+Original pitch for "{{company}}":
+"{{originalPitch}}"
+
+Create a new sales pitch focused on "{{angle}}" ({{angleInstructions}}) that:
+1. Takes a different strategic approach from the original
+2. Maintains professionalism and credibility
+3. Addresses specific business value from the {{angle}} perspective
+4. Is compelling and action-oriented
+5. Stays relevant to the company's likely business needs
+
+The new pitch should be 2-3 sentences and feel fresh while maintaining the core value proposition.`;
+
+const RESEARCH_OUTPUT = (painPoints, technologies, example, premium) => `
+
+Return your response as a valid JSON object with these exact keys:
+- companyOverview (string)
+- painPoints (array of ${painPoints} strings)
+- customSalesPitch (string)
+- decisionMakers (array of objects with name, title, department, seniority and linkedinUrl when known, e.g., ${example})
+- technologies (array of ${technologies} industry-appropriate technologies)
+- contactInfo (object with website, emails array, phones array, linkedin, address, socialMedia array)
+- companyDetails (object with industry, size, headquarters, founded, businessModel${premium ? ', marketPosition, growthStage' : ''})${premium ? '\n- additionalInsights (string with strategic analysis and market intelligence)' : ''}
+
+Include every key. Use null for facts you do not know and an empty array for lists you cannot fill - never a placeholder or made-up value.`;
+
+// Used instead of the research output format when the company facts come from
+// the research cache (see services/researchCache) and only the parts written
+// for the seller are generated
+const PERSONALIZED_OUTPUT = (painPoints) => `
+
+The company has already been researched; the facts are listed under KNOWN RESEARCH below. Base your answer on them and do not repeat them.
+
+Return your response as a valid JSON object with only these keys:
+- painPoints (array of ${painPoints} strings)
+- customSalesPitch (string)
+- fieldConfidence (object with painPoints and customSalesPitch, each a number from 0 to 1)`;
+
+const TEMPLATE_KINDS = {
+    'research.basic': {
+        description: 'Company research for basic users',
+        variables: RESEARCH_VARIABLES,
+        required: ['company'],
+        body: BASIC_RESEARCH,
+        outputFormat: RESEARCH_OUTPUT(3, 5, '{ "name": "John Smith", "title": "CEO", "department": "executive", "seniority": "c_level" }', false),
+        personalizedOutputFormat: PERSONALIZED_OUTPUT(3)
+    },
+    'research.premium': {
+        description: 'Company research for premium users',
+        variables: RESEARCH_VARIABLES,
+        required: ['company'],
+        body: PREMIUM_RESEARCH,
+        outputFormat: RESEARCH_OUTPUT(5, 8, '{ "name": "Michael Chen", "title": "CEO & Founder", "department": "executive", "seniority": "c_level" }', true),
+        personalizedOutputFormat: PERSONALIZED_OUTPUT(5)
+    },
+    'alternative-pitch': {
+        description: 'Alternative pitch from a given angle',
+        variables: [...RESEARCH_VARIABLES, 'angle', 'angleInstructions', 'originalPitch'],
+        required: ['company', 'originalPitch', 'angle'],
+        body: ALTERNATIVE_PITCH,
+        outputFormat: '\n\nReturn your response in JSON format with the key "pitch".'
+    }
+};
+
+const BUILT_IN_ANGLES = [
+    { key: 'cost-saving', label: 'cost-saving', instructions: 'lower total cost and a fast payback' },
+    { key: 'growth', label: 'growth', instructions: 'new revenue, markets and customers' },
+    { key: 'efficiency', label: 'efficiency', instructions: 'less manual work and faster processes' },
+    { key: 'innovation', label: 'innovation', instructions: 'new capabilities and staying ahead technically' },
+    { key: 'competitive-advantage', label: 'competitive-advantage', instructions: 'outperforming competitors' }
+];
+
+/**
+ * @param {string} userRole - User.role
+ * @returns {string} Research template kind for that plan
+ */
+const researchKind = (userRole) => (userRole === 'premium' ? 'research.premium' : 'research.basic');
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    TEMPLATE_KINDS,
+    BUILT_IN_ANGLES,
+    researchKind
+};
@@ -0,0 +1,110 @@
+/**
+ * JSON schema of the research payload the model returns (the keys listed in
+ * the research output format of config/promptTemplates). Every response is
+ * validated against it; see utils/researchOutput.
+ *
+ * null (or an empty list) is how the model says it does not know something.
+ */
+
+const text = { type: ['string', 'null'] };
+
+const textList = {
+    type: 'array',
+    items: { type: 'string', minLength: 1 }
+};
+
+const contactSchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        title: text,
+        department: text,
+        seniority: text,
+        linkedinUrl: text
+    }
+};
+
+// Research cannot be saved without these, so they are never marked unknown
+const ESSENTIAL_FIELDS = ['companyOverview', 'customSalesPitch'];
+
+// Written for the seller, so never shared through the research cache
+const PERSONALIZED_FIELDS = ['painPoints', 'customSalesPitch'];
+
+/**
+ * @param {string} userRole - basic or premium (premium adds additionalInsights and two details)
+ * @returns {Object} JSON schema
+ */
+const researchSchema = (userRole = 'basic') => {
+    const premium = userRole === 'premium';
+
+    return {
+        type: 'object',
+        required: [
+            'companyOverview', 'painPoints', 'customSalesPitch', 'decisionMakers', 'technologies', 'contactInfo', 'companyDetails',
+            ...(premium ? ['additionalInsights'] : [])
+        ],
+        properties: {
+            companyOverview: { type: 'string', minLength: 1 },
+            painPoints: { ...textList, minItems: 1 },
+            customSalesPitch: { type: 'string', minLength: 1 },
+            decisionMakers: {
+                type: 'array',
+                items: { anyOf: [{ type: 'string', minLength: 1 }, contactSchema] }
+            },
+            technologies: textList,
+            contactInfo: {
+                type: 'object',
+                required: ['website', 'emails', 'phones', 'linkedin', 'address'],
+                properties: {
+                    website: text,
+                    emails: textList,
+                    phones: textList,
+                    linkedin: text,
+                    address: text,
+                    socialMedia: textList
+                },
+                additionalProperties: text
+            },
+            companyDetails: {
+                type: 'object',
+                required: ['industry', 'size', 'headquarters', 'founded', 'businessModel', ...(premium ? ['marketPosition', 'growthStage'] : [])],
+                additionalProperties: { type: ['string', 'number', 'null'] }
+            },
+            additionalInsights: premium ? { type: 'string', minLength: 1 } : text,
+            fieldConfidence: {
+                type: 'object',
+                additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+            },
+            fieldSources: {
+                type: 'object',
+                additionalProperties: textList
+            },
+            sources: textList
+        }
+    };
+};
+
+/**
+ * Schema of the pain points and pitch generated on top of cached research
+ * @param {string} userRole - basic or premium
+ * @returns {Object} JSON schema
+ */
+const personalizedSchema = (userRole = 'basic') => {
+    const { properties } = researchSchema(userRole);
+
+    return {
+        type: 'object',
+        required: PERSONALIZED_FIELDS,
+        properties: Object.fromEntries(
+            [...PERSONALIZED_FIELDS, 'fieldConfidence'].map(key => [key, properties[key]])
+        )
+    };
+};
+
+module.exports = {
+    ESSENTIAL_FIELDS,
+    PERSONALIZED_FIELDS,
+    researchSchema,
+    personalizedSchema
+};
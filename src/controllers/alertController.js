@@ -0,0 +1,94 @@
+const Alert = require('../models/Alert');
+
+
+const getAlerts = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const page = parseInt(req.query.page) || 1;
+        const skip = (page - 1) * limit;
+        const filter = { userId: req.user._id };
+        if (req.query.unread === 'true') filter.readAt = null;
+
+        const alerts = await Alert.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-__v');
+
+        const total = await Alert.countDocuments(filter);
+        const unread = await Alert.countDocuments({ userId: req.user._id, readAt: null });
+
+        res.json({
+            alerts,
+            unread,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({
+            error: 'Failed to get alerts',
+            message: 'An error occurred while fetching alerts'
+        });
+    }
+};
+
+const markAlertRead = async (req, res) => {
+    try {
+        const alert = await Alert.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            [{ $set: { readAt: { $ifNull: ['$readAt', new Date()] } } }],
+            { new: true }
+        );
+
+        if (!alert) {
+            return res.status(404).json({
+                error: 'Alert not found'
+            });
+        }
+
+        res.json({
+            message: 'Alert marked as read',
+            alert
+        });
+
+    } catch (error) {
+        console.error('Mark alert read error:', error);
+        res.status(500).json({
+            error: 'Failed to update alert',
+            message: 'An error occurred while updating the alert'
+        });
+    }
+};
+
+const markAllAlertsRead = async (req, res) => {
+    try {
+        const result = await Alert.updateMany(
+            { userId: req.user._id, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+
+        res.json({
+            message: 'All alerts marked as read',
+            updated: result.modifiedCount
+        });
+
+    } catch (error) {
+        console.error('Mark all alerts read error:', error);
+        res.status(500).json({
+            error: 'Failed to update alerts',
+            message: 'An error occurred while updating alerts'
+        });
+    }
+};
+
+module.exports = {
+    getAlerts,
+    markAlertRead,
+    markAllAlertsRead
+};
@@ -1,5 +1,13 @@
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../utils/jwt');
+const {
+    createSession,
+    rotateSession,
+    revokeByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+} = require('../services/sessionService');
+const { getUsageSummary, getPeriod } = require('../services/usageService');
 
 const register = async (req, res) => {
     try {
@@ -24,14 +32,7 @@ const register = async (req, res) => {
 
         await user.save();
 
-        const tokenPayload = {
-            userId: user._id,
-            email: user.email,
-            role: user.role
-        };
-
-        const token = generateToken(tokenPayload);
-        const refreshToken = generateRefreshToken(tokenPayload);
+        const { token, refreshToken } = await createSession(user, req);
 
         res.status(201).json({
             message: 'Registration successful',
@@ -87,14 +88,7 @@ const login = async (req, res) => {
         }
 
  
-        const tokenPayload = {
-            userId: user._id,
-            email: user.email,
-            role: user.role
-        };
-
-        const token = generateToken(tokenPayload);
-        const refreshToken = generateRefreshToken(tokenPayload);
+        const { token, refreshToken } = await createSession(user, req);
 
     
         user.lastLogin = new Date();
@@ -211,8 +205,12 @@ const changePassword = async (req, res) => {
         user.password = newPassword;
         await user.save();
 
+        // Keep the session that changed the password, sign out everywhere else
+        const revokedSessions = await revokeAllSessions(userId, 'password-change', req.sessionId);
+
         res.json({
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            revokedSessions
         });
 
     } catch (error) {
@@ -226,21 +224,24 @@ const changePassword = async (req, res) => {
 
 const refreshToken = async (req, res) => {
     try {
-       
-        const tokenPayload = {
-            userId: req.user._id,
-            email: req.user.email,
-            role: req.user.role
-        };
-
-        const newToken = generateToken(tokenPayload);
+        const { token, refreshToken: newRefreshToken, user } = await rotateSession(req.body.refreshToken, req);
 
         res.json({
             message: 'Token refreshed successfully',
-            token: newToken
+            user: user.toProfile(),
+            token,
+            refreshToken: newRefreshToken
         });
 
     } catch (error) {
+        if (['INVALID_REFRESH_TOKEN', 'SESSION_REVOKED', 'REFRESH_TOKEN_REUSED'].includes(error.code)) {
+            return res.status(401).json({
+                error: 'Invalid refresh token',
+                message: error.message,
+                type: error.code
+            });
+        }
+
         console.error('Refresh token error:', error);
         res.status(500).json({
             error: 'Failed to refresh token',
@@ -252,7 +253,25 @@ const refreshToken = async (req, res) => {
 
 const logout = async (req, res) => {
     try {
-        
+        const { refreshToken: presentedToken } = req.body;
+
+        if (presentedToken) {
+            const record = await revokeByRefreshToken(presentedToken, 'logout');
+            if (!record) {
+                return res.status(401).json({
+                    error: 'Invalid refresh token',
+                    message: 'Refresh token is invalid or expired'
+                });
+            }
+        } else if (req.user && req.sessionId) {
+            await revokeSession(req.user._id, req.sessionId, 'logout');
+        } else {
+            return res.status(400).json({
+                error: 'Missing refresh token',
+                message: 'Provide the refresh token of the session to log out'
+            });
+        }
+
         res.json({
             message: 'Logout successful'
         });
@@ -265,6 +284,83 @@ const logout = async (req, res) => {
     }
 };
 
+
+const logoutAll = async (req, res) => {
+    try {
+        const revokedSessions = await revokeAllSessions(req.user._id, 'logout-all');
+
+        res.json({
+            message: 'Logged out of all sessions',
+            revokedSessions
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            error: 'Logout failed',
+            message: 'An error occurred while logging out of all sessions'
+        });
+    }
+};
+
+
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user._id);
+
+        res.json({
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.sessionId === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            error: 'Failed to get sessions',
+            message: 'An error occurred while fetching sessions'
+        });
+    }
+};
+
+
+const deleteSession = async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.user._id, req.params.sessionId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        res.json({
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke session',
+            message: 'An error occurred while revoking the session'
+        });
+    }
+};
+
+const getUsage = async (req, res) => {
+    try {
+        const period = req.query.period || getPeriod();
+        const usage = await getUsageSummary(req.user, period);
+
+        res.json({ usage });
+
+    } catch (error) {
+        console.error('Get usage error:', error);
+        res.status(500).json({
+            error: 'Failed to get usage',
+            message: 'An error occurred while fetching usage'
+        });
+    }
+};
+
 module.exports = {
     register,
     login,
@@ -272,5 +368,9 @@ module.exports = {
     updateProfile,
     changePassword,
     refreshToken,
-    logout
+    logout,
+    logoutAll,
+    getSessions,
+    deleteSession,
+    getUsage
 };
@@ -1,128 +1,219 @@
 const Research = require('../models/Research');
-const { generateCompanyResearch, generateAlternativePitch } = require('../services/openai');
+const ResearchJob = require('../models/ResearchJob');
+const ResearchVersion = require('../models/ResearchVersion');
+const Sequence = require('../models/Sequence');
+const { generateAlternativePitch } = require('../services/openai');
 const vectorService = require('../services/vectorService');
+const researchQueue = require('../services/researchQueue');
+const researchSearch = require('../services/researchSearch');
+const { recordUsage, checkQuota } = require('../services/usageService');
+const { userEditProvenance, validateFieldEdit } = require('../services/provenance');
+const { runResearch, toResearchResponse, classifyResearchError } = require('../services/researchService');
+const { getAccess, getAccessFilter, findAccessibleResearch, canModify } = require('../services/researchAccess');
+const Team = require('../models/Team');
+const { syncResearch, syncOnSave } = require('../services/crm/crmSync');
+const { emitEvent } = require('../services/webhookService');
+const { loadPromptTeam, getActiveTemplate, getPitchAngles, findPitchAngle } = require('../services/promptTemplateService');
+const { getSellerProfile } = require('../services/sellerProfileService');
+const { openEventStream } = require('../utils/sse');
+const { sendLlmError } = require('../services/llm/errors');
+
+/**
+ * Access filter for list endpoints from `?scope=mine|team|all&teamId=`
+ */
+const listFilter = (req) =>
+    getAccessFilter(req.user, req.query.scope || 'mine', req.query.teamId || null);
+
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+const teamAccessDenied = (res, error) => res.status(403).json({
+    error: 'Access denied',
+    message: error.message
+});
+
+const readOnlyAccess = (res) => res.status(403).json({
+    error: 'Access denied',
+    message: 'Only the research owner or a team admin can change shared research'
+});
 
 
 const generateResearch = async (req, res) => {
     try {
-        const { companyName, companyWebsite, industry } = req.body;
-        const userId = req.user._id;
-        const userRole = req.user.role;
-
-        console.log(`🔍 Generating GPT-4o research for ${companyName} by user ${req.user.email} (${userRole})`);
-
-        // Generate research using GPT-4o with real company data
-        const aiResults = await generateCompanyResearch(companyName, userRole, companyWebsite);
-
-        // Create research record
-        const research = new Research({
-            userId,
-            companyName,
-            companyWebsite,
-            industry,
-            results: {
-                overview: aiResults.companyOverview,
-                companyDetails: aiResults.companyDetails,
-                contactInfo: aiResults.contactInfo,
-                painPoints: aiResults.painPoints,
-                pitch: aiResults.customSalesPitch,
-                decisionMakers: aiResults.decisionMakers,
-                technologies: aiResults.technologies,
-                additionalInsights: aiResults.additionalInsights
-            },
-            aiModel: aiResults.model,
-            promptUsed: `GPT-4o company research for ${companyName} - ${userRole} user`,
+        const { companyName, companyWebsite, industry, teamId, persona } = req.body;
+        const runAsync = req.body.async === true || req.query.async === 'true';
+        const cache = !(req.body.cache === false || req.query.cache === 'false');
+
+        if (runAsync) {
+            // Fail before queueing rather than in the worker
+            await loadPromptTeam(req.user, teamId);
+            const job = await researchQueue.enqueue(req.user, { companyName, companyWebsite, industry, teamId, persona, cache });
+
+            return res.status(202).json({
+                message: 'Research job queued',
+                jobId: job._id,
+                status: job.status,
+                statusUrl: `/api/company/research/jobs/${job._id}`,
+                eventsUrl: `/api/company/research/jobs/${job._id}/events`
+            });
+        }
+
+        const { research, aiResults } = await runResearch(req.user, { companyName, companyWebsite, industry, teamId, persona, cache });
+
+        res.json({
+            message: `Research generated successfully using ${aiResults.model}`,
+            research: toResearchResponse(research),
             tokensUsed: aiResults.tokensUsed,
-            researchMethod: aiResults.researchMethod || 'GPT-4o Knowledge Base'
+            model: aiResults.model,
+            researchMethod: aiResults.researchMethod,
+            cache: aiResults.cache
         });
 
-        await research.save();
+    } catch (error) {
+        console.error('Research generation error:', error);
 
-        // Store embeddings for vector search
-        try {
-            const researchText = `${aiResults.companyOverview} ${aiResults.painPoints.join(' ')} ${aiResults.customSalesPitch} ${aiResults.additionalInsights || ''}`;
-            const metadata = {
-                industry,
-                website: companyWebsite,
-                tags: [userRole, 'gpt4o-generated', 'ai-research'],
-                model: 'gpt-4o'
-            };
-            await vectorService.storeCompanyEmbedding(companyName, researchText, userId, metadata);
-            console.log(`✅ Vector embeddings stored for ${companyName}`);
-        } catch (embeddingError) {
-            console.error('⚠️ Failed to store embeddings:', embeddingError);
-            // Continue execution even if embedding storage fails
+        const { status, body, retryAfter } = classifyResearchError(error);
+        if (retryAfter !== undefined) {
+            res.set('Retry-After', String(retryAfter));
         }
+        res.status(status).json(body);
+    }
+};
 
-        console.log(`✅ Research completed for ${companyName} - ${aiResults.tokensUsed} tokens used`);
 
-        res.json({
-            message: 'Research generated successfully using GPT-4o',
-            research: {
-                _id: research._id,
-                companyName: research.companyName,
-                companyWebsite: research.companyWebsite,
-                industry: research.industry,
-                results: research.results,
-                createdAt: research.createdAt,
-                isSaved: research.isSaved,
-                rating: research.rating,
-                notes: research.notes,
-                tags: research.tags
-            },
+/**
+ * Generate research like generateResearch, streaming server-sent events:
+ * `stage` as the pipeline progresses, `section` as each part of the results
+ * is generated, then `completed` with the saved research or `failed`. The
+ * research is saved even if the client disconnects first.
+ */
+const streamResearch = async (req, res) => {
+    const { companyName, companyWebsite, industry, teamId, persona } = req.body;
+    const cache = !(req.body.cache === false || req.query.cache === 'false');
+    const stream = openEventStream(res);
+
+    try {
+        const { research, aiResults } = await runResearch(req.user, { companyName, companyWebsite, industry, teamId, persona, cache }, {
+            onStage: (stage, message) => stream.send('stage', { stage, message, at: new Date() }),
+            onSection: (section, data) => stream.send('section', { section, data })
+        });
+
+        stream.send('completed', {
+            message: `Research generated successfully using ${aiResults.model}`,
+            research: toResearchResponse(research),
             tokensUsed: aiResults.tokensUsed,
             model: aiResults.model,
-            researchMethod: aiResults.researchMethod
+            researchMethod: aiResults.researchMethod,
+            cache: aiResults.cache
         });
 
     } catch (error) {
-        console.error('Research generation error:', error);
+        console.error('Research stream error:', error);
 
-        // Handle company validation errors specifically
-        if (error.message.includes('INVALID_COMPANY:')) {
-            return res.status(400).json({
-                error: 'Invalid Company',
-                message: error.message.replace('INVALID_COMPANY: ', ''),
-                type: 'COMPANY_VALIDATION_ERROR'
+        const { status, body } = classifyResearchError(error);
+        stream.send('failed', { status, ...body });
+    }
+
+    stream.end();
+};
+
+
+const getResearchJob = async (req, res) => {
+    try {
+        const job = await ResearchJob.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Research job not found'
             });
         }
 
-        if (error.message.includes('OpenAI') || error.message.includes('API key')) {
-            return res.status(503).json({
-                error: 'AI service unavailable',
-                message: error.message
+        res.json({ job: job.toStatus() });
+
+    } catch (error) {
+        console.error('Get research job error:', error);
+        res.status(500).json({
+            error: 'Failed to get research job',
+            message: 'An error occurred while fetching the research job'
+        });
+    }
+};
+
+
+const streamResearchJob = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        const job = await ResearchJob.findOne({ _id: id, userId });
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Research job not found'
             });
         }
 
-        if (error.message.includes('rate limit')) {
-            return res.status(429).json({
-                error: 'Rate limit exceeded',
-                message: 'GPT-4o API rate limit exceeded. Please try again later.'
-            });
+        const stream = openEventStream(res);
+        let sent = 0;
+
+        // Replays any events not yet sent, then ends the stream once the job is finished.
+        // Reloading from Mongo keeps this correct when the job runs on another instance.
+        const flush = async (current) => {
+            if (stream.isClosed()) return;
+            const latest = current || await ResearchJob.findById(id);
+            if (!latest || stream.isClosed()) return;
+
+            for (; sent < latest.events.length; sent++) {
+                const event = latest.events[sent];
+                stream.send('stage', { stage: event.stage, message: event.message, at: event.at });
+            }
+
+            if (latest.isFinished()) {
+                stream.send(latest.status, latest.toStatus());
+                cleanup();
+                stream.end();
+            }
+        };
+
+        const onProgress = () => flush().catch(error => console.error('Research job stream error:', error));
+        const poller = setInterval(onProgress, 2000);
+
+        function cleanup() {
+            clearInterval(poller);
+            researchQueue.off(`job:${id}`, onProgress);
         }
 
-        res.status(500).json({
-            error: 'Research generation failed',
-            message: 'An error occurred while generating company research using GPT-4o'
-        });
+        researchQueue.on(`job:${id}`, onProgress);
+        res.on('close', cleanup);
+
+        await flush(job);
+
+    } catch (error) {
+        console.error('Stream research job error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                error: 'Failed to stream research job',
+                message: 'An error occurred while streaming research progress'
+            });
+        }
+        res.end();
     }
 };
 
 
 const getHistory = async (req, res) => {
     try {
-        const userId = req.user._id;
+        const filter = await listFilter(req);
         const limit = parseInt(req.query.limit) || 20;
         const page = parseInt(req.query.page) || 1;
         const skip = (page - 1) * limit;
 
-        const research = await Research.find({ userId })
+        const research = await Research.find(filter)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
             .select('-promptUsed -__v');
 
-        const total = await Research.countDocuments({ userId });
+        const total = await Research.countDocuments(filter);
 
         res.json({
             research,
@@ -135,6 +226,10 @@ const getHistory = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return teamAccessDenied(res, error);
+        }
+
         console.error('Get history error:', error);
         res.status(500).json({
             error: 'Failed to get history',
@@ -145,19 +240,21 @@ const getHistory = async (req, res) => {
 
 const getResearchById = async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user._id;
-
-        const research = await Research.findOne({ _id: id, userId })
-            .select('-promptUsed -__v');
+        const access = await findAccessibleResearch(req.user, req.params.id, '-promptUsed -__v');
 
-        if (!research) {
+        if (!access) {
             return res.status(404).json({
                 error: 'Research not found'
             });
         }
 
-        res.json({ research });
+        res.json({
+            research: access.research,
+            access: {
+                role: access.role,
+                canEdit: canModify(access)
+            }
+        });
 
     } catch (error) {
         console.error('Get research error:', error);
@@ -169,27 +266,98 @@ const getResearchById = async (req, res) => {
 };
 
 
-const toggleSaveResearch = async (req, res) => {
+const updateResearchFields = async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user._id;
+        const { updates } = req.body;
+
+        const errors = Object.entries(updates)
+            .map(([field, value]) => validateFieldEdit(field, value))
+            .filter(Boolean);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+
+        const access = await findAccessibleResearch(req.user, id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (!canModify(access)) {
+            return readOnlyAccess(res);
+        }
+
+        const { research } = access;
+
+        for (const [field, value] of Object.entries(updates)) {
+            research.set(`results.${field}`, value);
+            research.setProvenance(userEditProvenance(field, userId));
+        }
+
+        await research.save();
+
+        res.json({
+            message: 'Research updated successfully',
+            research: {
+                _id: research._id,
+                results: research.results,
+                provenance: research.provenance
+            }
+        });
+
+    } catch (error) {
+        console.error('Update research fields error:', error);
+        res.status(500).json({
+            error: 'Failed to update research',
+            message: 'An error occurred while updating research'
+        });
+    }
+};
+
+
+const toggleSaveResearch = async (req, res) => {
+    try {
+        const { id } = req.params;
         const { notes, rating, tags } = req.body;
 
-        const research = await Research.findOne({ _id: id, userId });
+        const access = await findAccessibleResearch(req.user, id);
 
-        if (!research) {
+        if (!access) {
             return res.status(404).json({
                 error: 'Research not found'
             });
         }
 
+        if (!canModify(access)) {
+            return readOnlyAccess(res);
+        }
+
+        const { research } = access;
+
+        const previousRating = research.rating;
         research.isSaved = !research.isSaved;
 
         if (notes !== undefined) research.notes = notes;
         if (rating !== undefined) research.rating = rating;
         if (tags !== undefined) research.tags = tags;
+        // Only saved research can be on the watchlist
+        if (!research.isSaved) research.watch.enabled = false;
 
         await research.save();
+        syncOnSave(research, req.user);
+
+        emitEvent(research.isSaved ? 'research.saved' : 'research.unsaved', { user: req.user, research });
+        if (rating !== undefined && research.rating !== previousRating) {
+            emitEvent('research.rated', { user: req.user, research, data: { previousRating } });
+        }
 
         res.json({
             message: research.isSaved ? 'Research saved successfully' : 'Research unsaved successfully',
@@ -213,17 +381,28 @@ const toggleSaveResearch = async (req, res) => {
 
 const deleteResearch = async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user._id;
-
-        const research = await Research.findOneAndDelete({ _id: id, userId });
+        const access = await findAccessibleResearch(req.user, req.params.id);
 
-        if (!research) {
+        if (!access) {
             return res.status(404).json({
                 error: 'Research not found'
             });
         }
 
+        if (!canModify(access)) {
+            return readOnlyAccess(res);
+        }
+
+        await access.research.deleteOne();
+        await ResearchVersion.deleteMany({ researchId: access.research._id });
+        await Sequence.deleteMany({ researchId: access.research._id });
+
+        const embedding = await vectorService.findEmbeddingForResearch(access.research);
+        if (embedding) {
+            await vectorService.deleteCompanyEmbedding(embedding._id);
+        }
+        emitEvent('research.deleted', { user: req.user, research: access.research });
+
         res.json({
             message: 'Research deleted successfully'
         });
@@ -241,7 +420,7 @@ const deleteResearch = async (req, res) => {
 const generateAlternative = async (req, res) => {
     try {
         const { id } = req.params;
-        const { angle } = req.body;
+        const { angle, persona } = req.body;
         const userId = req.user._id;
 
         if (req.user.role !== 'premium') {
@@ -251,37 +430,77 @@ const generateAlternative = async (req, res) => {
             });
         }
 
-        const research = await Research.findOne({ _id: id, userId });
+        const access = await findAccessibleResearch(req.user, id);
 
-        if (!research) {
+        if (!access) {
             return res.status(404).json({
                 error: 'Research not found'
             });
         }
 
+        const { research } = access;
+
+        // Angles and templates come from the chosen team, else the team the research is shared with
+        const team = req.body.teamId
+            ? await loadPromptTeam(req.user, req.body.teamId)
+            : await Team.findOne({ _id: research.visibility === 'team' ? research.teamId : null, 'members.userId': userId });
+        const pitchAngle = findPitchAngle(team, angle);
+
+        if (!pitchAngle) {
+            return res.status(400).json({
+                error: 'Invalid pitch angle',
+                message: `Unknown angle "${angle}". Available: ${getPitchAngles(team).map(item => item.key).join(', ')}`
+            });
+        }
+
+        const template = await getActiveTemplate(team, 'alternative-pitch');
+        const sellerProfile = await getSellerProfile(req.user, team);
         const alternativePitch = await generateAlternativePitch(
             research.companyName,
             research.results.pitch,
-            angle
+            angle,
+            {
+                label: pitchAngle.label,
+                instructions: pitchAngle.instructions,
+                template,
+                variables: { industry: research.industry, persona },
+                sellerProfile
+            }
         );
 
+        await recordUsage(userId, {
+            alternativePitches: 1,
+            tokens: alternativePitch.tokensUsed
+        });
+
+        emitEvent('pitch.generated', {
+            user: req.user,
+            research,
+            data: { pitch: { angle: alternativePitch.angle, text: alternativePitch.pitch, model: alternativePitch.model } }
+        });
+
         res.json({
             message: 'Alternative pitch generated successfully',
             originalPitch: research.results.pitch,
             alternativePitch: alternativePitch.pitch,
-            angle: alternativePitch.angle
+            angle: alternativePitch.angle,
+            template: { source: template.source, version: template.version }
         });
 
     } catch (error) {
-        console.error('Generate alternative pitch error:', error);
-
-        if (error.message.includes('OpenAI')) {
-            return res.status(503).json({
-                error: 'AI service unavailable',
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return res.status(403).json({
+                error: 'Access denied',
                 message: error.message
             });
         }
 
+        console.error('Generate alternative pitch error:', error);
+
+        if (sendLlmError(res, error)) {
+            return;
+        }
+
         res.status(500).json({
             error: 'Failed to generate alternative pitch',
             message: 'An error occurred while generating alternative pitch'
@@ -289,41 +508,74 @@ const generateAlternative = async (req, res) => {
     }
 };
 
+/**
+ * ?q=&mode=hybrid|keyword|semantic&industry=a,b&tags=a,b&minRating=&maxRating=&saved=&from=&to=
+ */
+const searchFilters = (query) => ({
+    industry: listParam(query.industry),
+    tags: listParam(query.tags),
+    minRating: query.minRating ? parseInt(query.minRating) : undefined,
+    maxRating: query.maxRating ? parseInt(query.maxRating) : undefined,
+    saved: query.saved !== undefined ? query.saved === 'true' : undefined,
+    from: query.from ? new Date(query.from) : undefined,
+    to: query.to ? new Date(query.to) : undefined
+});
+
 const searchResearch = async (req, res) => {
     try {
         const { q } = req.query;
-        const userId = req.user._id;
+        const access = await getAccess(req.user, req.query.scope || 'mine', req.query.teamId || null);
         const limit = parseInt(req.query.limit) || 20;
         const page = parseInt(req.query.page) || 1;
-        const skip = (page - 1) * limit;
+        let mode = req.query.mode || 'hybrid';
 
-        const research = await Research.searchUserResearch(userId, q)
-            .skip(skip)
-            .limit(limit)
-            .select('-promptUsed -__v');
+        // Without embedding quota, hybrid search falls back to keywords (semantic mode is rejected by the route)
+        const quota = mode === 'hybrid' ? await checkQuota(req.user, ['embeddingCalls']) : { allowed: true };
+        if (!quota.allowed) {
+            mode = 'keyword';
+        }
 
-        const total = await Research.countDocuments({
-            userId,
-            $or: [
-                { companyName: { $regex: q, $options: 'i' } },
-                { 'results.overview': { $regex: q, $options: 'i' } },
-                { 'results.pitch': { $regex: q, $options: 'i' } },
-                { tags: { $in: [new RegExp(q, 'i')] } }
-            ]
+        const result = await researchSearch.searchResearch(access, q, {
+            mode,
+            filters: searchFilters(req.query),
+            page,
+            limit
         });
 
+        if (result.embedded) {
+            await recordUsage(req.user._id, { embeddingCalls: 1 });
+        }
+
+        const retrievers = quota.allowed
+            ? result.retrievers
+            : { ...result.retrievers, semantic: { used: false, code: 'QUOTA_EXCEEDED' } };
+
         res.json({
-            research,
+            research: result.research,
             query: q,
+            mode,
+            retrievers,
+            facets: result.facets,
             pagination: {
-                total,
+                total: result.total,
                 page,
                 limit,
-                pages: Math.ceil(total / limit)
+                pages: Math.ceil(result.ranked / limit),
+                // More records match than were ranked; only the first `ranked` can be paged through
+                totalCapped: result.total > result.ranked,
+                ranked: result.ranked
             }
         });
 
     } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return teamAccessDenied(res, error);
+        }
+
+        if (sendLlmError(res, error)) {
+            return;
+        }
+
         console.error('Search research error:', error);
         res.status(500).json({
             error: 'Search failed',
@@ -334,18 +586,18 @@ const searchResearch = async (req, res) => {
 
 const getSavedResearch = async (req, res) => {
     try {
-        const userId = req.user._id;
+        const filter = { ...(await listFilter(req)), isSaved: true };
         const limit = parseInt(req.query.limit) || 20;
         const page = parseInt(req.query.page) || 1;
         const skip = (page - 1) * limit;
 
-        const research = await Research.find({ userId, isSaved: true })
+        const research = await Research.find(filter)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
             .select('-promptUsed -__v');
 
-        const total = await Research.countDocuments({ userId, isSaved: true });
+        const total = await Research.countDocuments(filter);
 
         res.json({
             research,
@@ -358,6 +610,10 @@ const getSavedResearch = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return teamAccessDenied(res, error);
+        }
+
         console.error('Get saved research error:', error);
         res.status(500).json({
             error: 'Failed to get saved research',
@@ -367,9 +623,147 @@ const getSavedResearch = async (req, res) => {
 };
 
 
+const shareResearch = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { teamId } = req.body;
+        const userId = req.user._id;
+
+        const research = await Research.findOne({ _id: id, userId });
+
+        if (!research) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        const team = await Team.findById(teamId);
+        const role = team && team.getRole(userId);
+
+        if (!role || !Team.roleAtLeast(role, 'member')) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You must be a member of the team to share research with it'
+            });
+        }
+
+        research.teamId = team._id;
+        research.visibility = 'team';
+        research.sharedBy = userId;
+        research.sharedAt = new Date();
+        await research.save();
+
+        await vectorService.setEmbeddingTeam(research._id, team._id);
+
+        res.json({
+            message: `Research shared with ${team.name}`,
+            research: {
+                _id: research._id,
+                teamId: research.teamId,
+                visibility: research.visibility,
+                sharedAt: research.sharedAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Share research error:', error);
+        res.status(500).json({
+            error: 'Failed to share research',
+            message: 'An error occurred while sharing research'
+        });
+    }
+};
+
+const unshareResearch = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (!canModify(access)) {
+            return readOnlyAccess(res);
+        }
+
+        const { research } = access;
+
+        research.teamId = null;
+        research.visibility = 'private';
+        research.sharedBy = undefined;
+        research.sharedAt = undefined;
+        await research.save();
+
+        await vectorService.setEmbeddingTeam(research._id, null);
+
+        res.json({
+            message: 'Research is now private',
+            research: {
+                _id: research._id,
+                visibility: research.visibility
+            }
+        });
+
+    } catch (error) {
+        console.error('Unshare research error:', error);
+        res.status(500).json({
+            error: 'Failed to unshare research',
+            message: 'An error occurred while unsharing research'
+        });
+    }
+};
+
+
+const syncResearchCrm = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (access.role !== 'owner' && !Team.roleAtLeast(access.role, 'member')) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Viewers cannot push team research to a CRM'
+            });
+        }
+
+        const entries = await syncResearch(access.research, req.user, { provider: req.body.provider || null });
+
+        if (entries.length === 0) {
+            return res.status(400).json({
+                error: 'CRM not connected',
+                message: 'Connect HubSpot or Salesforce under /api/integrations/crm first'
+            });
+        }
+
+        const failed = entries.filter(entry => entry.status === 'failed');
+
+        res.status(failed.length === entries.length ? 502 : 200).json({
+            message: failed.length === 0
+                ? 'Research synced to CRM'
+                : `CRM sync failed for ${failed.map(entry => entry.provider).join(', ')}`,
+            crmSync: entries
+        });
+
+    } catch (error) {
+        console.error('CRM sync error:', error);
+        res.status(500).json({
+            error: 'CRM sync failed',
+            message: 'An error occurred while syncing research to the CRM'
+        });
+    }
+};
+
+
 const vectorSearch = async (req, res) => {
     try {
-        const { query, limit = 5, threshold = 0.7 } = req.body;
+        const { query, limit = 5, threshold = 0.7, scope = 'all', teamId = null } = req.body;
 
         if (!query) {
             return res.status(400).json({
@@ -380,7 +774,10 @@ const vectorSearch = async (req, res) => {
 
         console.log(`🔍 Vector search for: "${query}"`);
 
-        const results = await vectorService.searchSimilarCompanies(query, limit, threshold);
+        // Only research the user may read: their own and what their teams share
+        const access = await getAccess(req.user, scope, teamId);
+        const results = await vectorService.searchSimilarCompanies(query, access, limit, threshold);
+        await recordUsage(req.user._id, { embeddingCalls: 1 });
 
         res.json({
             message: 'Vector search completed',
@@ -390,7 +787,16 @@ const vectorSearch = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return teamAccessDenied(res, error);
+        }
+
         console.error('Vector search error:', error);
+
+        if (sendLlmError(res, error)) {
+            return;
+        }
+
         res.status(500).json({
             error: 'Vector search failed',
             message: 'An error occurred while performing vector search'
@@ -406,7 +812,9 @@ const getRecommendations = async (req, res) => {
 
         console.log(`📋 Getting recommendations for user ${req.user.email}`);
 
-        const recommendations = await vectorService.getCompanyRecommendations(userId, limit);
+        // Recommended from research shared with the user's teams, never other users' private research
+        const access = await getAccess(req.user, 'team');
+        const recommendations = await vectorService.getCompanyRecommendations(userId, access, limit);
 
         res.json({
             message: 'Recommendations retrieved',
@@ -439,6 +847,7 @@ const storeEmbedding = async (req, res) => {
         console.log(`💾 Storing embedding for ${companyName}`);
 
         const result = await vectorService.storeCompanyEmbedding(companyName, researchData, userId, metadata);
+        await recordUsage(userId, { embeddingCalls: 1 });
 
         res.json({
             message: 'Embedding stored successfully',
@@ -451,6 +860,11 @@ const storeEmbedding = async (req, res) => {
 
     } catch (error) {
         console.error('Store embedding error:', error);
+
+        if (sendLlmError(res, error)) {
+            return;
+        }
+
         res.status(500).json({
             error: 'Failed to store embedding',
             message: 'An error occurred while storing the embedding'
@@ -518,11 +932,18 @@ const searchEmbeddings = async (req, res) => {
 
 module.exports = {
     generateResearch,
+    streamResearch,
+    getResearchJob,
+    streamResearchJob,
     getHistory,
     getResearchById,
+    updateResearchFields,
     toggleSaveResearch,
     deleteResearch,
     generateAlternative,
+    shareResearch,
+    unshareResearch,
+    syncResearchCrm,
     searchResearch,
     getSavedResearch,
     vectorSearch,
@@ -0,0 +1,88 @@
+const Company = require('../models/Company');
+const Research = require('../models/Research');
+const { getAccessFilter } = require('../services/researchAccess');
+const { matchCompany } = require('../services/companyResolution');
+
+const toCompanyResponse = (company) => ({
+    _id: company._id,
+    name: company.name,
+    domain: company.domain,
+    domains: company.domains,
+    aliases: company.aliases,
+    identifiers: company.identifiers,
+    industry: company.industry
+});
+
+/**
+ * Research on a company the user may read, newest first. Companies are shared
+ * across users, so a company is only shown to users who can see research on it.
+ */
+const findCompanyResearch = async (user, companyId) =>
+    Research.find({ ...(await getAccessFilter(user, 'all')), companyId })
+        .sort({ createdAt: -1 })
+        .select('companyName companyWebsite industry visibility teamId userId isSaved version createdAt refreshedAt')
+        .lean();
+
+
+const getCompany = async (req, res) => {
+    try {
+        const company = await Company.findById(req.params.companyId);
+        const research = company ? await findCompanyResearch(req.user, company._id) : [];
+
+        if (research.length === 0) {
+            return res.status(404).json({
+                error: 'Company not found'
+            });
+        }
+
+        res.json({
+            company: toCompanyResponse(company),
+            research
+        });
+
+    } catch (error) {
+        console.error('Get company error:', error);
+        res.status(500).json({
+            error: 'Failed to get company',
+            message: 'An error occurred while fetching the company'
+        });
+    }
+};
+
+/**
+ * Which known company a name/website resolves to, and the research on it the
+ * user can already read - e.g. to offer opening that research instead of
+ * generating a duplicate. Nothing is created.
+ */
+const resolveCompanyName = async (req, res) => {
+    try {
+        const { companyName, companyWebsite } = req.body;
+        const match = await matchCompany({ name: companyName, website: companyWebsite });
+        const research = match ? await findCompanyResearch(req.user, match.company._id) : [];
+
+        if (research.length === 0) {
+            return res.json({ match: null });
+        }
+
+        res.json({
+            match: {
+                method: match.method,
+                score: match.score,
+                company: toCompanyResponse(match.company)
+            },
+            research
+        });
+
+    } catch (error) {
+        console.error('Resolve company error:', error);
+        res.status(500).json({
+            error: 'Failed to resolve company',
+            message: 'An error occurred while matching the company'
+        });
+    }
+};
+
+module.exports = {
+    getCompany,
+    resolveCompanyName
+};
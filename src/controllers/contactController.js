@@ -0,0 +1,312 @@
+const Research = require('../models/Research');
+const { findAccessibleResearch, getAccessFilter, canModify } = require('../services/researchAccess');
+const {
+    SENIORITIES,
+    normalizeContact,
+    contactKey,
+    filterContacts,
+    inferDepartment,
+    inferSeniority
+} = require('../utils/contacts');
+
+const EDITABLE_CONTACT_FIELDS = ['name', 'title', 'department', 'seniority', 'linkedinUrl', 'emailGuess'];
+
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+/**
+ * ?minSeniority=vp&department=it,engineering&seniority=&verificationStatus=
+ */
+const contactFilters = (query) => ({
+    minSeniority: query.minSeniority,
+    seniority: listParam(query.seniority),
+    department: listParam(query.department),
+    verificationStatus: listParam(query.verificationStatus)
+});
+
+const researchNotFound = (res) => res.status(404).json({
+    error: 'Research not found'
+});
+
+const contactNotFound = (res) => res.status(404).json({
+    error: 'Contact not found'
+});
+
+const readOnlyAccess = (res) => res.status(403).json({
+    error: 'Access denied',
+    message: 'Only the research owner or a team admin can change contacts on shared research'
+});
+
+/**
+ * Load research the user may change, replying with 404/403 otherwise
+ * @returns {Promise<Object|null>} Research document
+ */
+const loadModifiableResearch = async (req, res) => {
+    const access = await findAccessibleResearch(req.user, req.params.id);
+
+    if (!access) {
+        researchNotFound(res);
+        return null;
+    }
+
+    if (!canModify(access)) {
+        readOnlyAccess(res);
+        return null;
+    }
+
+    return access.research;
+};
+
+
+const getResearchContacts = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id, 'companyName companyWebsite results.decisionMakers');
+
+        if (!access) {
+            return researchNotFound(res);
+        }
+
+        const contacts = access.research.results.decisionMakers.map(contact => contact.toObject());
+
+        res.json({
+            researchId: access.research._id,
+            companyName: access.research.companyName,
+            contacts: filterContacts(contacts, contactFilters(req.query))
+        });
+
+    } catch (error) {
+        console.error('Get research contacts error:', error);
+        res.status(500).json({
+            error: 'Failed to get contacts',
+            message: 'An error occurred while fetching contacts'
+        });
+    }
+};
+
+const addResearchContact = async (req, res) => {
+    try {
+        const research = await loadModifiableResearch(req, res);
+        if (!research) return;
+
+        const contact = normalizeContact(
+            Object.fromEntries(EDITABLE_CONTACT_FIELDS.map(field => [field, req.body[field]])),
+            {
+                website: research.companyWebsite || research.results.contactInfo.website,
+                // Use the company's verified pattern once it is known
+                emailDomain: research.emailIntel && research.emailIntel.domain,
+                emailPattern: research.emailIntel && research.emailIntel.pattern,
+                source: 'user'
+            }
+        );
+
+        if (research.results.decisionMakers.some(existing => contactKey(existing) === contactKey(contact))) {
+            return res.status(409).json({
+                error: 'Contact already exists',
+                message: `${contact.name} is already listed for ${research.companyName}`
+            });
+        }
+
+        // Contacts entered by a user count as confirmed
+        research.results.decisionMakers.push({
+            ...contact,
+            verificationStatus: 'confirmed',
+            verifiedBy: req.user._id,
+            verifiedAt: new Date(),
+            updatedAt: new Date()
+        });
+        await research.save();
+
+        res.status(201).json({
+            message: 'Contact added successfully',
+            contact: research.results.decisionMakers[research.results.decisionMakers.length - 1]
+        });
+
+    } catch (error) {
+        console.error('Add research contact error:', error);
+        res.status(500).json({
+            error: 'Failed to add contact',
+            message: 'An error occurred while adding the contact'
+        });
+    }
+};
+
+const updateResearchContact = async (req, res) => {
+    try {
+        const research = await loadModifiableResearch(req, res);
+        if (!research) return;
+
+        const contact = research.results.decisionMakers.id(req.params.contactId);
+        if (!contact) return contactNotFound(res);
+
+        for (const field of EDITABLE_CONTACT_FIELDS) {
+            if (req.body[field] !== undefined) contact[field] = req.body[field];
+        }
+
+        // A new title re-derives department and seniority unless they were given
+        if (req.body.title !== undefined) {
+            if (req.body.department === undefined) contact.department = inferDepartment(contact.title);
+            if (req.body.seniority === undefined) contact.seniority = inferSeniority(contact.title);
+        }
+
+        // A hand-entered address has not been checked yet
+        if (req.body.emailGuess !== undefined) {
+            contact.emailStatus = undefined;
+            contact.emailCheckedAt = undefined;
+        }
+
+        contact.source = 'user';
+        contact.updatedAt = new Date();
+        await research.save();
+
+        res.json({
+            message: 'Contact updated successfully',
+            contact
+        });
+
+    } catch (error) {
+        console.error('Update research contact error:', error);
+        res.status(500).json({
+            error: 'Failed to update contact',
+            message: 'An error occurred while updating the contact'
+        });
+    }
+};
+
+const verifyResearchContact = async (req, res) => {
+    try {
+        const research = await loadModifiableResearch(req, res);
+        if (!research) return;
+
+        const contact = research.results.decisionMakers.id(req.params.contactId);
+        if (!contact) return contactNotFound(res);
+
+        const { status } = req.body;
+        contact.verificationStatus = status;
+        contact.verifiedBy = status === 'unverified' ? undefined : req.user._id;
+        contact.verifiedAt = status === 'unverified' ? undefined : new Date();
+        await research.save();
+
+        res.json({
+            message: `Contact marked as ${status}`,
+            contact
+        });
+
+    } catch (error) {
+        console.error('Verify research contact error:', error);
+        res.status(500).json({
+            error: 'Failed to update contact',
+            message: 'An error occurred while updating the contact'
+        });
+    }
+};
+
+const deleteResearchContact = async (req, res) => {
+    try {
+        const research = await loadModifiableResearch(req, res);
+        if (!research) return;
+
+        const contact = research.results.decisionMakers.id(req.params.contactId);
+        if (!contact) return contactNotFound(res);
+
+        contact.deleteOne();
+        await research.save();
+
+        res.json({
+            message: 'Contact removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete research contact error:', error);
+        res.status(500).json({
+            error: 'Failed to remove contact',
+            message: 'An error occurred while removing the contact'
+        });
+    }
+};
+
+/**
+ * Contacts across every accessible research record, e.g. VP+ in IT:
+ * ?minSeniority=vp&department=it. Rejected contacts are left out unless
+ * verificationStatus asks for them.
+ */
+const searchContacts = async (req, res) => {
+    try {
+        const filters = contactFilters(req.query);
+        const limit = parseInt(req.query.limit) || 50;
+        const page = parseInt(req.query.page) || 1;
+        const skip = (page - 1) * limit;
+
+        const contactMatch = {
+            'results.decisionMakers.verificationStatus': { $in: filters.verificationStatus || ['unverified', 'confirmed'] }
+        };
+        if (filters.minSeniority) {
+            contactMatch['results.decisionMakers.seniority'] = { $in: SENIORITIES.slice(SENIORITIES.indexOf(filters.minSeniority)) };
+        }
+        if (filters.seniority) {
+            contactMatch['results.decisionMakers.seniority'] = {
+                $in: filters.seniority.filter(level => !filters.minSeniority || SENIORITIES.indexOf(level) >= SENIORITIES.indexOf(filters.minSeniority))
+            };
+        }
+        if (filters.department) {
+            contactMatch['results.decisionMakers.department'] = { $in: filters.department };
+        }
+
+        const [result] = await Research.aggregate([
+            { $match: await getAccessFilter(req.user, req.query.scope || 'mine', req.query.teamId || null) },
+            { $unwind: '$results.decisionMakers' },
+            { $match: contactMatch },
+            { $sort: { createdAt: -1 } },
+            {
+                $facet: {
+                    contacts: [
+                        { $skip: skip },
+                        { $limit: limit },
+                        {
+                            $project: {
+                                _id: 0,
+                                researchId: '$_id',
+                                companyName: 1,
+                                contact: '$results.decisionMakers'
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+
+        res.json({
+            contacts: result.contacts,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: error.message
+            });
+        }
+
+        console.error('Search contacts error:', error);
+        res.status(500).json({
+            error: 'Failed to search contacts',
+            message: 'An error occurred while searching contacts'
+        });
+    }
+};
+
+module.exports = {
+    getResearchContacts,
+    addResearchContact,
+    updateResearchContact,
+    verifyResearchContact,
+    deleteResearchContact,
+    searchContacts
+};
@@ -0,0 +1,64 @@
+const { findAccessibleResearch, canModify } = require('../services/researchAccess');
+const { verifyAddresses, verifyResearchEmails } = require('../services/emailVerification');
+
+
+const verifyResearchEmailsById = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (!canModify(access)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the research owner or a team admin can verify emails on shared research'
+            });
+        }
+
+        const { research } = access;
+        const emailIntel = await verifyResearchEmails(research);
+        await research.save();
+
+        res.json({
+            message: `Checked email addresses for ${research.companyName}`,
+            emailIntel,
+            contacts: research.results.decisionMakers.map(contact => ({
+                _id: contact._id,
+                name: contact.name,
+                emailGuess: contact.emailGuess,
+                emailStatus: contact.emailStatus
+            }))
+        });
+
+    } catch (error) {
+        console.error('Verify research emails error:', error);
+        res.status(500).json({
+            error: 'Failed to verify emails',
+            message: 'An error occurred while verifying email addresses'
+        });
+    }
+};
+
+const verifyEmailAddresses = async (req, res) => {
+    try {
+        const results = await verifyAddresses(req.body.emails);
+
+        res.json({ results });
+
+    } catch (error) {
+        console.error('Verify email addresses error:', error);
+        res.status(500).json({
+            error: 'Failed to verify emails',
+            message: 'An error occurred while verifying email addresses'
+        });
+    }
+};
+
+module.exports = {
+    verifyResearchEmailsById,
+    verifyEmailAddresses
+};
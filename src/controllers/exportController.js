@@ -0,0 +1,86 @@
+const Research = require('../models/Research');
+const { getAccessFilter, findAccessibleResearch } = require('../services/researchAccess');
+const { exportResearch } = require('../services/exportService');
+
+const MAX_EXPORT_RECORDS = 100;
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'research';
+
+const sendExport = (res, file, baseName) => {
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${file.extension}"`);
+    res.send(file.buffer);
+};
+
+
+const exportResearchById = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id, '-promptUsed -__v');
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        const file = await exportResearch([access.research], req.query.format);
+        sendExport(res, file, `${slugify(access.research.companyName)}-research`);
+
+    } catch (error) {
+        console.error('Export research error:', error);
+        res.status(500).json({
+            error: 'Export failed',
+            message: 'An error occurred while exporting research'
+        });
+    }
+};
+
+/**
+ * Export the newest records of a list view (history or saved) in one file
+ * @param {string} view - history | saved
+ */
+const exportResearchList = (view) => async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, MAX_EXPORT_RECORDS);
+        const filter = await getAccessFilter(req.user, req.query.scope || 'mine', req.query.teamId || null);
+
+        if (view === 'saved') {
+            filter.isSaved = true;
+        }
+
+        const research = await Research.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('-promptUsed -__v');
+
+        if (research.length === 0) {
+            return res.status(404).json({
+                error: 'Nothing to export',
+                message: `No ${view === 'saved' ? 'saved ' : ''}research found`
+            });
+        }
+
+        const file = await exportResearch(research, req.query.format);
+        sendExport(res, file, `research-${view}-${new Date().toISOString().slice(0, 10)}`);
+
+    } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: error.message
+            });
+        }
+
+        console.error('Export research list error:', error);
+        res.status(500).json({
+            error: 'Export failed',
+            message: 'An error occurred while exporting research'
+        });
+    }
+};
+
+module.exports = {
+    exportResearchById,
+    exportHistory: exportResearchList('history'),
+    exportSaved: exportResearchList('saved')
+};
@@ -0,0 +1,150 @@
+const ImportBatch = require('../models/ImportBatch');
+const ResearchJob = require('../models/ResearchJob');
+const { createImport, buildResultFile } = require('../services/bulkImport');
+
+const toImportSummary = (batch) => ({
+    _id: batch._id,
+    fileName: batch.fileName,
+    format: batch.format,
+    status: batch.status,
+    totals: batch.totals,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt,
+    resultsUrl: `/api/company/imports/${batch._id}/results`
+});
+
+
+const uploadImport = async (req, res) => {
+    try {
+        const batch = await createImport(req.user, req.file);
+
+        res.status(202).json({
+            message: `Import accepted: ${batch.totals.queued} of ${batch.totals.rows} companies queued for research`,
+            import: toImportSummary(batch),
+            statusUrl: `/api/company/imports/${batch._id}`
+        });
+
+    } catch (error) {
+        if (error.code === 'INVALID_IMPORT_FILE') {
+            return res.status(400).json({
+                error: 'Invalid import file',
+                message: error.message
+            });
+        }
+
+        console.error('Import upload error:', error);
+        res.status(500).json({
+            error: 'Import failed',
+            message: 'An error occurred while importing companies'
+        });
+    }
+};
+
+const getImports = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const page = parseInt(req.query.page) || 1;
+        const skip = (page - 1) * limit;
+
+        const imports = await ImportBatch.find({ userId: req.user._id })
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-rows');
+
+        const total = await ImportBatch.countDocuments({ userId: req.user._id });
+
+        res.json({
+            imports: imports.map(toImportSummary),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get imports error:', error);
+        res.status(500).json({
+            error: 'Failed to get imports',
+            message: 'An error occurred while fetching imports'
+        });
+    }
+};
+
+const getImport = async (req, res) => {
+    try {
+        const batch = await ImportBatch.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Import not found'
+            });
+        }
+
+        // Show the live stage of rows still being researched
+        const queuedJobIds = batch.rows.filter(row => row.status === 'queued').map(row => row.jobId);
+        const jobs = queuedJobIds.length > 0
+            ? await ResearchJob.find({ _id: { $in: queuedJobIds } }).select('stage attempts').lean()
+            : [];
+        const stages = new Map(jobs.map(job => [String(job._id), job]));
+
+        res.json({
+            import: {
+                ...toImportSummary(batch),
+                rows: batch.rows.map(row => {
+                    const job = row.jobId && stages.get(String(row.jobId));
+                    return {
+                        ...row.toObject(),
+                        stage: job ? job.stage : undefined,
+                        attempts: job ? job.attempts : row.attempts
+                    };
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Get import error:', error);
+        res.status(500).json({
+            error: 'Failed to get import',
+            message: 'An error occurred while fetching the import'
+        });
+    }
+};
+
+const downloadImportResults = async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        const batch = await ImportBatch.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Import not found'
+            });
+        }
+
+        const file = await buildResultFile(batch, format);
+        const baseName = batch.fileName.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+
+        res.setHeader('Content-Type', format === 'xlsx'
+            ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            : 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}-results.${format}"`);
+        res.send(file);
+
+    } catch (error) {
+        console.error('Download import results error:', error);
+        res.status(500).json({
+            error: 'Failed to build results file',
+            message: 'An error occurred while building the import results'
+        });
+    }
+};
+
+module.exports = {
+    uploadImport,
+    getImports,
+    getImport,
+    downloadImportResults
+};
@@ -0,0 +1,134 @@
+const CrmConnection = require('../models/CrmConnection');
+const { checkInstanceUrl, getConnector } = require('../services/crm');
+
+const providerLabel = (provider) => (provider === 'hubspot' ? 'HubSpot' : 'Salesforce');
+
+
+const getCrmConnections = async (req, res) => {
+    try {
+        const connections = await CrmConnection.find({ userId: req.user._id }).sort({ provider: 1 });
+
+        res.json({
+            connections: connections.map(connection => connection.toSummary())
+        });
+
+    } catch (error) {
+        console.error('Get CRM connections error:', error);
+        res.status(500).json({
+            error: 'Failed to get CRM connections',
+            message: 'An error occurred while fetching CRM connections'
+        });
+    }
+};
+
+const connectCrm = async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const { accessToken, instanceUrl, autoSyncOnSave } = req.body;
+
+        const urlError = checkInstanceUrl(provider, instanceUrl);
+        if (urlError) {
+            return res.status(400).json({
+                error: 'Invalid instance URL',
+                message: urlError
+            });
+        }
+
+        const connection = await CrmConnection.findOne({ userId: req.user._id, provider }) ||
+            new CrmConnection({ userId: req.user._id, provider });
+
+        connection.setAccessToken(accessToken);
+        connection.instanceUrl = instanceUrl;
+        if (autoSyncOnSave !== undefined) connection.autoSyncOnSave = autoSyncOnSave;
+
+        // Only store credentials that actually work
+        try {
+            await getConnector(connection).testConnection();
+        } catch (error) {
+            return res.status(400).json({
+                error: 'CRM connection failed',
+                message: error.message,
+                type: error.code
+            });
+        }
+
+        connection.lastError = undefined;
+        await connection.save();
+
+        res.json({
+            message: `${providerLabel(provider)} connected successfully`,
+            connection: connection.toSummary()
+        });
+
+    } catch (error) {
+        console.error('Connect CRM error:', error);
+        res.status(500).json({
+            error: 'Failed to connect CRM',
+            message: 'An error occurred while saving the CRM connection'
+        });
+    }
+};
+
+const testCrmConnection = async (req, res) => {
+    try {
+        const connection = await CrmConnection.findOne({ userId: req.user._id, provider: req.params.provider })
+            .select('+encryptedToken');
+
+        if (!connection) {
+            return res.status(404).json({
+                error: 'CRM not connected'
+            });
+        }
+
+        try {
+            await getConnector(connection).testConnection();
+        } catch (error) {
+            return res.status(502).json({
+                error: 'CRM connection failed',
+                message: error.message,
+                type: error.code
+            });
+        }
+
+        res.json({
+            message: `${providerLabel(connection.provider)} connection is working`
+        });
+
+    } catch (error) {
+        console.error('Test CRM connection error:', error);
+        res.status(500).json({
+            error: 'Failed to test CRM connection',
+            message: 'An error occurred while testing the CRM connection'
+        });
+    }
+};
+
+const disconnectCrm = async (req, res) => {
+    try {
+        const connection = await CrmConnection.findOneAndDelete({ userId: req.user._id, provider: req.params.provider });
+
+        if (!connection) {
+            return res.status(404).json({
+                error: 'CRM not connected'
+            });
+        }
+
+        res.json({
+            message: `${providerLabel(connection.provider)} disconnected successfully`
+        });
+
+    } catch (error) {
+        console.error('Disconnect CRM error:', error);
+        res.status(500).json({
+            error: 'Failed to disconnect CRM',
+            message: 'An error occurred while removing the CRM connection'
+        });
+    }
+};
+
+module.exports = {
+    getCrmConnections,
+    connectCrm,
+    testCrmConnection,
+    disconnectCrm
+};
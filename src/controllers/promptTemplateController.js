@@ -0,0 +1,266 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const { TEMPLATE_KINDS } = require('../config/promptTemplates');
+const { templateVariables, buildPrompt } = require('../utils/promptTemplates');
+const { buildSellerPrompt } = require('../utils/sellerProfile');
+const { getActiveTemplate, getPitchAngles: listPitchAngles } = require('../services/promptTemplateService');
+const { getSellerProfile } = require('../services/sellerProfileService');
+
+const toTemplateResponse = (kind, template) => ({
+    kind,
+    description: TEMPLATE_KINDS[kind].description,
+    variables: TEMPLATE_KINDS[kind].variables,
+    required: TEMPLATE_KINDS[kind].required,
+    source: template ? 'team' : 'built-in',
+    activeVersion: template ? template.activeVersion : null,
+    updatedAt: template ? template.updatedAt : null
+});
+
+
+const getPromptTemplates = async (req, res) => {
+    try {
+        const templates = await PromptTemplate.find({ teamId: req.team._id }).select('-versions');
+        const byKind = Object.fromEntries(templates.map(template => [template.kind, template]));
+
+        res.json({
+            templates: Object.keys(TEMPLATE_KINDS).map(kind => toTemplateResponse(kind, byKind[kind]))
+        });
+
+    } catch (error) {
+        console.error('Get prompt templates error:', error);
+        res.status(500).json({
+            error: 'Failed to get prompt templates',
+            message: 'An error occurred while fetching prompt templates'
+        });
+    }
+};
+
+const getPromptTemplate = async (req, res) => {
+    try {
+        const { kind } = req.params;
+        const template = await PromptTemplate.findOne({ teamId: req.team._id, kind });
+
+        res.json({
+            template: {
+                ...toTemplateResponse(kind, template),
+                body: template ? template.getActiveVersion().body : TEMPLATE_KINDS[kind].body,
+                builtInBody: TEMPLATE_KINDS[kind].body,
+                versions: template ? [...template.versions].reverse() : []
+            }
+        });
+
+    } catch (error) {
+        console.error('Get prompt template error:', error);
+        res.status(500).json({
+            error: 'Failed to get prompt template',
+            message: 'An error occurred while fetching the prompt template'
+        });
+    }
+};
+
+const savePromptTemplate = async (req, res) => {
+    try {
+        const { kind } = req.params;
+        let template = await PromptTemplate.findOne({ teamId: req.team._id, kind });
+        const created = !template;
+
+        if (created) {
+            template = new PromptTemplate({ teamId: req.team._id, kind });
+        }
+
+        const version = template.addVersion({ body: req.body.body, note: req.body.note, createdBy: req.user._id });
+        await template.save();
+
+        res.status(created ? 201 : 200).json({
+            message: `Template ${kind} saved as version ${version.version}`,
+            template: {
+                ...toTemplateResponse(kind, template),
+                body: version.body
+            }
+        });
+
+    } catch (error) {
+        console.error('Save prompt template error:', error);
+        res.status(500).json({
+            error: 'Failed to save prompt template',
+            message: 'An error occurred while saving the prompt template'
+        });
+    }
+};
+
+const activatePromptTemplateVersion = async (req, res) => {
+    try {
+        const { kind } = req.params;
+        const template = await PromptTemplate.findOne({ teamId: req.team._id, kind });
+        const version = template && template.getVersion(req.body.version);
+
+        if (!version) {
+            return res.status(404).json({
+                error: 'Template version not found'
+            });
+        }
+
+        template.activeVersion = version.version;
+        await template.save();
+
+        res.json({
+            message: `Template ${kind} now uses version ${version.version}`,
+            template: {
+                ...toTemplateResponse(kind, template),
+                body: version.body
+            }
+        });
+
+    } catch (error) {
+        console.error('Activate prompt template error:', error);
+        res.status(500).json({
+            error: 'Failed to activate template version',
+            message: 'An error occurred while activating the template version'
+        });
+    }
+};
+
+const resetPromptTemplate = async (req, res) => {
+    try {
+        const { kind } = req.params;
+        const { deletedCount } = await PromptTemplate.deleteOne({ teamId: req.team._id, kind });
+
+        if (deletedCount === 0) {
+            return res.status(404).json({
+                error: 'Template not found',
+                message: `The team already uses the built-in ${kind} template`
+            });
+        }
+
+        res.json({
+            message: `Template ${kind} reset to the built-in version`
+        });
+
+    } catch (error) {
+        console.error('Reset prompt template error:', error);
+        res.status(500).json({
+            error: 'Failed to reset prompt template',
+            message: 'An error occurred while resetting the prompt template'
+        });
+    }
+};
+
+/**
+ * Render a template without calling the model: a draft `body`, a stored
+ * `version`, or the active template, filled with `variables` and followed by
+ * the seller profile section the generator would add.
+ */
+const previewPromptTemplate = async (req, res) => {
+    try {
+        const { kind } = req.params;
+        let template;
+
+        if (req.body.body) {
+            template = { body: req.body.body, source: 'draft', version: null };
+        } else if (req.body.version) {
+            const stored = await PromptTemplate.findOne({ teamId: req.team._id, kind });
+            const version = stored && stored.getVersion(req.body.version);
+            if (!version) {
+                return res.status(404).json({
+                    error: 'Template version not found'
+                });
+            }
+            template = { body: version.body, source: 'team', version: version.version };
+        } else {
+            template = await getActiveTemplate(req.team, kind);
+        }
+
+        const sellerProfile = await getSellerProfile(req.user, req.team);
+        const variables = { product: sellerProfile ? sellerProfile.product : undefined, ...req.body.variables };
+        const used = templateVariables(template.body);
+
+        res.json({
+            kind,
+            source: template.source,
+            version: template.version,
+            prompt: buildPrompt(kind, template.body, variables) + buildSellerPrompt(sellerProfile),
+            variables: used,
+            missingValues: used.filter(name => !variables[name])
+        });
+
+    } catch (error) {
+        console.error('Preview prompt template error:', error);
+        res.status(500).json({
+            error: 'Failed to preview prompt template',
+            message: 'An error occurred while rendering the prompt template'
+        });
+    }
+};
+
+
+const getPitchAngles = (req, res) => {
+    res.json({
+        angles: listPitchAngles(req.team)
+    });
+};
+
+const savePitchAngle = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const angle = { key, label: req.body.label, instructions: req.body.instructions };
+        const existing = req.team.pitchAngles.find(item => item.key === key);
+
+        if (existing) {
+            existing.label = angle.label;
+            existing.instructions = angle.instructions;
+        } else {
+            req.team.pitchAngles.push(angle);
+        }
+        await req.team.save();
+
+        res.status(existing ? 200 : 201).json({
+            message: `Pitch angle ${key} saved`,
+            angles: listPitchAngles(req.team)
+        });
+
+    } catch (error) {
+        console.error('Save pitch angle error:', error);
+        res.status(500).json({
+            error: 'Failed to save pitch angle',
+            message: 'An error occurred while saving the pitch angle'
+        });
+    }
+};
+
+const deletePitchAngle = async (req, res) => {
+    try {
+        const index = req.team.pitchAngles.findIndex(item => item.key === req.params.key);
+
+        if (index === -1) {
+            return res.status(404).json({
+                error: 'Pitch angle not found'
+            });
+        }
+
+        req.team.pitchAngles.splice(index, 1);
+        await req.team.save();
+
+        res.json({
+            message: `Pitch angle ${req.params.key} removed`,
+            angles: listPitchAngles(req.team)
+        });
+
+    } catch (error) {
+        console.error('Delete pitch angle error:', error);
+        res.status(500).json({
+            error: 'Failed to remove pitch angle',
+            message: 'An error occurred while removing the pitch angle'
+        });
+    }
+};
+
+module.exports = {
+    getPromptTemplates,
+    getPromptTemplate,
+    savePromptTemplate,
+    activatePromptTemplateVersion,
+    resetPromptTemplate,
+    previewPromptTemplate,
+    getPitchAngles,
+    savePitchAngle,
+    deletePitchAngle
+};
@@ -0,0 +1,199 @@
+const Team = require('../models/Team');
+const SellerProfile = require('../models/SellerProfile');
+const { findAccessibleResearch, canModify } = require('../services/researchAccess');
+const { loadPromptTeam } = require('../services/promptTemplateService');
+const { getSellerProfile } = require('../services/sellerProfileService');
+const { scoreIcpFit } = require('../utils/icpFit');
+
+const PROFILE_FIELDS = ['product', 'valuePropositions', 'icp', 'caseStudies', 'competitors'];
+
+const profileNotFound = (res) => res.status(404).json({
+    error: 'Seller profile not found'
+});
+
+/**
+ * Replace the profile owned by `owner` ({ userId } or { teamId }) with the request body
+ */
+const saveProfile = async (req, res, owner) => {
+    let profile = await SellerProfile.findOne(owner);
+    const created = !profile;
+
+    if (created) {
+        profile = new SellerProfile(owner);
+    }
+
+    for (const field of PROFILE_FIELDS) {
+        profile.set(field, req.body[field]);
+    }
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    res.status(created ? 201 : 200).json({
+        message: 'Seller profile saved',
+        profile
+    });
+};
+
+
+const getMySellerProfile = async (req, res) => {
+    try {
+        const profile = await SellerProfile.findOne({ userId: req.user._id });
+        if (!profile) return profileNotFound(res);
+
+        res.json({ profile });
+
+    } catch (error) {
+        console.error('Get seller profile error:', error);
+        res.status(500).json({
+            error: 'Failed to get seller profile',
+            message: 'An error occurred while fetching the seller profile'
+        });
+    }
+};
+
+const saveMySellerProfile = async (req, res) => {
+    try {
+        await saveProfile(req, res, { userId: req.user._id });
+
+    } catch (error) {
+        console.error('Save seller profile error:', error);
+        res.status(500).json({
+            error: 'Failed to save seller profile',
+            message: 'An error occurred while saving the seller profile'
+        });
+    }
+};
+
+const deleteMySellerProfile = async (req, res) => {
+    try {
+        const { deletedCount } = await SellerProfile.deleteOne({ userId: req.user._id });
+        if (deletedCount === 0) return profileNotFound(res);
+
+        res.json({
+            message: 'Seller profile deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete seller profile error:', error);
+        res.status(500).json({
+            error: 'Failed to delete seller profile',
+            message: 'An error occurred while deleting the seller profile'
+        });
+    }
+};
+
+const getTeamSellerProfile = async (req, res) => {
+    try {
+        const profile = await SellerProfile.findOne({ teamId: req.team._id });
+        if (!profile) return profileNotFound(res);
+
+        res.json({ profile });
+
+    } catch (error) {
+        console.error('Get team seller profile error:', error);
+        res.status(500).json({
+            error: 'Failed to get seller profile',
+            message: 'An error occurred while fetching the seller profile'
+        });
+    }
+};
+
+const saveTeamSellerProfile = async (req, res) => {
+    try {
+        await saveProfile(req, res, { teamId: req.team._id });
+
+    } catch (error) {
+        console.error('Save team seller profile error:', error);
+        res.status(500).json({
+            error: 'Failed to save seller profile',
+            message: 'An error occurred while saving the seller profile'
+        });
+    }
+};
+
+const deleteTeamSellerProfile = async (req, res) => {
+    try {
+        const { deletedCount } = await SellerProfile.deleteOne({ teamId: req.team._id });
+        if (deletedCount === 0) return profileNotFound(res);
+
+        res.json({
+            message: 'Seller profile deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete team seller profile error:', error);
+        res.status(500).json({
+            error: 'Failed to delete seller profile',
+            message: 'An error occurred while deleting the seller profile'
+        });
+    }
+};
+
+/**
+ * Re-score a research record against the current seller profile: the given
+ * team's, else the team it is shared with, else the user's own
+ */
+const scoreResearchFit = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (!canModify(access)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the research owner or a team admin can re-score shared research'
+            });
+        }
+
+        const { research } = access;
+        const team = req.body.teamId
+            ? await loadPromptTeam(req.user, req.body.teamId)
+            : await Team.findOne({ _id: research.visibility === 'team' ? research.teamId : null, 'members.userId': req.user._id });
+        const profile = await getSellerProfile(req.user, team);
+
+        if (!profile) {
+            return res.status(404).json({
+                error: 'Seller profile not found',
+                message: 'Create a seller profile with an ideal customer profile before scoring research'
+            });
+        }
+
+        research.icpFit = scoreIcpFit(research, profile);
+        await research.save();
+
+        res.json({
+            researchId: research._id,
+            companyName: research.companyName,
+            icpFit: research.icpFit
+        });
+
+    } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: error.message
+            });
+        }
+
+        console.error('Score research fit error:', error);
+        res.status(500).json({
+            error: 'Failed to score research',
+            message: 'An error occurred while scoring the research'
+        });
+    }
+};
+
+module.exports = {
+    getMySellerProfile,
+    saveMySellerProfile,
+    deleteMySellerProfile,
+    getTeamSellerProfile,
+    saveTeamSellerProfile,
+    deleteTeamSellerProfile,
+    scoreResearchFit
+};
@@ -0,0 +1,228 @@
+const Sequence = require('../models/Sequence');
+const { findAccessibleResearch } = require('../services/researchAccess');
+const { createSequence } = require('../services/sequenceService');
+const { hasSubject } = require('../utils/sequences');
+const { sendLlmError } = require('../services/llm/errors');
+
+const EDITABLE_STEP_FIELDS = ['subject', 'body', 'dayOffset'];
+
+const sequenceNotFound = (res) => res.status(404).json({
+    error: 'Sequence not found'
+});
+
+// Sequences belong to the user who generated them
+const findOwnSequence = (req) => Sequence.findOne({ _id: req.params.sequenceId, userId: req.user._id });
+
+
+const generateSequence = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        const sequence = await createSequence(req.user, access.research, req.body);
+
+        res.status(201).json({
+            message: 'Outreach sequence generated successfully',
+            sequence
+        });
+
+    } catch (error) {
+        if (error.code === 'CONTACT_NOT_FOUND') {
+            return res.status(404).json({
+                error: 'Contact not found',
+                message: error.message
+            });
+        }
+
+        console.error('Generate sequence error:', error);
+
+        if (sendLlmError(res, error)) {
+            return;
+        }
+
+        res.status(500).json({
+            error: 'Failed to generate sequence',
+            message: 'An error occurred while generating the outreach sequence'
+        });
+    }
+};
+
+const getResearchSequences = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id, 'companyName');
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        const sequences = await Sequence.find({ researchId: access.research._id, userId: req.user._id })
+            .sort({ createdAt: -1 })
+            .select('-__v');
+
+        res.json({
+            researchId: access.research._id,
+            companyName: access.research.companyName,
+            sequences
+        });
+
+    } catch (error) {
+        console.error('Get research sequences error:', error);
+        res.status(500).json({
+            error: 'Failed to get sequences',
+            message: 'An error occurred while fetching sequences'
+        });
+    }
+};
+
+const getSequences = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const page = parseInt(req.query.page) || 1;
+        const skip = (page - 1) * limit;
+        const filter = { userId: req.user._id };
+
+        const [sequences, total] = await Promise.all([
+            Sequence.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-steps -__v'),
+            Sequence.countDocuments(filter)
+        ]);
+
+        res.json({
+            sequences,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get sequences error:', error);
+        res.status(500).json({
+            error: 'Failed to get sequences',
+            message: 'An error occurred while fetching sequences'
+        });
+    }
+};
+
+const getSequence = async (req, res) => {
+    try {
+        const sequence = await findOwnSequence(req).select('-__v');
+        if (!sequence) return sequenceNotFound(res);
+
+        res.json({ sequence });
+
+    } catch (error) {
+        console.error('Get sequence error:', error);
+        res.status(500).json({
+            error: 'Failed to get sequence',
+            message: 'An error occurred while fetching the sequence'
+        });
+    }
+};
+
+const renameSequence = async (req, res) => {
+    try {
+        const sequence = await findOwnSequence(req);
+        if (!sequence) return sequenceNotFound(res);
+
+        sequence.name = req.body.name;
+        await sequence.save();
+
+        res.json({
+            message: 'Sequence updated successfully',
+            sequence
+        });
+
+    } catch (error) {
+        console.error('Update sequence error:', error);
+        res.status(500).json({
+            error: 'Failed to update sequence',
+            message: 'An error occurred while updating the sequence'
+        });
+    }
+};
+
+const updateSequenceStep = async (req, res) => {
+    try {
+        const sequence = await findOwnSequence(req);
+        if (!sequence) return sequenceNotFound(res);
+
+        const step = sequence.steps.id(req.params.stepId);
+        if (!step) {
+            return res.status(404).json({
+                error: 'Step not found'
+            });
+        }
+
+        if (req.body.subject !== undefined && !hasSubject(step.type)) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: `A ${step.type} step has no subject line`
+            });
+        }
+
+        for (const field of EDITABLE_STEP_FIELDS) {
+            if (req.body[field] !== undefined) step[field] = req.body[field];
+        }
+        step.editedBy = req.user._id;
+        step.editedAt = new Date();
+
+        // Keep the cadence in send order after a day change
+        sequence.steps.sort((a, b) => a.dayOffset - b.dayOffset);
+        await sequence.save();
+
+        res.json({
+            message: 'Step updated successfully',
+            step
+        });
+
+    } catch (error) {
+        console.error('Update sequence step error:', error);
+        res.status(500).json({
+            error: 'Failed to update step',
+            message: 'An error occurred while updating the step'
+        });
+    }
+};
+
+const deleteSequence = async (req, res) => {
+    try {
+        const sequence = await findOwnSequence(req);
+        if (!sequence) return sequenceNotFound(res);
+
+        await sequence.deleteOne();
+
+        res.json({
+            message: 'Sequence deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete sequence error:', error);
+        res.status(500).json({
+            error: 'Failed to delete sequence',
+            message: 'An error occurred while deleting the sequence'
+        });
+    }
+};
+
+module.exports = {
+    generateSequence,
+    getResearchSequences,
+    getSequences,
+    getSequence,
+    renameSequence,
+    updateSequenceStep,
+    deleteSequence
+};
@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const Team = require('../models/Team');
+const TeamInvitation = require('../models/TeamInvitation');
+const Research = require('../models/Research');
+const CompanyEmbedding = require('../models/CompanyEmbedding');
+const PromptTemplate = require('../models/PromptTemplate');
+const SellerProfile = require('../models/SellerProfile');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.TEAM_INVITATION_EXPIRES_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toTeamResponse = (team, userId) => ({
+    _id: team._id,
+    name: team.name,
+    ownerId: team.ownerId,
+    role: team.getRole(userId),
+    pitchAngles: team.pitchAngles,
+    members: team.members.map(member => ({
+        userId: member.userId,
+        role: member.role,
+        joinedAt: member.joinedAt
+    })),
+    createdAt: team.createdAt
+});
+
+const toInvitationResponse = (invitation) => ({
+    _id: invitation._id,
+    teamId: invitation.teamId,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitation.status,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt
+});
+
+
+const createTeam = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const team = await Team.create({
+            name: req.body.name,
+            ownerId: userId,
+            members: [{ userId, role: 'owner' }]
+        });
+
+        res.status(201).json({
+            message: 'Team created successfully',
+            team: toTeamResponse(team, userId)
+        });
+
+    } catch (error) {
+        console.error('Create team error:', error);
+        res.status(500).json({
+            error: 'Failed to create team',
+            message: 'An error occurred while creating the team'
+        });
+    }
+};
+
+const getTeams = async (req, res) => {
+    try {
+        const teams = await Team.findForUser(req.user._id);
+
+        res.json({
+            teams: teams.map(team => toTeamResponse(team, req.user._id))
+        });
+
+    } catch (error) {
+        console.error('Get teams error:', error);
+        res.status(500).json({
+            error: 'Failed to get teams',
+            message: 'An error occurred while fetching teams'
+        });
+    }
+};
+
+const getTeam = async (req, res) => {
+    try {
+        await req.team.populate('members.userId', 'firstName lastName email');
+
+        const team = toTeamResponse(req.team, req.user._id);
+        team.role = req.teamRole;
+        team.members = req.team.members.map(member => ({
+            user: member.userId,
+            role: member.role,
+            joinedAt: member.joinedAt
+        }));
+
+        res.json({ team });
+
+    } catch (error) {
+        console.error('Get team error:', error);
+        res.status(500).json({
+            error: 'Failed to get team',
+            message: 'An error occurred while fetching the team'
+        });
+    }
+};
+
+const updateTeam = async (req, res) => {
+    try {
+        req.team.name = req.body.name;
+        await req.team.save();
+
+        res.json({
+            message: 'Team updated successfully',
+            team: toTeamResponse(req.team, req.user._id)
+        });
+
+    } catch (error) {
+        console.error('Update team error:', error);
+        res.status(500).json({
+            error: 'Failed to update team',
+            message: 'An error occurred while updating the team'
+        });
+    }
+};
+
+const deleteTeam = async (req, res) => {
+    try {
+        const teamId = req.team._id;
+
+        // Shared research goes back to being private to its author
+        const unshared = await Research.updateMany(
+            { teamId },
+            { $set: { teamId: null, visibility: 'private' }, $unset: { sharedBy: '', sharedAt: '' } }
+        );
+        await CompanyEmbedding.updateMany({ teamId }, { teamId: null });
+        await TeamInvitation.deleteMany({ teamId });
+        await PromptTemplate.deleteMany({ teamId });
+        await SellerProfile.deleteMany({ teamId });
+        await req.team.deleteOne();
+
+        res.json({
+            message: 'Team deleted successfully',
+            researchUnshared: unshared.modifiedCount
+        });
+
+    } catch (error) {
+        console.error('Delete team error:', error);
+        res.status(500).json({
+            error: 'Failed to delete team',
+            message: 'An error occurred while deleting the team'
+        });
+    }
+};
+
+
+const updateMemberRole = async (req, res) => {
+    try {
+        const { team, teamRole } = req;
+        const { role } = req.body;
+        const member = team.getMember(req.params.userId);
+
+        if (!member) {
+            return res.status(404).json({
+                error: 'Member not found'
+            });
+        }
+
+        // Admins manage viewers and members; only the owner can grant admin,
+        // touch other admins or hand over ownership
+        const ownerOnly = role === 'admin' || role === 'owner' || Team.roleAtLeast(member.role, 'admin');
+        if (ownerOnly && teamRole !== 'owner') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the team owner can change admin roles or transfer ownership'
+            });
+        }
+
+        if (member.role === 'owner') {
+            return res.status(400).json({
+                error: 'Invalid role change',
+                message: 'Transfer ownership by promoting another member to owner'
+            });
+        }
+
+        if (role === 'owner') {
+            team.getMember(team.ownerId).role = 'admin';
+            team.ownerId = member.userId;
+        }
+
+        member.role = role;
+        await team.save();
+
+        res.json({
+            message: 'Member role updated successfully',
+            team: toTeamResponse(team, req.user._id)
+        });
+
+    } catch (error) {
+        console.error('Update member role error:', error);
+        res.status(500).json({
+            error: 'Failed to update member',
+            message: 'An error occurred while updating the member role'
+        });
+    }
+};
+
+const removeMember = async (req, res) => {
+    try {
+        const { team, teamRole } = req;
+        const member = team.getMember(req.params.userId);
+        const isSelf = member && member.userId.equals(req.user._id);
+
+        if (!member) {
+            return res.status(404).json({
+                error: 'Member not found'
+            });
+        }
+
+        if (member.role === 'owner') {
+            return res.status(400).json({
+                error: 'Invalid member removal',
+                message: 'The owner cannot leave the team; transfer ownership or delete the team'
+            });
+        }
+
+        const allowed = isSelf ||
+            (Team.roleAtLeast(teamRole, 'admin') && !Team.roleAtLeast(member.role, 'admin')) ||
+            teamRole === 'owner';
+
+        if (!allowed) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You cannot remove this member'
+            });
+        }
+
+        team.members = team.members.filter(existing => !existing.userId.equals(member.userId));
+        await team.save();
+
+        res.json({
+            message: isSelf ? 'You have left the team' : 'Member removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({
+            error: 'Failed to remove member',
+            message: 'An error occurred while removing the member'
+        });
+    }
+};
+
+
+const createInvitation = async (req, res) => {
+    try {
+        const { team } = req;
+        const { email, role = 'member' } = req.body;
+
+        if (role === 'admin' && req.teamRole !== 'owner') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the team owner can invite admins'
+            });
+        }
+
+        await team.populate('members.userId', 'email');
+        const alreadyMember = team.members.some(member => member.userId && member.userId.email === email);
+
+        if (alreadyMember) {
+            return res.status(409).json({
+                error: 'Already a member',
+                message: `${email} is already a member of ${team.name}`
+            });
+        }
+
+        // A new invitation supersedes any pending one for the same address
+        await TeamInvitation.updateMany(
+            { teamId: team._id, email, status: 'pending' },
+            { status: 'revoked' }
+        );
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const invitation = await TeamInvitation.create({
+            teamId: team._id,
+            email,
+            role,
+            tokenHash: hashToken(token),
+            invitedBy: req.user._id,
+            expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        // The raw token is only returned once; share acceptUrl with the invitee
+        res.status(201).json({
+            message: 'Invitation created successfully',
+            invitation: toInvitationResponse(invitation),
+            token,
+            acceptUrl: `/api/teams/invitations/${token}/accept`
+        });
+
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(500).json({
+            error: 'Failed to create invitation',
+            message: 'An error occurred while creating the invitation'
+        });
+    }
+};
+
+const getInvitations = async (req, res) => {
+    try {
+        const invitations = await TeamInvitation.find({ teamId: req.team._id, status: 'pending' })
+            .sort({ createdAt: -1 });
+
+        res.json({
+            invitations: invitations.map(toInvitationResponse)
+        });
+
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({
+            error: 'Failed to get invitations',
+            message: 'An error occurred while fetching invitations'
+        });
+    }
+};
+
+const revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await TeamInvitation.findOneAndUpdate(
+            { _id: req.params.invitationId, teamId: req.team._id, status: 'pending' },
+            { status: 'revoked' },
+            { new: true }
+        );
+
+        if (!invitation) {
+            return res.status(404).json({
+                error: 'Invitation not found'
+            });
+        }
+
+        res.json({
+            message: 'Invitation revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke invitation',
+            message: 'An error occurred while revoking the invitation'
+        });
+    }
+};
+
+const getMyInvitations = async (req, res) => {
+    try {
+        const invitations = await TeamInvitation.find({
+            email: req.user.email,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        })
+            .populate('teamId', 'name')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            invitations: invitations.map(invitation => ({
+                ...toInvitationResponse(invitation),
+                teamId: invitation.teamId && invitation.teamId._id,
+                teamName: invitation.teamId && invitation.teamId.name
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get my invitations error:', error);
+        res.status(500).json({
+            error: 'Failed to get invitations',
+            message: 'An error occurred while fetching invitations'
+        });
+    }
+};
+
+const acceptInvitation = async (req, res) => {
+    try {
+        const invitation = await TeamInvitation.findOne({ tokenHash: hashToken(req.params.token) });
+
+        if (!invitation || !invitation.isUsable()) {
+            return res.status(404).json({
+                error: 'Invitation not found',
+                message: 'This invitation is invalid, expired or has already been used'
+            });
+        }
+
+        if (invitation.email !== req.user.email) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'This invitation was sent to a different email address'
+            });
+        }
+
+        const team = await Team.findById(invitation.teamId);
+
+        if (!team) {
+            return res.status(404).json({
+                error: 'Team not found'
+            });
+        }
+
+        if (!team.getMember(req.user._id)) {
+            team.members.push({ userId: req.user._id, role: invitation.role });
+            await team.save();
+        }
+
+        invitation.status = 'accepted';
+        invitation.acceptedBy = req.user._id;
+        await invitation.save();
+
+        res.json({
+            message: `You have joined ${team.name}`,
+            team: toTeamResponse(team, req.user._id)
+        });
+
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({
+            error: 'Failed to accept invitation',
+            message: 'An error occurred while accepting the invitation'
+        });
+    }
+};
+
+module.exports = {
+    createTeam,
+    getTeams,
+    getTeam,
+    updateTeam,
+    deleteTeam,
+    updateMemberRole,
+    removeMember,
+    createInvitation,
+    getInvitations,
+    revokeInvitation,
+    getMyInvitations,
+    acceptInvitation
+};
@@ -0,0 +1,189 @@
+const ResearchVersion = require('../models/ResearchVersion');
+const { findAccessibleResearch, canModify } = require('../services/researchAccess');
+const { refreshResearch, toResearchResponse, classifyResearchError } = require('../services/researchService');
+const { diffResults } = require('../services/researchDiff');
+
+const currentVersion = (research) => {
+    const snapshot = research.toObject();
+    return {
+        version: research.version,
+        current: true,
+        results: snapshot.results,
+        provenance: snapshot.provenance,
+        aiModel: research.aiModel,
+        researchMethod: research.researchMethod,
+        tokensUsed: research.tokensUsed,
+        generatedAt: research.refreshedAt || research.createdAt
+    };
+};
+
+/**
+ * @returns {Promise<Object|null>} Version snapshot, or the live record for the current version
+ */
+const loadVersion = async (research, version) => {
+    if (version === research.version) {
+        return currentVersion(research);
+    }
+
+    const stored = await ResearchVersion.findOne({ researchId: research._id, version }).lean();
+    return stored && { ...stored, current: false };
+};
+
+
+const refreshResearchById = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (!canModify(access)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the research owner or a team admin can refresh shared research'
+            });
+        }
+
+        const { research, aiResults, previousVersion } = await refreshResearch(req.user, access.research, {
+            keepEdits: req.body.keepEdits !== false
+        });
+
+        res.json({
+            message: `Research refreshed to version ${research.version}`,
+            research: { ...toResearchResponse(research), version: research.version },
+            changes: diffResults(previousVersion.results, research.toObject().results),
+            tokensUsed: aiResults.tokensUsed,
+            model: aiResults.model
+        });
+
+    } catch (error) {
+        console.error('Refresh research error:', error);
+        const { status, body, retryAfter } = classifyResearchError(error);
+        if (retryAfter !== undefined) {
+            res.set('Retry-After', String(retryAfter));
+        }
+        res.status(status).json(body);
+    }
+};
+
+const getResearchVersions = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        const { research } = access;
+        const versions = await ResearchVersion.find({ researchId: research._id })
+            .sort({ version: -1 })
+            .select('version aiModel researchMethod tokensUsed generatedAt replacedBy createdAt')
+            .lean();
+
+        res.json({
+            researchId: research._id,
+            currentVersion: research.version,
+            versions: [
+                {
+                    version: research.version,
+                    current: true,
+                    aiModel: research.aiModel,
+                    researchMethod: research.researchMethod,
+                    tokensUsed: research.tokensUsed,
+                    generatedAt: research.refreshedAt || research.createdAt
+                },
+                ...versions.map(version => ({ ...version, current: false, replacedAt: version.createdAt }))
+            ]
+        });
+
+    } catch (error) {
+        console.error('Get research versions error:', error);
+        res.status(500).json({
+            error: 'Failed to get versions',
+            message: 'An error occurred while fetching research versions'
+        });
+    }
+};
+
+const getResearchVersion = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        const version = await loadVersion(access.research, parseInt(req.params.version));
+
+        if (!version) {
+            return res.status(404).json({
+                error: 'Version not found'
+            });
+        }
+
+        res.json({ version });
+
+    } catch (error) {
+        console.error('Get research version error:', error);
+        res.status(500).json({
+            error: 'Failed to get version',
+            message: 'An error occurred while fetching the research version'
+        });
+    }
+};
+
+const diffResearchVersions = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        const { research } = access;
+        const to = req.query.to ? parseInt(req.query.to) : research.version;
+        const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+        const [fromVersion, toVersion] = await Promise.all([
+            loadVersion(research, from),
+            loadVersion(research, to)
+        ]);
+
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                error: 'Version not found',
+                message: `Research has versions 1 to ${research.version}`
+            });
+        }
+
+        res.json({
+            researchId: research._id,
+            from,
+            to,
+            changes: diffResults(fromVersion.results, toVersion.results)
+        });
+
+    } catch (error) {
+        console.error('Diff research versions error:', error);
+        res.status(500).json({
+            error: 'Failed to diff versions',
+            message: 'An error occurred while comparing research versions'
+        });
+    }
+};
+
+module.exports = {
+    refreshResearchById,
+    getResearchVersions,
+    getResearchVersion,
+    diffResearchVersions
+};
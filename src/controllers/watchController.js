@@ -0,0 +1,161 @@
+const Research = require('../models/Research');
+const { findAccessibleResearch, getAccessFilter, canModify } = require('../services/researchAccess');
+const { DEFAULT_ALERT_FIELDS, DEFAULT_CHANNELS, DAY_MS } = require('../services/watchService');
+
+const watchSummary = (research) => ({
+    researchId: research._id,
+    companyName: research.companyName,
+    enabled: research.watch.enabled,
+    intervalDays: research.watch.intervalDays,
+    fields: research.watch.fields.length > 0 ? research.watch.fields : DEFAULT_ALERT_FIELDS,
+    channels: research.watch.channels.length > 0 ? research.watch.channels : DEFAULT_CHANNELS,
+    watchedBy: research.watch.watchedBy,
+    nextRunAt: research.watch.nextRunAt,
+    lastRunAt: research.watch.lastRunAt,
+    lastError: research.watch.lastError,
+    version: research.version
+});
+
+
+const watchResearch = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (!canModify(access)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the research owner or a team admin can watch shared research'
+            });
+        }
+
+        const { research } = access;
+
+        if (!research.isSaved) {
+            return res.status(409).json({
+                error: 'Research not saved',
+                message: 'Save the research before adding it to the watchlist'
+            });
+        }
+
+        const { intervalDays, channels, fields } = req.body;
+        const wasEnabled = research.watch.enabled;
+
+        research.watch.enabled = true;
+        // Re-research and quota usage are charged to whoever watches it
+        research.watch.watchedBy = req.user._id;
+        if (intervalDays !== undefined) research.watch.intervalDays = intervalDays;
+        if (channels !== undefined) research.watch.channels = channels;
+        if (fields !== undefined) research.watch.fields = fields;
+
+        if (!wasEnabled || intervalDays !== undefined) {
+            const from = research.refreshedAt || research.createdAt;
+            research.watch.nextRunAt = new Date(Math.max(Date.now(), from.getTime() + research.watch.intervalDays * DAY_MS));
+        }
+        research.watch.lastError = undefined;
+
+        await research.save();
+
+        res.json({
+            message: `${research.companyName} is on your watchlist`,
+            watch: watchSummary(research)
+        });
+
+    } catch (error) {
+        console.error('Watch research error:', error);
+        res.status(500).json({
+            error: 'Failed to watch research',
+            message: 'An error occurred while adding the research to the watchlist'
+        });
+    }
+};
+
+const unwatchResearch = async (req, res) => {
+    try {
+        const access = await findAccessibleResearch(req.user, req.params.id);
+
+        if (!access) {
+            return res.status(404).json({
+                error: 'Research not found'
+            });
+        }
+
+        if (!canModify(access)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the research owner or a team admin can unwatch shared research'
+            });
+        }
+
+        const { research } = access;
+        research.watch.enabled = false;
+        research.watch.nextRunAt = undefined;
+        await research.save();
+
+        res.json({
+            message: `${research.companyName} was removed from your watchlist`
+        });
+
+    } catch (error) {
+        console.error('Unwatch research error:', error);
+        res.status(500).json({
+            error: 'Failed to unwatch research',
+            message: 'An error occurred while removing the research from the watchlist'
+        });
+    }
+};
+
+const getWatchlist = async (req, res) => {
+    try {
+        const filter = {
+            ...(await getAccessFilter(req.user, req.query.scope || 'mine', req.query.teamId || null)),
+            'watch.enabled': true
+        };
+        const limit = parseInt(req.query.limit) || 20;
+        const page = parseInt(req.query.page) || 1;
+        const skip = (page - 1) * limit;
+
+        const research = await Research.find(filter)
+            .sort({ 'watch.nextRunAt': 1 })
+            .skip(skip)
+            .limit(limit)
+            .select('companyName version watch');
+
+        const total = await Research.countDocuments(filter);
+
+        res.json({
+            watchlist: research.map(watchSummary),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'TEAM_ACCESS_DENIED') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: error.message
+            });
+        }
+
+        console.error('Get watchlist error:', error);
+        res.status(500).json({
+            error: 'Failed to get watchlist',
+            message: 'An error occurred while fetching the watchlist'
+        });
+    }
+};
+
+module.exports = {
+    watchResearch,
+    unwatchResearch,
+    getWatchlist
+};
@@ -0,0 +1,313 @@
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Team = require('../models/Team');
+const {
+    generateSecret,
+    checkWebhookUrl,
+    sendTestEvent,
+    webhookDispatcher
+} = require('../services/webhookService');
+
+const isTeamAdmin = async (teamId, userId) => {
+    const team = await Team.findById(teamId);
+    const role = team && team.getRole(userId);
+    return !!role && Team.roleAtLeast(role, 'admin');
+};
+
+/**
+ * Personal endpoints are managed by their owner, team endpoints by team admins
+ * @returns {Promise<Object|null>} Endpoint, or null when missing/not permitted
+ */
+const loadEndpoint = async (req, id, projection = null) => {
+    const endpoint = await WebhookEndpoint.findById(id, projection);
+    if (!endpoint) return null;
+
+    if (endpoint.teamId) {
+        return (await isTeamAdmin(endpoint.teamId, req.user._id)) ? endpoint : null;
+    }
+
+    return endpoint.userId.equals(req.user._id) ? endpoint : null;
+};
+
+const notFound = (res) => res.status(404).json({
+    error: 'Webhook not found'
+});
+
+
+const createWebhook = async (req, res) => {
+    try {
+        const { url, events, description, teamId } = req.body;
+
+        if (teamId && !(await isTeamAdmin(teamId, req.user._id))) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only team admins can register team webhooks'
+            });
+        }
+
+        const urlError = await checkWebhookUrl(url);
+        if (urlError) {
+            return res.status(400).json({
+                error: 'Invalid webhook URL',
+                message: urlError
+            });
+        }
+
+        const secret = generateSecret();
+        const endpoint = new WebhookEndpoint({
+            userId: req.user._id,
+            teamId: teamId || null,
+            url,
+            events,
+            description
+        });
+        endpoint.setSecret(secret);
+        await endpoint.save();
+
+        // The secret is only shown here and when rotated
+        res.status(201).json({
+            message: 'Webhook registered successfully',
+            webhook: endpoint.toSummary(),
+            secret
+        });
+
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to register webhook',
+            message: 'An error occurred while registering the webhook'
+        });
+    }
+};
+
+const getWebhooks = async (req, res) => {
+    try {
+        const { teamId } = req.query;
+
+        if (teamId && !(await isTeamAdmin(teamId, req.user._id))) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only team admins can view team webhooks'
+            });
+        }
+
+        const webhooks = await WebhookEndpoint.find(teamId ? { teamId } : { userId: req.user._id, teamId: null })
+            .sort({ createdAt: -1 });
+
+        res.json({
+            webhooks: webhooks.map(endpoint => endpoint.toSummary())
+        });
+
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({
+            error: 'Failed to get webhooks',
+            message: 'An error occurred while fetching webhooks'
+        });
+    }
+};
+
+const getWebhook = async (req, res) => {
+    try {
+        const endpoint = await loadEndpoint(req, req.params.id);
+        if (!endpoint) return notFound(res);
+
+        res.json({ webhook: endpoint.toSummary() });
+
+    } catch (error) {
+        console.error('Get webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to get webhook',
+            message: 'An error occurred while fetching the webhook'
+        });
+    }
+};
+
+const updateWebhook = async (req, res) => {
+    try {
+        const endpoint = await loadEndpoint(req, req.params.id);
+        if (!endpoint) return notFound(res);
+
+        const { url, events, description, active } = req.body;
+
+        if (url !== undefined) {
+            const urlError = await checkWebhookUrl(url);
+            if (urlError) {
+                return res.status(400).json({
+                    error: 'Invalid webhook URL',
+                    message: urlError
+                });
+            }
+            endpoint.url = url;
+        }
+
+        if (events !== undefined) endpoint.events = events;
+        if (description !== undefined) endpoint.description = description;
+        if (active !== undefined) endpoint.active = active;
+
+        await endpoint.save();
+
+        res.json({
+            message: 'Webhook updated successfully',
+            webhook: endpoint.toSummary()
+        });
+
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to update webhook',
+            message: 'An error occurred while updating the webhook'
+        });
+    }
+};
+
+const deleteWebhook = async (req, res) => {
+    try {
+        const endpoint = await loadEndpoint(req, req.params.id);
+        if (!endpoint) return notFound(res);
+
+        await endpoint.deleteOne();
+        await WebhookDelivery.updateMany(
+            { endpointId: endpoint._id, status: 'pending' },
+            { $set: { status: 'failed', 'lastAttempt.error': 'Endpoint was deleted', completedAt: new Date() } }
+        );
+
+        res.json({
+            message: 'Webhook deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to delete webhook',
+            message: 'An error occurred while deleting the webhook'
+        });
+    }
+};
+
+const rotateWebhookSecret = async (req, res) => {
+    try {
+        const endpoint = await loadEndpoint(req, req.params.id);
+        if (!endpoint) return notFound(res);
+
+        const secret = generateSecret();
+        endpoint.setSecret(secret);
+        await endpoint.save();
+
+        res.json({
+            message: 'Webhook secret rotated; deliveries are now signed with the new secret',
+            secret
+        });
+
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({
+            error: 'Failed to rotate secret',
+            message: 'An error occurred while rotating the webhook secret'
+        });
+    }
+};
+
+const testWebhook = async (req, res) => {
+    try {
+        const endpoint = await loadEndpoint(req, req.params.id);
+        if (!endpoint) return notFound(res);
+
+        const delivery = await sendTestEvent(endpoint, req.user);
+
+        res.status(202).json({
+            message: 'Test event queued',
+            delivery: delivery.toLog()
+        });
+
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to send test event',
+            message: 'An error occurred while sending the test event'
+        });
+    }
+};
+
+const getDeliveries = async (req, res) => {
+    try {
+        const endpoint = await loadEndpoint(req, req.params.id);
+        if (!endpoint) return notFound(res);
+
+        const limit = parseInt(req.query.limit) || 20;
+        const page = parseInt(req.query.page) || 1;
+        const skip = (page - 1) * limit;
+        const filter = { endpointId: endpoint._id };
+        if (req.query.status) filter.status = req.query.status;
+
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await WebhookDelivery.countDocuments(filter);
+
+        res.json({
+            deliveries: deliveries.map(delivery => delivery.toLog()),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({
+            error: 'Failed to get deliveries',
+            message: 'An error occurred while fetching webhook deliveries'
+        });
+    }
+};
+
+const replayDelivery = async (req, res) => {
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+        const endpoint = delivery && await loadEndpoint(req, delivery.endpointId);
+
+        if (!endpoint) {
+            return res.status(404).json({
+                error: 'Delivery not found'
+            });
+        }
+
+        if (!endpoint.active) {
+            return res.status(409).json({
+                error: 'Webhook disabled',
+                message: 'Re-enable the webhook before replaying deliveries'
+            });
+        }
+
+        const replayed = await webhookDispatcher.replay(delivery);
+
+        res.status(202).json({
+            message: 'Delivery queued for replay',
+            delivery: replayed.toLog()
+        });
+
+    } catch (error) {
+        console.error('Replay webhook delivery error:', error);
+        res.status(500).json({
+            error: 'Failed to replay delivery',
+            message: 'An error occurred while replaying the delivery'
+        });
+    }
+};
+
+module.exports = {
+    createWebhook,
+    getWebhooks,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    testWebhook,
+    getDeliveries,
+    replayDelivery
+};
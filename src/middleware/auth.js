@@ -1,5 +1,6 @@
 const { verifyToken, extractToken } = require('../utils/jwt');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
 
 const authenticate = async (req, res, next) => {
     try {
@@ -32,8 +33,17 @@ const authenticate = async (req, res, next) => {
             });
         }
 
+        // Tokens issued with a session id stop working once that session is logged out
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                error: 'Session revoked',
+                message: 'Please login again'
+            });
+        }
+
 
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
 
     } catch (error) {
@@ -72,8 +82,9 @@ const optionalAuth = async (req, res, next) => {
             const decoded = verifyToken(token);
             const user = await User.findById(decoded.userId).select('-password');
 
-            if (user && user.isActive) {
+            if (user && user.isActive && (!decoded.sid || await isSessionActive(decoded.sid))) {
                 req.user = user;
+                req.sessionId = decoded.sid;
             }
         }
 
@@ -0,0 +1,51 @@
+const { checkQuota } = require('../services/usageService');
+
+/**
+ * Reject the request when the user's monthly quota for any of the given
+ * metrics is used up. Users with an upgrade available get 402 Payment
+ * Required; users on the top plan get 429 with Retry-After set to the reset.
+ * @param {...string} metrics - Usage metrics the route consumes
+ */
+const requireQuota = (...metrics) => async (req, res, next) => {
+    try {
+        const quota = await checkQuota(req.user, metrics);
+
+        if (quota.allowed) {
+            return next();
+        }
+
+        const body = {
+            error: 'Quota exceeded',
+            message: `Monthly ${quota.metric} quota of ${quota.limit} reached for the ${req.user.role} plan`,
+            type: 'QUOTA_EXCEEDED',
+            quota: {
+                metric: quota.metric,
+                used: quota.used,
+                limit: quota.limit,
+                resetsAt: quota.resetsAt
+            }
+        };
+
+        if (quota.upgradeTo) {
+            return res.status(402).json({
+                ...body,
+                upgradeTo: quota.upgradeTo
+            });
+        }
+
+        const retryAfter = Math.max(Math.ceil((quota.resetsAt - Date.now()) / 1000), 1);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json(body);
+
+    } catch (error) {
+        console.error('Quota check error:', error);
+        res.status(500).json({
+            error: 'Quota check failed',
+            message: 'An error occurred while checking usage quota'
+        });
+    }
+};
+
+module.exports = {
+    requireQuota
+};
@@ -0,0 +1,41 @@
+const Team = require('../models/Team');
+
+/**
+ * Load the team in `req.params.teamId` and require the caller to hold at
+ * least `minimumRole` in it. Non-members get 404 so team ids don't leak.
+ * Sets req.team and req.teamRole.
+ * @param {string} minimumRole - viewer | member | admin | owner
+ */
+const requireTeamRole = (minimumRole = 'viewer') => async (req, res, next) => {
+    try {
+        const team = await Team.findById(req.params.teamId);
+        const role = team && team.getRole(req.user._id);
+
+        if (!role) {
+            return res.status(404).json({
+                error: 'Team not found'
+            });
+        }
+
+        if (!Team.roleAtLeast(role, minimumRole)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: `This action requires the ${minimumRole} role or higher`
+            });
+        }
+
+        req.team = team;
+        req.teamRole = role;
+        next();
+    } catch (error) {
+        console.error('Team access check error:', error);
+        res.status(500).json({
+            error: 'Team check failed',
+            message: 'An error occurred while checking team access'
+        });
+    }
+};
+
+module.exports = {
+    requireTeamRole
+};
@@ -0,0 +1,38 @@
+const multer = require('multer');
+
+const MAX_FILE_BYTES = parseInt(process.env.IMPORT_MAX_FILE_BYTES) || 5 * 1024 * 1024;
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_BYTES, files: 1 }
+}).single('file');
+
+/**
+ * Accept a single multipart `file` field held in memory as req.file.
+ * Upload errors become 400 responses in the usual error shape.
+ */
+const uploadImportFile = (req, res, next) => {
+    importUpload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                error: 'Upload failed',
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is larger than ${Math.round(MAX_FILE_BYTES / 1024 / 1024)} MB`
+                    : error.message
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'Upload failed',
+                message: 'Attach a .csv or .xlsx file in the "file" field'
+            });
+        }
+
+        next();
+    });
+};
+
+module.exports = {
+    uploadImportFile
+};
@@ -1,4 +1,9 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { SENIORITIES, DEPARTMENTS, VERIFICATION_STATUSES } = require('../utils/contacts');
+const { STEP_TYPES, TONES, LENGTHS, MAX_STEPS } = require('../utils/sequences');
+const { TEMPLATE_VARIABLES, TEMPLATE_KINDS, BUILT_IN_ANGLES } = require('../config/promptTemplates');
+const { checkTemplate } = require('../utils/promptTemplates');
+const { COMPANY_SIZES, MAX_LIST_ITEMS, MAX_CASE_STUDIES } = require('../utils/sellerProfile');
 
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -62,7 +67,27 @@ const validateLogin = [
 ];
 
 
-const validateCompanyResearch = [
+const validateRefreshToken = [
+    body('refreshToken')
+        .isJWT()
+        .withMessage('A valid refresh token is required'),
+
+    handleValidationErrors
+];
+
+
+const validateUsagePeriod = [
+    query('period')
+        .optional()
+        .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+        .withMessage('Period must be in YYYY-MM format'),
+
+    handleValidationErrors
+];
+
+
+// Shared with bulk import so every uploaded row passes the same checks
+const companyResearchRules = [
     body('companyName')
         .trim()
         .isLength({ min: 2, max: 200 })
@@ -102,7 +127,38 @@ const validateCompanyResearch = [
         .optional()
         .trim()
         .isLength({ max: 100 })
-        .withMessage('Industry must be less than 100 characters'),
+        .withMessage('Industry must be less than 100 characters')
+];
+
+
+const personaRule = body('persona')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Persona must be at most 200 characters');
+
+const validateCompanyResearch = [
+    ...companyResearchRules,
+
+    body('teamId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid teamId format'),
+
+    personaRule,
+
+    body('async')
+        .optional()
+        .isBoolean()
+        .withMessage('async must be a boolean')
+        .toBoolean(),
+
+    body('cache')
+        .optional()
+        .isBoolean()
+        .withMessage('cache must be a boolean')
+        .toBoolean(),
 
     handleValidationErrors
 ];
@@ -135,22 +191,211 @@ const validateSaveResearch = [
 ];
 
 
+const validateResearchFields = [
+    body('updates')
+        .isObject()
+        .withMessage('updates must be an object of field paths to new values')
+        .custom((value) => Object.keys(value).length > 0)
+        .withMessage('updates must contain at least one field'),
+
+    handleValidationErrors
+];
+
+
+// Built-in angles are listed in config/promptTemplates; teams add their own
+const ANGLE_KEY = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
 const validateAlternativePitch = [
     body('angle')
         .trim()
-        .isIn(['cost-saving', 'growth', 'efficiency', 'innovation', 'competitive-advantage'])
+        .isLength({ min: 2, max: 50 })
+        .matches(ANGLE_KEY)
         .withMessage('Invalid pitch angle'),
 
+    body('teamId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid teamId format'),
+
+    personaRule,
+
+    handleValidationErrors
+];
+
+
+const STEP_TYPE_NAMES = Object.keys(STEP_TYPES);
+const LENGTH_NAMES = Object.keys(LENGTHS);
+
+const isCadenceStep = (step) => {
+    const { type, dayOffset } = typeof step === 'string' ? { type: step } : (step || {});
+    return STEP_TYPE_NAMES.includes(type) &&
+        (dayOffset === undefined || (Number.isInteger(dayOffset) && dayOffset >= 0 && dayOffset <= 365));
+};
+
+const validateSequence = [
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 120 })
+        .withMessage('Name must be between 1 and 120 characters'),
+
+    body('tone')
+        .optional()
+        .isIn(TONES)
+        .withMessage(`Tone must be one of: ${TONES.join(', ')}`),
+
+    body('length')
+        .optional()
+        .isIn(LENGTH_NAMES)
+        .withMessage(`Length must be one of: ${LENGTH_NAMES.join(', ')}`),
+
+    body('persona')
+        .optional()
+        .isObject()
+        .withMessage('persona must be an object'),
+
+    body('persona.contactId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid persona.contactId format'),
+
+    body(['persona.name', 'persona.title'])
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Persona name and title must be at most 200 characters'),
+
+    body('persona.department')
+        .optional()
+        .isIn(DEPARTMENTS)
+        .withMessage(`persona.department must be one of: ${DEPARTMENTS.join(', ')}`),
+
+    body('persona.seniority')
+        .optional()
+        .isIn(SENIORITIES)
+        .withMessage(`persona.seniority must be one of: ${SENIORITIES.join(', ')}`),
+
+    body('steps')
+        .optional()
+        .isArray({ min: 1, max: MAX_STEPS })
+        .withMessage(`steps must be an array of 1 to ${MAX_STEPS} touches`)
+        .custom((steps) => steps.every(isCadenceStep))
+        .withMessage(`Each step must be one of ${STEP_TYPE_NAMES.join(', ')} or { type, dayOffset } with dayOffset 0-365`),
+
+    handleValidationErrors
+];
+
+
+const validateSequenceRename = [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 120 })
+        .withMessage('Name must be between 1 and 120 characters'),
+
+    handleValidationErrors
+];
+
+
+const validateSequenceStep = [
+    body()
+        .custom((value) => ['subject', 'body', 'dayOffset'].some(field => value[field] !== undefined))
+        .withMessage('Provide at least one of subject, body or dayOffset'),
+
+    body('subject')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Subject must be at most 200 characters'),
+
+    body('body')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('Body must be between 1 and 5000 characters'),
+
+    body('dayOffset')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('dayOffset must be between 0 and 365')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+
+const validateSequences = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+    handleValidationErrors
+];
+
+
+const scopeRules = [
+    query('scope')
+        .optional()
+        .isIn(['mine', 'team', 'all'])
+        .withMessage('Scope must be one of mine, team or all'),
+
+    query('teamId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid teamId format')
+];
+
+
+const validateResearchScope = [
+    ...scopeRules,
+
     handleValidationErrors
 ];
 
 
 const validateSearch = [
+    ...scopeRules,
+
     query('q')
         .trim()
         .isLength({ min: 2, max: 200 })
         .withMessage('Search query must be between 2 and 200 characters'),
 
+    query('mode')
+        .optional()
+        .isIn(['hybrid', 'keyword', 'semantic'])
+        .withMessage('Mode must be one of hybrid, keyword or semantic'),
+
+    query(['industry', 'tags'])
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Filter lists cannot exceed 500 characters'),
+
+    query(['minRating', 'maxRating'])
+        .optional()
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Ratings must be between 1 and 5'),
+
+    query('saved')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('saved must be true or false'),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('from and to must be ISO 8601 dates'),
+
     query('limit')
         .optional()
         .isInt({ min: 1, max: 50 })
@@ -165,6 +410,630 @@ const validateSearch = [
 ];
 
 
+const validateVectorSearch = [
+    body('query')
+        .trim()
+        .isLength({ min: 2, max: 500 })
+        .withMessage('Search query must be between 2 and 500 characters'),
+
+    body('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+        .toInt(),
+
+    body('threshold')
+        .optional()
+        .isFloat({ min: 0, max: 1 })
+        .withMessage('Threshold must be between 0 and 1')
+        .toFloat(),
+
+    body('scope')
+        .optional()
+        .isIn(['mine', 'team', 'all'])
+        .withMessage('Scope must be one of mine, team or all'),
+
+    body('teamId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid teamId format'),
+
+    handleValidationErrors
+];
+
+
+const validateExport = [
+    ...scopeRules,
+
+    query('format')
+        .isIn(['pdf', 'docx', 'md', 'csv'])
+        .withMessage('Format must be one of pdf, docx, md or csv'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+    handleValidationErrors
+];
+
+
+const validateRefreshResearch = [
+    body('keepEdits')
+        .optional()
+        .isBoolean()
+        .withMessage('keepEdits must be a boolean')
+        .toBoolean(),
+
+    handleValidationErrors
+];
+
+
+const validateVersionDiff = [
+    param('version')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Version must be a positive integer'),
+
+    query('from')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('from must be a positive integer'),
+
+    query('to')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('to must be a positive integer'),
+
+    handleValidationErrors
+];
+
+
+const contactFieldRules = (optionalName) => [
+    (optionalName ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 2, max: 120 })
+        .withMessage('Contact name must be between 2 and 120 characters'),
+
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 150 })
+        .withMessage('Title must be less than 150 characters'),
+
+    body('department')
+        .optional()
+        .isIn(DEPARTMENTS)
+        .withMessage(`Department must be one of: ${DEPARTMENTS.join(', ')}`),
+
+    body('seniority')
+        .optional()
+        .isIn(SENIORITIES)
+        .withMessage(`Seniority must be one of: ${SENIORITIES.join(', ')}`),
+
+    body('linkedinUrl')
+        .optional()
+        .trim()
+        .matches(/^https?:\/\/([a-z]+\.)?linkedin\.com\//i)
+        .withMessage('linkedinUrl must be a linkedin.com URL'),
+
+    body('emailGuess')
+        .optional()
+        .trim()
+        .isEmail()
+        .withMessage('emailGuess must be an email address')
+        .toLowerCase()
+];
+
+const listOf = (allowed) => (value) => String(value).split(',').every(item => allowed.includes(item.trim()));
+
+const validateContact = [
+    ...contactFieldRules(false),
+
+    handleValidationErrors
+];
+
+
+const validateContactUpdate = [
+    ...contactFieldRules(true),
+
+    handleValidationErrors
+];
+
+
+const validateContactVerification = [
+    body('status')
+        .isIn(VERIFICATION_STATUSES)
+        .withMessage(`Status must be one of: ${VERIFICATION_STATUSES.join(', ')}`),
+
+    handleValidationErrors
+];
+
+
+const validateContactFilters = [
+    ...scopeRules,
+
+    query('minSeniority')
+        .optional()
+        .isIn(SENIORITIES)
+        .withMessage(`minSeniority must be one of: ${SENIORITIES.join(', ')}`),
+
+    query('seniority')
+        .optional()
+        .custom(listOf(SENIORITIES))
+        .withMessage(`seniority must be a comma-separated list of: ${SENIORITIES.join(', ')}`),
+
+    query('department')
+        .optional()
+        .custom(listOf(DEPARTMENTS))
+        .withMessage(`department must be a comma-separated list of: ${DEPARTMENTS.join(', ')}`),
+
+    query('verificationStatus')
+        .optional()
+        .custom(listOf(VERIFICATION_STATUSES))
+        .withMessage(`verificationStatus must be a comma-separated list of: ${VERIFICATION_STATUSES.join(', ')}`),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+    handleValidationErrors
+];
+
+
+const validateEmailVerification = [
+    body('emails')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('emails must be an array of 1 to 20 addresses'),
+
+    body('emails.*')
+        .isString()
+        .trim()
+        .isLength({ min: 3, max: 254 })
+        .withMessage('Each email must be between 3 and 254 characters'),
+
+    handleValidationErrors
+];
+
+
+const WATCH_CHANNELS = ['in_app', 'email', 'webhook'];
+const WATCHABLE_FIELD = /^(overview|pitch|painPoints|decisionMakers|technologies|companyDetails|contactInfo)(\.[A-Za-z]+)?$/;
+
+const validateWatch = [
+    body('intervalDays')
+        .optional()
+        .isInt({ min: 1, max: 90 })
+        .withMessage('intervalDays must be between 1 and 90')
+        .toInt(),
+
+    body('channels')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('channels must be a non-empty array')
+        .custom((channels) => channels.every(channel => WATCH_CHANNELS.includes(channel)))
+        .withMessage(`channels must be any of: ${WATCH_CHANNELS.join(', ')}`),
+
+    body('fields')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('fields must be an array of at most 20 result fields')
+        .custom((fields) => fields.every(field => typeof field === 'string' && WATCHABLE_FIELD.test(field)))
+        .withMessage('fields must be result field paths such as decisionMakers or companyDetails.recentNews'),
+
+    handleValidationErrors
+];
+
+
+const validateAlerts = [
+    query('unread')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('unread must be true or false'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+    handleValidationErrors
+];
+
+
+const validateImportResults = [
+    query('format')
+        .optional()
+        .isIn(['csv', 'xlsx'])
+        .withMessage('Format must be csv or xlsx'),
+
+    handleValidationErrors
+];
+
+
+const validateShareResearch = [
+    body('teamId')
+        .isMongoId()
+        .withMessage('A valid teamId is required'),
+
+    handleValidationErrors
+];
+
+
+const crmProviderRule = param('provider')
+    .isIn(['hubspot', 'salesforce'])
+    .withMessage('CRM provider must be hubspot or salesforce');
+
+
+const validateCrmProvider = [
+    crmProviderRule,
+
+    handleValidationErrors
+];
+
+
+const validateCrmConnection = [
+    crmProviderRule,
+
+    body('accessToken')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('accessToken is required'),
+
+    body('instanceUrl')
+        .optional()
+        .trim()
+        .isURL({ require_protocol: true, require_tld: false })
+        .withMessage('instanceUrl must be a full URL'),
+
+    body('autoSyncOnSave')
+        .optional()
+        .isBoolean()
+        .withMessage('autoSyncOnSave must be a boolean')
+        .toBoolean(),
+
+    handleValidationErrors
+];
+
+
+const validateCrmSync = [
+    body('provider')
+        .optional()
+        .isIn(['hubspot', 'salesforce'])
+        .withMessage('CRM provider must be hubspot or salesforce'),
+
+    handleValidationErrors
+];
+
+
+const WEBHOOK_EVENTS = ['research.created', 'research.saved', 'research.unsaved', 'research.rated', 'research.refreshed', 'research.changed', 'research.deleted', 'pitch.generated'];
+
+const webhookEventsRule = (field) => field
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty array')
+    .custom((events) => events.every(event => WEBHOOK_EVENTS.includes(event)))
+    .withMessage(`events must be any of: ${WEBHOOK_EVENTS.join(', ')}`);
+
+
+const validateWebhook = [
+    body('url')
+        .trim()
+        .isURL({ require_protocol: true, require_tld: false, protocols: ['http', 'https'] })
+        .withMessage('A valid webhook URL is required'),
+
+    webhookEventsRule(body('events')),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be less than 200 characters'),
+
+    body('teamId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid teamId format'),
+
+    handleValidationErrors
+];
+
+
+const validateWebhookUpdate = [
+    body('url')
+        .optional()
+        .trim()
+        .isURL({ require_protocol: true, require_tld: false, protocols: ['http', 'https'] })
+        .withMessage('A valid webhook URL is required'),
+
+    webhookEventsRule(body('events').optional()),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be less than 200 characters'),
+
+    body('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be a boolean')
+        .toBoolean(),
+
+    handleValidationErrors
+];
+
+
+const validateWebhookDeliveries = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'delivering', 'succeeded', 'failed'])
+        .withMessage('Invalid delivery status'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+    handleValidationErrors
+];
+
+
+const validateTeam = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Team name must be between 2 and 100 characters'),
+
+    handleValidationErrors
+];
+
+
+const TEMPLATE_KIND_NAMES = Object.keys(TEMPLATE_KINDS);
+
+const templateKindRule = param('kind')
+    .isIn(TEMPLATE_KIND_NAMES)
+    .withMessage(`Template kind must be one of: ${TEMPLATE_KIND_NAMES.join(', ')}`);
+
+/**
+ * Template body rule: only the kind's variables, and all of its required ones
+ */
+const templateBodyRule = (field) => body(field)
+    .isString()
+    .isLength({ min: 20, max: 20000 })
+    .withMessage('Template body must be between 20 and 20000 characters')
+    .bail()
+    .custom((value, { req }) => {
+        if (!TEMPLATE_KINDS[req.params.kind]) return true;
+        const { unknown, missing } = checkTemplate(req.params.kind, value);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown variables: ${unknown.join(', ')}. Allowed: ${TEMPLATE_KINDS[req.params.kind].variables.join(', ')}`);
+        }
+        if (missing.length > 0) {
+            throw new Error(`Template must use: ${missing.map(name => `{{${name}}}`).join(', ')}`);
+        }
+        return true;
+    });
+
+const validateTemplateKind = [
+    templateKindRule,
+
+    handleValidationErrors
+];
+
+
+const validatePromptTemplate = [
+    templateKindRule,
+
+    templateBodyRule('body'),
+
+    body('note')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Note cannot exceed 200 characters'),
+
+    handleValidationErrors
+];
+
+
+const validateTemplateActivation = [
+    templateKindRule,
+
+    body('version')
+        .isInt({ min: 1 })
+        .withMessage('version must be a positive integer')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+
+const validateTemplatePreview = [
+    templateKindRule,
+
+    templateBodyRule('body').optional(),
+
+    body('version')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('version must be a positive integer')
+        .toInt(),
+
+    body('variables')
+        .optional()
+        .isObject()
+        .withMessage('variables must be an object')
+        .custom((variables) => Object.entries(variables).every(([name, value]) =>
+            TEMPLATE_VARIABLES[name] && typeof value === 'string' && value.length <= 5000))
+        .withMessage(`variables may only set text values for: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`),
+
+    handleValidationErrors
+];
+
+
+const validatePitchAngle = [
+    param('key')
+        .isLength({ min: 2, max: 50 })
+        .matches(ANGLE_KEY)
+        .withMessage('Angle key must be lowercase words separated by hyphens, e.g. "time-to-value"')
+        .not()
+        .isIn(BUILT_IN_ANGLES.map(angle => angle.key))
+        .withMessage('Built-in angles cannot be redefined'),
+
+    body('label')
+        .isString()
+        .trim()
+        .isLength({ min: 2, max: 60 })
+        .withMessage('Label must be between 2 and 60 characters'),
+
+    body('instructions')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Instructions cannot exceed 300 characters'),
+
+    handleValidationErrors
+];
+
+
+const COMPANY_SIZE_NAMES = Object.keys(COMPANY_SIZES);
+
+const textListRules = (field, maxLength) => [
+    body(field)
+        .optional()
+        .isArray({ max: MAX_LIST_ITEMS })
+        .withMessage(`${field} must be an array of at most ${MAX_LIST_ITEMS} entries`),
+
+    body(`${field}.*`)
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: maxLength })
+        .withMessage(`Each ${field} entry must be between 1 and ${maxLength} characters`)
+];
+
+const validateSellerProfile = [
+    body('product')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Product description cannot exceed 2000 characters'),
+
+    ...textListRules('valuePropositions', 300),
+
+    body('icp')
+        .optional()
+        .isObject()
+        .withMessage('icp must be an object'),
+
+    ...textListRules('icp.industries', 100),
+    ...textListRules('icp.regions', 100),
+    ...textListRules('icp.technologies', 100),
+    ...textListRules('icp.keywords', 100),
+
+    body('icp.companySizes')
+        .optional()
+        .isArray()
+        .custom((sizes) => sizes.every(size => COMPANY_SIZE_NAMES.includes(size)))
+        .withMessage(`icp.companySizes must be any of: ${COMPANY_SIZE_NAMES.join(', ')}`),
+
+    body('icp.departments')
+        .optional()
+        .isArray()
+        .custom((departments) => departments.every(department => DEPARTMENTS.includes(department)))
+        .withMessage(`icp.departments must be any of: ${DEPARTMENTS.join(', ')}`),
+
+    body('icp.minSeniority')
+        .optional()
+        .isIn(SENIORITIES)
+        .withMessage(`icp.minSeniority must be one of: ${SENIORITIES.join(', ')}`),
+
+    body('caseStudies')
+        .optional()
+        .isArray({ max: MAX_CASE_STUDIES })
+        .withMessage(`caseStudies must be an array of at most ${MAX_CASE_STUDIES} entries`),
+
+    body('caseStudies.*.customer')
+        .isString()
+        .withMessage('Each case study needs a customer')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Case study customer must be between 1 and 100 characters'),
+
+    body('caseStudies.*.summary')
+        .isString()
+        .withMessage('Each case study needs a summary')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Case study summary must be between 1 and 1000 characters'),
+
+    body(['caseStudies.*.industry', 'caseStudies.*.result'])
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Case study industry and result must be at most 300 characters'),
+
+    ...textListRules('competitors', 100),
+
+    handleValidationErrors
+];
+
+
+const validateCompanyResolve = [
+    ...companyResearchRules,
+    handleValidationErrors
+];
+
+
+const validateIcpFit = [
+    body('teamId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid teamId format'),
+
+    handleValidationErrors
+];
+
+
+const validateTeamInvitation = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email'),
+
+    body('role')
+        .optional()
+        .isIn(['viewer', 'member', 'admin'])
+        .withMessage('Role must be one of viewer, member or admin'),
+
+    handleValidationErrors
+];
+
+
+const validateMemberRole = [
+    body('role')
+        .isIn(['viewer', 'member', 'admin', 'owner'])
+        .withMessage('Role must be one of viewer, member, admin or owner'),
+
+    handleValidationErrors
+];
+
+
 const validateObjectId = (paramName = 'id') => [
     param(paramName)
         .isMongoId()
@@ -209,11 +1078,50 @@ const sanitizeInput = (req, res, next) => {
 module.exports = {
     validateRegistration,
     validateLogin,
+    validateRefreshToken,
+    validateUsagePeriod,
     validateCompanyResearch,
     validateSaveResearch,
+    validateResearchFields,
     validateAlternativePitch,
+    validateSequence,
+    validateSequenceRename,
+    validateSequenceStep,
+    validateSequences,
+    validateResearchScope,
     validateSearch,
+    validateVectorSearch,
+    validateShareResearch,
+    validateImportResults,
+    validateRefreshResearch,
+    validateVersionDiff,
+    validateExport,
+    validateWatch,
+    validateAlerts,
+    validateContact,
+    validateContactUpdate,
+    validateContactVerification,
+    validateContactFilters,
+    validateEmailVerification,
+    validateCrmProvider,
+    validateCrmConnection,
+    validateCrmSync,
+    validateWebhook,
+    validateWebhookUpdate,
+    validateWebhookDeliveries,
+    validateTeam,
+    validateTemplateKind,
+    validatePromptTemplate,
+    validateTemplateActivation,
+    validateTemplatePreview,
+    validatePitchAngle,
+    validateSellerProfile,
+    validateIcpFit,
+    validateCompanyResolve,
+    validateTeamInvitation,
+    validateMemberRole,
     validateObjectId,
     sanitizeInput,
-    handleValidationErrors
+    handleValidationErrors,
+    companyResearchRules
 };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const alertSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    researchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Research',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['research.changed'],
+        default: 'research.changed'
+    },
+    companyName: {
+        type: String,
+        required: true
+    },
+    // Field-level changes (see services/researchDiff) limited to material fields
+    changes: [{
+        _id: false,
+        field: String,
+        change: {
+            type: String,
+            enum: ['added', 'removed', 'changed']
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+        addedItems: [mongoose.Schema.Types.Mixed],
+        removedItems: [mongoose.Schema.Types.Mixed]
+    }],
+    fromVersion: Number,
+    toVersion: Number,
+    channels: [String],
+    emailStatus: {
+        type: String,
+        enum: ['sent', 'failed']
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+alertSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+// Alerts are kept for 180 days
+alertSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+module.exports = Alert;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const IDENTIFIER_TYPES = ['linkedin', 'ticker', 'crunchbase', 'duns', 'registration'];
+
+// Canonical company that research records and embeddings are linked to
+// (see services/companyResolution for how requests are matched to one)
+const companySchema = new mongoose.Schema({
+    // Display name: the first name the company was researched under
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // utils/companyNames normalizeCompanyName of name
+    normalizedName: {
+        type: String,
+        required: true,
+        index: true
+    },
+    domain: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    // Every normalised name and extra domain the company was matched under
+    aliases: [{
+        type: String,
+        index: true
+    }],
+    domains: [{
+        type: String,
+        lowercase: true
+    }],
+    identifiers: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: IDENTIFIER_TYPES,
+            required: true
+        },
+        value: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    }],
+    industry: String
+}, {
+    timestamps: true
+});
+
+companySchema.index({ domain: 1 }, { unique: true, partialFilterExpression: { domain: { $type: 'string' } } });
+companySchema.index({ domains: 1 });
+companySchema.index({ 'identifiers.type': 1, 'identifiers.value': 1 });
+
+/**
+ * Record another name or domain the company is known by
+ * @param {Object} alias - { normalizedName, domain }
+ * @returns {boolean} Whether anything changed
+ */
+companySchema.methods.addAlias = function ({ normalizedName, domain }) {
+    let changed = false;
+
+    if (normalizedName && !this.aliases.includes(normalizedName)) {
+        this.aliases.push(normalizedName);
+        changed = true;
+    }
+    if (domain && !this.domain) {
+        this.domain = domain;
+        changed = true;
+    } else if (domain && domain !== this.domain && !this.domains.includes(domain)) {
+        this.domains.push(domain);
+        changed = true;
+    }
+
+    return changed;
+};
+
+/**
+ * @param {string} type - One of IDENTIFIER_TYPES
+ * @param {string} value - Identifier value
+ * @returns {boolean} Whether it was added
+ */
+companySchema.methods.addIdentifier = function (type, value) {
+    if (!value || this.identifiers.some(item => item.type === type && item.value === value)) {
+        return false;
+    }
+    this.identifiers.push({ type, value });
+    return true;
+};
+
+const Company = mongoose.model('Company', companySchema);
+
+Company.IDENTIFIER_TYPES = IDENTIFIER_TYPES;
+
+module.exports = Company;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const embeddingSchema = new mongoose.Schema({
+    companyName: { type: String, required: true, index: true },
+    researchData: { type: String, required: true },
+    embedding: { type: [Number], required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    researchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Research', index: true },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', index: true },
+    metadata: {
+        industry: String,
+        website: String,
+        tags: [String]
+    }
+}, {
+    timestamps: true
+});
+
+embeddingSchema.index({ companyName: 1, userId: 1 });
+embeddingSchema.index({ userId: 1, createdAt: -1 });
+embeddingSchema.index({ updatedAt: 1 });
+embeddingSchema.index({ teamId: 1, createdAt: -1 });
+
+const CompanyEmbedding = mongoose.model('CompanyEmbedding', embeddingSchema);
+
+module.exports = CompanyEmbedding;
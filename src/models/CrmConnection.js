@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const CRM_PROVIDERS = ['hubspot', 'salesforce'];
+
+const crmConnectionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        enum: CRM_PROVIDERS,
+        required: true
+    },
+    // Access token, encrypted at rest (see utils/secrets)
+    encryptedToken: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Salesforce instance URL, or an alternative HubSpot API base URL
+    instanceUrl: {
+        type: String,
+        trim: true
+    },
+    autoSyncOnSave: {
+        type: Boolean,
+        default: true
+    },
+    lastSyncedAt: Date,
+    lastError: String
+}, {
+    timestamps: true
+});
+
+crmConnectionSchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+crmConnectionSchema.statics.PROVIDERS = CRM_PROVIDERS;
+
+crmConnectionSchema.methods.setAccessToken = function (token) {
+    this.encryptedToken = encryptSecret(token);
+};
+
+crmConnectionSchema.methods.getAccessToken = function () {
+    return decryptSecret(this.encryptedToken);
+};
+
+crmConnectionSchema.methods.toSummary = function () {
+    return {
+        provider: this.provider,
+        instanceUrl: this.instanceUrl,
+        autoSyncOnSave: this.autoSyncOnSave,
+        lastSyncedAt: this.lastSyncedAt,
+        lastError: this.lastError,
+        createdAt: this.createdAt
+    };
+};
+
+const CrmConnection = mongoose.model('CrmConnection', crmConnectionSchema);
+
+module.exports = CrmConnection;
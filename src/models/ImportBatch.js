@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const ROW_STATUSES = ['queued', 'invalid', 'duplicate', 'skipped', 'succeeded', 'failed'];
+
+const importBatchSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'xlsx'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    totals: {
+        rows: { type: Number, default: 0 },
+        queued: { type: Number, default: 0 },
+        invalid: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        succeeded: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+    rows: [{
+        _id: false,
+        // 1-based line number in the uploaded sheet, header included
+        row: Number,
+        companyName: String,
+        companyWebsite: String,
+        industry: String,
+        status: {
+            type: String,
+            enum: ROW_STATUSES
+        },
+        validationErrors: [String],
+        jobId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ResearchJob'
+        },
+        researchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Research'
+        },
+        attempts: Number,
+        message: String
+    }],
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+
+importBatchSchema.statics.ROW_STATUSES = ROW_STATUSES;
+
+/**
+ * Copy the outcome of a finished research job onto its import row and close
+ * the batch once no row is left queued
+ * @param {Object} job - Finished ResearchJob document
+ * @param {Object} outcome - { researchId } on success, { error } on failure
+ */
+importBatchSchema.statics.recordJobResult = async function (job, { researchId, error }) {
+    const status = researchId ? 'succeeded' : 'failed';
+
+    await this.updateOne(
+        { _id: job.importId, rows: { $elemMatch: { jobId: job._id, status: 'queued' } } },
+        {
+            $set: {
+                'rows.$.status': status,
+                'rows.$.researchId': researchId,
+                'rows.$.attempts': job.attempts,
+                'rows.$.message': researchId ? 'Research generated' : error.message
+            },
+            $inc: { 'totals.queued': -1, [`totals.${status}`]: 1 }
+        }
+    );
+
+    await this.updateOne(
+        { _id: job.importId, status: 'processing', 'rows.status': { $ne: 'queued' } },
+        { $set: { status: 'completed', completedAt: new Date() } }
+    );
+};
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { TEMPLATE_KINDS } = require('../config/promptTemplates');
+
+// A team's replacement for one built-in prompt template. Every edit adds a
+// version; activeVersion is the one used for generation.
+const promptTemplateSchema = new mongoose.Schema({
+    teamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: Object.keys(TEMPLATE_KINDS),
+        required: true
+    },
+    versions: [{
+        _id: false,
+        version: {
+            type: Number,
+            required: true
+        },
+        body: {
+            type: String,
+            required: true
+        },
+        note: String,
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    activeVersion: {
+        type: Number,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+promptTemplateSchema.index({ teamId: 1, kind: 1 }, { unique: true });
+
+promptTemplateSchema.methods.getVersion = function (version) {
+    return this.versions.find(entry => entry.version === version) || null;
+};
+
+promptTemplateSchema.methods.getActiveVersion = function () {
+    return this.getVersion(this.activeVersion);
+};
+
+/**
+ * Store a new version and make it the active one
+ * @param {Object} entry - { body, note, createdBy }
+ * @returns {Object} The new version entry
+ */
+promptTemplateSchema.methods.addVersion = function ({ body, note, createdBy }) {
+    const version = this.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+    this.versions.push({ version, body, note, createdBy });
+    this.activeVersion = version;
+    return this.getVersion(version);
+};
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
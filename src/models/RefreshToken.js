@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One document per issued refresh token. Tokens issued by rotating each other
+// share a familyId, which is also the id of the login session they belong to.
+const refreshTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    familyId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    deviceId: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    replacedBy: {
+        type: String,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout-all', 'reuse-detected', 'password-change', 'session-revoked', null],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+refreshTokenSchema.methods.isActive = function () {
+    return !this.revokedAt && !this.replacedBy && this.expiresAt > new Date();
+};
+
+refreshTokenSchema.statics.revokeFamily = function (familyId, reason) {
+    return this.updateMany(
+        { familyId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason, exceptFamilyId = null) {
+    const query = { userId, revokedAt: null };
+    if (exceptFamilyId) {
+        query.familyId = { $ne: exceptFamilyId };
+    }
+    return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+refreshTokenSchema.statics.isSessionActive = async function (familyId) {
+    const token = await this.exists({
+        familyId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    return !!token;
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
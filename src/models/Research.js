@@ -1,4 +1,63 @@
 const mongoose = require('mongoose');
+const {
+    SENIORITIES,
+    DEPARTMENTS,
+    CONTACT_SOURCES,
+    VERIFICATION_STATUSES,
+    normalizeDecisionMakers
+} = require('../utils/contacts');
+const { EMAIL_STATUSES, PATTERNS } = require('../utils/emailPatterns');
+
+const emailStatusField = {
+    type: String,
+    enum: EMAIL_STATUSES
+};
+
+// A decision maker at the researched company (see services/contacts)
+const decisionMakerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    department: {
+        type: String,
+        enum: DEPARTMENTS,
+        default: 'other'
+    },
+    seniority: {
+        type: String,
+        enum: SENIORITIES,
+        default: 'individual'
+    },
+    linkedinUrl: String,
+    // Likely address from the company's email pattern; not verified
+    emailGuess: String,
+    source: {
+        type: String,
+        enum: CONTACT_SOURCES,
+        default: 'model'
+    },
+    // Whether a user confirmed this person holds the role
+    verificationStatus: {
+        type: String,
+        enum: VERIFICATION_STATUSES,
+        default: 'unverified'
+    },
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    verifiedAt: Date,
+    // Result of the last deliverability check of emailGuess
+    emailStatus: emailStatusField,
+    emailCheckedAt: Date,
+    updatedAt: Date
+});
 
 const researchSchema = new mongoose.Schema({
     userId: {
@@ -7,6 +66,24 @@ const researchSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Set when the research is shared with a team workspace
+    teamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        default: null
+    },
+    visibility: {
+        type: String,
+        enum: ['private', 'team'],
+        default: 'private'
+    },
+    sharedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    sharedAt: {
+        type: Date
+    },
     companyName: {
         type: String,
         required: [true, 'Company name is required'],
@@ -17,6 +94,12 @@ const researchSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Canonical company the record was resolved to (services/companyResolution)
+    companyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        index: true
+    },
     industry: {
         type: String,
         trim: true
@@ -63,18 +146,100 @@ const researchSchema = new mongoose.Schema({
             type: String,
             required: true
         },
-        decisionMakers: [{
-            type: String,
-            trim: true
-        }],
+        decisionMakers: [decisionMakerSchema],
         additionalInsights: {
             type: String
         },
         technologies: [{
             type: String,
             trim: true
+        }],
+        // Website pages used to ground the research, cited as [S1], [S2], ... in the text
+        sources: [{
+            _id: false,
+            id: String,
+            kind: {
+                type: String,
+                enum: ['homepage', 'about', 'contact', 'careers']
+            },
+            url: String,
+            title: String,
+            fetchedAt: Date,
+            cited: Boolean
         }]
     },
+    // Company email pattern and deliverability of its known addresses
+    emailIntel: {
+        domain: String,
+        pattern: {
+            type: String,
+            enum: Object.keys(PATTERNS)
+        },
+        patternConfidence: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        evidence: [String],
+        hasMx: Boolean,
+        addresses: [{
+            _id: false,
+            email: String,
+            status: emailStatusField,
+            reason: String
+        }],
+        checkedAt: Date
+    },
+    // Where each results field came from and how far it can be trusted
+    provenance: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        source: {
+            type: String,
+            enum: ['model', 'website', 'user'],
+            required: true
+        },
+        urls: [String],
+        confidence: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        updatedAt: Date,
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }],
+    // External CRM records created from this research, per connected CRM
+    crmSync: [{
+        _id: false,
+        provider: {
+            type: String,
+            enum: ['hubspot', 'salesforce'],
+            required: true
+        },
+        companyId: String,
+        contacts: [{
+            _id: false,
+            key: String,
+            externalId: String
+        }],
+        noteId: String,
+        status: {
+            type: String,
+            enum: ['synced', 'failed']
+        },
+        error: String,
+        syncedAt: Date,
+        syncedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }],
     aiModel: {
         type: String,
         default: 'gpt-4o'
@@ -82,6 +247,70 @@ const researchSchema = new mongoose.Schema({
     promptUsed: {
         type: String
     },
+    // Outcome of checking the model's response against config/researchSchema
+    schemaValidation: {
+        // First response passed as-is
+        valid: Boolean,
+        // A repair round-trip fixed every violation
+        repaired: Boolean,
+        attempts: Number,
+        // Violations left after the last attempt; the offending values were dropped
+        errors: [{
+            _id: false,
+            path: String,
+            message: String
+        }],
+        // Fields the model did not know, stored as null or empty
+        unknownFields: [String],
+        validatedAt: Date
+    },
+    // Company facts reused from the research cache (services/researchCache)
+    cache: {
+        hit: Boolean,
+        cachedAt: Date
+    },
+    // Fit against the seller profile's ideal customer profile (utils/icpFit)
+    icpFit: {
+        score: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        grade: {
+            type: String,
+            enum: ['strong', 'moderate', 'weak']
+        },
+        criteria: [{
+            _id: false,
+            criterion: String,
+            weight: Number,
+            status: {
+                type: String,
+                enum: ['match', 'miss', 'unknown']
+            },
+            detail: String
+        }],
+        competitorsFound: [String],
+        profileId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'SellerProfile'
+        },
+        scoredAt: Date
+    },
+    // Prompt template the current version was generated with
+    promptTemplate: {
+        kind: String,
+        source: {
+            type: String,
+            enum: ['built-in', 'team']
+        },
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team'
+        },
+        version: Number,
+        persona: String
+    },
     tokensUsed: {
         type: Number,
         default: 0
@@ -90,10 +319,44 @@ const researchSchema = new mongoose.Schema({
         type: String,
         default: 'GPT-4o Knowledge Base'
     },
+    // Bumped on every refresh; earlier content lives in ResearchVersion
+    version: {
+        type: Number,
+        default: 1
+    },
+    refreshedAt: {
+        type: Date
+    },
     isSaved: {
         type: Boolean,
         default: false
     },
+    // Watchlist: periodic re-research with change alerts (saved research only)
+    watch: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        watchedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        intervalDays: {
+            type: Number,
+            min: 1,
+            max: 90,
+            default: 7
+        },
+        fields: [String],
+        channels: [{
+            type: String,
+            enum: ['in_app', 'email', 'webhook']
+        }],
+        nextRunAt: Date,
+        lastRunAt: Date,
+        lockedAt: Date,
+        lastError: String
+    },
     tags: [{
         type: String,
         trim: true
@@ -112,8 +375,35 @@ const researchSchema = new mongoose.Schema({
 });
 
 researchSchema.index({ userId: 1, createdAt: -1 });
-researchSchema.index({ companyName: 'text' });
-researchSchema.index({ 'results.overview': 'text', 'results.pitch': 'text' });
+researchSchema.index({ teamId: 1, visibility: 1, createdAt: -1 });
+researchSchema.index({ 'watch.enabled': 1, 'watch.nextRunAt': 1 });
+// MongoDB allows one text index per collection; it ranks keyword matches in services/researchSearch
+researchSchema.index({
+    companyName: 'text',
+    tags: 'text',
+    industry: 'text',
+    'results.overview': 'text',
+    'results.pitch': 'text'
+}, {
+    name: 'research_text',
+    weights: {
+        companyName: 10,
+        tags: 5,
+        industry: 3,
+        'results.overview': 2,
+        'results.pitch': 1
+    }
+});
+
+// Records created before contacts were structured store "Name - Title" strings
+researchSchema.pre('init', function (raw) {
+    const decisionMakers = raw.results && raw.results.decisionMakers;
+    if (Array.isArray(decisionMakers) && decisionMakers.some(item => typeof item === 'string')) {
+        raw.results.decisionMakers = normalizeDecisionMakers(decisionMakers, {
+            website: raw.companyWebsite || (raw.results.contactInfo && raw.results.contactInfo.website)
+        });
+    }
+});
 
 researchSchema.statics.getUserHistory = function (userId, limit = 10) {
     return this.find({ userId })
@@ -122,16 +412,13 @@ researchSchema.statics.getUserHistory = function (userId, limit = 10) {
         .select('-promptUsed -__v');
 };
 
-researchSchema.statics.searchUserResearch = function (userId, searchTerm) {
-    return this.find({
-        userId,
-        $or: [
-            { companyName: { $regex: searchTerm, $options: 'i' } },
-            { 'results.overview': { $regex: searchTerm, $options: 'i' } },
-            { 'results.pitch': { $regex: searchTerm, $options: 'i' } },
-            { tags: { $in: [new RegExp(searchTerm, 'i')] } }
-        ]
-    }).sort({ createdAt: -1 });
+researchSchema.methods.isOwnedBy = function (userId) {
+    return this.userId.equals(userId);
+};
+
+researchSchema.methods.setProvenance = function (record) {
+    this.provenance = this.provenance.filter(existing => existing.field !== record.field);
+    this.provenance.push(record);
 };
 
 researchSchema.methods.toggleSave = function () {
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Company facts from one research generation, shared by every user whose
+// request has the same key (see services/researchCache). Pain points and the
+// pitch are written for the seller and are not stored here.
+const researchCacheSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    companyName: {
+        type: String,
+        required: true
+    },
+    normalizedName: {
+        type: String,
+        required: true
+    },
+    domain: String,
+    tier: {
+        type: String,
+        enum: ['basic', 'premium'],
+        required: true
+    },
+    promptVersion: {
+        type: String,
+        required: true
+    },
+    // Model response keys without the personalised ones (companyOverview, companyDetails, ...)
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    sources: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    provenance: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    unknownFields: [String],
+    companyValidation: mongoose.Schema.Types.Mixed,
+    model: String,
+    provider: String,
+    // Tokens the generation cost, i.e. roughly what each hit saves
+    tokensUsed: {
+        type: Number,
+        default: 0
+    },
+    generatedAt: {
+        type: Date,
+        required: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    lastHitAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+researchCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ResearchCache', researchCacheSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const researchJobSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    input: {
+        companyName: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        companyWebsite: String,
+        industry: String,
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team'
+        },
+        persona: String,
+        // false skips the research cache
+        cache: Boolean
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    stage: {
+        type: String,
+        enum: ['queued', 'validating', 'grounding', 'researching', 'embedding', 'saved', 'failed'],
+        default: 'queued'
+    },
+    events: [{
+        stage: String,
+        message: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    researchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Research'
+    },
+    error: {
+        status: Number,
+        error: String,
+        message: String,
+        type: { type: String },
+        // LLM error code (see services/llm/errors)
+        code: String
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 2
+    },
+    runAfter: {
+        type: Date,
+        default: Date.now
+    },
+    // Lower runs first; bulk imports queue behind interactive requests
+    priority: {
+        type: Number,
+        default: 0
+    },
+    importId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch'
+    },
+    lockedAt: Date,
+    workerId: String,
+    startedAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+researchJobSchema.index({ status: 1, runAfter: 1, priority: 1, createdAt: 1 });
+// Finished and abandoned jobs are cleaned up after a week
+researchJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+researchJobSchema.methods.isFinished = function () {
+    return this.status === 'completed' || this.status === 'failed';
+};
+
+researchJobSchema.methods.toStatus = function () {
+    return {
+        _id: this._id,
+        status: this.status,
+        stage: this.stage,
+        input: this.input,
+        events: this.events,
+        researchId: this.researchId,
+        error: this.error && this.error.message ? this.error : undefined,
+        attempts: this.attempts,
+        createdAt: this.createdAt,
+        startedAt: this.startedAt,
+        completedAt: this.completedAt
+    };
+};
+
+const ResearchJob = mongoose.model('ResearchJob', researchJobSchema);
+
+module.exports = ResearchJob;
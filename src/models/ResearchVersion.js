@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Immutable snapshot of a research record's generated content, taken before
+ * each refresh overwrites it
+ */
+const researchVersionSchema = new mongoose.Schema({
+    researchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Research',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    results: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    provenance: {
+        type: mongoose.Schema.Types.Mixed,
+        default: []
+    },
+    aiModel: String,
+    researchMethod: String,
+    tokensUsed: Number,
+    // When this version's content was generated
+    generatedAt: Date,
+    // Who triggered the refresh that replaced it
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+researchVersionSchema.index({ researchId: 1, version: -1 }, { unique: true });
+
+const rejectUpdate = function () {
+    throw new Error('Research versions are immutable');
+};
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace']) {
+    researchVersionSchema.pre(operation, rejectUpdate);
+}
+
+researchVersionSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Research versions are immutable'));
+    }
+    next();
+});
+
+const ResearchVersion = mongoose.model('ResearchVersion', researchVersionSchema);
+
+module.exports = ResearchVersion;
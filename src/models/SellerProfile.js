@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { COMPANY_SIZES } = require('../utils/sellerProfile');
+const { SENIORITIES, DEPARTMENTS } = require('../utils/contacts');
+
+// What a user, or a team, sells and to whom. Exactly one of userId/teamId is set.
+const sellerProfileSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    teamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    product: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Product description cannot exceed 2000 characters']
+    },
+    valuePropositions: [{
+        type: String,
+        trim: true
+    }],
+    // Ideal customer profile, used for ICP fit scores
+    icp: {
+        industries: [String],
+        companySizes: [{
+            type: String,
+            enum: Object.keys(COMPANY_SIZES)
+        }],
+        regions: [String],
+        technologies: [String],
+        departments: [{
+            type: String,
+            enum: DEPARTMENTS
+        }],
+        minSeniority: {
+            type: String,
+            enum: SENIORITIES
+        },
+        keywords: [String]
+    },
+    caseStudies: [{
+        _id: false,
+        customer: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        industry: String,
+        summary: {
+            type: String,
+            required: true
+        },
+        result: String
+    }],
+    competitors: [{
+        type: String,
+        trim: true
+    }],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+sellerProfileSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+sellerProfileSchema.index({ teamId: 1 }, { unique: true, partialFilterExpression: { teamId: { $exists: true } } });
+
+sellerProfileSchema.pre('validate', function (next) {
+    if (Boolean(this.userId) === Boolean(this.teamId)) {
+        return next(new Error('A seller profile belongs to either a user or a team'));
+    }
+    next();
+});
+
+const SellerProfile = mongoose.model('SellerProfile', sellerProfileSchema);
+
+module.exports = SellerProfile;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { STEP_TYPES, CHANNELS, TONES, LENGTHS } = require('../utils/sequences');
+const { SENIORITIES, DEPARTMENTS } = require('../utils/contacts');
+
+const stepSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: Object.keys(STEP_TYPES),
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: CHANNELS,
+        required: true
+    },
+    // Days after the first touch
+    dayOffset: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Email steps only
+    subject: {
+        type: String,
+        trim: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    editedAt: Date
+});
+
+// An outreach cadence written from one research record
+const sequenceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    researchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Research',
+        required: true
+    },
+    companyName: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 120
+    },
+    tone: {
+        type: String,
+        enum: TONES,
+        default: 'professional'
+    },
+    length: {
+        type: String,
+        enum: Object.keys(LENGTHS),
+        default: 'medium'
+    },
+    // Who the sequence is written for: a decision maker from the research or a role
+    persona: {
+        contactId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        title: String,
+        department: {
+            type: String,
+            enum: DEPARTMENTS
+        },
+        seniority: {
+            type: String,
+            enum: SENIORITIES
+        }
+    },
+    steps: [stepSchema],
+    model: String,
+    tokensUsed: Number
+}, {
+    timestamps: true
+});
+
+sequenceSchema.index({ userId: 1, createdAt: -1 });
+sequenceSchema.index({ researchId: 1, userId: 1 });
+
+const Sequence = mongoose.model('Sequence', sequenceSchema);
+
+module.exports = Sequence;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Ordered from least to most privileged
+const TEAM_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+const teamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Team name is required'],
+        trim: true,
+        maxlength: [100, 'Team name cannot exceed 100 characters']
+    },
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    members: [{
+        _id: false,
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: TEAM_ROLES,
+            default: 'member'
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Alternative pitch angles on top of the built-in ones
+    pitchAngles: [{
+        _id: false,
+        key: {
+            type: String,
+            required: true
+        },
+        label: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        instructions: {
+            type: String,
+            trim: true
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+teamSchema.index({ 'members.userId': 1 });
+
+teamSchema.statics.ROLES = TEAM_ROLES;
+
+/**
+ * @param {string} role - Role held
+ * @param {string} minimum - Role required
+ * @returns {boolean} Whether `role` is at least `minimum`
+ */
+teamSchema.statics.roleAtLeast = function (role, minimum) {
+    return TEAM_ROLES.indexOf(role) >= TEAM_ROLES.indexOf(minimum);
+};
+
+teamSchema.statics.findForUser = function (userId) {
+    return this.find({ 'members.userId': userId }).sort({ name: 1 });
+};
+
+teamSchema.statics.getTeamIdsForUser = async function (userId) {
+    const teams = await this.find({ 'members.userId': userId }).select('_id').lean();
+    return teams.map(team => team._id);
+};
+
+teamSchema.methods.getMember = function (userId) {
+    return this.members.find(member => member.userId.equals(userId)) || null;
+};
+
+teamSchema.methods.getRole = function (userId) {
+    const member = this.getMember(userId);
+    return member ? member.role : null;
+};
+
+const Team = mongoose.model('Team', teamSchema);
+
+module.exports = Team;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const teamInvitationSchema = new mongoose.Schema({
+    teamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        required: true,
+        index: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: ['viewer', 'member', 'admin'],
+        default: 'member'
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'revoked'],
+        default: 'pending'
+    },
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+teamInvitationSchema.index({ email: 1, status: 1 });
+
+teamInvitationSchema.methods.isUsable = function () {
+    return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+const TeamInvitation = mongoose.model('TeamInvitation', teamInvitationSchema);
+
+module.exports = TeamInvitation;
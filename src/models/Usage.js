@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Usage ledger: one document per user per calendar month (UTC)
+const usageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    period: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}$/, 'Period must be in YYYY-MM format']
+    },
+    research: {
+        type: Number,
+        default: 0
+    },
+    tokens: {
+        type: Number,
+        default: 0
+    },
+    embeddingCalls: {
+        type: Number,
+        default: 0
+    },
+    alternativePitches: {
+        type: Number,
+        default: 0
+    },
+    sequences: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+usageSchema.index({ userId: 1, period: 1 }, { unique: true });
+
+usageSchema.statics.METRICS = ['research', 'tokens', 'embeddingCalls', 'alternativePitches', 'sequences'];
+
+usageSchema.statics.increment = function (userId, period, deltas) {
+    const inc = {};
+    for (const metric of this.METRICS) {
+        if (deltas[metric]) inc[metric] = deltas[metric];
+    }
+
+    return this.findOneAndUpdate(
+        { userId, period },
+        { $inc: inc },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+const Usage = mongoose.model('Usage', usageSchema);
+
+module.exports = Usage;
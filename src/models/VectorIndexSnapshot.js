@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Persisted ANN graph, split into chunks to stay under the 16MB document limit.
+// All chunks of one snapshot share `version`; older versions are removed once
+// a newer one is fully written.
+const vectorIndexSnapshotSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    chunk: {
+        type: Number,
+        required: true
+    },
+    totalChunks: {
+        type: Number,
+        required: true
+    },
+    data: {
+        type: Buffer,
+        required: true
+    },
+    builtAt: {
+        type: Date,
+        required: true
+    },
+    count: Number,
+    dimensions: Number
+}, {
+    timestamps: true
+});
+
+vectorIndexSnapshotSchema.index({ name: 1, version: -1, chunk: 1 }, { unique: true });
+
+const VectorIndexSnapshot = mongoose.model('VectorIndexSnapshot', vectorIndexSnapshotSchema);
+
+module.exports = VectorIndexSnapshot;
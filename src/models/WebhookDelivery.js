@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+    endpointId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookEndpoint',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Same for every endpoint (and replay) of one event, for receiver-side dedupe
+    eventId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'delivering', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 6
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    lastAttempt: {
+        at: Date,
+        responseStatus: Number,
+        responseBody: String,
+        error: String,
+        durationMs: Number
+    },
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    },
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+// The delivery log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+webhookDeliverySchema.methods.toLog = function () {
+    return {
+        _id: this._id,
+        event: this.event,
+        eventId: this.eventId,
+        status: this.status,
+        attempts: this.attempts,
+        nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : undefined,
+        lastAttempt: this.lastAttempt,
+        replayOf: this.replayOf,
+        createdAt: this.createdAt,
+        completedAt: this.completedAt
+    };
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const WEBHOOK_EVENTS = [
+    'research.created',
+    'research.saved',
+    'research.unsaved',
+    'research.rated',
+    'research.refreshed',
+    'research.changed',
+    'research.deleted',
+    'pitch.generated'
+];
+
+const webhookEndpointSchema = new mongoose.Schema({
+    // Personal endpoints receive the user's events; team endpoints receive
+    // events for research shared with the team
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    teamId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        default: null,
+        index: true
+    },
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    events: [{
+        type: String,
+        enum: WEBHOOK_EVENTS
+    }],
+    // HMAC signing secret, encrypted at rest
+    encryptedSecret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+        type: String,
+        enum: ['succeeded', 'failed']
+    }
+}, {
+    timestamps: true
+});
+
+webhookEndpointSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+webhookEndpointSchema.methods.setSecret = function (secret) {
+    this.encryptedSecret = encryptSecret(secret);
+};
+
+webhookEndpointSchema.methods.getSecret = function () {
+    return decryptSecret(this.encryptedSecret);
+};
+
+webhookEndpointSchema.methods.toSummary = function () {
+    return {
+        _id: this._id,
+        url: this.url,
+        description: this.description,
+        events: this.events,
+        teamId: this.teamId,
+        active: this.active,
+        lastDeliveryAt: this.lastDeliveryAt,
+        lastDeliveryStatus: this.lastDeliveryStatus,
+        createdAt: this.createdAt
+    };
+};
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+module.exports = WebhookEndpoint;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getAlerts,
+    markAlertRead,
+    markAllAlertsRead
+} = require('../controllers/alertController');
+
+const { authenticate } = require('../middleware/auth');
+const {
+    validateAlerts,
+    validateObjectId
+} = require('../middleware/validation');
+
+router.use(authenticate);
+
+router.get('/',
+    validateAlerts,
+    getAlerts
+);
+
+router.post('/read-all', markAllAlertsRead);
+
+router.patch('/:id/read',
+    validateObjectId('id'),
+    markAlertRead
+);
+
+module.exports = router;
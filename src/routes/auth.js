@@ -8,25 +8,45 @@ const {
     updateProfile,
     changePassword,
     refreshToken,
-    logout
+    logout,
+    logoutAll,
+    getSessions,
+    deleteSession,
+    getUsage
 } = require('../controllers/authController');
+const {
+    getMySellerProfile,
+    saveMySellerProfile,
+    deleteMySellerProfile
+} = require('../controllers/sellerProfileController');
 
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const {
     validateRegistration,
     validateLogin,
+    validateRefreshToken,
+    validateUsagePeriod,
+    validateSellerProfile,
     sanitizeInput
 } = require('../middleware/validation');
 
 // public means these routes can be accessed without token
 router.post('/register', sanitizeInput, validateRegistration, register);
 router.post('/login', sanitizeInput, validateLogin, login);
+router.post('/refresh', validateRefreshToken, refreshToken);
+// accepts the refresh token in the body, or falls back to the access token's session
+router.post('/logout', optionalAuth, logout);
 
 // token compulsory for these routes
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, sanitizeInput, updateProfile);
 router.put('/password', authenticate, sanitizeInput, changePassword);
-router.post('/refresh', authenticate, refreshToken);
-router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:sessionId', authenticate, deleteSession);
+router.get('/usage', authenticate, validateUsagePeriod, getUsage);
+router.get('/seller-profile', authenticate, getMySellerProfile);
+router.put('/seller-profile', authenticate, sanitizeInput, validateSellerProfile, saveMySellerProfile);
+router.delete('/seller-profile', authenticate, deleteMySellerProfile);
 
 module.exports = router;
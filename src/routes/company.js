@@ -3,11 +3,18 @@ const router = express.Router();
 
 const {
     generateResearch,
+    streamResearch,
+    getResearchJob,
+    streamResearchJob,
     getHistory,
     getResearchById,
+    updateResearchFields,
     toggleSaveResearch,
     deleteResearch,
     generateAlternative,
+    shareResearch,
+    unshareResearch,
+    syncResearchCrm,
     searchResearch,
     getSavedResearch,
     vectorSearch,
@@ -16,13 +23,81 @@ const {
     getUserEmbeddings,
     searchEmbeddings
 } = require('../controllers/companyController');
+const {
+    uploadImport,
+    getImports,
+    getImport,
+    downloadImportResults
+} = require('../controllers/importController');
+const {
+    exportResearchById,
+    exportHistory,
+    exportSaved
+} = require('../controllers/exportController');
+const {
+    refreshResearchById,
+    getResearchVersions,
+    getResearchVersion,
+    diffResearchVersions
+} = require('../controllers/versionController');
+const {
+    getResearchContacts,
+    addResearchContact,
+    updateResearchContact,
+    verifyResearchContact,
+    deleteResearchContact,
+    searchContacts
+} = require('../controllers/contactController');
+const {
+    verifyResearchEmailsById,
+    verifyEmailAddresses
+} = require('../controllers/emailController');
+const {
+    watchResearch,
+    unwatchResearch,
+    getWatchlist
+} = require('../controllers/watchController');
+const {
+    generateSequence,
+    getResearchSequences,
+    getSequences,
+    getSequence,
+    renameSequence,
+    updateSequenceStep,
+    deleteSequence
+} = require('../controllers/sequenceController');
+const { scoreResearchFit } = require('../controllers/sellerProfileController');
+const { getCompany, resolveCompanyName } = require('../controllers/companyEntityController');
 
 const { authenticate, requirePremium } = require('../middleware/auth');
+const { requireQuota } = require('../middleware/quota');
+const { uploadImportFile } = require('../middleware/upload');
 const {
     validateCompanyResearch,
     validateSaveResearch,
+    validateResearchFields,
     validateAlternativePitch,
+    validateSequence,
+    validateSequenceRename,
+    validateSequenceStep,
+    validateSequences,
+    validateIcpFit,
+    validateResearchScope,
     validateSearch,
+    validateVectorSearch,
+    validateShareResearch,
+    validateImportResults,
+    validateRefreshResearch,
+    validateVersionDiff,
+    validateExport,
+    validateWatch,
+    validateContact,
+    validateContactUpdate,
+    validateContactVerification,
+    validateContactFilters,
+    validateEmailVerification,
+    validateCrmSync,
+    validateCompanyResolve,
     validateObjectId,
     sanitizeInput
 } = require('../middleware/validation');
@@ -32,23 +107,210 @@ router.use(authenticate);
 router.post('/research',
     sanitizeInput,
     validateCompanyResearch,
+    requireQuota('research', 'tokens'),
     generateResearch
 );
 
-router.get('/history', getHistory);
+router.post('/research/stream',
+    sanitizeInput,
+    validateCompanyResearch,
+    requireQuota('research', 'tokens'),
+    streamResearch
+);
+
+router.get('/research/jobs/:id',
+    validateObjectId('id'),
+    getResearchJob
+);
+
+router.get('/research/jobs/:id/events',
+    validateObjectId('id'),
+    streamResearchJob
+);
+
+router.post('/imports',
+    requireQuota('research', 'tokens'),
+    uploadImportFile,
+    uploadImport
+);
+
+router.get('/imports', getImports);
+
+router.get('/imports/:id',
+    validateObjectId('id'),
+    getImport
+);
+
+router.get('/imports/:id/results',
+    validateObjectId('id'),
+    validateImportResults,
+    downloadImportResults
+);
+
+router.get('/history',
+    validateResearchScope,
+    getHistory
+);
+
+router.get('/history/export',
+    validateExport,
+    exportHistory
+);
 
 router.get('/search',
     validateSearch,
+    // Hybrid search drops to keywords without embedding quota; semantic-only search needs it
+    (req, res, next) => (req.query.mode === 'semantic' ? requireQuota('embeddingCalls')(req, res, next) : next()),
     searchResearch
 );
 
-router.get('/saved', getSavedResearch);
+router.get('/saved',
+    validateResearchScope,
+    getSavedResearch
+);
+
+router.get('/saved/export',
+    validateExport,
+    exportSaved
+);
+
+router.post('/companies/resolve',
+    sanitizeInput,
+    validateCompanyResolve,
+    resolveCompanyName
+);
+
+router.get('/companies/:companyId',
+    validateObjectId('companyId'),
+    getCompany
+);
+
+router.get('/contacts',
+    validateContactFilters,
+    searchContacts
+);
+
+router.post('/emails/verify',
+    validateEmailVerification,
+    verifyEmailAddresses
+);
+
+router.get('/watchlist',
+    validateResearchScope,
+    getWatchlist
+);
+
+router.get('/sequences',
+    validateSequences,
+    getSequences
+);
+
+router.get('/sequences/:sequenceId',
+    validateObjectId('sequenceId'),
+    getSequence
+);
+
+router.patch('/sequences/:sequenceId',
+    validateObjectId('sequenceId'),
+    sanitizeInput,
+    validateSequenceRename,
+    renameSequence
+);
+
+router.patch('/sequences/:sequenceId/steps/:stepId',
+    validateObjectId('sequenceId'),
+    validateObjectId('stepId'),
+    sanitizeInput,
+    validateSequenceStep,
+    updateSequenceStep
+);
+
+router.delete('/sequences/:sequenceId',
+    validateObjectId('sequenceId'),
+    deleteSequence
+);
 
 router.get('/research/:id',
     validateObjectId('id'),
     getResearchById
 );
 
+router.get('/research/:id/export',
+    validateObjectId('id'),
+    validateExport,
+    exportResearchById
+);
+
+router.post('/research/:id/refresh',
+    validateObjectId('id'),
+    validateRefreshResearch,
+    requireQuota('research', 'tokens'),
+    refreshResearchById
+);
+
+router.get('/research/:id/versions',
+    validateObjectId('id'),
+    getResearchVersions
+);
+
+router.get('/research/:id/versions/:version',
+    validateObjectId('id'),
+    validateVersionDiff,
+    getResearchVersion
+);
+
+router.get('/research/:id/diff',
+    validateObjectId('id'),
+    validateVersionDiff,
+    diffResearchVersions
+);
+
+router.patch('/research/:id/fields',
+    validateObjectId('id'),
+    sanitizeInput,
+    validateResearchFields,
+    updateResearchFields
+);
+
+router.get('/research/:id/contacts',
+    validateObjectId('id'),
+    validateContactFilters,
+    getResearchContacts
+);
+
+router.post('/research/:id/contacts',
+    validateObjectId('id'),
+    sanitizeInput,
+    validateContact,
+    addResearchContact
+);
+
+router.patch('/research/:id/contacts/:contactId',
+    validateObjectId('id'),
+    validateObjectId('contactId'),
+    sanitizeInput,
+    validateContactUpdate,
+    updateResearchContact
+);
+
+router.put('/research/:id/contacts/:contactId/verification',
+    validateObjectId('id'),
+    validateObjectId('contactId'),
+    validateContactVerification,
+    verifyResearchContact
+);
+
+router.delete('/research/:id/contacts/:contactId',
+    validateObjectId('id'),
+    validateObjectId('contactId'),
+    deleteResearchContact
+);
+
+router.post('/research/:id/email-verification',
+    validateObjectId('id'),
+    verifyResearchEmailsById
+);
+
 router.put('/research/:id/save',
     validateObjectId('id'),
     sanitizeInput,
@@ -61,16 +323,66 @@ router.delete('/research/:id',
     deleteResearch
 );
 
+router.put('/research/:id/share',
+    validateObjectId('id'),
+    validateShareResearch,
+    shareResearch
+);
+
+router.delete('/research/:id/share',
+    validateObjectId('id'),
+    unshareResearch
+);
+
+router.put('/research/:id/watch',
+    validateObjectId('id'),
+    validateWatch,
+    watchResearch
+);
+
+router.delete('/research/:id/watch',
+    validateObjectId('id'),
+    unwatchResearch
+);
+
+router.post('/research/:id/crm-sync',
+    validateObjectId('id'),
+    validateCrmSync,
+    syncResearchCrm
+);
+
 router.post('/research/:id/alternative-pitch',
     validateObjectId('id'),
     sanitizeInput,
     validateAlternativePitch,
     requirePremium,
+    requireQuota('alternativePitches', 'tokens'),
     generateAlternative
 );
 
+router.post('/research/:id/icp-fit',
+    validateObjectId('id'),
+    validateIcpFit,
+    scoreResearchFit
+);
+
+router.get('/research/:id/sequences',
+    validateObjectId('id'),
+    getResearchSequences
+);
+
+router.post('/research/:id/sequences',
+    validateObjectId('id'),
+    sanitizeInput,
+    validateSequence,
+    requireQuota('sequences', 'tokens'),
+    generateSequence
+);
+
 router.post('/vector-search',
     sanitizeInput,
+    validateVectorSearch,
+    requireQuota('embeddingCalls'),
     vectorSearch
 );
 
@@ -78,6 +390,7 @@ router.get('/recommendations', getRecommendations);
 
 router.post('/store-embedding',
     sanitizeInput,
+    requireQuota('embeddingCalls'),
     storeEmbedding
 );
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getCrmConnections,
+    connectCrm,
+    testCrmConnection,
+    disconnectCrm
+} = require('../controllers/integrationController');
+
+const { authenticate } = require('../middleware/auth');
+const {
+    validateCrmProvider,
+    validateCrmConnection
+} = require('../middleware/validation');
+
+router.use(authenticate);
+
+router.get('/crm', getCrmConnections);
+
+router.put('/crm/:provider',
+    validateCrmConnection,
+    connectCrm
+);
+
+router.post('/crm/:provider/test',
+    validateCrmProvider,
+    testCrmConnection
+);
+
+router.delete('/crm/:provider',
+    validateCrmProvider,
+    disconnectCrm
+);
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    createTeam,
+    getTeams,
+    getTeam,
+    updateTeam,
+    deleteTeam,
+    updateMemberRole,
+    removeMember,
+    createInvitation,
+    getInvitations,
+    revokeInvitation,
+    getMyInvitations,
+    acceptInvitation
+} = require('../controllers/teamController');
+const {
+    getPromptTemplates,
+    getPromptTemplate,
+    savePromptTemplate,
+    activatePromptTemplateVersion,
+    resetPromptTemplate,
+    previewPromptTemplate,
+    getPitchAngles,
+    savePitchAngle,
+    deletePitchAngle
+} = require('../controllers/promptTemplateController');
+const {
+    getTeamSellerProfile,
+    saveTeamSellerProfile,
+    deleteTeamSellerProfile
+} = require('../controllers/sellerProfileController');
+
+const { authenticate } = require('../middleware/auth');
+const { requireTeamRole } = require('../middleware/team');
+const {
+    validateTeam,
+    validateTemplateKind,
+    validatePromptTemplate,
+    validateTemplateActivation,
+    validateTemplatePreview,
+    validatePitchAngle,
+    validateSellerProfile,
+    validateTeamInvitation,
+    validateMemberRole,
+    validateObjectId,
+    sanitizeInput
+} = require('../middleware/validation');
+
+router.use(authenticate);
+
+router.post('/',
+    sanitizeInput,
+    validateTeam,
+    createTeam
+);
+
+router.get('/', getTeams);
+
+router.get('/invitations/pending', getMyInvitations);
+
+router.post('/invitations/:token/accept', acceptInvitation);
+
+router.get('/:teamId',
+    validateObjectId('teamId'),
+    requireTeamRole('viewer'),
+    getTeam
+);
+
+router.patch('/:teamId',
+    validateObjectId('teamId'),
+    sanitizeInput,
+    validateTeam,
+    requireTeamRole('admin'),
+    updateTeam
+);
+
+router.delete('/:teamId',
+    validateObjectId('teamId'),
+    requireTeamRole('owner'),
+    deleteTeam
+);
+
+router.patch('/:teamId/members/:userId',
+    validateObjectId('teamId'),
+    validateObjectId('userId'),
+    validateMemberRole,
+    requireTeamRole('admin'),
+    updateMemberRole
+);
+
+router.delete('/:teamId/members/:userId',
+    validateObjectId('teamId'),
+    validateObjectId('userId'),
+    requireTeamRole('viewer'),
+    removeMember
+);
+
+router.post('/:teamId/invitations',
+    validateObjectId('teamId'),
+    sanitizeInput,
+    validateTeamInvitation,
+    requireTeamRole('admin'),
+    createInvitation
+);
+
+router.get('/:teamId/invitations',
+    validateObjectId('teamId'),
+    requireTeamRole('admin'),
+    getInvitations
+);
+
+router.delete('/:teamId/invitations/:invitationId',
+    validateObjectId('teamId'),
+    validateObjectId('invitationId'),
+    requireTeamRole('admin'),
+    revokeInvitation
+);
+
+router.get('/:teamId/seller-profile',
+    validateObjectId('teamId'),
+    requireTeamRole('viewer'),
+    getTeamSellerProfile
+);
+
+router.put('/:teamId/seller-profile',
+    validateObjectId('teamId'),
+    sanitizeInput,
+    validateSellerProfile,
+    requireTeamRole('admin'),
+    saveTeamSellerProfile
+);
+
+router.delete('/:teamId/seller-profile',
+    validateObjectId('teamId'),
+    requireTeamRole('admin'),
+    deleteTeamSellerProfile
+);
+
+router.get('/:teamId/prompt-templates',
+    validateObjectId('teamId'),
+    requireTeamRole('viewer'),
+    getPromptTemplates
+);
+
+router.get('/:teamId/prompt-templates/:kind',
+    validateObjectId('teamId'),
+    validateTemplateKind,
+    requireTeamRole('viewer'),
+    getPromptTemplate
+);
+
+// Template bodies keep their text as written: sanitizeInput would strip <...> placeholders
+router.put('/:teamId/prompt-templates/:kind',
+    validateObjectId('teamId'),
+    validatePromptTemplate,
+    requireTeamRole('admin'),
+    savePromptTemplate
+);
+
+router.post('/:teamId/prompt-templates/:kind/activate',
+    validateObjectId('teamId'),
+    validateTemplateActivation,
+    requireTeamRole('admin'),
+    activatePromptTemplateVersion
+);
+
+router.post('/:teamId/prompt-templates/:kind/preview',
+    validateObjectId('teamId'),
+    validateTemplatePreview,
+    requireTeamRole('member'),
+    previewPromptTemplate
+);
+
+router.delete('/:teamId/prompt-templates/:kind',
+    validateObjectId('teamId'),
+    validateTemplateKind,
+    requireTeamRole('admin'),
+    resetPromptTemplate
+);
+
+router.get('/:teamId/pitch-angles',
+    validateObjectId('teamId'),
+    requireTeamRole('viewer'),
+    getPitchAngles
+);
+
+router.put('/:teamId/pitch-angles/:key',
+    validateObjectId('teamId'),
+    sanitizeInput,
+    validatePitchAngle,
+    requireTeamRole('admin'),
+    savePitchAngle
+);
+
+router.delete('/:teamId/pitch-angles/:key',
+    validateObjectId('teamId'),
+    requireTeamRole('admin'),
+    deletePitchAngle
+);
+
+module.exports = router;
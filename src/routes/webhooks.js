@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    createWebhook,
+    getWebhooks,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    testWebhook,
+    getDeliveries,
+    replayDelivery
+} = require('../controllers/webhookController');
+
+const { authenticate } = require('../middleware/auth');
+const {
+    validateWebhook,
+    validateWebhookUpdate,
+    validateWebhookDeliveries,
+    validateObjectId,
+    sanitizeInput
+} = require('../middleware/validation');
+
+router.use(authenticate);
+
+router.post('/',
+    sanitizeInput,
+    validateWebhook,
+    createWebhook
+);
+
+router.get('/', getWebhooks);
+
+router.post('/deliveries/:deliveryId/replay',
+    validateObjectId('deliveryId'),
+    replayDelivery
+);
+
+router.get('/:id',
+    validateObjectId('id'),
+    getWebhook
+);
+
+router.patch('/:id',
+    validateObjectId('id'),
+    sanitizeInput,
+    validateWebhookUpdate,
+    updateWebhook
+);
+
+router.delete('/:id',
+    validateObjectId('id'),
+    deleteWebhook
+);
+
+router.post('/:id/rotate-secret',
+    validateObjectId('id'),
+    rotateWebhookSecret
+);
+
+router.post('/:id/test',
+    validateObjectId('id'),
+    testWebhook
+);
+
+router.get('/:id/deliveries',
+    validateObjectId('id'),
+    validateWebhookDeliveries,
+    getDeliveries
+);
+
+module.exports = router;
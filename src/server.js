@@ -7,6 +7,13 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const companyRoutes = require('./routes/company');
+const teamRoutes = require('./routes/teams');
+const integrationRoutes = require('./routes/integrations');
+const webhookRoutes = require('./routes/webhooks');
+const alertRoutes = require('./routes/alerts');
+const researchQueue = require('./services/researchQueue');
+const { webhookDispatcher } = require('./services/webhookService');
+const { watchScheduler } = require('./services/watchService');
 
 const app = express();
 
@@ -33,11 +40,26 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clientiq'
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-    .then(() => console.log('✅ Connected to MongoDB'))
+    .then(() => {
+        console.log('✅ Connected to MongoDB');
+        if (process.env.RESEARCH_QUEUE_DISABLED !== 'true') {
+            researchQueue.start();
+        }
+        if (process.env.WEBHOOK_DISPATCHER_DISABLED !== 'true') {
+            webhookDispatcher.start();
+        }
+        if (process.env.WATCH_SCHEDULER_DISABLED !== 'true') {
+            watchScheduler.start();
+        }
+    })
     .catch(err => console.error('❌ MongoDB connection error:', err));
 
 app.use('/api/auth', authRoutes);
 app.use('/api/company', companyRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/integrations', integrationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/alerts', alertRoutes);
 
 app.get('/api/health', (req, res) => {
     res.json({
@@ -0,0 +1,298 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const ImportBatch = require('../models/ImportBatch');
+const Research = require('../models/Research');
+const researchQueue = require('./researchQueue');
+const { getUsageSummary } = require('./usageService');
+const { companyResearchRules, sanitizeInput } = require('../middleware/validation');
+const { safeCell } = require('../utils/spreadsheet');
+const { normalizeCompanyName } = require('../utils/companyNames');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 500;
+const MAX_ATTEMPTS = parseInt(process.env.IMPORT_MAX_ATTEMPTS) || 3;
+// Imports queue behind single interactive requests
+const IMPORT_PRIORITY = 10;
+
+// Accepted header spellings, compared lowercased without spaces/punctuation
+const COLUMN_ALIASES = {
+    companyName: ['companyname', 'company', 'name', 'organization', 'account'],
+    companyWebsite: ['companywebsite', 'website', 'url', 'domain', 'web'],
+    industry: ['industry', 'sector', 'vertical']
+};
+
+const RESULT_COLUMNS = [
+    { header: 'Row', key: 'row', width: 8 },
+    { header: 'Company Name', key: 'companyName', width: 32 },
+    { header: 'Website', key: 'companyWebsite', width: 32 },
+    { header: 'Industry', key: 'industry', width: 20 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Research ID', key: 'researchId', width: 26 },
+    { header: 'Message', key: 'message', width: 60 }
+];
+
+const importError = (message, code = 'INVALID_IMPORT_FILE') => Object.assign(new Error(message), { code });
+
+/**
+ * @param {string} fileName - Uploaded file name
+ * @returns {string|null} csv | xlsx
+ */
+const detectFormat = (fileName) => {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (extension === '.csv') return 'csv';
+    if (extension === '.xlsx') return 'xlsx';
+    return null;
+};
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Parse the first worksheet of a CSV or XLSX upload into company rows
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv | xlsx
+ * @returns {Promise<Array>} [{ row, companyName, companyWebsite, industry }]
+ */
+const parseImportFile = async (buffer, format) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+        if (format === 'xlsx') {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets[0];
+        } else {
+            worksheet = await workbook.csv.read(Readable.from(buffer));
+        }
+    } catch (error) {
+        throw importError(`Could not read the ${format.toUpperCase()} file: ${error.message}`);
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+        throw importError('The file must contain a header row and at least one company');
+    }
+
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+        const header = normalizeHeader(cell.text);
+        for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+            if (!columns[field] && aliases.includes(header)) {
+                columns[field] = columnNumber;
+            }
+        }
+    });
+
+    if (!columns.companyName) {
+        throw importError('Missing company name column (expected a "name", "company" or "companyName" header)');
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const read = (field) => (columns[field] ? row.getCell(columns[field]).text.trim() : '');
+        const entry = {
+            row: rowNumber,
+            companyName: read('companyName'),
+            companyWebsite: read('companyWebsite'),
+            industry: read('industry')
+        };
+
+        // Skip fully blank lines rather than reporting them as invalid
+        if (entry.companyName || entry.companyWebsite || entry.industry) {
+            rows.push(entry);
+        }
+    });
+
+    if (rows.length === 0) {
+        throw importError('The file does not contain any companies');
+    }
+
+    if (rows.length > MAX_ROWS) {
+        throw importError(`Imports are limited to ${MAX_ROWS} companies per file (got ${rows.length})`);
+    }
+
+    return rows;
+};
+
+/**
+ * Run the same sanitising and validation as POST /api/company/research
+ * @param {Object} entry - Parsed row
+ * @returns {Promise<Object>} { input, errors }
+ */
+const validateRow = async (entry) => {
+    const body = { companyName: entry.companyName };
+    if (entry.companyWebsite) body.companyWebsite = entry.companyWebsite;
+    if (entry.industry) body.industry = entry.industry;
+
+    const req = { body };
+    sanitizeInput(req, null, () => {});
+
+    for (const rule of companyResearchRules) {
+        await rule.run(req);
+    }
+
+    const errors = validationResult(req).array().map(error => `${error.path}: ${error.msg}`);
+
+    return {
+        input: {
+            companyName: req.body.companyName,
+            companyWebsite: req.body.companyWebsite,
+            industry: req.body.industry
+        },
+        errors
+    };
+};
+
+// "Tesla", "Tesla, Inc." and "tesla.com" are the same company
+const dedupeKey = (companyName) =>
+    normalizeCompanyName(companyName) || companyName.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * @param {Object} user - User document
+ * @returns {Promise<Map>} Normalised company name -> most recent research id
+ */
+const getExistingResearch = async (user) => {
+    const existing = await Research.find({ userId: user._id })
+        .sort({ createdAt: 1 })
+        .select('companyName')
+        .lean();
+
+    return new Map(existing.map(research => [dedupeKey(research.companyName), research._id]));
+};
+
+/**
+ * Validate, dedupe and queue every row of an uploaded file. Rows beyond the
+ * user's remaining monthly research quota are reported as skipped.
+ * @param {Object} user - User document
+ * @param {Object} file - { originalname, buffer }
+ * @returns {Promise<Object>} ImportBatch document
+ */
+const createImport = async (user, file) => {
+    const format = detectFormat(file.originalname);
+    if (!format) {
+        throw importError('Only .csv and .xlsx files are supported');
+    }
+
+    const parsed = await parseImportFile(file.buffer, format);
+    const existing = await getExistingResearch(user);
+    const { metrics } = await getUsageSummary(user);
+    let remaining = metrics.research.remaining === null ? Infinity : metrics.research.remaining;
+    if (metrics.tokens.remaining === 0) {
+        remaining = 0;
+    }
+
+    const seen = new Map();
+    const rows = [];
+
+    for (const entry of parsed) {
+        const { input, errors } = await validateRow(entry);
+        const row = { ...entry, ...input };
+
+        if (errors.length > 0) {
+            rows.push({ ...row, status: 'invalid', validationErrors: errors, message: errors.join('; ') });
+            continue;
+        }
+
+        const key = dedupeKey(input.companyName);
+
+        if (seen.has(key)) {
+            rows.push({ ...row, status: 'duplicate', message: `Duplicate of row ${seen.get(key)} in this file` });
+            continue;
+        }
+        seen.set(key, entry.row);
+
+        if (existing.has(key)) {
+            rows.push({
+                ...row,
+                status: 'duplicate',
+                researchId: existing.get(key),
+                message: 'Research already exists for this company'
+            });
+            continue;
+        }
+
+        if (remaining <= 0) {
+            rows.push({ ...row, status: 'skipped', message: 'Monthly research quota reached' });
+            continue;
+        }
+
+        remaining--;
+        // Job ids are assigned up front so a fast job can never finish before its row exists
+        rows.push({ ...row, status: 'queued', jobId: new mongoose.Types.ObjectId(), message: 'Waiting for research' });
+    }
+
+    const totals = { rows: rows.length };
+    for (const status of ImportBatch.ROW_STATUSES) {
+        totals[status] = rows.filter(row => row.status === status).length;
+    }
+
+    const batch = await ImportBatch.create({
+        userId: user._id,
+        fileName: file.originalname,
+        format,
+        status: totals.queued > 0 ? 'processing' : 'completed',
+        completedAt: totals.queued > 0 ? undefined : new Date(),
+        totals,
+        rows
+    });
+
+    for (const row of batch.rows) {
+        if (row.status !== 'queued') continue;
+
+        await researchQueue.enqueue(user, {
+            companyName: row.companyName,
+            companyWebsite: row.companyWebsite,
+            industry: row.industry
+        }, {
+            _id: row.jobId,
+            importId: batch._id,
+            priority: IMPORT_PRIORITY,
+            maxAttempts: MAX_ATTEMPTS
+        });
+    }
+
+    console.log(`📄 Import ${batch._id}: ${totals.queued} queued, ${totals.invalid} invalid, ${totals.duplicate} duplicate, ${totals.skipped} skipped`);
+
+    return batch;
+};
+
+/**
+ * Write the per-row results of an import as a downloadable file
+ * @param {Object} batch - ImportBatch document
+ * @param {string} format - csv | xlsx
+ * @returns {Promise<Buffer>} File contents
+ */
+const buildResultFile = async (batch, format) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Import results');
+    worksheet.columns = RESULT_COLUMNS;
+
+    for (const row of batch.rows) {
+        worksheet.addRow({
+            row: row.row,
+            companyName: safeCell(row.companyName),
+            companyWebsite: safeCell(row.companyWebsite || ''),
+            industry: safeCell(row.industry || ''),
+            status: row.status,
+            researchId: row.researchId ? String(row.researchId) : '',
+            message: safeCell(row.message || '')
+        });
+    }
+
+    const buffer = format === 'xlsx'
+        ? await workbook.xlsx.writeBuffer()
+        : await workbook.csv.writeBuffer();
+
+    return Buffer.from(buffer);
+};
+
+module.exports = {
+    MAX_ROWS,
+    detectFormat,
+    parseImportFile,
+    validateRow,
+    createImport,
+    buildResultFile
+};
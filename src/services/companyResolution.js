@@ -0,0 +1,207 @@
+/**
+ * Entity resolution: match a research request to a canonical Company so that
+ * "Tesla", "Tesla Inc" and "tesla.com" end up on the same record.
+ *
+ * Signals, strongest first:
+ * 1. domain - the website the user gave, or a name that is a domain
+ * 2. name - the normalised name equals the company's name or an alias
+ * 3. fuzzy - a near-identical normalised name (Jaro-Winkler)
+ * 4. embedding - a similar name whose stored research reads like the new research
+ *
+ * A candidate with a different known domain is never matched by name.
+ */
+
+const Company = require('../models/Company');
+const CompanyEmbedding = require('../models/CompanyEmbedding');
+const vectorService = require('./vectorService');
+const { toDomain } = require('../utils/contacts');
+const { domainFromName, normalizeCompanyName, nameSimilarity } = require('../utils/companyNames');
+
+const FUZZY_MATCH = 0.93;
+// Embedding matches need both a plausible name and similar research
+const EMBEDDING_NAME_FLOOR = 0.8;
+const EMBEDDING_SIMILARITY = 0.85;
+const CANDIDATE_LIMIT = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const hasOtherDomain = (company, domain) =>
+    Boolean(domain && company.domain && company.domain !== domain && !company.domains.includes(domain));
+
+const bestNameScore = (company, normalizedName) =>
+    Math.max(...[company.normalizedName, ...company.aliases].map(name => nameSimilarity(name, normalizedName)));
+
+/**
+ * @param {Object} input - { name, website }
+ * @returns {Object} { normalizedName, domain }
+ */
+const resolutionKeys = ({ name, website }) => ({
+    normalizedName: normalizeCompanyName(name),
+    domain: toDomain(website) || domainFromName(name)
+});
+
+/**
+ * Companies sharing the first characters of the name, scored by name similarity
+ */
+const nameCandidates = async (normalizedName, domain) => {
+    const prefix = new RegExp(`^${escapeRegex(normalizedName.slice(0, 3))}`);
+    const companies = await Company.find({ $or: [{ normalizedName: prefix }, { aliases: prefix }] }).limit(CANDIDATE_LIMIT);
+
+    return companies
+        .filter(company => !hasOtherDomain(company, domain))
+        .map(company => ({ company, nameScore: bestNameScore(company, normalizedName) }))
+        .sort((a, b) => b.nameScore - a.nameScore);
+};
+
+/**
+ * Best embedding similarity between a vector and each candidate's stored research
+ * @returns {Promise<Map>} companyId -> similarity
+ */
+const embeddingScores = async (embedding, companyIds) => {
+    const scores = new Map();
+    const stored = await CompanyEmbedding.find({ companyId: { $in: companyIds } }).select('companyId embedding').lean();
+
+    for (const doc of stored) {
+        if (doc.embedding.length !== embedding.length) continue;
+        const key = String(doc.companyId);
+        scores.set(key, Math.max(scores.get(key) || 0, vectorService.cosineSimilarity(embedding, doc.embedding)));
+    }
+
+    return scores;
+};
+
+/**
+ * Find the canonical company for a name/website without changing anything
+ * @param {Object} input - { name, website }
+ * @param {Object} options
+ * @param {number[]} options.embedding - Embedding of the new research, enables the embedding signal
+ * @returns {Promise<Object|null>} { company, method, score }
+ */
+const matchCompany = async (input, { embedding = null } = {}) => {
+    const { normalizedName, domain } = resolutionKeys(input);
+
+    if (domain) {
+        const company = await Company.findOne({ $or: [{ domain }, { domains: domain }] });
+        if (company) return { company, method: 'domain', score: 1 };
+    }
+
+    if (!normalizedName) return null;
+
+    const exact = await Company.find({ $or: [{ normalizedName }, { aliases: normalizedName }] }).limit(10);
+    const named = exact.find(company => !hasOtherDomain(company, domain));
+    if (named) return { company: named, method: 'name', score: 1 };
+
+    const candidates = await nameCandidates(normalizedName, domain);
+    if (candidates.length > 0 && candidates[0].nameScore >= FUZZY_MATCH) {
+        return { company: candidates[0].company, method: 'fuzzy', score: round(candidates[0].nameScore) };
+    }
+
+    const plausible = candidates.filter(candidate => candidate.nameScore >= EMBEDDING_NAME_FLOOR);
+    if (!embedding || plausible.length === 0) return null;
+
+    const scores = await embeddingScores(embedding, plausible.map(candidate => candidate.company._id));
+    const [best] = plausible
+        .map(candidate => ({ ...candidate, similarity: scores.get(String(candidate.company._id)) || 0 }))
+        .filter(candidate => candidate.similarity >= EMBEDDING_SIMILARITY)
+        .sort((a, b) => (b.nameScore + b.similarity) - (a.nameScore + a.similarity));
+
+    return best
+        ? { company: best.company, method: 'embedding', score: round((best.nameScore + best.similarity) / 2) }
+        : null;
+};
+
+/**
+ * Match a company, or create it when nothing matches. A match learns the
+ * request's name as an alias and its domain if it had none.
+ * @param {Object} input - { name, website, industry }
+ * @param {Object} options - See matchCompany
+ * @returns {Promise<Object>} { company, method, score }; method is 'created' for a new company
+ */
+const resolveCompany = async (input, options = {}) => {
+    const { normalizedName, domain } = resolutionKeys(input);
+    const match = await matchCompany(input, options);
+
+    if (match) {
+        match.company.addAlias({ normalizedName, domain });
+        if (!match.company.industry && input.industry) {
+            match.company.industry = input.industry;
+        }
+        if (match.company.isModified()) {
+            await match.company.save();
+        }
+        return match;
+    }
+
+    try {
+        const company = await Company.create({
+            name: String(input.name).trim(),
+            normalizedName: normalizedName || String(input.name).trim().toLowerCase(),
+            domain,
+            aliases: normalizedName ? [normalizedName] : [],
+            industry: input.industry
+        });
+        return { company, method: 'created', score: 1 };
+    } catch (error) {
+        // Another request created the company with this domain first
+        if (error.code === 11000 && domain) {
+            const company = await Company.findOne({ domain });
+            if (company) return { company, method: 'domain', score: 1 };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Values of a research record that came from the company's own website, so
+ * they can identify the company (the model's guesses cannot)
+ * @param {Object} research - Research document
+ * @returns {Object} { website, linkedin }
+ */
+const verifiedIdentifiers = (research) => {
+    const fromWebsite = new Set((research.provenance || [])
+        .filter(record => record.source === 'website')
+        .map(record => record.field));
+    const contactInfo = (research.results && research.results.contactInfo) || {};
+
+    return {
+        website: fromWebsite.has('contactInfo.website') ? contactInfo.website : undefined,
+        linkedin: fromWebsite.has('contactInfo.linkedin') ? contactInfo.linkedin : undefined
+    };
+};
+
+/**
+ * Resolve the canonical company of a research record and link the record to it
+ * (the caller saves the research). Embeddings are linked by researchId.
+ * @param {Object} research - Research document
+ * @param {Object} options
+ * @param {number[]} options.embedding - Embedding of the research text
+ * @returns {Promise<Object>} { company, method, score }
+ */
+const linkResearchToCompany = async (research, { embedding = null } = {}) => {
+    const verified = verifiedIdentifiers(research);
+    const resolution = await resolveCompany({
+        name: research.companyName,
+        website: research.companyWebsite || verified.website,
+        industry: research.industry || (research.results.companyDetails && research.results.companyDetails.industry) || undefined
+    }, { embedding });
+
+    if (verified.linkedin && resolution.company.addIdentifier('linkedin', verified.linkedin)) {
+        await resolution.company.save();
+    }
+
+    research.companyId = resolution.company._id;
+    await CompanyEmbedding.updateMany(
+        { researchId: research._id },
+        { companyId: resolution.company._id }
+    );
+
+    return resolution;
+};
+
+module.exports = {
+    matchCompany,
+    resolveCompany,
+    linkResearchToCompany
+};
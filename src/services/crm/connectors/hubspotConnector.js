@@ -0,0 +1,97 @@
+const axios = require('axios');
+const { toCrmError } = require('../errors');
+
+const HUBSPOT_API_URL = 'https://api.hubapi.com';
+// HubSpot-defined association type ids
+const CONTACT_TO_COMPANY = 1;
+const NOTE_TO_COMPANY = 190;
+
+/**
+ * HubSpot CRM v3 objects API, authenticated with a private app token
+ */
+class HubSpotConnector {
+    /**
+     * @param {Object} options
+     * @param {string} options.accessToken - Private app access token
+     * @param {string} options.baseURL - Optional API base URL (e.g. the fake CRM server)
+     * @param {Object} options.http - Optional axios-compatible client
+     */
+    constructor(options = {}) {
+        this.name = 'hubspot';
+        this.label = 'HubSpot';
+        this.http = (options.http || axios).create({
+            baseURL: options.baseURL || process.env.HUBSPOT_API_URL || HUBSPOT_API_URL,
+            headers: { Authorization: `Bearer ${options.accessToken}` },
+            timeout: 15000
+        });
+    }
+
+    async request(config) {
+        try {
+            const response = await this.http.request(config);
+            return response.data;
+        } catch (error) {
+            throw toCrmError(error, this.label);
+        }
+    }
+
+    async testConnection() {
+        await this.request({ method: 'get', url: '/crm/v3/objects/companies', params: { limit: 1 } });
+        return true;
+    }
+
+    /**
+     * Create, or update when `externalId` is given, an object of `type`
+     * @returns {Promise<string>} HubSpot object id
+     */
+    async upsert(type, properties, externalId, associations) {
+        if (externalId) {
+            await this.request({ method: 'patch', url: `/crm/v3/objects/${type}/${externalId}`, data: { properties } });
+            return externalId;
+        }
+
+        const created = await this.request({
+            method: 'post',
+            url: `/crm/v3/objects/${type}`,
+            data: { properties, associations }
+        });
+        return String(created.id);
+    }
+
+    upsertCompany(company, externalId) {
+        return this.upsert('companies', compact({
+            name: company.name,
+            domain: company.domain,
+            website: company.website,
+            description: company.description,
+            phone: company.phone,
+            address: company.address
+        }), externalId);
+    }
+
+    upsertContact(contact, companyId, externalId) {
+        return this.upsert('contacts', compact({
+            firstname: contact.firstName,
+            lastname: contact.lastName,
+            jobtitle: contact.title
+        }), externalId, [association(companyId, CONTACT_TO_COMPANY)]);
+    }
+
+    upsertNote(note, companyId, externalId) {
+        return this.upsert('notes', {
+            hs_note_body: note.body,
+            hs_timestamp: new Date().toISOString()
+        }, externalId, [association(companyId, NOTE_TO_COMPANY)]);
+    }
+}
+
+const association = (companyId, typeId) => ({
+    to: { id: companyId },
+    types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: typeId }]
+});
+
+const compact = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+module.exports = HubSpotConnector;
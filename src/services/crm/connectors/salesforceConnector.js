@@ -0,0 +1,89 @@
+const axios = require('axios');
+const { toCrmError } = require('../errors');
+
+/**
+ * Salesforce REST API (sObjects), authenticated with an OAuth access token
+ * for the org's instance URL
+ */
+class SalesforceConnector {
+    /**
+     * @param {Object} options
+     * @param {string} options.accessToken - OAuth access token
+     * @param {string} options.baseURL - Instance URL, e.g. https://acme.my.salesforce.com
+     * @param {string} options.apiVersion - Optional REST API version
+     * @param {Object} options.http - Optional axios-compatible client
+     */
+    constructor(options = {}) {
+        this.name = 'salesforce';
+        this.label = 'Salesforce';
+        this.apiVersion = options.apiVersion || process.env.SALESFORCE_API_VERSION || 'v60.0';
+        this.http = (options.http || axios).create({
+            baseURL: `${String(options.baseURL).replace(/\/+$/, '')}/services/data/${this.apiVersion}`,
+            headers: { Authorization: `Bearer ${options.accessToken}` },
+            timeout: 15000
+        });
+    }
+
+    async request(config) {
+        try {
+            const response = await this.http.request(config);
+            return response.data;
+        } catch (error) {
+            throw toCrmError(error, this.label);
+        }
+    }
+
+    async testConnection() {
+        await this.request({ method: 'get', url: '/limits' });
+        return true;
+    }
+
+    /**
+     * Create, or update when `externalId` is given, an sObject
+     * @returns {Promise<string>} Salesforce record id
+     */
+    async upsert(sObject, fields, externalId) {
+        if (externalId) {
+            await this.request({ method: 'patch', url: `/sobjects/${sObject}/${externalId}`, data: fields });
+            return externalId;
+        }
+
+        const created = await this.request({ method: 'post', url: `/sobjects/${sObject}`, data: fields });
+        return created.id;
+    }
+
+    upsertCompany(company, externalId) {
+        return this.upsert('Account', compact({
+            Name: company.name,
+            Website: company.website,
+            Industry: company.industry,
+            Description: company.description,
+            Phone: company.phone,
+            BillingStreet: company.address
+        }), externalId);
+    }
+
+    upsertContact(contact, companyId, externalId) {
+        return this.upsert('Contact', compact({
+            FirstName: contact.firstName,
+            LastName: contact.lastName,
+            Title: contact.title,
+            AccountId: companyId
+        }), externalId);
+    }
+
+    upsertNote(note, companyId, externalId) {
+        const fields = { Title: note.title.slice(0, 80), Body: note.body };
+        // ParentId can only be set when the note is created
+        if (!externalId) {
+            fields.ParentId = companyId;
+        }
+        return this.upsert('Note', fields, externalId);
+    }
+}
+
+const compact = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+module.exports = SalesforceConnector;
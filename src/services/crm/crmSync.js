@@ -0,0 +1,154 @@
+const Research = require('../../models/Research');
+const CrmConnection = require('../../models/CrmConnection');
+const { getConnector } = require('./index');
+const { mapResearch } = require('./mapper');
+
+/**
+ * Update `externalId`, creating the record again if it was deleted in the CRM
+ */
+const upsertOrRecreate = async (upsert, externalId) => {
+    try {
+        return await upsert(externalId);
+    } catch (error) {
+        if (externalId && error.code === 'CRM_NOT_FOUND') {
+            return upsert(undefined);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Sync entries belong to the owner of the connection: on team-shared research
+ * each member pushes to their own CRM account, with their own external ids
+ * @param {Object} connection - CrmConnection document
+ * @returns {Object} Fields identifying the connection's entry in research.crmSync
+ */
+const entryOwner = (connection) => ({ provider: connection.provider, syncedBy: connection.userId });
+
+const isOwnEntry = (entry, owner) =>
+    entry.provider === owner.provider && String(entry.syncedBy) === String(owner.syncedBy);
+
+/**
+ * Replace the connection owner's entry in place, or add it when there is none
+ * yet. The $push is guarded too, so concurrent first syncs add only one entry.
+ */
+const storeSyncEntry = async (researchId, owner, entry) => {
+    const replace = () => Research.updateOne(
+        { _id: researchId, crmSync: { $elemMatch: owner } },
+        { $set: { 'crmSync.$': entry } }
+    );
+
+    if ((await replace()).matchedCount > 0) return;
+
+    const added = await Research.updateOne(
+        { _id: researchId, crmSync: { $not: { $elemMatch: owner } } },
+        { $push: { crmSync: entry } }
+    );
+    if (added.matchedCount === 0) {
+        await replace();
+    }
+};
+
+/**
+ * Push a research record to one CRM connection as a company, one contact per
+ * decision maker and a note with the pitch. External ids from earlier syncs
+ * are reused so repeated pushes update instead of duplicating.
+ * @param {Object} research - Research document
+ * @param {Object} connection - CrmConnection document (token selected)
+ * @returns {Promise<Object>} Sync entry stored on research.crmSync
+ */
+const syncResearchToCrm = async (research, connection) => {
+    const { provider } = connection;
+    const owner = entryOwner(connection);
+    const previous = (research.crmSync || []).find(entry => isOwnEntry(entry, owner));
+    const entry = {
+        ...owner,
+        companyId: previous && previous.companyId,
+        contacts: previous ? previous.contacts.map(({ key, externalId }) => ({ key, externalId })) : [],
+        noteId: previous && previous.noteId,
+        syncedAt: new Date()
+    };
+
+    try {
+        const connector = getConnector(connection);
+        const { company, contacts, note } = mapResearch(research);
+
+        const companyId = await upsertOrRecreate(id => connector.upsertCompany(company, id), entry.companyId);
+        // Contacts and notes hang off the company; start over if it was recreated
+        const sameCompany = companyId === entry.companyId;
+        const knownContacts = new Map(sameCompany ? entry.contacts.map(contact => [contact.key, contact.externalId]) : []);
+
+        const syncedContacts = [];
+        for (const contact of contacts) {
+            const externalId = await upsertOrRecreate(
+                id => connector.upsertContact(contact, companyId, id),
+                knownContacts.get(contact.key)
+            );
+            syncedContacts.push({ key: contact.key, externalId });
+        }
+
+        entry.noteId = await upsertOrRecreate(
+            id => connector.upsertNote(note, companyId, id),
+            sameCompany ? entry.noteId : undefined
+        );
+        entry.companyId = companyId;
+        entry.contacts = syncedContacts;
+        entry.status = 'synced';
+
+        console.log(`🔗 Synced ${research.companyName} to ${connector.label} (company ${companyId})`);
+    } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+        console.error(`⚠️ CRM sync to ${provider} failed for ${research.companyName}:`, error.message);
+    }
+
+    await storeSyncEntry(research._id, owner, entry);
+    await CrmConnection.updateOne(
+        { _id: connection._id },
+        entry.status === 'synced'
+            ? { $set: { lastSyncedAt: entry.syncedAt }, $unset: { lastError: '' } }
+            : { $set: { lastError: entry.error } }
+    );
+
+    return entry;
+};
+
+/**
+ * @param {Object} research - Research document
+ * @param {Object} user - User whose CRM connections are used
+ * @param {Object} options - { provider, onSaveOnly }
+ * @returns {Promise<Array>} Sync entries, one per connection
+ */
+const syncResearch = async (research, user, { provider = null, onSaveOnly = false } = {}) => {
+    const filter = { userId: user._id };
+    if (provider) filter.provider = provider;
+    if (onSaveOnly) filter.autoSyncOnSave = true;
+
+    const connections = await CrmConnection.find(filter).select('+encryptedToken');
+    const entries = [];
+
+    for (const connection of connections) {
+        entries.push(await syncResearchToCrm(research, connection));
+    }
+
+    return entries;
+};
+
+/**
+ * Background push when research is saved. Never throws: saving must not
+ * fail because a CRM is unreachable; failures are recorded on the research.
+ * @param {Object} research - Research document (just saved)
+ * @param {Object} user - User who saved it
+ */
+const syncOnSave = (research, user) => {
+    if (!research.isSaved) return;
+
+    syncResearch(research, user, { onSaveOnly: true })
+        .catch(error => console.error('⚠️ CRM sync on save failed:', error));
+};
+
+module.exports = {
+    syncResearchToCrm,
+    syncResearch,
+    syncOnSave
+};
@@ -0,0 +1,23 @@
+/**
+ * Normalise an HTTP failure from a CRM API into an Error with a `code`:
+ * CRM_AUTH_FAILED, CRM_NOT_FOUND, CRM_RATE_LIMITED or CRM_REQUEST_FAILED
+ * @param {Error} error - axios error
+ * @param {string} label - CRM display name
+ * @returns {Error} Error with code and status
+ */
+const toCrmError = (error, label) => {
+    const status = error.response && error.response.status;
+    const data = error.response && error.response.data;
+    const detail = (data && (data.message || (Array.isArray(data) && data[0] && data[0].message))) || error.message;
+
+    let code = 'CRM_REQUEST_FAILED';
+    if (status === 401 || status === 403) code = 'CRM_AUTH_FAILED';
+    else if (status === 404) code = 'CRM_NOT_FOUND';
+    else if (status === 429) code = 'CRM_RATE_LIMITED';
+
+    return Object.assign(new Error(`${label} request failed: ${detail}`), { code, status });
+};
+
+module.exports = {
+    toCrmError
+};
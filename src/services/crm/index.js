@@ -0,0 +1,84 @@
+const HubSpotConnector = require('./connectors/hubspotConnector');
+const SalesforceConnector = require('./connectors/salesforceConnector');
+
+const connectorClasses = {
+    hubspot: HubSpotConnector,
+    salesforce: SalesforceConnector
+};
+
+// Hosts a connection's instance URL may point at. CRM_ALLOW_CUSTOM_URLS=true
+// lifts the restriction, e.g. to use the local fake CRM server.
+const ALLOWED_HOSTS = {
+    hubspot: [/^api\.hubapi\.com$/, /^api\.hubspot\.com$/],
+    salesforce: [/\.salesforce\.com$/, /\.force\.com$/]
+};
+
+const overrides = {};
+
+/**
+ * @param {string} provider - hubspot | salesforce
+ * @param {string} instanceUrl - URL supplied with the connection
+ * @returns {string|null} Error message, or null when the URL is acceptable
+ */
+const checkInstanceUrl = (provider, instanceUrl) => {
+    if (!instanceUrl) {
+        return provider === 'salesforce' ? 'Salesforce connections need the org instance URL' : null;
+    }
+
+    let url;
+    try {
+        url = new URL(instanceUrl);
+    } catch (error) {
+        return 'Instance URL must be an absolute URL';
+    }
+
+    if (process.env.CRM_ALLOW_CUSTOM_URLS === 'true') {
+        return null;
+    }
+
+    if (url.protocol !== 'https:' || !ALLOWED_HOSTS[provider].some(pattern => pattern.test(url.hostname))) {
+        return `Instance URL is not a ${provider === 'hubspot' ? 'HubSpot' : 'Salesforce'} API host`;
+    }
+
+    return null;
+};
+
+/**
+ * @param {Object} connection - CrmConnection document with its encrypted token selected
+ * @returns {Object} Connector with testConnection/upsertCompany/upsertContact/upsertNote
+ */
+const getConnector = (connection) => {
+    if (overrides[connection.provider]) {
+        return overrides[connection.provider];
+    }
+
+    const ConnectorClass = connectorClasses[connection.provider];
+    if (!ConnectorClass) {
+        throw new Error(`Unknown CRM provider "${connection.provider}"`);
+    }
+
+    return new ConnectorClass({
+        accessToken: connection.getAccessToken(),
+        baseURL: connection.instanceUrl || undefined
+    });
+};
+
+/**
+ * Replace a connector (tests) or pass null to restore the real one
+ * @param {string} provider - hubspot | salesforce
+ * @param {Object|null} connector - Connector instance
+ */
+const setConnector = (provider, connector) => {
+    if (connector) {
+        overrides[provider] = connector;
+    } else {
+        delete overrides[provider];
+    }
+};
+
+module.exports = {
+    PROVIDERS: Object.keys(connectorClasses),
+    checkInstanceUrl,
+    getConnector,
+    setConnector
+};
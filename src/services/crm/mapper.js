@@ -0,0 +1,90 @@
+/**
+ * Map a Research record to CRM-neutral company, contact and note objects.
+ * Connectors translate these into their own field names.
+ */
+
+const { normalizeContact, contactKey, toDomain } = require('../../utils/contacts');
+
+/**
+ * @param {string|Object} decisionMaker - Stored decision maker
+ * @returns {Object|null} { key, firstName, lastName, title, department, linkedinUrl }
+ */
+const parseDecisionMaker = (decisionMaker) => {
+    const contact = normalizeContact(decisionMaker);
+    if (!contact) return null;
+
+    const parts = contact.name.split(/\s+/);
+    const lastName = parts.length > 1 ? parts.pop() : parts[0];
+
+    return {
+        // Stable key used to find the CRM contact again on later syncs
+        key: contactKey(contact),
+        firstName: parts.length > 0 && parts[0] !== lastName ? parts.join(' ') : '',
+        lastName,
+        title: contact.title,
+        department: contact.department,
+        linkedinUrl: contact.linkedinUrl
+    };
+};
+
+const buildNote = (research) => {
+    const results = research.results || {};
+    const lines = [`ClientIQ research: ${research.companyName}`, '', 'Pitch:', results.pitch || ''];
+
+    if (results.painPoints && results.painPoints.length > 0) {
+        lines.push('', 'Pain points:', ...results.painPoints.map(point => `- ${point}`));
+    }
+
+    if (results.technologies && results.technologies.length > 0) {
+        lines.push('', `Technologies: ${results.technologies.join(', ')}`);
+    }
+
+    return {
+        title: `ClientIQ research: ${research.companyName}`,
+        body: lines.join('\n')
+    };
+};
+
+/**
+ * @param {Object} research - Research document
+ * @returns {Object} { company, contacts, note }
+ */
+const mapResearch = (research) => {
+    const results = research.results || {};
+    const details = results.companyDetails || {};
+    const contactInfo = results.contactInfo || {};
+    const website = research.companyWebsite || contactInfo.website;
+
+    const contacts = [];
+    const seen = new Set();
+    for (const decisionMaker of results.decisionMakers || []) {
+        // Contacts a user marked as wrong are never pushed
+        if (decisionMaker.verificationStatus === 'rejected') continue;
+
+        const contact = parseDecisionMaker(decisionMaker);
+        if (contact && !seen.has(contact.key)) {
+            seen.add(contact.key);
+            contacts.push(contact);
+        }
+    }
+
+    return {
+        company: {
+            name: research.companyName,
+            website,
+            domain: toDomain(website),
+            industry: research.industry || details.industry,
+            description: results.overview,
+            phone: (contactInfo.phones || [])[0],
+            address: contactInfo.address || details.headquarters,
+            employees: details.employees
+        },
+        contacts,
+        note: buildNote(research)
+    };
+};
+
+module.exports = {
+    mapResearch,
+    parseDecisionMaker
+};
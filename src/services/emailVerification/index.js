@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const DnsResolver = require('./resolvers/dnsResolver');
+const StubResolver = require('./resolvers/stubResolver');
+const { toDomain } = require('../../utils/contacts');
+const {
+    isValidSyntax,
+    splitAddress,
+    pickEmailDomain,
+    inferPattern,
+    candidateAddresses
+} = require('../../utils/emailPatterns');
+
+const resolverClasses = {
+    dns: DnsResolver,
+    stub: StubResolver
+};
+
+const MAX_CANDIDATES = parseInt(process.env.EMAIL_MAX_CANDIDATES) || 3;
+
+let override = null;
+let instance = null;
+
+/**
+ * Resolver used for MX lookups and mailbox checks. Tests default to the
+ * offline stub.
+ * @returns {Object} Resolver with resolveMx() and checkMailboxes()
+ */
+const getResolver = () => {
+    if (override) return override;
+
+    const name = (process.env.EMAIL_RESOLVER || (process.env.NODE_ENV === 'test' ? 'stub' : 'dns')).toLowerCase();
+    if (!instance || instance.name !== name) {
+        const ResolverClass = resolverClasses[name];
+        if (!ResolverClass) {
+            throw new Error(`Unknown email resolver "${name}". Expected one of: ${Object.keys(resolverClasses).join(', ')}`);
+        }
+        instance = new ResolverClass();
+    }
+
+    return instance;
+};
+
+/**
+ * Replace the resolver, e.g. with a StubResolver in a test. Pass null to restore the default.
+ * @param {Object|null} resolver - Resolver instance
+ */
+const setResolver = (resolver) => {
+    override = resolver;
+};
+
+/**
+ * Check a batch of addresses: syntax, then MX records per domain, then the
+ * mailbox itself. Each domain is also asked about a random address so
+ * servers that accept everything are reported as accept_all, not deliverable.
+ * @param {string[]} addresses - Addresses to check
+ * @returns {Promise<Array>} [{ email, status, reason, mxHost }]
+ */
+const verifyAddresses = async (addresses) => {
+    const resolver = getResolver();
+    const results = {};
+    const byDomain = {};
+
+    const unique = [...new Set(addresses.map(address => String(address).trim().toLowerCase()))];
+
+    for (const email of unique) {
+        if (!isValidSyntax(email)) {
+            results[email] = { email, status: 'invalid', reason: 'Not a valid email address' };
+            continue;
+        }
+        const { domain } = splitAddress(email);
+        (byDomain[domain] = byDomain[domain] || []).push(email);
+    }
+
+    for (const [domain, emails] of Object.entries(byDomain)) {
+        let mxHosts;
+        try {
+            mxHosts = await resolver.resolveMx(domain);
+        } catch (error) {
+            emails.forEach(email => { results[email] = { email, status: 'unknown', reason: `MX lookup failed: ${error.message}` }; });
+            continue;
+        }
+
+        if (mxHosts.length === 0) {
+            emails.forEach(email => { results[email] = { email, status: 'no_mx', reason: `${domain} has no mail server` }; });
+            continue;
+        }
+
+        const mxHost = mxHosts[0];
+        const probe = `ciq-${crypto.randomBytes(6).toString('hex')}@${domain}`;
+        let answers;
+        try {
+            answers = await resolver.checkMailboxes(mxHost, [...emails, probe]);
+        } catch (error) {
+            answers = {};
+            console.warn(`⚠️ Mailbox check against ${mxHost} failed:`, error.message);
+        }
+        const acceptsAll = answers[probe] === true;
+
+        for (const email of emails) {
+            const answer = answers[email];
+            if (answer === true) {
+                results[email] = acceptsAll
+                    ? { email, status: 'accept_all', reason: `${domain} accepts every address`, mxHost }
+                    : { email, status: 'deliverable', reason: 'Mailbox exists', mxHost };
+            } else if (answer === false) {
+                results[email] = { email, status: 'undeliverable', reason: 'Mail server rejected the mailbox', mxHost };
+            } else {
+                results[email] = { email, status: 'unknown', reason: 'Mail server found; mailbox could not be checked', mxHost };
+            }
+        }
+    }
+
+    return unique.map(email => results[email]);
+};
+
+/**
+ * @param {string} email - Address to check
+ * @returns {Promise<Object>} { email, status, reason, mxHost }
+ */
+const verifyEmail = async (email) => (await verifyAddresses([email]))[0];
+
+const COMPANY_EMAIL_FIELDS = ['generalEmail', 'salesEmail', 'supportEmail', 'mediaEmail'];
+
+/**
+ * Infer a research record's email pattern, pick the most likely address for
+ * every decision maker and check company and contact addresses. Contacts a
+ * user edited keep their address; only its status is updated.
+ * @param {Object} research - Research document (saved by the caller)
+ * @returns {Promise<Object>} research.emailIntel
+ */
+const verifyResearchEmails = async (research) => {
+    const contactInfo = research.results.contactInfo || {};
+    const companyAddresses = [...new Set([
+        ...(contactInfo.emails || []),
+        ...COMPANY_EMAIL_FIELDS.map(field => contactInfo[field]).filter(Boolean)
+    ].map(email => email.trim().toLowerCase()))];
+    const contacts = research.results.decisionMakers || [];
+
+    // Addresses whose owner we know: user-entered or already shown to exist
+    const knownContacts = contacts
+        .filter(contact => contact.emailGuess && (contact.source === 'user' || contact.emailStatus === 'deliverable'))
+        .map(contact => ({ email: contact.emailGuess, name: contact.name }));
+
+    const domain = pickEmailDomain(
+        [...companyAddresses, ...knownContacts.map(known => known.email)],
+        toDomain(research.companyWebsite || contactInfo.website)
+    );
+    const { pattern, confidence, evidence } = inferPattern(domain, [
+        ...knownContacts,
+        ...companyAddresses.map(email => ({ email }))
+    ]);
+
+    const candidatesByContact = new Map(contacts.map(contact => [
+        contact,
+        contact.source === 'user' && contact.emailGuess
+            ? [contact.emailGuess]
+            : candidateAddresses(contact.name, domain, pattern, MAX_CANDIDATES)
+    ]));
+
+    const checked = await verifyAddresses([...companyAddresses, ...[...candidatesByContact.values()].flat()]);
+    const statusOf = Object.fromEntries(checked.map(result => [result.email, result]));
+    const now = new Date();
+
+    for (const [contact, candidates] of candidatesByContact) {
+        if (candidates.length === 0) continue;
+
+        const results = candidates.map(email => statusOf[email.toLowerCase()]);
+        // First mailbox that exists, else the pattern's own candidate
+        const best = results.find(result => result.status === 'deliverable') || results[0];
+
+        contact.emailGuess = best.email;
+        contact.emailStatus = best.status;
+        contact.emailCheckedAt = now;
+    }
+
+    research.emailIntel = {
+        domain,
+        pattern,
+        patternConfidence: confidence,
+        evidence,
+        hasMx: checked.some(result => result.mxHost && result.email.endsWith(`@${domain}`)),
+        addresses: companyAddresses.map(email => {
+            const { status, reason } = statusOf[email];
+            return { email, status, reason };
+        }),
+        checkedAt: now
+    };
+
+    return research.emailIntel;
+};
+
+module.exports = {
+    getResolver,
+    setResolver,
+    verifyAddresses,
+    verifyEmail,
+    verifyResearchEmails,
+    DnsResolver,
+    StubResolver
+};
@@ -0,0 +1,116 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { assertPublicHost } = require('../../../utils/network');
+
+const NO_RECORD_CODES = new Set(['ENOTFOUND', 'ENODATA', 'NXDOMAIN']);
+
+/**
+ * Minimal SMTP dialogue: EHLO, MAIL FROM, one RCPT TO per address, QUIT.
+ * Nothing is ever sent - the session ends before DATA.
+ * @returns {Promise<Object>} { [address]: true (accepted) | false (rejected) | null (inconclusive) }
+ */
+const probeMailboxes = (host, addresses, { port, timeoutMs, heloHost, fromAddress }) => new Promise((resolve) => {
+    const results = Object.fromEntries(addresses.map(address => [address, null]));
+    const commands = [
+        `EHLO ${heloHost}`,
+        `MAIL FROM:<${fromAddress}>`,
+        ...addresses.map(address => `RCPT TO:<${address}>`)
+    ];
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let step = -1;
+    let done = false;
+
+    const finish = () => {
+        if (done) return;
+        done = true;
+        if (!socket.destroyed) {
+            socket.end('QUIT\r\n');
+            socket.destroy();
+        }
+        resolve(results);
+    };
+
+    socket.setTimeout(timeoutMs, finish);
+    socket.on('error', finish);
+    socket.on('close', finish);
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\r\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            // Multi-line replies use "250-" for every line but the last
+            if (!/^\d{3} /.test(line) && !/^\d{3}$/.test(line)) continue;
+            const code = parseInt(line.slice(0, 3));
+
+            if (step >= 2) {
+                const address = addresses[step - 2];
+                results[address] = code === 250 || code === 251 ? true : code >= 500 ? false : null;
+            } else if (code >= 400) {
+                // Greeting, EHLO or MAIL FROM refused: the server will not tell us anything
+                return finish();
+            }
+
+            step++;
+            if (step >= commands.length) return finish();
+            socket.write(`${commands[step]}\r\n`);
+        }
+    });
+});
+
+/**
+ * Real DNS lookups, plus an optional SMTP RCPT probe against the domain's
+ * mail server (EMAIL_SMTP_CHECK=true). Many networks block outbound port 25,
+ * so the probe is off by default and mailboxes are then reported as unknown.
+ */
+class DnsResolver {
+    constructor(options = {}) {
+        this.name = 'dns';
+        this.smtpCheck = options.smtpCheck !== undefined ? options.smtpCheck : process.env.EMAIL_SMTP_CHECK === 'true';
+        this.port = options.port || 25;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.EMAIL_SMTP_TIMEOUT_MS) || 8000;
+        this.heloHost = options.heloHost || process.env.EMAIL_SMTP_HELO_HOST || 'clientiq.app';
+        this.fromAddress = options.fromAddress || process.env.EMAIL_SMTP_FROM || `verify@${this.heloHost}`;
+    }
+
+    /**
+     * @param {string} domain - Email domain
+     * @returns {Promise<string[]>} Mail server hosts by preference, empty when the domain takes no mail
+     */
+    async resolveMx(domain) {
+        try {
+            const records = await dns.resolveMx(domain);
+            return records
+                .filter(record => record.exchange && record.exchange !== '.')
+                .sort((a, b) => a.priority - b.priority)
+                .map(record => record.exchange);
+        } catch (error) {
+            if (NO_RECORD_CODES.has(error.code)) return [];
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} mxHost - Mail server to ask
+     * @param {string[]} addresses - Addresses at that server's domain
+     * @returns {Promise<Object>} { [address]: true | false | null }
+     */
+    async checkMailboxes(mxHost, addresses) {
+        if (!this.smtpCheck) {
+            return Object.fromEntries(addresses.map(address => [address, null]));
+        }
+
+        await assertPublicHost(mxHost, 'probe');
+
+        return probeMailboxes(mxHost, addresses, {
+            port: this.port,
+            timeoutMs: this.timeoutMs,
+            heloHost: this.heloHost,
+            fromAddress: this.fromAddress
+        });
+    }
+}
+
+module.exports = DnsResolver;
@@ -0,0 +1,38 @@
+/**
+ * Offline resolver for tests and local development.
+ *
+ * Configure domains as
+ *   { 'acme.io': { mx: ['mx.acme.io'], mailboxes: ['jane.doe@acme.io'], acceptAll: false } }
+ * A domain with `mx: []` takes no mail. Without `mailboxes` every address is
+ * inconclusive. Unlisted domains get a mail server and inconclusive mailboxes.
+ */
+class StubResolver {
+    constructor(options = {}) {
+        this.name = 'stub';
+        this.domains = options.domains || {};
+        this.calls = [];
+    }
+
+    domainConfig(domain) {
+        return this.domains[domain] || { mx: [`mx.${domain}`] };
+    }
+
+    async resolveMx(domain) {
+        this.calls.push({ method: 'resolveMx', domain });
+        const { mx } = this.domainConfig(domain);
+        return mx || [`mx.${domain}`];
+    }
+
+    async checkMailboxes(mxHost, addresses) {
+        this.calls.push({ method: 'checkMailboxes', mxHost, addresses });
+
+        return Object.fromEntries(addresses.map(address => {
+            const config = this.domainConfig(address.split('@')[1]);
+            if (config.acceptAll) return [address, true];
+            if (!config.mailboxes) return [address, null];
+            return [address, config.mailboxes.includes(address)];
+        }));
+    }
+}
+
+module.exports = StubResolver;
@@ -0,0 +1,326 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const {
+    Document,
+    Packer,
+    Paragraph,
+    TextRun,
+    HeadingLevel,
+    Header,
+    Footer,
+    AlignmentType
+} = require('docx');
+const { safeCell } = require('../utils/spreadsheet');
+const { formatContact } = require('../utils/contacts');
+
+const BRAND = {
+    name: process.env.EXPORT_BRAND_NAME || 'ClientIQ',
+    color: process.env.EXPORT_BRAND_COLOR || '#1E3A8A'
+};
+
+const FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const DETAIL_FIELDS = [
+    ['industry', 'Industry'],
+    ['companySize', 'Company Size'],
+    ['employees', 'Employees'],
+    ['headquarters', 'Headquarters'],
+    ['founded', 'Founded'],
+    ['revenue', 'Revenue'],
+    ['businessModel', 'Business Model'],
+    ['offerings', 'Offerings'],
+    ['marketPosition', 'Market Position'],
+    ['recentNews', 'Recent News']
+];
+
+const formatDecisionMaker = (decisionMaker) => {
+    const label = formatContact(decisionMaker);
+    return decisionMaker.verificationStatus === 'confirmed' ? `${label} (confirmed)` : label;
+};
+
+/**
+ * Flatten a research record into the content of a one-pager
+ * @param {Object} research - Research document
+ * @returns {Object} One-pager content shared by every renderer
+ */
+const buildOnePager = (research) => {
+    const results = research.results || {};
+    const companyDetails = results.companyDetails || {};
+
+    return {
+        id: String(research._id),
+        companyName: research.companyName,
+        website: research.companyWebsite || (results.contactInfo && results.contactInfo.website) || '',
+        industry: research.industry || companyDetails.industry || '',
+        createdAt: research.createdAt ? new Date(research.createdAt) : new Date(),
+        overview: results.overview || '',
+        details: DETAIL_FIELDS
+            .filter(([field]) => companyDetails[field])
+            .map(([field, label]) => ({ label, value: companyDetails[field] })),
+        painPoints: results.painPoints || [],
+        pitch: results.pitch || '',
+        decisionMakers: (results.decisionMakers || [])
+            .filter(decisionMaker => decisionMaker.verificationStatus !== 'rejected')
+            .map(formatDecisionMaker)
+            .filter(Boolean),
+        technologies: results.technologies || [],
+        sources: (results.sources || [])
+            .filter(source => source.cited)
+            .map(source => `[${source.id}] ${source.title ? `${source.title} - ` : ''}${source.url}`)
+    };
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const renderMarkdown = (pages) => {
+    const render = (page) => {
+        const lines = [
+            `# ${page.companyName}`,
+            '',
+            [page.website, page.industry, `Researched ${formatDate(page.createdAt)}`].filter(Boolean).join(' · '),
+            '',
+            '## Overview',
+            '',
+            page.overview
+        ];
+
+        if (page.details.length > 0) {
+            lines.push('', '## Company Details', '', '| | |', '|---|---|');
+            for (const { label, value } of page.details) {
+                lines.push(`| ${label} | ${String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`);
+            }
+        }
+
+        const list = (heading, items) => {
+            if (items.length === 0) return;
+            lines.push('', `## ${heading}`, '', ...items.map(item => `- ${item}`));
+        };
+
+        list('Pain Points', page.painPoints);
+        lines.push('', '## Pitch', '', page.pitch);
+        list('Decision Makers', page.decisionMakers);
+        list('Technologies', page.technologies);
+        list('Sources', page.sources);
+
+        return lines.join('\n');
+    };
+
+    const body = pages.map(render).join('\n\n---\n\n');
+    return Buffer.from(`${body}\n\n_Generated by ${BRAND.name}_\n`, 'utf8');
+};
+
+const renderCsv = async (pages) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Research');
+
+    worksheet.columns = [
+        { header: 'Company Name', key: 'companyName' },
+        { header: 'Website', key: 'website' },
+        { header: 'Industry', key: 'industry' },
+        { header: 'Overview', key: 'overview' },
+        ...DETAIL_FIELDS.filter(([field]) => field !== 'industry').map(([field, label]) => ({ header: label, key: field })),
+        { header: 'Pain Points', key: 'painPoints' },
+        { header: 'Pitch', key: 'pitch' },
+        { header: 'Decision Makers', key: 'decisionMakers' },
+        { header: 'Technologies', key: 'technologies' },
+        { header: 'Research ID', key: 'id' },
+        { header: 'Researched At', key: 'createdAt' }
+    ];
+
+    for (const page of pages) {
+        const details = Object.fromEntries(page.details.map(({ label, value }) => [
+            DETAIL_FIELDS.find(([, detailLabel]) => detailLabel === label)[0],
+            value
+        ]));
+
+        const row = {
+            ...details,
+            companyName: page.companyName,
+            website: page.website,
+            industry: page.industry,
+            overview: page.overview,
+            painPoints: page.painPoints.join('; '),
+            pitch: page.pitch,
+            decisionMakers: page.decisionMakers.join('; '),
+            technologies: page.technologies.join('; '),
+            id: page.id,
+            createdAt: page.createdAt.toISOString()
+        };
+
+        worksheet.addRow(Object.fromEntries(
+            Object.entries(row).map(([key, value]) => [key, safeCell(String(value || ''))])
+        ));
+    }
+
+    return Buffer.from(await workbook.csv.writeBuffer());
+};
+
+const renderPdf = (pages) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false, bufferPages: true });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const heading = (text) => {
+        doc.moveDown(0.8)
+            .font('Helvetica-Bold').fontSize(12).fillColor(BRAND.color).text(text)
+            .moveDown(0.3)
+            .font('Helvetica').fontSize(10).fillColor('#111827');
+    };
+
+    const bullets = (title, items) => {
+        if (items.length === 0) return;
+        heading(title);
+        doc.list(items, { bulletRadius: 1.5, textIndent: 10 });
+    };
+
+    for (const page of pages) {
+        doc.addPage();
+
+        // Brand bar
+        doc.rect(0, 0, doc.page.width, 40).fill(BRAND.color);
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('#FFFFFF').text(BRAND.name, 50, 13);
+        doc.fillColor('#111827').text('', 50, 60);
+
+        doc.font('Helvetica-Bold').fontSize(20).text(page.companyName);
+        doc.font('Helvetica').fontSize(9).fillColor('#6B7280')
+            .text([page.website, page.industry, `Researched ${formatDate(page.createdAt)}`].filter(Boolean).join('  |  '));
+        doc.fillColor('#111827');
+
+        heading('Overview');
+        doc.text(page.overview);
+
+        if (page.details.length > 0) {
+            heading('Company Details');
+            for (const { label, value } of page.details) {
+                doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+                    .font('Helvetica').text(String(value));
+            }
+        }
+
+        bullets('Pain Points', page.painPoints);
+
+        heading('Pitch');
+        doc.text(page.pitch);
+
+        bullets('Decision Makers', page.decisionMakers);
+        bullets('Technologies', page.technologies);
+
+        if (page.sources.length > 0) {
+            heading('Sources');
+            doc.fontSize(8).fillColor('#6B7280');
+            page.sources.forEach(source => doc.text(source));
+        }
+    }
+
+    // Footer on every page, including overflow pages
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.font('Helvetica').fontSize(8).fillColor('#9CA3AF')
+            .text(`Generated by ${BRAND.name}`, 50, doc.page.height - 35, { lineBreak: false });
+    }
+
+    doc.end();
+});
+
+const renderDocx = (pages) => {
+    const brandColor = BRAND.color.replace('#', '');
+    const paragraph = (text) => new Paragraph({ children: [new TextRun(String(text))], spacing: { after: 120 } });
+    const heading = (text) => new Paragraph({
+        heading: HeadingLevel.HEADING_2,
+        spacing: { before: 240, after: 120 },
+        children: [new TextRun({ text, color: brandColor, bold: true })]
+    });
+    const bullets = (title, items) => (items.length === 0 ? [] : [
+        heading(title),
+        ...items.map(item => new Paragraph({ text: String(item), bullet: { level: 0 } }))
+    ]);
+
+    const sections = pages.map(page => ({
+        headers: {
+            default: new Header({
+                children: [new Paragraph({
+                    alignment: AlignmentType.RIGHT,
+                    children: [new TextRun({ text: BRAND.name, bold: true, color: brandColor })]
+                })]
+            })
+        },
+        footers: {
+            default: new Footer({
+                children: [new Paragraph({
+                    children: [new TextRun({ text: `Generated by ${BRAND.name}`, size: 16, color: '9CA3AF' })]
+                })]
+            })
+        },
+        children: [
+            new Paragraph({ heading: HeadingLevel.TITLE, text: page.companyName }),
+            new Paragraph({
+                children: [new TextRun({
+                    text: [page.website, page.industry, `Researched ${formatDate(page.createdAt)}`].filter(Boolean).join('  |  '),
+                    color: '6B7280',
+                    size: 18
+                })]
+            }),
+            heading('Overview'),
+            paragraph(page.overview),
+            ...(page.details.length === 0 ? [] : [
+                heading('Company Details'),
+                ...page.details.map(({ label, value }) => new Paragraph({
+                    children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+                }))
+            ]),
+            ...bullets('Pain Points', page.painPoints),
+            heading('Pitch'),
+            paragraph(page.pitch),
+            ...bullets('Decision Makers', page.decisionMakers),
+            ...bullets('Technologies', page.technologies),
+            ...bullets('Sources', page.sources)
+        ]
+    }));
+
+    return Packer.toBuffer(new Document({
+        creator: BRAND.name,
+        title: pages.length === 1 ? `${pages[0].companyName} research` : 'Company research',
+        sections
+    }));
+};
+
+const RENDERERS = {
+    pdf: renderPdf,
+    docx: renderDocx,
+    md: renderMarkdown,
+    csv: renderCsv
+};
+
+/**
+ * Render one or more research records as a downloadable document. PDF and
+ * DOCX put each company on its own page, Markdown separates them with rules
+ * and CSV writes one row per company.
+ * @param {Array} records - Research documents
+ * @param {string} format - pdf | docx | md | csv
+ * @returns {Promise<Object>} { buffer, contentType, extension }
+ */
+const exportResearch = async (records, format) => {
+    const render = RENDERERS[format];
+    if (!render) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const buffer = await render(records.map(buildOnePager));
+
+    return { buffer, ...FORMATS[format] };
+};
+
+module.exports = {
+    EXPORT_FORMATS: Object.keys(FORMATS),
+    buildOnePager,
+    exportResearch
+};
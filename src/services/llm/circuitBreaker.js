@@ -0,0 +1,76 @@
+/**
+ * Circuit breaker for one provider model. After `threshold` consecutive
+ * failures it opens and requests fail fast for `resetMs`; then one trial
+ * request is let through (half-open), which closes it again on success.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.threshold - Consecutive failures that open the circuit
+     * @param {number} options.resetMs - How long the circuit stays open
+     */
+    constructor({ threshold, resetMs }) {
+        this.threshold = threshold;
+        this.resetMs = resetMs;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return Date.now() - this.openedAt >= this.resetMs ? 'half-open' : 'open';
+    }
+
+    /**
+     * Reserve a request
+     * @returns {boolean} Whether the request may go ahead
+     */
+    tryAcquire() {
+        const state = this.state;
+        if (state === 'closed') return true;
+        if (state === 'open' || this.trialInFlight) return false;
+
+        this.trialInFlight = true;
+        return true;
+    }
+
+    /**
+     * @returns {number} Milliseconds until a trial request is allowed (0 when closed)
+     */
+    retryAfterMs() {
+        return this.openedAt === null ? 0 : Math.max(0, this.openedAt + this.resetMs - Date.now());
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.trialInFlight || this.failures >= this.threshold) {
+            this.openedAt = Date.now();
+        }
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Release a reservation that ended without telling anything about the
+     * provider's health (e.g. a rejected request)
+     */
+    release() {
+        this.trialInFlight = false;
+    }
+
+    toJSON() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAfterMs: this.retryAfterMs()
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,206 @@
+const CircuitBreaker = require('./circuitBreaker');
+const { llmError, toLlmError } = require('./errors');
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const TIMEOUT_MS = envInt('LLM_TIMEOUT_MS', 90 * 1000);
+const MAX_RETRIES = envInt('LLM_MAX_RETRIES', 2);
+const RETRY_BASE_MS = envInt('LLM_RETRY_BASE_MS', 500);
+const RETRY_MAX_MS = envInt('LLM_RETRY_MAX_MS', 8 * 1000);
+// Longer Retry-After waits fail (or fall back) instead of holding the request
+const MAX_RETRY_AFTER_MS = envInt('LLM_MAX_RETRY_AFTER_MS', 20 * 1000);
+const BREAKER_THRESHOLD = envInt('LLM_BREAKER_THRESHOLD', 5);
+const BREAKER_RESET_MS = envInt('LLM_BREAKER_RESET_MS', 30 * 1000);
+
+// Failures that say the model is down, as opposed to a bad request
+const OUTAGE_CODES = ['LLM_UNAVAILABLE', 'LLM_TIMEOUT'];
+// Failures another model may not have
+const FALLBACK_CODES = [...OUTAGE_CODES, 'LLM_CIRCUIT_OPEN', 'LLM_RATE_LIMITED', 'LLM_MODEL_UNAVAILABLE'];
+
+// One breaker per provider model, shared by every client in the process
+const breakers = new Map();
+
+const getBreaker = (provider, model) => {
+    const key = `${provider}:${model}`;
+    if (!breakers.has(key)) {
+        breakers.set(key, new CircuitBreaker({ threshold: BREAKER_THRESHOLD, resetMs: BREAKER_RESET_MS }));
+    }
+    return breakers.get(key);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseModels = (value) => String(value || '').split(',').map(model => model.trim()).filter(Boolean);
+
+/**
+ * Wraps a provider (see ./providers) with what every call needs in
+ * production: a per-call timeout, retries with exponential backoff that
+ * honour Retry-After, a circuit breaker per model that fails fast during
+ * outages, and a chain of fallback chat models. Everything thrown carries a
+ * code from ./errors.
+ *
+ * A streamed call is never retried once part of the response was delivered.
+ */
+class LlmClient {
+    /**
+     * @param {Object} provider - Provider instance
+     * @param {Object} options
+     * @param {string[]} options.fallbackModels - Chat models tried in order when the primary fails
+     *   (defaults to LLM_FALLBACK_MODELS)
+     * @param {number} options.timeoutMs - Per-call timeout
+     * @param {number} options.maxRetries - Retries per model
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.fallbackModels = options.fallbackModels || parseModels(process.env.LLM_FALLBACK_MODELS);
+        this.timeoutMs = options.timeoutMs || TIMEOUT_MS;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES;
+    }
+
+    get name() {
+        return this.provider.name;
+    }
+
+    get label() {
+        return this.provider.label;
+    }
+
+    get model() {
+        return this.provider.model;
+    }
+
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+
+    assertConfigured() {
+        try {
+            this.provider.assertConfigured();
+        } catch (error) {
+            throw llmError('LLM_NOT_CONFIGURED', error.message, { provider: this.name });
+        }
+    }
+
+    /**
+     * @param {Object} request - See OpenAIProvider#chat, plus `timeoutMs` to override the default
+     * @returns {Promise<Object>} { content, model, usage: { totalTokens } }; model is the one that answered
+     */
+    async chat(request) {
+        this.assertConfigured();
+
+        const primary = request.model || this.provider.model;
+        const models = [primary, ...this.fallbackModels.filter(model => model !== primary)];
+
+        let delivered = false;
+        const onDelta = request.onDelta && (async (text) => {
+            delivered = true;
+            await request.onDelta(text);
+        });
+
+        for (let index = 0; ; index++) {
+            const model = models[index];
+            try {
+                const completion = await this.call(model, (signal) => this.provider.chat({ ...request, model, onDelta, signal }), {
+                    timeoutMs: request.timeoutMs,
+                    canRetry: () => !delivered
+                });
+                if (index > 0) {
+                    console.warn(`↪️ ${this.label} request served by fallback model ${model}`);
+                }
+                return completion;
+            } catch (error) {
+                if (delivered || !FALLBACK_CODES.includes(error.code) || index === models.length - 1) {
+                    throw error;
+                }
+                console.warn(`⚠️ ${this.label} ${model} failed (${error.code}); falling back to ${models[index + 1]}`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>} Embedding vector
+     */
+    async embed(text) {
+        this.assertConfigured();
+        return this.call(this.provider.embeddingModel, (signal) => this.provider.embed(text, { signal }));
+    }
+
+    /**
+     * One model's attempts at a request, behind that model's circuit breaker
+     * @param {string} model - Model name
+     * @param {Function} request - Called with an AbortSignal, returns the provider's promise
+     * @param {Object} options - { timeoutMs, canRetry }
+     */
+    async call(model, request, { timeoutMs = this.timeoutMs, canRetry = () => true } = {}) {
+        const target = { provider: this.name, model };
+        const breaker = getBreaker(this.name, model);
+
+        for (let attempt = 0; ; attempt++) {
+            if (!breaker.tryAcquire()) {
+                throw llmError('LLM_CIRCUIT_OPEN', `${this.label} ${model} is failing; circuit open`, {
+                    ...target,
+                    retryAfter: Math.ceil(breaker.retryAfterMs() / 1000)
+                });
+            }
+
+            let error;
+            try {
+                const result = await this.withTimeout(request, timeoutMs, target);
+                breaker.recordSuccess();
+                return result;
+            } catch (caught) {
+                error = toLlmError(caught, target);
+            }
+
+            if (OUTAGE_CODES.includes(error.code)) {
+                breaker.recordFailure();
+            } else {
+                breaker.release();
+            }
+
+            const delay = this.retryDelay(error, attempt);
+            if (!error.retryable || attempt >= this.maxRetries || delay === null || !canRetry()) {
+                throw error;
+            }
+
+            console.warn(`⚠️ ${this.label} ${model} ${error.code}; retry ${attempt + 1}/${this.maxRetries} in ${delay} ms`);
+            await sleep(delay);
+        }
+    }
+
+    withTimeout(request, timeoutMs, target) {
+        const controller = new AbortController();
+        let timer;
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(llmError('LLM_TIMEOUT', `${this.label} ${target.model} did not respond within ${timeoutMs} ms`, target));
+            }, timeoutMs);
+        });
+
+        return Promise.race([request(controller.signal), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * @param {Error} error - Structured error of the last attempt
+     * @param {number} attempt - Attempts made so far, minus one
+     * @returns {number|null} Milliseconds to wait, or null when Retry-After asks for too long
+     */
+    retryDelay(error, attempt) {
+        if (error.retryAfter !== undefined) {
+            const ms = error.retryAfter * 1000;
+            return ms > MAX_RETRY_AFTER_MS ? null : ms;
+        }
+
+        // Exponential backoff with jitter, so parallel requests spread out
+        const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+}
+
+module.exports = LlmClient;
@@ -0,0 +1,186 @@
+const { APIConnectionError, APIConnectionTimeoutError } = require('openai');
+
+/**
+ * Structured LLM errors. The client (see ./client) turns whatever a provider
+ * throws into an Error with one of these codes, so callers never have to
+ * inspect messages, and llmErrorResponse maps them to HTTP responses.
+ */
+
+const LLM_ERRORS = {
+    LLM_NOT_CONFIGURED: {
+        status: 503,
+        error: 'AI service unavailable',
+        message: 'The AI provider is not configured. Please contact support.'
+    },
+    LLM_AUTH_FAILED: {
+        status: 503,
+        error: 'AI service unavailable',
+        message: 'The AI provider rejected our credentials. Please contact support.'
+    },
+    LLM_QUOTA_EXHAUSTED: {
+        status: 503,
+        error: 'AI service unavailable',
+        message: 'The AI provider account has run out of credit. Please contact support.'
+    },
+    LLM_MODEL_UNAVAILABLE: {
+        status: 503,
+        error: 'AI service unavailable',
+        message: 'The configured AI model is not available.'
+    },
+    LLM_UNAVAILABLE: {
+        status: 503,
+        error: 'AI service unavailable',
+        message: 'The AI provider is temporarily unavailable. Please try again later.',
+        retryable: true
+    },
+    LLM_CIRCUIT_OPEN: {
+        status: 503,
+        error: 'AI service unavailable',
+        message: 'The AI provider is failing; requests are paused briefly. Please try again later.',
+        retryable: true
+    },
+    LLM_RATE_LIMITED: {
+        status: 429,
+        error: 'Rate limit exceeded',
+        message: 'AI provider rate limit exceeded. Please try again later.',
+        retryable: true
+    },
+    LLM_TIMEOUT: {
+        status: 504,
+        error: 'AI service timeout',
+        message: 'The AI provider took too long to respond. Please try again.',
+        retryable: true
+    },
+    LLM_REQUEST_REJECTED: {
+        status: 502,
+        error: 'AI request rejected',
+        message: 'The AI provider rejected the request.'
+    },
+    INVALID_MODEL_OUTPUT: {
+        status: 502,
+        error: 'Invalid AI response',
+        message: 'The AI provider returned a response in an unexpected format. Please try again.'
+    }
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'ECONNABORTED'];
+
+/**
+ * @param {string} code - Key of LLM_ERRORS
+ * @param {string} message - Log message
+ * @param {Object} details - { provider, model, status, retryAfter (seconds), cause }
+ * @returns {Error} Error with code, retryable and details
+ */
+const llmError = (code, message, details = {}) =>
+    Object.assign(new Error(message), { code, retryable: Boolean(LLM_ERRORS[code].retryable), ...details });
+
+/**
+ * @param {Error} error
+ * @returns {boolean} Whether the error carries one of the LLM_ERRORS codes
+ */
+const isLlmError = (error) => Boolean(error && LLM_ERRORS[error.code]);
+
+const readHeader = (headers, name) => {
+    if (!headers) return undefined;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+};
+
+/**
+ * Seconds to wait according to Retry-After (or OpenAI's retry-after-ms)
+ * @param {Object} headers - Response headers (Headers or plain object)
+ * @returns {number|undefined} Seconds
+ */
+const retryAfterSeconds = (headers) => {
+    const ms = parseFloat(readHeader(headers, 'retry-after-ms'));
+    if (Number.isFinite(ms)) return Math.ceil(ms / 1000);
+
+    const value = readHeader(headers, 'retry-after');
+    if (!value) return undefined;
+
+    const seconds = parseFloat(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, Math.ceil((date - Date.now()) / 1000)) : undefined;
+};
+
+/**
+ * Classify an error thrown by a provider (OpenAI SDK, axios or network)
+ * @param {Error} error - Provider error
+ * @param {Object} target - { provider, model } the request went to
+ * @returns {Error} Structured error, or the original when it is not a provider failure
+ */
+const toLlmError = (error, { provider, model }) => {
+    if (isLlmError(error)) return error;
+
+    const status = error.status || (error.response && error.response.status);
+    const headers = error.headers || (error.response && error.response.headers);
+    const details = { provider, model, status, cause: error };
+    const message = `${provider} ${model}: ${error.message}`;
+
+    if (status === 401 || status === 403) return llmError('LLM_AUTH_FAILED', message, details);
+    if (status === 404) return llmError('LLM_MODEL_UNAVAILABLE', message, details);
+    if (status === 429) {
+        return error.code === 'insufficient_quota'
+            ? llmError('LLM_QUOTA_EXHAUSTED', message, details)
+            : llmError('LLM_RATE_LIMITED', message, { ...details, retryAfter: retryAfterSeconds(headers) });
+    }
+    if (status === 400 || status === 413 || status === 422) return llmError('LLM_REQUEST_REJECTED', message, details);
+    if (status === 408 || status >= 500) {
+        return llmError('LLM_UNAVAILABLE', message, { ...details, retryAfter: retryAfterSeconds(headers) });
+    }
+
+    if (error instanceof APIConnectionTimeoutError) return llmError('LLM_TIMEOUT', message, details);
+    if (error instanceof APIConnectionError || NETWORK_ERROR_CODES.includes(error.code)) {
+        return llmError('LLM_UNAVAILABLE', message, details);
+    }
+
+    return error;
+};
+
+/**
+ * HTTP response for an error with an LLM_ERRORS code
+ * @param {Error} error
+ * @returns {Object|null} { status, body, retryAfter }; null for other errors
+ */
+const llmErrorResponse = (error) => {
+    if (!isLlmError(error)) return null;
+
+    const { status, error: title, message } = LLM_ERRORS[error.code];
+    return {
+        status,
+        body: {
+            error: title,
+            message,
+            code: error.code,
+            ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter })
+        },
+        retryAfter: error.retryAfter
+    };
+};
+
+/**
+ * Send the llmErrorResponse of an error, with Retry-After when known
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @returns {boolean} Whether a response was sent
+ */
+const sendLlmError = (res, error) => {
+    const response = llmErrorResponse(error);
+    if (!response) return false;
+
+    if (response.retryAfter !== undefined) {
+        res.set('Retry-After', String(response.retryAfter));
+    }
+    res.status(response.status).json(response.body);
+    return true;
+};
+
+module.exports = {
+    LLM_ERRORS,
+    llmError,
+    isLlmError,
+    toLlmError,
+    llmErrorResponse,
+    sendLlmError
+};
@@ -0,0 +1,122 @@
+const OpenAIProvider = require('./providers/openaiProvider');
+const AzureOpenAIProvider = require('./providers/azureOpenAIProvider');
+const AnthropicProvider = require('./providers/anthropicProvider');
+const LocalProvider = require('./providers/localProvider');
+const MockProvider = require('./providers/mockProvider');
+const LlmClient = require('./client');
+
+const providerClasses = {
+    openai: OpenAIProvider,
+    azure: AzureOpenAIProvider,
+    anthropic: AnthropicProvider,
+    local: LocalProvider,
+    mock: MockProvider
+};
+
+const instances = {};
+const overrides = {};
+const clients = new WeakMap();
+
+/**
+ * Provider used for chat completions. Tests default to the offline mock.
+ * @returns {string} Provider name
+ */
+const getChatProviderName = () =>
+    (process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'openai')).toLowerCase();
+
+/**
+ * Provider used for embeddings. Follows LLM_PROVIDER unless that provider
+ * cannot embed (Anthropic), in which case OpenAI is used.
+ * @returns {string} Provider name
+ */
+const getEmbeddingProviderName = () => {
+    if (process.env.EMBEDDING_PROVIDER) {
+        return process.env.EMBEDDING_PROVIDER.toLowerCase();
+    }
+    const chatProvider = getChatProviderName();
+    return chatProvider === 'anthropic' ? 'openai' : chatProvider;
+};
+
+/**
+ * @param {string} name - Provider name (openai, azure, anthropic, local, mock)
+ * @returns {Object} Provider instance (cached per name)
+ */
+const getProvider = (name = getChatProviderName()) => {
+    if (overrides[name]) {
+        return overrides[name];
+    }
+
+    if (!instances[name]) {
+        const ProviderClass = providerClasses[name];
+        if (!ProviderClass) {
+            throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerClasses).join(', ')}`);
+        }
+        instances[name] = new ProviderClass();
+    }
+
+    return instances[name];
+};
+
+const getChatProvider = () => getProvider(getChatProviderName());
+
+const getEmbeddingProvider = () => getProvider(getEmbeddingProviderName());
+
+/**
+ * @param {Object} provider - Provider instance
+ * @returns {LlmClient} Resilient client for the provider (one per instance)
+ */
+const clientFor = (provider) => {
+    if (!clients.has(provider)) {
+        clients.set(provider, new LlmClient(provider));
+    }
+    return clients.get(provider);
+};
+
+/**
+ * Chat provider wrapped with timeouts, retries, a circuit breaker and
+ * fallback models. Application code calls this rather than the provider.
+ */
+const getChatClient = () => clientFor(getChatProvider());
+
+const getEmbeddingClient = () => clientFor(getEmbeddingProvider());
+
+/**
+ * Replace a provider instance, e.g. with a MockProvider pointed at custom
+ * fixtures in a test. Pass null to restore the default.
+ * @param {string} name - Provider name
+ * @param {Object|null} provider - Provider instance
+ */
+const setProvider = (name, provider) => {
+    if (provider) {
+        overrides[name] = provider;
+    } else {
+        delete overrides[name];
+    }
+};
+
+/**
+ * @param {string} name - Provider name
+ * @param {Function} ProviderClass - Class implementing chat()/embed()
+ */
+const registerProvider = (name, ProviderClass) => {
+    providerClasses[name] = ProviderClass;
+    delete instances[name];
+};
+
+module.exports = {
+    getProvider,
+    getChatProvider,
+    getEmbeddingProvider,
+    getChatClient,
+    getEmbeddingClient,
+    getChatProviderName,
+    getEmbeddingProviderName,
+    setProvider,
+    registerProvider,
+    OpenAIProvider,
+    AzureOpenAIProvider,
+    AnthropicProvider,
+    LocalProvider,
+    MockProvider,
+    LlmClient
+};
@@ -0,0 +1,163 @@
+const axios = require('axios');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API. Anthropic has no embeddings endpoint, so pair this
+ * provider with EMBEDDING_PROVIDER=openai (or another embedding backend).
+ */
+class AnthropicProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - API key
+     * @param {string} options.model - Model name
+     * @param {string} options.baseURL - Optional Messages API URL
+     * @param {Object} options.http - Optional axios-compatible client
+     */
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.label = 'Anthropic';
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.ANTHROPIC_API_KEY;
+        this.model = options.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+        this.url = options.baseURL || process.env.ANTHROPIC_API_URL || ANTHROPIC_API_URL;
+        this.http = options.http || axios;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    assertConfigured() {
+        if (!this.isConfigured()) {
+            throw new Error(`${this.label} API key not configured`);
+        }
+    }
+
+    /**
+     * @param {Object} request - See OpenAIProvider#chat
+     * @returns {Promise<Object>} { content, model, usage: { totalTokens } }
+     */
+    async chat({ messages, maxTokens, temperature, json = false, onDelta = null, model = null, signal }) {
+        this.assertConfigured();
+
+        const system = messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const conversation = messages.filter(message => message.role !== 'system');
+
+        // Prefilling the assistant turn with "{" is the documented way to get
+        // a bare JSON object back from the Messages API.
+        if (json) {
+            conversation.push({ role: 'assistant', content: '{' });
+        }
+
+        const body = {
+            model: model || this.model,
+            system: system || undefined,
+            messages: conversation,
+            max_tokens: maxTokens || 1024,
+            temperature
+        };
+        const headers = {
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+            'content-type': 'application/json'
+        };
+
+        try {
+            if (onDelta) {
+                return await this.streamChat(body, headers, json, onDelta, signal);
+            }
+
+            const response = await this.http.post(this.url, body, { headers, signal });
+
+            const text = response.data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+
+            return {
+                content: json ? `{${text}` : text,
+                model: response.data.model || body.model,
+                usage: {
+                    totalTokens: (response.data.usage?.input_tokens || 0) + (response.data.usage?.output_tokens || 0)
+                }
+            };
+        } catch (error) {
+            if (error.response) {
+                // Status and headers let the client classify the failure and honour Retry-After
+                const { status, headers, data } = error.response;
+                const message = data?.error?.message || error.message;
+                throw Object.assign(new Error(`${this.label} request failed (${status}): ${message}`), { status, headers });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Messages API with `stream: true`: text arrives in content_block_delta
+     * events, token counts in message_start and message_delta.
+     */
+    async streamChat(body, headers, json, onDelta, signal) {
+        const response = await this.http.post(this.url, { ...body, stream: true }, {
+            headers,
+            signal,
+            responseType: 'stream'
+        });
+
+        let content = json ? '{' : '';
+        let model = body.model;
+        let inputTokens = 0;
+        let outputTokens = 0;
+        let pending = '';
+
+        if (json) {
+            await onDelta('{');
+        }
+
+        for await (const chunk of response.data) {
+            pending += chunk.toString('utf8');
+            const events = pending.split('\n\n');
+            pending = events.pop();
+
+            for (const event of events) {
+                const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+                if (!dataLine) continue;
+                const data = JSON.parse(dataLine.slice(5));
+
+                if (data.type === 'message_start') {
+                    model = data.message.model || model;
+                    inputTokens = data.message.usage?.input_tokens || 0;
+                } else if (data.type === 'content_block_delta' && data.delta.type === 'text_delta') {
+                    content += data.delta.text;
+                    await onDelta(data.delta.text);
+                } else if (data.type === 'message_delta') {
+                    outputTokens = data.usage?.output_tokens || outputTokens;
+                } else if (data.type === 'error') {
+                    // overloaded_error is Anthropic's 529
+                    throw Object.assign(
+                        new Error(`${this.label} request failed: ${data.error?.message || 'stream error'}`),
+                        { status: data.error?.type === 'overloaded_error' ? 529 : 500 }
+                    );
+                }
+            }
+        }
+
+        return {
+            content,
+            model,
+            usage: {
+                totalTokens: inputTokens + outputTokens
+            }
+        };
+    }
+
+    async embed() {
+        throw new Error(`${this.label} does not provide embeddings - set EMBEDDING_PROVIDER to another provider`);
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,45 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Azure OpenAI deployments. Chat and embedding "models" are deployment names.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        const apiKey = options.apiKey !== undefined ? options.apiKey : process.env.AZURE_OPENAI_API_KEY;
+        const endpoint = options.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+        const model = options.model || process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o';
+
+        super({
+            apiKey,
+            model,
+            embeddingModel: options.embeddingModel || process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-ada-002',
+            client: options.client || new AzureOpenAI({
+                apiKey: apiKey || 'missing-api-key',
+                endpoint: endpoint || 'https://missing-endpoint.openai.azure.com',
+                apiVersion: options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+                deployment: model,
+                maxRetries: 0
+            })
+        });
+
+        this.name = 'azure';
+        this.label = 'Azure OpenAI';
+        this.endpoint = endpoint;
+    }
+
+    isConfigured() {
+        return !!(this.apiKey && this.endpoint);
+    }
+
+    assertConfigured() {
+        if (!this.apiKey) {
+            throw new Error(`${this.label} API key not configured`);
+        }
+        if (!this.endpoint) {
+            throw new Error(`${this.label} endpoint not configured`);
+        }
+    }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,22 @@
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Any server exposing the OpenAI chat/embeddings API (Ollama, vLLM, LM Studio,
+ * llama.cpp). No API key is required.
+ */
+class LocalProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        super({
+            apiKey: options.apiKey || process.env.LOCAL_LLM_API_KEY || 'local',
+            baseURL: options.baseURL || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+            model: options.model || process.env.LOCAL_LLM_MODEL || 'llama3.1',
+            embeddingModel: options.embeddingModel || process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+            client: options.client
+        });
+
+        this.name = 'local';
+        this.label = 'Local LLM';
+    }
+}
+
+module.exports = LocalProvider;
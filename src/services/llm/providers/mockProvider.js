@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const EMBEDDING_DIMENSIONS = 256;
+const STREAM_CHUNK_LENGTH = 64;
+
+/**
+ * Deterministic, offline provider backed by JSON fixtures.
+ *
+ * Each task (e.g. "company-research") maps to `<fixturesDir>/<task>.json`,
+ * which holds a `default` response and optional per-company overrides under
+ * `companies` (keyed by lower-cased company name). String values may use
+ * `{{placeholders}}` that are filled from the request context.
+ */
+class MockProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.fixturesDir - Directory holding <task>.json fixtures
+     * @param {string} options.model - Model name reported in responses
+     */
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.label = 'Mock LLM';
+        this.model = options.model || 'mock-llm';
+        this.embeddingModel = 'mock-embedding';
+        this.fixturesDir = options.fixturesDir || process.env.MOCK_LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+        this.calls = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    assertConfigured() { }
+
+    loadFixture(task) {
+        const file = path.join(this.fixturesDir, `${task}.json`);
+
+        if (!fs.existsSync(file)) {
+            throw new Error(`${this.label} has no fixture for task "${task}" (${file})`);
+        }
+
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    render(value, context) {
+        if (typeof value === 'string') {
+            return value.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+                context[key] !== undefined && context[key] !== null ? String(context[key]) : match
+            );
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.render(item, context));
+        }
+        if (value && typeof value === 'object') {
+            const rendered = {};
+            for (const key in value) {
+                rendered[key] = this.render(value[key], context);
+            }
+            return rendered;
+        }
+        return value;
+    }
+
+    /**
+     * @param {Object} request - See OpenAIProvider#chat; `task` selects the fixture
+     * @returns {Promise<Object>} { content, model, usage: { totalTokens } }
+     */
+    async chat({ task, context = {}, messages = [], json = false, onDelta = null, model = null }) {
+        if (!task) {
+            throw new Error(`${this.label} requires a task name to pick a fixture`);
+        }
+
+        this.calls.push({ task, context, messages, model });
+
+        const fixture = this.loadFixture(task);
+        const key = (context.companyName || '').toLowerCase().trim();
+        const response = (fixture.companies && fixture.companies[key]) || fixture.default;
+
+        const companySlug = (context.companyName || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+        const rendered = this.render(response, { ...context, companySlug });
+        const content = json || typeof rendered !== 'string' ? JSON.stringify(rendered) : rendered;
+
+        const promptLength = messages.reduce((sum, message) => sum + (message.content || '').length, 0);
+
+        // Streamed in fixed-size fragments, like a real model would
+        if (onDelta) {
+            for (let index = 0; index < content.length; index += STREAM_CHUNK_LENGTH) {
+                await onDelta(content.slice(index, index + STREAM_CHUNK_LENGTH));
+            }
+        }
+
+        return {
+            content,
+            model: model || this.model,
+            usage: {
+                totalTokens: Math.ceil((promptLength + content.length) / 4)
+            }
+        };
+    }
+
+    /**
+     * Hashed bag-of-words embedding: texts sharing words get similar vectors,
+     * so similarity search behaves sensibly without a real model.
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>} Unit-length vector
+     */
+    async embed(text) {
+        const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+        const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+        for (const word of words) {
+            const hash = crypto.createHash('md5').update(word).digest();
+            const index = hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+            vector[index] += hash[4] & 1 ? 1 : -1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm === 0 ? vector : vector.map(value => value / norm);
+    }
+
+    reset() {
+        this.calls = [];
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,124 @@
+const OpenAI = require('openai');
+
+/**
+ * Chat/embedding provider for the OpenAI API. Also used as the base class for
+ * every OpenAI-compatible backend (Azure OpenAI, local servers).
+ */
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - API key
+     * @param {string} options.baseURL - Optional API base URL
+     * @param {string} options.model - Chat model name
+     * @param {string} options.embeddingModel - Embedding model name
+     * @param {Object} options.client - Optional preconstructed OpenAI client
+     */
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.label = 'OpenAI';
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o';
+        this.embeddingModel = options.embeddingModel || process.env.EMBEDDING_MODEL || 'text-embedding-ada-002';
+        // Retries and timeouts are handled by the client wrapper (see ../client)
+        this.client = options.client || new OpenAI({
+            apiKey: this.apiKey || 'missing-api-key',
+            baseURL: options.baseURL,
+            maxRetries: 0
+        });
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    assertConfigured() {
+        if (!this.isConfigured()) {
+            throw new Error(`${this.label} API key not configured`);
+        }
+    }
+
+    /**
+     * @param {Object} request
+     * @param {Array} request.messages - Chat messages ({ role, content })
+     * @param {number} request.maxTokens - Completion token limit
+     * @param {number} request.temperature - Sampling temperature
+     * @param {boolean} request.json - Ask for a JSON object response
+     * @param {Function} request.onDelta - Streams the response, calling this with each text fragment
+     * @param {string} request.model - Model to use instead of the configured one
+     * @param {AbortSignal} request.signal - Aborts the request
+     * @returns {Promise<Object>} { content, model, usage: { totalTokens } }
+     */
+    async chat({ messages, maxTokens, temperature, json = false, onDelta = null, model = null, signal }) {
+        this.assertConfigured();
+
+        const request = {
+            model: model || this.model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(json && { response_format: { type: 'json_object' } })
+        };
+
+        if (onDelta) {
+            return this.streamChat(request, onDelta, signal);
+        }
+
+        const completion = await this.client.chat.completions.create(request, { signal });
+
+        return {
+            content: completion.choices[0].message.content,
+            model: completion.model || request.model,
+            usage: {
+                totalTokens: completion.usage?.total_tokens || 0
+            }
+        };
+    }
+
+    async streamChat(request, onDelta, signal) {
+        const stream = await this.client.chat.completions.create({
+            ...request,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { signal });
+
+        let content = '';
+        let model = request.model;
+        let totalTokens = 0;
+
+        for await (const chunk of stream) {
+            model = chunk.model || model;
+            if (chunk.usage) {
+                totalTokens = chunk.usage.total_tokens || 0;
+            }
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                await onDelta(delta);
+            }
+        }
+
+        return {
+            content,
+            model,
+            usage: { totalTokens }
+        };
+    }
+
+    /**
+     * @param {string} text - Text to embed
+     * @param {Object} options - { signal }
+     * @returns {Promise<number[]>} Embedding vector
+     */
+    async embed(text, { signal } = {}) {
+        this.assertConfigured();
+
+        const response = await this.client.embeddings.create({
+            model: this.embeddingModel,
+            input: text
+        }, { signal });
+
+        return response.data[0].embedding;
+    }
+}
+
+module.exports = OpenAIProvider;
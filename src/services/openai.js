@@ -1,9 +1,209 @@
-const OpenAI = require('openai');
+const { getChatClient } = require('./llm');
+const { isLlmError } = require('./llm/errors');
+const { groundCompanyWebsite } = require('./websiteGrounding');
+const { buildProvenance } = require('./provenance');
+const { normalizeDecisionMakers, toDomain } = require('../utils/contacts');
+const { pickEmailDomain, inferPattern } = require('../utils/emailPatterns');
+const { STEP_TYPES, LENGTHS, hasSubject } = require('../utils/sequences');
+const { TEMPLATE_KINDS, BUILT_IN_ANGLES, researchKind } = require('../config/promptTemplates');
+const { buildPrompt } = require('../utils/promptTemplates');
+const { buildSellerPrompt } = require('../utils/sellerProfile');
+const { createObjectStreamParser } = require('../utils/jsonStream');
+const { checkModelOutput, cleanToSchema, findUnknownFields } = require('../utils/researchOutput');
+const { ESSENTIAL_FIELDS, researchSchema, personalizedSchema } = require('../config/researchSchema');
+const researchCache = require('./researchCache');
+
+// Corrected responses requested when research fails schema validation
+const MAX_REPAIR_ATTEMPTS = 1;
+const MAX_STORED_SCHEMA_ERRORS = 20;
+
+const CONFIDENCE_INSTRUCTIONS = `
+
+CONFIDENCE REPORTING:
+- Add a "fieldConfidence" object with one entry per key above (companyOverview, painPoints, customSalesPitch, decisionMakers, technologies, contactInfo, companyDetails, additionalInsights), each a number from 0 to 1 for how confident you are that the information is factually accurate for this specific company
+- Use 0.3 or lower for anything inferred from the industry or generated rather than known about this company
+- Add a "fieldSources" object mapping each key to the website source labels it relies on (an empty array when there are none)`;
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
+/**
+ * @param {Object[]} errors - [{ path, message }] from schema validation
+ * @param {number} [limit] - Errors to include
+ * @returns {string} "path message; path message"
+ */
+const formatSchemaErrors = (errors, limit = errors.length) => {
+    const shown = errors.slice(0, limit).map(error => `${error.path} ${error.message}`).join('; ');
+    return errors.length > limit ? `${shown}; and ${errors.length - limit} more` : shown;
+};
+
+/**
+ * Follow-up message asking the model to fix a response that failed validation
+ * @param {Object[]} errors - Schema errors of the previous response
+ * @returns {string} Prompt text
+ */
+const buildRepairPrompt = (errors) => `Your previous response does not match the required JSON format:
+${errors.slice(0, MAX_STORED_SCHEMA_ERRORS).map(error => `- ${error.path} ${error.message}`).join('\n')}
+
+Return the complete corrected JSON object with the same keys. Keep the content that was valid. Use null for facts you do not know and an empty array for lists you cannot fill; do not invent names, phone numbers, emails or addresses to fill gaps.`;
+
+/**
+ * Prompt section with the cached research that pain points and a pitch are written from
+ * @param {Object} content - Cached model response keys
+ * @returns {string} Prompt text
+ */
+const buildKnownResearchPrompt = (content) => {
+    const { companyOverview, companyDetails, technologies, additionalInsights } = content;
+
+    return `
+
+KNOWN RESEARCH:
+${JSON.stringify({ companyOverview, companyDetails, technologies, additionalInsights }, null, 2)}`;
+};
+
+/**
+ * onDelta handler that parses a streamed JSON response and reports each
+ * completed top-level key
+ * @param {Function|null} onSection - Called with (key, value)
+ * @returns {Function|null} onDelta for llm.chat
+ */
+const streamSections = (onSection) => {
+    if (!onSection) return null;
+
+    const sections = [];
+    const parser = createObjectStreamParser((key, value) => sections.push([key, value]));
+    return async (text) => {
+        parser.write(text);
+        while (sections.length > 0) {
+            const [key, value] = sections.shift();
+            await onSection(key, key === 'decisionMakers' ? normalizeDecisionMakers(value) : value);
+        }
+    };
+};
+
+/**
+ * Chat request whose JSON response is validated against a schema. Violations
+ * are sent back to the model for a corrected object, up to MAX_REPAIR_ATTEMPTS times.
+ * @param {Object} llm - Chat provider
+ * @param {Object} request - llm.chat request without messages
+ * @param {Object[]} messages - Conversation
+ * @param {Object} schema - JSON schema of the response
+ * @param {Object} options
+ * @param {string} options.companyName - For log messages
+ * @param {Function} options.onStage - Progress callback
+ * @param {Function} options.onDelta - Streams the first response
+ * @returns {Promise<Object>} { completion, checked, firstErrors, attempts, tokens }
+ */
+const chatWithSchema = async (llm, request, messages, schema, { companyName, onStage, onDelta = null }) => {
+    let completion = await llm.chat({ ...request, messages, onDelta });
+    let tokens = completion.usage.totalTokens;
+    let checked = checkModelOutput(completion.content, schema);
+    const firstErrors = checked.errors;
+    let attempts = 1;
+
+    while (checked.errors.length > 0 && attempts <= MAX_REPAIR_ATTEMPTS) {
+        console.warn(`⚠️ Research for ${companyName} failed schema validation (attempt ${attempts}): ${formatSchemaErrors(checked.errors, 5)}`);
+        await onStage('researching', `Repairing the ${llm.label} response`);
+
+        completion = await llm.chat({
+            ...request,
+            context: { ...request.context, repair: true },
+            messages: [
+                ...messages,
+                { role: 'assistant', content: completion.content },
+                { role: 'user', content: buildRepairPrompt(checked.errors) }
+            ],
+            temperature: 0.2
+        });
+        tokens += completion.usage.totalTokens;
+        checked = checkModelOutput(completion.content, schema);
+        attempts++;
+    }
+
+    return { completion, checked, firstErrors, attempts, tokens };
+};
+
+/**
+ * Cleaned response of chatWithSchema; fails when an essential field is still missing
+ * @param {Object} llm - Chat provider
+ * @param {Object} run - Output of chatWithSchema
+ * @param {Object} schema - JSON schema of the response
+ * @param {string[]} essentialFields - Keys the research cannot be saved without
+ * @returns {Object} Response data
+ */
+const requireValidOutput = (llm, run, schema, essentialFields) => {
+    const data = run.checked.data && cleanToSchema(run.checked.data, schema);
+    const missing = essentialFields.filter(field => !data || data[field] === null || data[field] === undefined);
+
+    if (missing.length > 0) {
+        throw Object.assign(
+            new Error(`${llm.label} returned research that does not match the expected format after ${run.attempts} attempt(s): ${formatSchemaErrors(run.checked.errors, 5)}`),
+            { code: 'INVALID_MODEL_OUTPUT', errors: run.checked.errors }
+        );
+    }
+
+    return data;
+};
+
+/**
+ * @param {Object} run - Output of chatWithSchema
+ * @param {string[]} unknownFields - Fields the model did not know
+ * @returns {Object} Research `schemaValidation`
+ */
+const toSchemaValidation = (run, unknownFields) => ({
+    valid: run.firstErrors.length === 0,
+    repaired: run.firstErrors.length > 0 && run.checked.errors.length === 0,
+    attempts: run.attempts,
+    errors: run.checked.errors.slice(0, MAX_STORED_SCHEMA_ERRORS),
+    unknownFields,
+    validatedAt: new Date()
 });
 
+/**
+ * Prompt section listing fetched website pages as citable sources
+ * @param {Object} grounding - Output of groundCompanyWebsite
+ * @returns {string} Prompt text (empty when nothing was fetched)
+ */
+const buildGroundingPrompt = (grounding) => {
+    if (!grounding || grounding.sources.length === 0) {
+        return '';
+    }
+
+    const sources = grounding.sources
+        .map(source => `[${source.id}] ${source.kind} - ${source.url}${source.title ? ` (${source.title})` : ''}\n${source.text}`)
+        .join('\n\n');
+
+    return `
+
+WEBSITE CONTENT - fetched from the company's own website. Treat it as the most reliable information available:
+
+${sources}
+
+CITATION RULES:
+- Prefer facts from the sources above over your general knowledge, and never contradict them
+- Cite the source label inline after facts taken from it, e.g. "The company sells payroll software [S1]"
+- Use contact details exactly as they appear in the sources
+- Add a "sources" key: an array of the source labels you cited (e.g. ["S1", "S3"])`;
+};
+
+/**
+ * Overlay contact details found on the website onto the model's contact info.
+ * Emails and phones found on the site replace the model's (which are guesses).
+ * @param {Object} contactInfo - Contact info returned by the model
+ * @param {Object} websiteContacts - Contact info extracted from fetched pages
+ * @returns {Object} Merged contact info
+ */
+const mergeWebsiteContacts = (contactInfo = {}, websiteContacts) => {
+    return {
+        ...contactInfo,
+        website: websiteContacts.website || contactInfo.website,
+        emails: websiteContacts.emails.length > 0 ? websiteContacts.emails : contactInfo.emails,
+        phones: websiteContacts.phones.length > 0 ? websiteContacts.phones : contactInfo.phones,
+        linkedin: websiteContacts.linkedin || contactInfo.linkedin,
+        twitter: websiteContacts.twitter || contactInfo.twitter,
+        facebook: websiteContacts.facebook || contactInfo.facebook,
+        instagram: websiteContacts.instagram || contactInfo.instagram,
+        youtube: websiteContacts.youtube || contactInfo.youtube
+    };
+};
+
 /**
  * Validate if a company name represents a real, existing company
  * @param {string} companyName - Name of the company to validate
@@ -11,9 +211,8 @@ const openai = new OpenAI({
  */
 const validateCompanyExists = async (companyName) => {
     try {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OpenAI API key not configured');
-        }
+        const llm = getChatClient();
+        llm.assertConfigured();
 
         console.log(`🔍 Validating company existence: ${companyName}`);
 
@@ -73,8 +272,9 @@ Respond with a JSON object containing:
 
 Be EXTREMELY INCLUSIVE in validation - when in doubt, mark as VALID if it could reasonably be a real business name from anywhere in the world.`;
 
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o",
+        const completion = await llm.chat({
+            task: 'company-validation',
+            context: { companyName },
             messages: [
                 {
                     role: "system",
@@ -85,23 +285,26 @@ Be EXTREMELY INCLUSIVE in validation - when in doubt, mark as VALID if it could
                     content: validationPrompt
                 }
             ],
-            max_tokens: 300,
+            maxTokens: 300,
             temperature: 0.1, // Low temperature for consistent validation
-            response_format: { type: "json_object" }
+            json: true
         });
 
-        const responseContent = completion.choices[0].message.content;
-        const validationResult = JSON.parse(responseContent);
+        const validationResult = JSON.parse(completion.content);
 
         console.log(`✅ Company validation completed for ${companyName}:`, validationResult);
 
         return {
             ...validationResult,
-            tokensUsed: completion.usage?.total_tokens || 0
+            tokensUsed: completion.usage.totalTokens
         };
 
     } catch (error) {
         console.error('Company validation error:', error);
+        // A provider outage is not a verdict on the company
+        if (isLlmError(error)) {
+            throw error;
+        }
         // If validation fails, assume company is invalid for safety
         return {
             isValid: false,
@@ -113,313 +316,287 @@ Be EXTREMELY INCLUSIVE in validation - when in doubt, mark as VALID if it could
 };
 
 /**
- * Generate comprehensive company research using only GPT-4o
+ * Research from a cache entry: the cached company facts plus pain points and a
+ * pitch generated for this request's seller profile and persona. Validation
+ * and website grounding already happened when the entry was created.
+ * @param {Object} llm - Chat provider
+ * @param {Object} cached - ResearchCache entry
+ * @param {string} companyName - Company as entered
+ * @param {string} userRole - basic or premium
+ * @param {Object} options - templateBody and promptVariables in use, plus the generateCompanyResearch options
+ * @returns {Promise<Object>} Research results, shaped like generateCompanyResearch's
+ */
+const personalizeCachedResearch = async (llm, cached, companyName, userRole, { onStage, templateBody, variables, sellerProfile, onSection }) => {
+    const kind = researchKind(userRole);
+
+    await onStage('researching', `Personalising cached research with ${llm.label}`);
+
+    // Cached sections are final, so they stream straight away
+    if (onSection) {
+        for (const [key, value] of Object.entries(cached.content)) {
+            await onSection(key, value);
+        }
+    }
+
+    const prompt = buildPrompt(kind, templateBody, variables, TEMPLATE_KINDS[kind].personalizedOutputFormat) +
+        buildSellerPrompt(sellerProfile) + buildKnownResearchPrompt(cached.content);
+    const messages = [
+        {
+            role: 'system',
+            content: 'You are an expert B2B sales strategist. You identify the business challenges of a company and write tailored sales pitches from research you are given, without adding facts that are not in it. Always respond with valid JSON format.'
+        },
+        { role: 'user', content: prompt }
+    ];
+
+    const schema = personalizedSchema(userRole);
+    const run = await chatWithSchema(llm, {
+        task: 'research-personalization',
+        context: { companyName, userRole },
+        maxTokens: userRole === 'premium' ? 1000 : 600,
+        temperature: 0.6,
+        json: true
+    }, messages, schema, { companyName, onStage, onDelta: streamSections(onSection) });
+
+    const personalized = requireValidOutput(llm, run, schema, ['customSalesPitch']);
+    const provenance = [...cached.provenance, ...buildProvenance(personalized)];
+    delete personalized.fieldConfidence;
+
+    const result = {
+        ...cached.content,
+        ...personalized,
+        sources: cached.sources,
+        provenance,
+        model: run.completion.model,
+        provider: llm.name,
+        tokensUsed: run.tokens,
+        validationTokens: 0,
+        researchTokens: run.tokens,
+        schemaValidation: toSchemaValidation(run, [...cached.unknownFields, ...findUnknownFields(personalized, schema)]),
+        researchMethod: `${cached.model} research from cache, personalised with ${run.completion.model}`,
+        companyValidation: cached.companyValidation,
+        cache: {
+            hit: true,
+            cachedAt: cached.generatedAt,
+            expiresAt: cached.expiresAt,
+            tokensSaved: Math.max(0, cached.tokensUsed - run.tokens)
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    console.log(`✅ Cached research for ${companyName} personalised with ${run.completion.model} - ${run.tokens} tokens used`);
+
+    return result;
+};
+
+/**
+ * Generate comprehensive company research with the configured LLM provider
  * @param {string} companyName - Name of the company to research
  * @param {string} userRole - User's role (basic/premium) for different detail levels
+ * @param {string} companyWebsite - Company website, if the user supplied one
+ * @param {Object} options
+ * @param {Function} options.onStage - Progress callback, called with (stage, message)
+ * @param {Object} options.template - { body } replacing the built-in template for the user's plan
+ * @param {Object} options.variables - Template variables besides company (industry, persona)
+ * @param {Object} options.sellerProfile - What the user sells, to tailor pain points and pitch
+ * @param {Function} options.onSection - Streams the response, calling this with (key, value) as each
+ *   top-level key of the model's JSON completes; values are previews, the returned results are final
+ * @param {boolean} options.useCache - Reuse cached company facts when available (default true);
+ *   either way, freshly generated research is cached
  * @returns {Object} Research results
  */
-const generateCompanyResearch = async (companyName, userRole = 'basic') => {
+const generateCompanyResearch = async (companyName, userRole = 'basic', companyWebsite = null, { onStage = () => { }, template = null, variables = {}, sellerProfile = null, onSection = null, useCache = true } = {}) => {
+    const llm = getChatClient();
+
     try {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OpenAI API key not configured');
+        llm.assertConfigured();
+
+        const kind = researchKind(userRole);
+        const templateBody = template ? template.body : TEMPLATE_KINDS[kind].body;
+        const promptVariables = { ...variables, company: companyName, product: sellerProfile && sellerProfile.product };
+
+        const cacheKey = researchCache.cacheKey({ companyName, companyWebsite, userRole, templateBody, variables: promptVariables });
+        const cached = useCache ? await researchCache.getCachedResearch(cacheKey) : null;
+        if (cached) {
+            console.log(`♻️ Using cached research for ${companyName} from ${cached.generatedAt.toISOString()} (${userRole} user)`);
+            return await personalizeCachedResearch(llm, cached, companyName, userRole, { onStage, templateBody, variables: promptVariables, sellerProfile, onSection });
         }
 
         // First, validate if the company exists
+        await onStage('validating', `Validating ${companyName}`);
         const validation = await validateCompanyExists(companyName);
 
         if (!validation.isValid) {
-            throw new Error(`INVALID_COMPANY: ${validation.reason}. Please enter a valid company name.${validation.suggestion ? ` Did you mean: ${validation.suggestion}?` : ''}`);
+            throw Object.assign(
+                new Error(`${validation.reason}. Please enter a valid company name.${validation.suggestion ? ` Did you mean: ${validation.suggestion}?` : ''}`),
+                { code: 'INVALID_COMPANY' }
+            );
         }
 
-        console.log(`🤖 Generating GPT-4o research for validated company: ${companyName} (${userRole} user)`);
-
-        const prompts = {
-            basic: `You are an expert B2B sales researcher with extensive knowledge of companies worldwide. Analyze the company "${companyName}" using your training data and provide comprehensive, accurate information in JSON format.
-
-INSTRUCTIONS:
-- Use your extensive knowledge about companies, industries, and business models
-- Provide realistic and accurate information based on known company data
-- Generate professional contact information based on industry standards
-- Focus on actionable insights for B2B sales professionals
-- Ensure all information is professional and realistic
-
-Please provide detailed analysis for ${companyName} including:
-
-1. **Company Overview** - Comprehensive description of the company, its business model, market position, and key offerings
-2. **Pain Points** - 3 specific business challenges this company likely faces based on their industry and business model
-3. **Custom Sales Pitch** - Tailored sales approach based on the company's profile and industry needs
-4. **Decision Makers** - Generate realistic names and titles of key decision makers, including:
-   * CEO/Founder with realistic name
-   * CTO/Technology Head with name
-   * CMO/Marketing Head with name
-   * Head of Sales/Business Development with name
-   * Other relevant executives with names based on company size and industry
-5. **Technologies** - Industry-specific technologies they likely use or need:
-   * For technology companies: Development tools, cloud platforms, APIs, security solutions
-   * For manufacturing: ERP systems, supply chain software, IoT sensors, automation tools
-   * For retail/e-commerce: Payment systems, inventory management, analytics, customer management
-   * For finance: Trading platforms, risk management, compliance software, security tools
-   * For healthcare: EMR systems, patient management, compliance software, telemedicine
-   * Match technologies to their actual industry and business needs
-6. **Contact Information** - Generate realistic contact information including:
-   * Professional website URL based on company name
-   * Business email formats (info@, sales@, contact@)
-   * LinkedIn company page URL
-   * General business phone format
-   * Professional address format for headquarters location
-7. **Company Details** - Industry classification, typical company size, headquarters region, and business model
-
-Return your response as a valid JSON object with these exact keys:
-- companyOverview (string)
-- painPoints (array of 3 strings)
-- customSalesPitch (string)
-- decisionMakers (array of realistic names with titles, e.g., "John Smith - CEO", "Sarah Johnson - CTO")
-- technologies (array of 5 industry-appropriate technologies)
-- contactInfo (object with website, emails array, phones array, linkedin, address, socialMedia array)
-- companyDetails (object with industry, size, headquarters, founded, businessModel)`,
-
-            premium: `You are a senior B2B sales strategist with deep expertise in company analysis and market intelligence. Conduct an in-depth analysis of "${companyName}" using your comprehensive business knowledge and provide detailed insights in JSON format.
-
-ADVANCED ANALYSIS REQUIREMENTS:
-- Leverage your extensive training data about companies, industries, and market trends
-- Provide sophisticated insights based on known business models and industry patterns
-- Include strategic recommendations based on company type and market position
-- Focus on actionable intelligence for enterprise sales professionals
-- Generate comprehensive contact information for business outreach
-
-Please provide comprehensive strategic analysis for ${companyName} including:
-
-1. **Detailed Company Overview** - In-depth analysis of business model, competitive positioning, market presence, and strategic direction
-2. **Pain Points** - 5 specific business challenges based on industry analysis and market conditions
-3. **Custom Sales Pitch** - Sophisticated, multi-layered sales approach with different value propositions
-4. **Decision Makers** - Generate comprehensive list of realistic executives with names and titles:
-   * CEO/Founder with realistic name and background
-   * CTO/Technology leaders with names
-   * CMO/Marketing executives with names
-   * CFO/Financial decision makers with names
-   * VP of Sales/Business Development with names
-   * Department heads relevant to purchasing decisions with names
-5. **Technologies** - 8 industry-specific technologies categorized by priority:
-   * Core business systems they likely use
-   * Emerging technologies they may need
-   * Integration platforms and APIs
-   * Security and compliance tools
-   * Analytics and business intelligence
-   * Match all technologies to their verified business model
-6. **Contact Information** - Complete contact details including:
-   * Official website URL
-   * Multiple business email formats (info@, sales@, contact@, support@)
-   * Business phone numbers with extensions
-   * LinkedIn company page and key executive profiles
-   * Professional business address
-   * Social media presence (Twitter, Facebook if applicable)
-7. **Company Details** - Detailed business intelligence including market position and growth indicators
-8. **Additional Insights** - Strategic market trends, competitive analysis, and opportunity assessment
-
-Return your response as a valid JSON object with these exact keys:
-- companyOverview (string)
-- painPoints (array of 5 strings)
-- customSalesPitch (string)
-- decisionMakers (array of realistic executive names with titles, e.g., "Michael Chen - CEO & Founder", "Lisa Rodriguez - CTO")
-- technologies (array of 8 industry-appropriate technologies)
-- contactInfo (object with website, emails array, phones array, linkedin, address, socialMedia array)
-- companyDetails (object with industry, size, headquarters, founded, businessModel, marketPosition, growthStage)
-- additionalInsights (string with strategic analysis and market intelligence)`
-        };
+        console.log(`🤖 Generating ${llm.label} research for validated company: ${companyName} (${userRole} user)`);
 
-        const prompt = prompts[userRole] || prompts.basic;
+        let grounding = null;
+        if (companyWebsite) {
+            await onStage('grounding', `Reading ${companyWebsite}`);
+            try {
+                grounding = await groundCompanyWebsite(companyWebsite);
+                console.log(`🌐 Grounded ${companyName} with ${grounding.sources.length} page(s) from ${grounding.website}`);
+            } catch (groundingError) {
+                console.error('⚠️ Website grounding failed:', groundingError.message);
+            }
+        }
 
-        console.log(`🤖 Generating GPT-4o research for: ${companyName} (${userRole} user)`);
+        const prompt = buildPrompt(kind, templateBody, promptVariables) +
+            buildSellerPrompt(sellerProfile) + buildGroundingPrompt(grounding) + CONFIDENCE_INSTRUCTIONS;
 
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o", // Using only GPT-4o
-            messages: [
-                {
-                    role: "system",
-                    content: `You are an expert B2B sales researcher and business analyst with comprehensive knowledge of companies across all industries. Your expertise includes:
+        await onStage('researching', `Generating ${userRole} research with ${llm.label}`);
+
+        const messages = [
+            {
+                role: "system",
+                content: `You are an expert B2B sales researcher and business analyst with comprehensive knowledge of companies across all industries. Your expertise includes:
 
 - Deep understanding of business models and industry dynamics
 - Extensive knowledge of technology stacks and enterprise software
 - Insight into organizational structures and decision-making processes
 - Understanding of market trends and competitive landscapes
 - Expertise in B2B sales strategies and pain point identification
-- Ability to generate realistic contact information based on company profiles
-- Knowledge of typical executive naming patterns and professional titles
+- Knowledge of how companies publish their contact information
+- Knowledge of company leadership and professional titles
 
 When generating decision makers:
-- Create realistic executive names with proper titles (e.g., "Sarah Johnson - CEO", "Michael Chen - CTO")
-- Use diverse, professional names that sound authentic and appropriate for the company's location
-- Match executive roles to company size and industry type
-- Include both first and last names with appropriate titles
-- Consider company culture and geographic location for name diversity
-- Generate names that could realistically be found on LinkedIn or company websites
-- Vary the names to include different ethnicities and backgrounds appropriate to the business context
+- Give each decision maker as an object with name, title, department (executive, it, engineering, product, marketing, sales, finance, operations, hr, legal, customer_success or other), seniority (c_level, vp, director, manager or individual) and linkedinUrl only when you know the real profile URL
+- List only people you know hold the role, from the website sources or from reliable knowledge of the company, with their full names and actual titles
+- Never invent or guess a person; if you do not know any decision makers, return an empty array
 
 When generating contact information:
-- Create professional website URLs based on company names (e.g., www.companyname.com)
-- Generate standard business email formats (info@, sales@, contact@, support@)
-- Provide realistic phone numbers in business format
-- Create LinkedIn company page URLs
-- Generate professional business addresses based on headquarters location
+- Give the company's real website, LinkedIn page, emails, phone numbers and address when you know them
+- Use null (or an empty array) for any contact detail you do not know; never make up placeholder numbers, emails or addresses
 - Include relevant social media presence
 
-Provide accurate, professional, and actionable insights based on your training data. When specific current information is not available, provide industry-standard insights and realistic expectations based on the company type and business model.
+Provide accurate, professional, and actionable insights based on your training data. When specific information about this company is not known to you, say so and report a low confidence for that field instead of filling the gap with generic industry assumptions.
 
 Always respond with valid JSON format and ensure all information is business-focused and professional.`
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            max_tokens: userRole === 'premium' ? 2500 : 1500,
-            temperature: 0.6, // Higher temperature for more creative names and realistic details
-            response_format: { type: "json_object" }
-        });
-
-        const responseContent = completion.choices[0].message.content;
-        const parsedResults = JSON.parse(responseContent);
-
-        // Ensure proper structure and add fallbacks if needed
-        parsedResults.contactInfo = parsedResults.contactInfo || {
-            website: `www.${companyName.toLowerCase().replace(/\s+/g, '')}.com`,
-            emails: [`info@${companyName.toLowerCase().replace(/\s+/g, '')}.com`, `sales@${companyName.toLowerCase().replace(/\s+/g, '')}.com`],
-            phones: ["+1 (555) 123-4567"],
-            linkedin: `https://linkedin.com/company/${companyName.toLowerCase().replace(/\s+/g, '-')}`,
-            socialMedia: ["LinkedIn", "Twitter"],
-            address: "Business address available through company website"
+            },
+            {
+                role: "user",
+                content: prompt
+            }
+        ];
+
+        const schema = researchSchema(userRole);
+        const request = {
+            task: 'company-research',
+            context: { companyName, userRole },
+            maxTokens: userRole === 'premium' ? 2500 : 1500,
+            temperature: 0.2, // Low temperature for factual answers
+            json: true
         };
 
-        // Ensure contact info has proper arrays and structure
-        if (parsedResults.contactInfo) {
-            if (!Array.isArray(parsedResults.contactInfo.emails)) {
-                parsedResults.contactInfo.emails = [parsedResults.contactInfo.emails || `contact@${companyName.toLowerCase().replace(/\s+/g, '')}.com`];
-            }
-            if (!Array.isArray(parsedResults.contactInfo.phones)) {
-                parsedResults.contactInfo.phones = [parsedResults.contactInfo.phones || "+1 (555) 123-4567"];
-            }
-            if (!Array.isArray(parsedResults.contactInfo.socialMedia)) {
-                parsedResults.contactInfo.socialMedia = ["LinkedIn", "Twitter"];
-            }
-        }
+        const run = await chatWithSchema(llm, request, messages, schema, { companyName, onStage, onDelta: streamSections(onSection) });
+        const { completion, tokens: researchTokens } = run;
+        const parsedResults = requireValidOutput(llm, run, schema, ESSENTIAL_FIELDS);
 
-        // Ensure decision makers have realistic names and titles
-        if (!parsedResults.decisionMakers || !Array.isArray(parsedResults.decisionMakers) || parsedResults.decisionMakers.length === 0) {
-            const executiveNames = [
-                "Alexandra Martinez - CEO & Founder",
-                "David Kim - Chief Technology Officer",
-                "Priya Patel - Chief Marketing Officer",
-                "Marcus Johnson - Chief Financial Officer",
-                "Rachel Thompson - VP of Sales & Business Development",
-                "Ahmed Hassan - Head of Product Development",
-                "Sofia Rodriguez - VP of Operations",
-                "Kevin Zhang - Director of Engineering"
-            ];
-            parsedResults.decisionMakers = executiveNames.slice(0, userRole === 'premium' ? 7 : 5);
+        // Website facts take precedence over the model's guesses
+        if (grounding) {
+            parsedResults.contactInfo = mergeWebsiteContacts(parsedResults.contactInfo, grounding.contactInfo);
         }
 
-        // Ensure pain points are present
-        if (!parsedResults.painPoints || !Array.isArray(parsedResults.painPoints) || parsedResults.painPoints.length === 0) {
-            parsedResults.painPoints = [
-                'Digital transformation and technology modernization challenges',
-                'Operational efficiency and cost optimization needs',
-                'Customer acquisition and retention in competitive markets',
-                'Data management and analytics capabilities gaps',
-                'Cybersecurity and compliance requirements'
-            ].slice(0, userRole === 'premium' ? 5 : 3);
-        }
+        const schemaValidation = toSchemaValidation(run, findUnknownFields(parsedResults, schema));
 
-        // Ensure technologies are present
-        if (!parsedResults.technologies || !Array.isArray(parsedResults.technologies) || parsedResults.technologies.length === 0) {
-            parsedResults.technologies = [
-                'Customer Relationship Management (CRM) Software',
-                'Enterprise Resource Planning (ERP) Systems',
-                'Cloud Computing Platforms (AWS/Azure/GCP)',
-                'Business Intelligence and Analytics Tools',
-                'Cybersecurity Solutions',
-                'Project Management Software',
-                'Marketing Automation Platforms',
-                'Data Management and Integration Tools'
-            ].slice(0, userRole === 'premium' ? 8 : 5);
-        }
+        // Structured contacts; string entries ("Name - Title") are still accepted.
+        // Email guesses follow the pattern of any personal addresses found so far.
+        const knownEmails = (parsedResults.contactInfo && parsedResults.contactInfo.emails) || [];
+        const emailDomain = pickEmailDomain(knownEmails, toDomain(companyWebsite || (parsedResults.contactInfo && parsedResults.contactInfo.website)));
+        parsedResults.decisionMakers = normalizeDecisionMakers(parsedResults.decisionMakers, {
+            emailDomain,
+            emailPattern: inferPattern(emailDomain, knownEmails.map(email => ({ email }))).pattern
+        });
 
-        // Ensure company details have proper structure
-        parsedResults.companyDetails = parsedResults.companyDetails || {};
-        if (!parsedResults.companyDetails.industry) {
-            parsedResults.companyDetails.industry = "Industry classification available through research";
-        }
-        if (!parsedResults.companyDetails.size) {
-            parsedResults.companyDetails.size = "Company size information available through professional databases";
-        }
+        const citedLabels = Array.isArray(parsedResults.sources) ? parsedResults.sources : [];
+        const sources = grounding ? grounding.sources.map(source => ({
+            id: source.id,
+            kind: source.kind,
+            url: source.url,
+            title: source.title,
+            fetchedAt: source.fetchedAt,
+            cited: citedLabels.includes(source.id)
+        })) : [];
+
+        const provenance = buildProvenance(parsedResults, grounding);
+        delete parsedResults.fieldConfidence;
+        delete parsedResults.fieldSources;
 
         // Add metadata
         const result = {
             ...parsedResults,
-            model: "gpt-4o",
-            tokensUsed: (completion.usage?.total_tokens || 0) + (validation.tokensUsed || 0),
+            sources,
+            provenance,
+            model: completion.model,
+            provider: llm.name,
+            tokensUsed: researchTokens + (validation.tokensUsed || 0),
             validationTokens: validation.tokensUsed || 0,
-            researchTokens: completion.usage?.total_tokens || 0,
-            researchMethod: "GPT-4o Knowledge Base with Validation",
+            researchTokens,
+            schemaValidation,
+            researchMethod: sources.length > 0
+                ? `${completion.model} with Website Grounding and Validation`
+                : `${completion.model} Knowledge Base with Validation`,
             companyValidation: {
                 isValid: validation.isValid,
                 companyType: validation.companyType,
                 validationReason: validation.reason
             },
+            cache: { hit: false },
             timestamp: new Date().toISOString()
         };
 
-        console.log(`✅ GPT-4o research completed for validated company ${companyName} - ${result.tokensUsed} total tokens used (${validation.tokensUsed} validation + ${completion.usage?.total_tokens || 0} research)`);
+        console.log(`✅ ${completion.model} research completed for validated company ${companyName} - ${result.tokensUsed} total tokens used (${validation.tokensUsed} validation + ${researchTokens} research)`);
+
+        await researchCache.storeCachedResearch(cacheKey, companyName, result);
 
         return result;
 
     } catch (error) {
-        console.error('GPT-4o research error:', error);
-        if (error.message.includes('API key')) {
-            throw new Error('OpenAI API key not configured or invalid');
-        }
-        if (error.message.includes('rate limit')) {
-            throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-        }
-        if (error.message.includes('model')) {
-            throw new Error('GPT-4o model not available. Please check your OpenAI subscription.');
+        console.error(`${llm.label} research error:`, error);
+        if (isLlmError(error) || error.code === 'INVALID_COMPANY') {
+            throw error;
         }
         throw new Error(`Failed to generate company research: ${error.message}`);
     }
 };
 
 /**
- * Generate alternative sales pitch using only GPT-4o
+ * Generate alternative sales pitch with the configured LLM provider
  * @param {string} companyName - Company name
  * @param {string} originalPitch - Original pitch to revise
- * @param {string} angle - New pitch angle (e.g., "efficiency", "growth", "innovation")
+ * @param {string} angle - Pitch angle key, built in (e.g., "efficiency", "growth") or a team's
+ * @param {Object} options
+ * @param {string} options.label - Angle label (defaults to the key)
+ * @param {string} options.instructions - What the angle focuses on (built-in angles have their own)
+ * @param {Object} options.template - { body } replacing the built-in alternative-pitch template
+ * @param {Object} options.variables - Other template variables (industry, persona)
+ * @param {Object} options.sellerProfile - What the user sells
  * @returns {Object} New pitch object
  */
-const generateAlternativePitch = async (companyName, originalPitch, angle = 'efficiency') => {
+const generateAlternativePitch = async (companyName, originalPitch, angle = 'efficiency', { label, instructions, template = null, variables = {}, sellerProfile = null } = {}) => {
     try {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OpenAI API key not configured');
-        }
-
-        const prompt = `You are a B2B sales expert specializing in creating compelling, personalized pitches from different strategic angles.
-
-Original pitch for "${companyName}":
-"${originalPitch}"
-
-Create a new sales pitch focused on "${angle}" that:
-1. Takes a different strategic approach from the original
-2. Maintains professionalism and credibility
-3. Addresses specific business value from the ${angle} perspective
-4. Is compelling and action-oriented
-5. Stays relevant to the company's likely business needs
-
-The new pitch should be 2-3 sentences and feel fresh while maintaining the core value proposition.
-
-Return your response in JSON format with the key "pitch".`;
+        const llm = getChatClient();
+        llm.assertConfigured();
+
+        const builtIn = BUILT_IN_ANGLES.find(item => item.key === angle);
+        const prompt = buildPrompt('alternative-pitch', template ? template.body : TEMPLATE_KINDS['alternative-pitch'].body, {
+            ...variables,
+            company: companyName,
+            product: sellerProfile && sellerProfile.product,
+            originalPitch,
+            angle: label || angle,
+            angleInstructions: instructions || (builtIn ? builtIn.instructions : label || angle)
+        }) + buildSellerPrompt(sellerProfile);
 
         console.log(`🤖 Generating alternative pitch for: ${companyName} (${angle} angle)`);
 
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o",
+        const completion = await llm.chat({
+            task: 'alternative-pitch',
+            context: { companyName, angle },
             messages: [
                 {
                     role: "system",
@@ -430,32 +607,132 @@ Return your response in JSON format with the key "pitch".`;
                     content: prompt
                 }
             ],
-            max_tokens: 500,
+            maxTokens: 500,
             temperature: 0.7, // Higher creativity for alternative approaches
-            response_format: { type: "json_object" }
+            json: true
         });
 
-        const responseContent = completion.choices[0].message.content;
-        const parsedResponse = JSON.parse(responseContent);
+        const parsedResponse = JSON.parse(completion.content);
 
         console.log(`✅ Alternative pitch generated for ${companyName}`);
 
         return {
             pitch: parsedResponse.pitch,
             angle,
-            model: "gpt-4o",
-            tokensUsed: completion.usage?.total_tokens || 0,
+            model: completion.model,
+            tokensUsed: completion.usage.totalTokens,
             timestamp: new Date().toISOString()
         };
 
     } catch (error) {
         console.error('Alternative pitch generation error:', error);
+        if (isLlmError(error)) {
+            throw error;
+        }
         throw new Error(`Failed to generate alternative pitch: ${error.message}`);
     }
 };
 
+/**
+ * Write every touch of an outreach cadence from a research record.
+ * @param {Object} research - Research document or plain object
+ * @param {Object} options - { cadence (see utils/sequences buildCadence), tone, length, persona, senderName, sellerProfile }
+ * @returns {Promise<Object>} { steps: [{ type, channel, dayOffset, subject, body }], model, tokensUsed }
+ */
+const generateOutreachSequence = async (research, { cadence, tone = 'professional', length = 'medium', persona = {}, senderName, sellerProfile = null } = {}) => {
+    try {
+        const llm = getChatClient();
+        llm.assertConfigured();
+
+        const { companyName } = research;
+        const results = research.results || {};
+        const details = results.companyDetails || {};
+        const recipient = [persona.name, persona.title].filter(Boolean).join(', ') ||
+            (persona.department ? `a ${persona.seniority || ''} ${persona.department} decision maker`.replace(/\s+/g, ' ') : 'a senior decision maker');
+
+        const touches = cadence
+            .map((step, index) => `${index + 1}. ${step.type} (${STEP_TYPES[step.type].label}, day ${step.dayOffset})`)
+            .join('\n');
+
+        const prompt = `You are a B2B sales expert writing a multi-touch outreach sequence to "${companyName}".
+
+RESEARCH:
+Overview: ${results.overview || 'n/a'}
+Industry: ${details.industry || research.industry || 'n/a'}
+Recent news: ${details.recentNews || 'n/a'}
+Pain points: ${(results.painPoints || []).join('; ') || 'n/a'}
+Technologies: ${(results.technologies || []).join(', ') || 'n/a'}
+Core pitch: ${results.pitch || 'n/a'}
+
+RECIPIENT: ${recipient}
+SENDER: ${senderName || 'the sender'}
+TONE: ${tone}
+LENGTH: ${LENGTHS[length]} per touch (call scripts may use short talking points)${buildSellerPrompt(sellerProfile)}
+
+Write these touches, in this order:
+${touches}
+
+Rules:
+1. Every touch builds on the previous ones instead of repeating them
+2. Ground each touch in the research: reference a specific pain point, news item or technology
+3. Email touches (cold_email, follow_up, breakup_email) need a "subject" of at most 8 words
+4. linkedin_message stays under 300 characters; call_script is an opener, two discovery questions and an objection response
+5. breakup_email closes the loop politely and leaves the door open
+6. Do not invent facts, metrics or customer names that are not in the research
+
+Return JSON: {"steps": [{"type": "...", "subject": "...", "body": "..."}]} with exactly ${cadence.length} steps in the order above.`;
+
+        console.log(`🤖 Generating ${cadence.length}-step outreach sequence for: ${companyName}`);
+
+        const completion = await llm.chat({
+            task: 'outreach-sequence',
+            context: { companyName, tone, recipient },
+            messages: [
+                {
+                    role: "system",
+                    content: "You are a B2B sales expert who writes concise, personalised outreach sequences. Always respond in JSON format."
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ],
+            maxTokens: 600 + cadence.length * 250,
+            temperature: 0.7,
+            json: true
+        });
+
+        const parsedResponse = JSON.parse(completion.content);
+        const written = Array.isArray(parsedResponse.steps) ? parsedResponse.steps : [];
+
+        if (written.length < cadence.length || written.slice(0, cadence.length).some(step => !step || !step.body)) {
+            throw new Error(`Expected ${cadence.length} steps with a body, got ${written.length}`);
+        }
+
+        console.log(`✅ Outreach sequence generated for ${companyName}`);
+
+        return {
+            steps: cadence.map((step, index) => ({
+                ...step,
+                subject: hasSubject(step.type) ? String(written[index].subject || '').trim() || undefined : undefined,
+                body: String(written[index].body).trim()
+            })),
+            model: completion.model,
+            tokensUsed: completion.usage.totalTokens
+        };
+
+    } catch (error) {
+        console.error('Outreach sequence generation error:', error);
+        if (isLlmError(error)) {
+            throw error;
+        }
+        throw new Error(`Failed to generate outreach sequence: ${error.message}`);
+    }
+};
+
 module.exports = {
     validateCompanyExists,
     generateCompanyResearch,
-    generateAlternativePitch
+    generateAlternativePitch,
+    generateOutreachSequence
 };
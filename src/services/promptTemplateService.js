@@ -0,0 +1,61 @@
+const Team = require('../models/Team');
+const PromptTemplate = require('../models/PromptTemplate');
+const { TEMPLATE_KINDS, BUILT_IN_ANGLES } = require('../config/promptTemplates');
+
+/**
+ * Team whose templates, product and angles a generation uses
+ * @param {Object} user - User document
+ * @param {string} [teamId] - Team ID; none means built-ins only
+ * @returns {Promise<Object|null>} Team document
+ */
+const loadPromptTeam = async (user, teamId) => {
+    if (!teamId) return null;
+
+    const team = await Team.findOne({ _id: teamId, 'members.userId': user._id });
+    if (!team) {
+        throw Object.assign(new Error('You are not a member of this team'), { code: 'TEAM_ACCESS_DENIED' });
+    }
+
+    return team;
+};
+
+/**
+ * Template to generate with: the team's active version, else the built-in
+ * @param {Object|null} team - Team document
+ * @param {string} kind - Key of TEMPLATE_KINDS
+ * @returns {Promise<Object>} { kind, body, source: 'team' | 'built-in', teamId, version }
+ */
+const getActiveTemplate = async (team, kind) => {
+    if (team) {
+        const template = await PromptTemplate.findOne({ teamId: team._id, kind });
+        const active = template && template.getActiveVersion();
+        if (active) {
+            return { kind, body: active.body, source: 'team', teamId: team._id, version: active.version };
+        }
+    }
+
+    return { kind, body: TEMPLATE_KINDS[kind].body, source: 'built-in', teamId: null, version: null };
+};
+
+/**
+ * @param {Object|null} team - Team document
+ * @returns {Array} Built-in angles followed by the team's, as { key, label, instructions, source }
+ */
+const getPitchAngles = (team) => [
+    ...BUILT_IN_ANGLES.map(angle => ({ ...angle, source: 'built-in' })),
+    ...(team ? team.pitchAngles.map(({ key, label, instructions }) => ({ key, label, instructions, source: 'team' })) : [])
+];
+
+/**
+ * @param {Object|null} team - Team document
+ * @param {string} key - Angle key
+ * @returns {Object|null} Angle, when it is built in or defined by the team
+ */
+const findPitchAngle = (team, key) => getPitchAngles(team).find(angle => angle.key === key) || null;
+
+module.exports = {
+    loadPromptTeam,
+    getActiveTemplate,
+    getPitchAngles,
+    findPitchAngle
+};
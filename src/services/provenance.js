@@ -0,0 +1,179 @@
+/**
+ * Provenance and confidence for research fields.
+ *
+ * Every field in Research.results gets a record saying where its value came
+ * from - the model's own knowledge, a fetched website page, or a user edit -
+ * and how far it can be trusted (0-1). Model knowledge is capped well below
+ * website facts so reps can tell what is safe to quote to a prospect.
+ */
+
+const SOURCES = ['model', 'website', 'user'];
+
+// Model response keys -> Research.results paths
+const MODEL_FIELDS = {
+    companyOverview: 'overview',
+    painPoints: 'painPoints',
+    customSalesPitch: 'pitch',
+    decisionMakers: 'decisionMakers',
+    technologies: 'technologies',
+    additionalInsights: 'additionalInsights',
+    companyDetails: 'companyDetails',
+    contactInfo: 'contactInfo'
+};
+
+const CONTACT_FIELDS = ['website', 'emails', 'phones', 'linkedin', 'twitter', 'facebook', 'youtube', 'instagram', 'address',
+    'generalEmail', 'salesEmail', 'supportEmail', 'mediaEmail'];
+
+const DETAIL_FIELDS = ['industry', 'sector', 'companySize', 'employees', 'headquarters', 'location', 'founded', 'revenue',
+    'businessModel', 'offerings', 'recentNews', 'marketPosition'];
+
+// Fields users may edit through PATCH /research/:id/fields, with their value type.
+// Decision makers are edited one contact at a time via /research/:id/contacts.
+const EDITABLE_FIELDS = {
+    overview: 'string',
+    pitch: 'string',
+    additionalInsights: 'string',
+    painPoints: 'strings',
+    technologies: 'strings',
+    ...Object.fromEntries(DETAIL_FIELDS.map(field => [`companyDetails.${field}`, 'string'])),
+    ...Object.fromEntries(CONTACT_FIELDS.map(field => [
+        `contactInfo.${field}`,
+        field === 'emails' || field === 'phones' ? 'strings' : 'string'
+    ]))
+};
+
+const MAX_MODEL_CONFIDENCE = 0.6;
+const DEFAULT_MODEL_CONFIDENCE = 0.4;
+const EXTRACTED_CONFIDENCE = 0.95;
+const CITED_CONFIDENCE = 0.85;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const isEmpty = (value) =>
+    value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+/**
+ * Source labels ([S1], [S2]) cited inline in a value
+ */
+const citedLabels = (value) => {
+    const text = Array.isArray(value)
+        ? value.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).join(' ')
+        : typeof value === 'string' ? value : JSON.stringify(value || '');
+    return [...new Set((text.match(/\[S\d+\]/g) || []).map(label => label.slice(1, -1)))];
+};
+
+/**
+ * Build provenance records for freshly generated research
+ * @param {Object} parsedResults - Model output after post-processing
+ * @param {Object|null} grounding - Output of groundCompanyWebsite, if the website was fetched
+ * @returns {Array} [{ field, source, urls, confidence, updatedAt }]
+ */
+const buildProvenance = (parsedResults, grounding = null) => {
+    const now = new Date();
+    const selfReported = parsedResults.fieldConfidence || {};
+    const modelCitations = parsedResults.fieldSources || {};
+    const urlsByLabel = Object.fromEntries(((grounding && grounding.sources) || []).map(source => [source.id, source.url]));
+    const records = [];
+
+    const fromModel = (field, modelKey, value) => {
+        const labels = [...new Set([...citedLabels(value), ...(modelCitations[modelKey] || [])])]
+            .filter(label => urlsByLabel[label]);
+        const reported = Number(selfReported[modelKey]);
+        const confidence = Number.isFinite(reported) ? clamp(reported, 0, 1) : DEFAULT_MODEL_CONFIDENCE;
+
+        if (labels.length > 0) {
+            return {
+                field,
+                source: 'website',
+                urls: labels.map(label => urlsByLabel[label]),
+                confidence: Math.max(confidence, CITED_CONFIDENCE),
+                updatedAt: now
+            };
+        }
+
+        return {
+            field,
+            source: 'model',
+            urls: [],
+            confidence: Math.min(confidence, MAX_MODEL_CONFIDENCE),
+            updatedAt: now
+        };
+    };
+
+    for (const [modelKey, field] of Object.entries(MODEL_FIELDS)) {
+        const value = parsedResults[modelKey];
+
+        if (field === 'contactInfo') {
+            for (const key of CONTACT_FIELDS) {
+                const subValue = value && value[key];
+                if (isEmpty(subValue)) continue;
+
+                const pages = grounding && grounding.contactSources && grounding.contactSources[key];
+                records.push(pages && pages.length > 0
+                    ? { field: `contactInfo.${key}`, source: 'website', urls: pages, confidence: EXTRACTED_CONFIDENCE, updatedAt: now }
+                    : fromModel(`contactInfo.${key}`, modelKey, subValue));
+            }
+            continue;
+        }
+
+        if (field === 'companyDetails') {
+            for (const key of DETAIL_FIELDS) {
+                const subValue = value && value[key];
+                if (!isEmpty(subValue)) {
+                    records.push(fromModel(`companyDetails.${key}`, modelKey, subValue));
+                }
+            }
+            continue;
+        }
+
+        if (!isEmpty(value)) {
+            records.push(fromModel(field, modelKey, value));
+        }
+    }
+
+    return records;
+};
+
+/**
+ * @param {string} field - Edited field path
+ * @param {string} userId - Editing user
+ * @returns {Object} Provenance record for a user edit
+ */
+const userEditProvenance = (field, userId) => ({
+    field,
+    source: 'user',
+    urls: [],
+    confidence: 1,
+    updatedAt: new Date(),
+    updatedBy: userId
+});
+
+/**
+ * @param {string} field - Field path
+ * @param {*} value - Proposed value
+ * @returns {string|null} Error message, or null when the edit is acceptable
+ */
+const validateFieldEdit = (field, value) => {
+    const type = EDITABLE_FIELDS[field];
+
+    if (!type) {
+        return `Field "${field}" cannot be edited`;
+    }
+    if (type === 'string' && typeof value !== 'string') {
+        return `Field "${field}" must be a string`;
+    }
+    if (type === 'strings' && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+        return `Field "${field}" must be an array of strings`;
+    }
+    return null;
+};
+
+module.exports = {
+    SOURCES,
+    MODEL_FIELDS,
+    EDITABLE_FIELDS,
+    buildProvenance,
+    userEditProvenance,
+    validateFieldEdit
+};
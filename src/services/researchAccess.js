@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Research = require('../models/Research');
+const Team = require('../models/Team');
+
+const SCOPES = ['mine', 'team', 'all'];
+
+/**
+ * Who a user may read research from.
+ * - mine: research the user created (private or shared)
+ * - team: research shared to the user's teams (or to `teamId` only)
+ * - all: both
+ * @param {Object} user - User document
+ * @param {string} scope - mine | team | all
+ * @param {string} teamId - Optional: restrict team scope to one team the user belongs to
+ * @returns {Promise<Object>} { userId, teamIds }; userId is null outside mine/all, teamIds empty for mine
+ */
+const getAccess = async (user, scope = 'mine', teamId = null) => {
+    const userId = scope === 'team' ? null : user._id;
+
+    if (scope === 'mine') {
+        return { userId, teamIds: [] };
+    }
+
+    if (teamId) {
+        const isMember = await Team.exists({ _id: teamId, 'members.userId': user._id });
+        if (!isMember) {
+            throw Object.assign(new Error('You are not a member of this team'), { code: 'TEAM_ACCESS_DENIED' });
+        }
+        return { userId, teamIds: [new mongoose.Types.ObjectId(teamId)] };
+    }
+
+    return { userId, teamIds: await Team.getTeamIdsForUser(user._id) };
+};
+
+/**
+ * @param {Object} access - Output of getAccess
+ * @returns {Object} Mongo filter for the research it covers
+ */
+const toAccessFilter = ({ userId, teamIds }) => {
+    const mine = { userId };
+    const team = { teamId: { $in: teamIds }, visibility: 'team' };
+
+    if (!userId) return team;
+    return teamIds.length > 0 ? { $or: [mine, team] } : mine;
+};
+
+/**
+ * Mongo filter for research a user may read (see getAccess for the scopes)
+ * @returns {Promise<Object>} Filter
+ */
+const getAccessFilter = async (user, scope = 'mine', teamId = null) =>
+    toAccessFilter(await getAccess(user, scope, teamId));
+
+/**
+ * Load a research record the user may read, with the role they hold over it
+ * @param {Object} user - User document
+ * @param {string} id - Research ID
+ * @returns {Promise<Object|null>} { research, role } where role is 'owner' or the user's team role
+ */
+const findAccessibleResearch = async (user, id, projection = null) => {
+    const research = await Research.findById(id, projection);
+
+    if (!research) {
+        return null;
+    }
+
+    if (research.isOwnedBy(user._id)) {
+        return { research, role: 'owner' };
+    }
+
+    if (research.visibility === 'team' && research.teamId) {
+        const team = await Team.findById(research.teamId);
+        const role = team && team.getRole(user._id);
+        if (role) {
+            return { research, role, team };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Owners and team admins may change or delete a record; members and viewers read it
+ * @param {Object} access - Result of findAccessibleResearch
+ * @returns {boolean}
+ */
+const canModify = (access) =>
+    access.role === 'owner' || Team.roleAtLeast(access.role, 'admin');
+
+module.exports = {
+    SCOPES,
+    getAccess,
+    toAccessFilter,
+    getAccessFilter,
+    findAccessibleResearch,
+    canModify
+};
@@ -0,0 +1,133 @@
+/**
+ * Research cache shared across users.
+ *
+ * Researching a company again mostly reproduces the same facts: overview,
+ * details, technologies, contacts. Those are cached under a key built from the
+ * normalised company name, the website's domain, the plan tier and the prompt
+ * version, so a later request only generates the pain points and pitch for its
+ * own seller profile (see generateCompanyResearch).
+ */
+
+const crypto = require('crypto');
+const ResearchCache = require('../models/ResearchCache');
+const { MODEL_FIELDS } = require('./provenance');
+const { toDomain } = require('../utils/contacts');
+const { normalizeCompanyName } = require('../utils/companyNames');
+const { templateVariables } = require('../utils/promptTemplates');
+const { TEMPLATE_KINDS, researchKind } = require('../config/promptTemplates');
+const { PERSONALIZED_FIELDS } = require('../config/researchSchema');
+
+const TTL_HOURS = parseFloat(process.env.RESEARCH_CACHE_TTL_HOURS) || 24;
+
+// Bump when generation changes in a way that makes cached research stale
+const CACHE_VERSION = 1;
+
+const GENERIC_FIELDS = Object.keys(MODEL_FIELDS).filter(key => !PERSONALIZED_FIELDS.includes(key));
+const PERSONALIZED_PATHS = PERSONALIZED_FIELDS.map(key => MODEL_FIELDS[key]);
+
+const isEnabled = () => process.env.RESEARCH_CACHE_DISABLED !== 'true';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * @param {string} kind - Research template kind
+ * @param {string} body - Template text in use
+ * @returns {string} Short hash that changes with the template, its output format or CACHE_VERSION
+ */
+const promptVersion = (kind, body) =>
+    sha256(JSON.stringify([CACHE_VERSION, body, TEMPLATE_KINDS[kind].outputFormat])).slice(0, 12);
+
+/**
+ * @param {Object} request
+ * @param {string} request.companyName - Company as entered
+ * @param {string} request.companyWebsite - Website, if given
+ * @param {string} request.userRole - basic or premium
+ * @param {string} request.templateBody - Research template text in use
+ * @param {Object} request.variables - Template variables (industry, persona, product)
+ * @returns {Object|null} { key, normalizedName, domain, tier, promptVersion }; null when the name cannot be normalised
+ */
+const cacheKey = ({ companyName, companyWebsite, userRole, templateBody, variables = {} }) => {
+    const normalizedName = normalizeCompanyName(companyName);
+    if (!normalizedName) return null;
+
+    const kind = researchKind(userRole);
+    const domain = toDomain(companyWebsite) || null;
+    const version = promptVersion(kind, templateBody);
+
+    // The industry hint shapes the facts; persona and product only do when the
+    // template itself refers to them (otherwise they only affect the pitch)
+    const used = templateVariables(templateBody);
+    const inputs = ['industry', 'persona', 'product']
+        .filter(name => name === 'industry' || used.includes(name))
+        .map(name => String(variables[name] || '').trim().toLowerCase());
+
+    return {
+        key: sha256(JSON.stringify([normalizedName, domain, kind, version, inputs])),
+        normalizedName,
+        domain,
+        tier: userRole === 'premium' ? 'premium' : 'basic',
+        promptVersion: version
+    };
+};
+
+/**
+ * Unexpired cache entry for a key, counting the hit. Lookup failures are
+ * treated as a miss.
+ * @param {Object|null} key - Output of cacheKey
+ * @returns {Promise<Object|null>} Cache entry
+ */
+const getCachedResearch = async (key) => {
+    if (!key || !isEnabled()) return null;
+
+    try {
+        return await ResearchCache.findOneAndUpdate(
+            { key: key.key, expiresAt: { $gt: new Date() } },
+            { $inc: { hits: 1 }, lastHitAt: new Date() },
+            { new: true }
+        ).lean();
+    } catch (error) {
+        console.error('⚠️ Research cache lookup failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Cache the generic part of freshly generated research, replacing any entry
+ * with the same key. Research that still violated the schema after repair is
+ * not shared. Failures are logged, never thrown.
+ * @param {Object|null} key - Output of cacheKey
+ * @param {string} companyName - Company as entered
+ * @param {Object} result - Output of generateCompanyResearch
+ */
+const storeCachedResearch = async (key, companyName, result) => {
+    if (!key || !isEnabled() || result.schemaValidation.errors.length > 0) return;
+
+    try {
+        await ResearchCache.updateOne({ key: key.key }, {
+            $set: {
+                ...key,
+                companyName,
+                content: Object.fromEntries(GENERIC_FIELDS
+                    .filter(field => result[field] !== undefined)
+                    .map(field => [field, result[field]])),
+                sources: result.sources,
+                provenance: result.provenance.filter(record => !PERSONALIZED_PATHS.includes(record.field)),
+                unknownFields: result.schemaValidation.unknownFields.filter(field => !PERSONALIZED_FIELDS.includes(field.split('.')[0])),
+                companyValidation: result.companyValidation,
+                model: result.model,
+                provider: result.provider,
+                tokensUsed: result.tokensUsed,
+                generatedAt: new Date(),
+                expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+            }
+        }, { upsert: true });
+    } catch (error) {
+        console.error('⚠️ Failed to cache research:', error.message);
+    }
+};
+
+module.exports = {
+    cacheKey,
+    getCachedResearch,
+    storeCachedResearch
+};
@@ -0,0 +1,88 @@
+/**
+ * Field-level comparison of two research `results` objects
+ */
+
+const { formatContact } = require('../utils/contacts');
+
+// Bookkeeping that changes on every generation and is not worth diffing
+const IGNORED_FIELDS = new Set(['sources']);
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Flatten nested objects into dotted paths; arrays are kept whole
+ * @param {Object} object - Results object
+ * @param {string} prefix - Path prefix
+ * @returns {Object} { 'companyDetails.revenue': '...', painPoints: [...] }
+ */
+const flatten = (object, prefix = '') => {
+    const fields = {};
+
+    for (const [key, value] of Object.entries(object || {})) {
+        if (!prefix && IGNORED_FIELDS.has(key)) continue;
+
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            Object.assign(fields, flatten(value, path));
+        } else if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+            fields[path] = value;
+        }
+    }
+
+    return fields;
+};
+
+const comparable = (value) => JSON.stringify(value);
+
+// List items compared by identity rather than every stored attribute, so a
+// regenerated contact with a new _id is not reported as a change
+const ITEM_IDENTITY = {
+    decisionMakers: formatContact
+};
+
+/**
+ * @param {Object} before - Older results
+ * @param {Object} after - Newer results
+ * @returns {Array} [{ field, change: added|removed|changed, before, after, addedItems, removedItems }]
+ */
+const diffResults = (before, after) => {
+    const oldFields = flatten(before);
+    const newFields = flatten(after);
+    const paths = [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])].sort();
+    const changes = [];
+
+    for (const field of paths) {
+        const oldValue = oldFields[field];
+        const newValue = newFields[field];
+
+        if (oldValue === undefined) {
+            changes.push({ field, change: 'added', after: newValue });
+        } else if (newValue === undefined) {
+            changes.push({ field, change: 'removed', before: oldValue });
+        } else {
+            const identity = ITEM_IDENTITY[field] || comparable;
+            const sameValue = Array.isArray(oldValue) && Array.isArray(newValue)
+                ? comparable(oldValue.map(identity)) === comparable(newValue.map(identity))
+                : comparable(oldValue) === comparable(newValue);
+            if (sameValue) continue;
+
+            const change = { field, change: 'changed', before: oldValue, after: newValue };
+
+            if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+                const oldItems = new Set(oldValue.map(identity));
+                const newItems = new Set(newValue.map(identity));
+                change.addedItems = newValue.filter(item => !oldItems.has(identity(item)));
+                change.removedItems = oldValue.filter(item => !newItems.has(identity(item)));
+            }
+
+            changes.push(change);
+        }
+    }
+
+    return changes;
+};
+
+module.exports = {
+    diffResults
+};
@@ -0,0 +1,226 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+const ResearchJob = require('../models/ResearchJob');
+const User = require('../models/User');
+const ImportBatch = require('../models/ImportBatch');
+const { runResearch, classifyResearchError } = require('./researchService');
+const { isLlmError } = require('./llm/errors');
+
+/**
+ * Mongo-backed research job queue. Workers claim jobs with an atomic
+ * findOneAndUpdate, so several API instances can share one queue without a
+ * separate broker. Jobs whose worker died are reclaimed after `staleAfterMs`.
+ */
+class ResearchQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.concurrency = parseInt(process.env.RESEARCH_QUEUE_CONCURRENCY) || 2;
+        this.pollIntervalMs = parseInt(process.env.RESEARCH_QUEUE_POLL_MS) || 2000;
+        this.staleAfterMs = parseInt(process.env.RESEARCH_QUEUE_STALE_MS) || 10 * 60 * 1000;
+        this.active = 0;
+        this.polling = false;
+        this.timer = null;
+    }
+
+    /**
+     * @param {Object} user - Requesting user document
+     * @param {Object} input - { companyName, companyWebsite, industry }
+     * @param {Object} options - Optional: { _id, priority, maxAttempts, importId }
+     * @returns {Promise<Object>} Queued job document
+     */
+    async enqueue(user, input, options = {}) {
+        const job = await ResearchJob.create({
+            userId: user._id,
+            input,
+            ...options,
+            events: [{ stage: 'queued', message: `Research for ${input.companyName} queued` }]
+        });
+
+        console.log(`📥 Research job ${job._id} queued for ${input.companyName}`);
+
+        // Pick the job up straight away if this process has a free worker
+        setImmediate(() => this.poll());
+
+        return job;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        this.timer.unref();
+        console.log(`🧵 Research queue worker ${this.workerId} started (concurrency ${this.concurrency})`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            await this.failExhausted();
+
+            while (this.active < this.concurrency) {
+                const job = await this.claim();
+                if (!job) break;
+
+                this.active++;
+                this.process(job)
+                    .catch(error => console.error(`Research job ${job._id} crashed:`, error))
+                    .finally(() => {
+                        this.active--;
+                        setImmediate(() => this.poll());
+                    });
+            }
+        } catch (error) {
+            console.error('Research queue poll error:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    claim() {
+        const now = new Date();
+
+        return ResearchJob.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'queued', runAfter: { $lte: now } },
+                    {
+                        status: 'running',
+                        lockedAt: { $lt: new Date(now - this.staleAfterMs) },
+                        $expr: { $lt: ['$attempts', '$maxAttempts'] }
+                    }
+                ]
+            },
+            {
+                $set: { status: 'running', lockedAt: now, workerId: this.workerId, startedAt: now },
+                $inc: { attempts: 1 }
+            },
+            { sort: { priority: 1, createdAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Fail stale jobs that have used up their attempts, so a job whose worker
+     * keeps dying (out of memory, killed) is not reclaimed forever
+     */
+    async failExhausted() {
+        const now = new Date();
+        const message = 'Research worker stopped responding too many times';
+
+        for (;;) {
+            const job = await ResearchJob.findOneAndUpdate(
+                {
+                    status: 'running',
+                    lockedAt: { $lt: new Date(now - this.staleAfterMs) },
+                    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+                },
+                {
+                    $set: {
+                        status: 'failed',
+                        stage: 'failed',
+                        error: { status: 500, error: 'Research generation failed', message },
+                        completedAt: now
+                    },
+                    $push: { events: { stage: 'failed', message, at: now } }
+                },
+                { new: true }
+            );
+            if (!job) return;
+
+            console.error(`Research job ${job._id} failed after ${job.attempts} stale attempts`);
+            this.emit(`job:${job._id}`, { stage: 'failed', status: 'failed' });
+
+            if (job.importId) {
+                await ImportBatch.recordJobResult(job, { error: job.error });
+            }
+        }
+    }
+
+    /**
+     * Record a stage change and notify SSE subscribers in this process
+     * @param {Object} job - Job document
+     * @param {string} stage - New stage
+     * @param {string} message - Human readable progress message
+     */
+    async updateStage(job, stage, message) {
+        await ResearchJob.updateOne(
+            { _id: job._id },
+            {
+                $set: { stage, lockedAt: new Date() },
+                $push: { events: { stage, message, at: new Date() } }
+            }
+        );
+        this.emit(`job:${job._id}`, { stage, message });
+    }
+
+    async process(job) {
+        try {
+            const user = await User.findById(job.userId).select('-password');
+            if (!user || !user.isActive) {
+                throw new Error('User not found or inactive');
+            }
+
+            const { research } = await runResearch(user, job.input, {
+                onStage: (stage, message) => this.updateStage(job, stage, message)
+            });
+
+            await ResearchJob.updateOne(
+                { _id: job._id },
+                { $set: { status: 'completed', researchId: research._id, completedAt: new Date() } }
+            );
+            this.emit(`job:${job._id}`, { stage: 'saved', status: 'completed' });
+
+            if (job.importId) {
+                await ImportBatch.recordJobResult(job, { researchId: research._id });
+            }
+
+        } catch (error) {
+            const { status, body, retryAfter } = classifyResearchError(error);
+            // Only provider outages, timeouts and rate limits are worth another attempt
+            const retriable = isLlmError(error) && error.retryable && job.attempts < job.maxAttempts;
+            const retryDelayMs = Math.max(30 * 1000 * job.attempts, (retryAfter || 0) * 1000);
+
+            console.error(`Research job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+
+            if (retriable) {
+                await ResearchJob.updateOne(
+                    { _id: job._id },
+                    {
+                        $set: { status: 'queued', stage: 'queued', runAfter: new Date(Date.now() + retryDelayMs) },
+                        $push: { events: { stage: 'queued', message: `${body.message} - retrying`, at: new Date() } }
+                    }
+                );
+                this.emit(`job:${job._id}`, { stage: 'queued' });
+                return;
+            }
+
+            await ResearchJob.updateOne(
+                { _id: job._id },
+                {
+                    $set: {
+                        status: 'failed',
+                        stage: 'failed',
+                        error: { status, ...body },
+                        completedAt: new Date()
+                    },
+                    $push: { events: { stage: 'failed', message: body.message, at: new Date() } }
+                }
+            );
+            this.emit(`job:${job._id}`, { stage: 'failed', status: 'failed' });
+
+            if (job.importId) {
+                await ImportBatch.recordJobResult(job, { error: body });
+            }
+        }
+    }
+}
+
+module.exports = new ResearchQueue();
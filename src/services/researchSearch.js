@@ -0,0 +1,372 @@
+/**
+ * Hybrid search over research records.
+ *
+ * Two retrievers rank the records that pass the access filter and the search
+ * filters: the Research text index (keyword relevance, weighted by field) and
+ * cosine similarity between the query's embedding and each record's stored
+ * embedding. Their rankings are merged with reciprocal rank fusion, which
+ * only looks at ranks, so the two kinds of score never need to be comparable.
+ */
+
+const Research = require('../models/Research');
+const vectorService = require('./vectorService');
+const { toAccessFilter } = require('./researchAccess');
+const { isLlmError } = require('./llm/errors');
+
+const MODES = ['hybrid', 'keyword', 'semantic'];
+
+// Records each retriever contributes to the fused ranking
+const CANDIDATES = parseInt(process.env.SEARCH_CANDIDATES) || 100;
+// Damps the weight of top ranks; 60 is the value from the original RRF paper
+const RRF_K = parseInt(process.env.SEARCH_RRF_K) || 60;
+const SEMANTIC_THRESHOLD = parseFloat(process.env.SEARCH_SEMANTIC_THRESHOLD) || 0.3;
+
+const SNIPPET_LENGTH = 200;
+const FACET_SIZE = 20;
+
+// Fields snippets are taken from, in the order they are returned
+const HIGHLIGHT_FIELDS = [
+    ['companyName', research => research.companyName],
+    ['industry', research => research.industry],
+    ['tags', research => (research.tags || []).join(', ')],
+    ['results.overview', research => research.results && research.results.overview],
+    ['results.pitch', research => research.results && research.results.pitch]
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @param {Object} accessFilter - Records the user may read (see researchAccess)
+ * @param {Object} filters
+ * @param {string[]} filters.industry - Any of these industries (case-insensitive)
+ * @param {string[]} filters.tags - All of these tags
+ * @param {number} filters.minRating
+ * @param {number} filters.maxRating
+ * @param {boolean} filters.saved - Only saved (true) or unsaved (false) research
+ * @param {Date} filters.from - Created on or after
+ * @param {Date} filters.to - Created on or before
+ * @returns {Object} Mongo filter
+ */
+const searchFilter = (accessFilter, { industry, tags, minRating, maxRating, saved, from, to } = {}) => {
+    const conditions = [accessFilter];
+
+    if (industry && industry.length > 0) {
+        conditions.push({ industry: { $in: industry.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) } });
+    }
+    if (tags && tags.length > 0) {
+        conditions.push({ tags: { $all: tags } });
+    }
+    if (minRating || maxRating) {
+        conditions.push({ rating: { ...(minRating && { $gte: minRating }), ...(maxRating && { $lte: maxRating }) } });
+    }
+    if (saved !== undefined) {
+        conditions.push({ isSaved: saved });
+    }
+    if (from || to) {
+        conditions.push({ createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+    }
+
+    return { $and: conditions };
+};
+
+const textFilter = (filter, query) => ({ ...filter, $text: { $search: query } });
+
+/**
+ * @returns {Promise<Array>} { _id, score } by text score, best first
+ */
+const keywordRanking = async (filter, query) => {
+    const docs = await Research.find(textFilter(filter, query))
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(CANDIDATES)
+        .lean();
+
+    return docs.map(doc => ({ _id: doc._id, score: doc.score }));
+};
+
+/**
+ * @param {Object} filter - Output of searchFilter
+ * @param {Object} access - Whose embeddings may match (see researchAccess.getAccess)
+ * @returns {Promise<Array>} { _id, score } by similarity of the record's embedding, best first
+ */
+const semanticRanking = async (filter, access, query) => {
+    const vector = await vectorService.generateEmbedding(query);
+
+    // The vector search only knows access; the other search filters are applied
+    // to the research it returns, asking for more neighbours until enough pass
+    for (let count = CANDIDATES; ; count *= 4) {
+        const nearest = await vectorService.findNearestAmong(vector, access, count, SEMANTIC_THRESHOLD);
+        const researchIds = nearest.filter(item => item.researchId).map(item => item.researchId);
+        const passing = await Research.find({ $and: [filter, { _id: { $in: researchIds } }] }).select('_id').lean();
+        const passed = new Set(passing.map(doc => String(doc._id)));
+
+        // A record may have more than one embedding; keep its best match
+        const seen = new Set();
+        const ranking = nearest
+            .filter(item => {
+                const id = String(item.researchId);
+                if (!passed.has(id) || seen.has(id)) return false;
+                seen.add(id);
+                return true;
+            })
+            .map(item => ({ _id: item.researchId, score: item.similarityScore }));
+
+        if (ranking.length >= CANDIDATES || nearest.length < count) {
+            return ranking.slice(0, CANDIDATES);
+        }
+    }
+};
+
+/**
+ * Reciprocal rank fusion: each record scores sum(1 / (RRF_K + rank)) over the
+ * rankings it appears in
+ * @param {Object} rankings - { retrieverName: [{ _id, score }] }
+ * @returns {Array} { _id, score, ranks: { retrieverName: { rank, score } } }, best first
+ */
+const fuseRankings = (rankings) => {
+    const fused = new Map();
+
+    for (const [name, ranking] of Object.entries(rankings)) {
+        ranking.forEach((item, index) => {
+            const id = String(item._id);
+            const entry = fused.get(id) || { _id: item._id, score: 0, ranks: {} };
+            entry.score += 1 / (RRF_K + index + 1);
+            entry.ranks[name] = { rank: index + 1, score: item.score };
+            fused.set(id, entry);
+        });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Words of the query, roughly stemmed so "logistics" also marks "logistic"
+ */
+const queryTerms = (query) => {
+    const words = String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const terms = words
+        .filter(word => word.length >= 2)
+        .map(word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word));
+    return [...new Set(terms)];
+};
+
+/**
+ * @param {string[]} terms - Output of queryTerms
+ * @returns {RegExp|null} Matches whole words starting with a term
+ */
+const termPattern = (terms) => (terms.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu')
+    : null);
+
+/**
+ * Excerpt of a field around its first match
+ * @returns {Object|null} { field, text, matches: [[start, end]] } with offsets into text; null without a match
+ */
+const highlightField = (field, value, pattern) => {
+    const text = value ? String(value) : '';
+    const found = pattern ? [...text.matchAll(pattern)] : [];
+    if (found.length === 0) return null;
+
+    let start = 0;
+    const lead = Math.floor(SNIPPET_LENGTH / 3);
+    if (found[0].index > lead) {
+        start = text.lastIndexOf(' ', found[0].index - lead) + 1;
+    }
+
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > found[0].index) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const offset = prefix.length - start;
+
+    return {
+        field,
+        text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+        matches: found
+            .filter(match => match.index >= start && match.index + match[0].length <= end)
+            .map(match => [match.index + offset, match.index + match[0].length + offset])
+    };
+};
+
+/**
+ * Snippets of the fields matching the query. Records found only by meaning get
+ * the start of their overview instead.
+ * @param {Object} research - Research record
+ * @param {RegExp|null} pattern - Output of termPattern
+ * @returns {Array} { field, text, matches }
+ */
+const highlightResearch = (research, pattern) => {
+    const highlights = HIGHLIGHT_FIELDS
+        .map(([field, read]) => highlightField(field, read(research), pattern))
+        .filter(Boolean);
+
+    if (highlights.length > 0) return highlights;
+
+    const overview = (research.results && research.results.overview) || '';
+    return [{
+        field: 'results.overview',
+        text: overview.length > SNIPPET_LENGTH ? `${overview.slice(0, SNIPPET_LENGTH)}…` : overview,
+        matches: []
+    }];
+};
+
+const toBuckets = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+
+/**
+ * Every record the search matched: all keyword matches, not only the ranked
+ * candidates, plus the records found only by meaning
+ * @param {Object} filter - Output of searchFilter
+ * @param {string} query - Search text
+ * @param {Array|null} keyword - Keyword ranking, null when not run
+ * @param {Array|null} semantic - Semantic ranking, null when not run
+ * @returns {Promise<Object>} { total, pipeline } where pipeline selects those records
+ */
+const matchedRecords = async (filter, query, keyword, semantic) => {
+    const semanticIds = semantic ? semantic.map(item => item._id) : [];
+
+    if (!keyword) {
+        return { total: semanticIds.length, pipeline: [{ $match: { _id: { $in: semanticIds } } }] };
+    }
+
+    const keywordFilter = textFilter(filter, query);
+    const [keywordTotal, alsoKeyword] = await Promise.all([
+        Research.countDocuments(keywordFilter),
+        semanticIds.length > 0
+            ? Research.find({ ...keywordFilter, _id: { $in: semanticIds } }).select('_id').lean()
+            : []
+    ]);
+
+    const keywordIds = new Set(alsoKeyword.map(doc => String(doc._id)));
+    const semanticOnly = semanticIds.filter(id => !keywordIds.has(String(id)));
+
+    return {
+        total: keywordTotal + semanticOnly.length,
+        pipeline: [
+            { $match: keywordFilter },
+            ...(semanticOnly.length > 0
+                ? [{ $unionWith: { coll: Research.collection.collectionName, pipeline: [{ $match: { _id: { $in: semanticOnly } } }] } }]
+                : [])
+        ]
+    };
+};
+
+/**
+ * Counts over every matched record (not only the current page or the ranked
+ * candidates), for narrowing the search
+ * @param {Array} pipeline - Stages selecting the records (see matchedRecords)
+ * @returns {Promise<Object>} { industry, tags, rating, saved, month } as [{ value, count }]
+ */
+const searchFacets = async (pipeline) => {
+    const countBy = (field) => [
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_SIZE }
+    ];
+
+    const [facets] = await Research.aggregate([
+        ...pipeline,
+        {
+            $facet: {
+                industry: [{ $match: { industry: { $nin: [null, ''] } } }, ...countBy('$industry')],
+                tags: [{ $unwind: '$tags' }, ...countBy('$tags')],
+                rating: [{ $match: { rating: { $ne: null } } }, { $group: { _id: '$rating', count: { $sum: 1 } } }, { $sort: { _id: -1 } }],
+                saved: [{ $group: { _id: '$isSaved', count: { $sum: 1 } } }, { $sort: { _id: -1 } }],
+                month: [
+                    { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+                    { $sort: { _id: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    return Object.fromEntries(Object.entries(facets).map(([name, rows]) => [name, toBuckets(rows)]));
+};
+
+/**
+ * @param {Object} access - Whose records the user may read (see researchAccess.getAccess)
+ * @param {string} query - Search text
+ * @param {Object} options
+ * @param {string} options.mode - hybrid (default), keyword or semantic
+ * @param {Object} options.filters - See searchFilter
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { research, total, ranked, facets, retrievers, embedded }. In hybrid
+ *   mode a failing embedding provider leaves keyword results only; in semantic mode it throws.
+ */
+const searchResearch = async (access, query, { mode = 'hybrid', filters = {}, page = 1, limit = 20 } = {}) => {
+    const filter = searchFilter(toAccessFilter(access), filters);
+    const retrievers = {};
+    const rankings = {};
+
+    const runKeyword = mode !== 'semantic';
+    const runSemantic = mode !== 'keyword';
+
+    const [keyword, semantic] = await Promise.all([
+        runKeyword ? keywordRanking(filter, query) : null,
+        runSemantic
+            ? semanticRanking(filter, access, query).catch(error => {
+                if (mode === 'semantic' || !isLlmError(error)) throw error;
+                console.warn(`⚠️ Semantic search unavailable (${error.code}); returning keyword matches only`);
+                return error;
+            })
+            : null
+    ]);
+
+    if (keyword) {
+        rankings.keyword = keyword;
+        retrievers.keyword = { used: true, matches: keyword.length };
+    }
+    if (semantic instanceof Error) {
+        retrievers.semantic = { used: false, code: semantic.code };
+    } else if (semantic) {
+        rankings.semantic = semantic;
+        retrievers.semantic = { used: true, matches: semantic.length };
+    }
+
+    const fused = fuseRankings(rankings);
+    const pageEntries = fused.slice((page - 1) * limit, page * limit);
+
+    const matched = await matchedRecords(filter, query, keyword, rankings.semantic || null);
+    const [records, facets] = await Promise.all([
+        Research.find({ _id: { $in: pageEntries.map(entry => entry._id) } }).select('-promptUsed -__v'),
+        searchFacets(matched.pipeline)
+    ]);
+
+    const byId = new Map(records.map(record => [String(record._id), record]));
+    const pattern = termPattern(queryTerms(query));
+
+    const research = pageEntries
+        .filter(entry => byId.has(String(entry._id)))
+        .map(entry => {
+            const record = byId.get(String(entry._id)).toObject();
+            return {
+                ...record,
+                search: {
+                    score: entry.score,
+                    ranks: entry.ranks,
+                    highlights: highlightResearch(record, pattern)
+                }
+            };
+        });
+
+    return {
+        research,
+        total: matched.total,
+        // Results that can be paged through: each retriever ranks at most CANDIDATES records
+        ranked: fused.length,
+        facets,
+        retrievers,
+        // Whether an embedding was generated (and counts towards usage)
+        embedded: Boolean(semantic) && !(semantic instanceof Error)
+    };
+};
+
+module.exports = {
+    MODES,
+    searchFilter,
+    fuseRankings,
+    searchResearch
+};
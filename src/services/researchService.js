@@ -0,0 +1,419 @@
+const Research = require('../models/Research');
+const ResearchVersion = require('../models/ResearchVersion');
+const { generateCompanyResearch } = require('./openai');
+const vectorService = require('./vectorService');
+const { recordUsage } = require('./usageService');
+const { emitEvent } = require('./webhookService');
+const { loadPromptTeam, getActiveTemplate } = require('./promptTemplateService');
+const { getSellerProfile } = require('./sellerProfileService');
+const { mergeContacts } = require('../utils/contacts');
+const { researchKind } = require('../config/promptTemplates');
+const { scoreIcpFit } = require('../utils/icpFit');
+const { linkResearchToCompany } = require('./companyResolution');
+const { llmErrorResponse } = require('./llm/errors');
+
+/**
+ * Research generation stages, in the order they are reported
+ */
+const STAGES = ['validating', 'grounding', 'researching', 'embedding', 'saved'];
+
+/**
+ * Research `results` field for each key of the model's response
+ */
+const RESULT_FIELDS = {
+    companyOverview: 'overview',
+    companyDetails: 'companyDetails',
+    contactInfo: 'contactInfo',
+    painPoints: 'painPoints',
+    customSalesPitch: 'pitch',
+    decisionMakers: 'decisionMakers',
+    technologies: 'technologies',
+    additionalInsights: 'additionalInsights'
+};
+
+/**
+ * @param {Object} aiResults - Output of generateCompanyResearch
+ * @returns {Object} Research `results` subdocument
+ */
+const toResearchResults = (aiResults) => ({
+    overview: aiResults.companyOverview,
+    companyDetails: aiResults.companyDetails,
+    contactInfo: aiResults.contactInfo,
+    painPoints: aiResults.painPoints,
+    pitch: aiResults.customSalesPitch,
+    decisionMakers: aiResults.decisionMakers,
+    technologies: aiResults.technologies,
+    additionalInsights: aiResults.additionalInsights,
+    sources: aiResults.sources
+});
+
+/**
+ * @param {Object} results - Research `results`
+ * @returns {string} Text embedded for similarity search
+ */
+const embeddingText = (results) =>
+    `${results.overview} ${(results.painPoints || []).join(' ')} ${results.pitch} ${results.additionalInsights || ''}`;
+
+/**
+ * Prompt template, variables and seller profile for a research run
+ * @param {Object} user - Requesting user document
+ * @param {Object|null} team - Team whose templates and seller profile apply
+ * @param {Object} input - { industry, persona }
+ * @returns {Promise<Object>} { template, variables, sellerProfile }
+ */
+const researchPrompt = async (user, team, { industry, persona }) => ({
+    template: await getActiveTemplate(team, researchKind(user.role)),
+    variables: { industry, persona },
+    sellerProfile: await getSellerProfile(user, team)
+});
+
+/**
+ * @param {Object} template - Output of getActiveTemplate
+ * @param {string} [persona] - Persona the research was written for
+ * @returns {Object} Research `promptTemplate`
+ */
+const toPromptTemplateRecord = (template, persona) => ({
+    kind: template.kind,
+    source: template.source,
+    teamId: template.teamId,
+    version: template.version,
+    persona
+});
+
+/**
+ * @param {Object} cache - `cache` of generateCompanyResearch's output
+ * @returns {Object} Research `cache`
+ */
+const toCacheRecord = (cache) => ({ hit: cache.hit, cachedAt: cache.cachedAt });
+
+/**
+ * Link research to its canonical company. Resolution problems never fail the
+ * research itself; unlinked records are picked up by `npm run companies:backfill`.
+ * @param {Object} research - Research document (saved by the caller)
+ * @param {number[]|null} embedding - Embedding of the research text
+ */
+const linkCompany = async (research, embedding) => {
+    try {
+        const { company, method } = await linkResearchToCompany(research, { embedding });
+        console.log(`🏢 ${research.companyName} linked to company ${company._id} (${method})`);
+    } catch (error) {
+        console.error('⚠️ Company resolution failed:', error);
+    }
+};
+
+/**
+ * Run the full research pipeline for one company: validation, generation,
+ * embedding storage and persistence.
+ * @param {Object} user - Requesting user document
+ * @param {Object} input - { companyName, companyWebsite, industry, teamId, persona, cache }; teamId picks
+ *   the team whose prompt templates and seller profile are used, cache false skips the research cache
+ * @param {Object} options
+ * @param {Function} options.onStage - Called with (stage, message) as the pipeline progresses
+ * @param {Function} options.onSection - Streams generation, calling this with (field, value) as each
+ *   `results` field is generated; the saved research may differ (fallbacks, website contacts)
+ * @returns {Promise<Object>} { research, aiResults }
+ */
+const runResearch = async (user, { companyName, companyWebsite, industry, teamId, persona, cache }, { onStage = () => { }, onSection = null } = {}) => {
+    const userId = user._id;
+    const userRole = user.role;
+
+    console.log(`🔍 Generating research for ${companyName} by user ${user.email} (${userRole})`);
+
+    const team = await loadPromptTeam(user, teamId);
+    const { template, variables, sellerProfile } = await researchPrompt(user, team, { industry, persona });
+
+    const aiResults = await generateCompanyResearch(companyName, userRole, companyWebsite, {
+        onStage,
+        template,
+        variables,
+        sellerProfile,
+        onSection: onSection && ((key, value) => RESULT_FIELDS[key] && onSection(RESULT_FIELDS[key], value)),
+        useCache: cache !== false
+    });
+
+    const research = new Research({
+        userId,
+        companyName,
+        companyWebsite,
+        industry,
+        results: toResearchResults(aiResults),
+        provenance: aiResults.provenance,
+        aiModel: aiResults.model,
+        promptUsed: `${aiResults.model} company research for ${companyName} - ${userRole} user`,
+        promptTemplate: toPromptTemplateRecord(template, persona),
+        tokensUsed: aiResults.tokensUsed,
+        researchMethod: aiResults.researchMethod || 'GPT-4o Knowledge Base'
+    });
+
+    research.icpFit = scoreIcpFit(research, sellerProfile);
+    research.schemaValidation = aiResults.schemaValidation;
+    research.cache = toCacheRecord(aiResults.cache);
+
+    await research.validate();
+
+    // Store embeddings for vector search
+    await onStage('embedding', 'Indexing research for similarity search');
+    const text = embeddingText(research.results);
+    let embedding = null;
+    try {
+        embedding = await vectorService.generateEmbedding(text);
+    } catch (embeddingError) {
+        console.error('⚠️ Failed to generate embeddings:', embeddingError);
+    }
+
+    await linkCompany(research, embedding);
+
+    if (embedding) {
+        try {
+            const metadata = {
+                industry,
+                website: companyWebsite,
+                tags: [userRole, `${aiResults.provider}-generated`, 'ai-research'],
+                model: aiResults.model
+            };
+            await vectorService.storeCompanyEmbedding(companyName, text, userId, metadata, {
+                researchId: research._id,
+                companyId: research.companyId
+            }, embedding);
+            console.log(`✅ Vector embeddings stored for ${companyName}`);
+        } catch (embeddingError) {
+            console.error('⚠️ Failed to store embeddings:', embeddingError);
+            // Continue execution even if embedding storage fails
+        }
+    }
+
+    await research.save();
+    await onStage('saved', 'Research saved');
+
+    await recordUsage(userId, {
+        research: 1,
+        tokens: aiResults.tokensUsed,
+        embeddingCalls: 1
+    });
+
+    emitEvent('research.created', { user, research });
+
+    console.log(`✅ Research completed for ${companyName} - ${aiResults.tokensUsed} tokens used`);
+
+    return { research, aiResults };
+};
+
+/**
+ * Regenerate an existing research record in place. The previous content is
+ * kept as an immutable ResearchVersion, fields and contacts the user edited
+ * by hand are carried over unless `keepEdits` is false, and the record's embedding is
+ * re-computed instead of a new one being added.
+ * @param {Object} user - Requesting user document
+ * @param {Object} research - Research document to refresh
+ * @param {Object} options
+ * @param {boolean} options.keepEdits - Keep user-edited fields (default true)
+ * @param {Function} options.onStage - Called with (stage, message) as the pipeline progresses
+ * @returns {Promise<Object>} { research, aiResults, previousVersion }
+ */
+const refreshResearch = async (user, research, { keepEdits = true, onStage = () => { } } = {}) => {
+    const { companyName, companyWebsite, industry } = research;
+    const previousPrompt = research.promptTemplate || {};
+
+    console.log(`🔄 Refreshing research ${research._id} for ${companyName} (v${research.version})`);
+
+    // Keep using the team's templates while the user is still a member
+    let team = null;
+    try {
+        team = await loadPromptTeam(user, previousPrompt.teamId);
+    } catch (error) {
+        if (error.code !== 'TEAM_ACCESS_DENIED') throw error;
+        console.warn(`⚠️ ${user.email} left the team of research ${research._id}; refreshing with built-in templates`);
+    }
+    const { template, variables, sellerProfile } = await researchPrompt(user, team, { industry, persona: previousPrompt.persona });
+
+    // A refresh asks for new content, so cached facts are not reused (the new ones are cached)
+    const aiResults = await generateCompanyResearch(companyName, user.role, companyWebsite, {
+        onStage,
+        template,
+        variables,
+        sellerProfile,
+        useCache: false
+    });
+
+    const snapshot = research.toObject();
+    const previousContent = {
+        researchId: research._id,
+        version: research.version,
+        results: snapshot.results,
+        provenance: snapshot.provenance,
+        aiModel: research.aiModel,
+        researchMethod: research.researchMethod,
+        tokensUsed: research.tokensUsed,
+        generatedAt: research.refreshedAt || research.createdAt,
+        replacedBy: user._id
+    };
+
+    const userEdits = keepEdits
+        ? snapshot.provenance.filter(record => record.source === 'user' && record.field !== 'decisionMakers')
+        : [];
+
+    research.results = toResearchResults(aiResults);
+    research.provenance = aiResults.provenance;
+    if (keepEdits) {
+        research.results.decisionMakers = mergeContacts(snapshot.results.decisionMakers, aiResults.decisionMakers);
+    }
+    for (const edit of userEdits) {
+        research.set(`results.${edit.field}`, getPath(snapshot.results, edit.field));
+        research.setProvenance(edit);
+    }
+
+    research.aiModel = aiResults.model;
+    research.tokensUsed = aiResults.tokensUsed;
+    research.researchMethod = aiResults.researchMethod || research.researchMethod;
+    research.promptUsed = `${aiResults.model} company research refresh for ${companyName} - ${user.role} user`;
+    research.promptTemplate = toPromptTemplateRecord(template, previousPrompt.persona);
+    research.icpFit = scoreIcpFit(research, sellerProfile);
+    research.schemaValidation = aiResults.schemaValidation;
+    research.cache = toCacheRecord(aiResults.cache);
+    research.version += 1;
+    research.refreshedAt = new Date();
+
+    // Only save over the version this refresh started from; a concurrent
+    // refresh (the watch scheduler and a manual one) that saved first wins
+    research.$where = { version: previousContent.version };
+    try {
+        await research.save();
+    } catch (error) {
+        // VersionError when the array version key was checked too
+        if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+            throw Object.assign(new Error('This research was refreshed by another request; try again'), { code: 'REFRESH_CONFLICT' });
+        }
+        throw error;
+    } finally {
+        research.$where = undefined;
+    }
+
+    // Snapshot only once this refresh owns the new version, so versions are never overwritten
+    const previousVersion = await ResearchVersion.create(previousContent);
+
+    await onStage('embedding', 'Updating the similarity search index');
+    let stored = null;
+    try {
+        const embedding = await vectorService.findEmbeddingForResearch(research);
+        if (embedding) {
+            stored = await vectorService.updateCompanyEmbedding(embedding._id, embeddingText(research.results));
+        } else {
+            stored = await vectorService.storeCompanyEmbedding(companyName, embeddingText(research.results), research.userId, {
+                industry,
+                website: companyWebsite,
+                tags: [user.role, `${aiResults.provider}-generated`, 'ai-research'],
+                model: aiResults.model
+            }, { researchId: research._id, teamId: research.teamId, companyId: research.companyId });
+        }
+    } catch (embeddingError) {
+        console.error('⚠️ Failed to update embeddings:', embeddingError);
+    }
+
+    // Research created before companies existed is linked on its first refresh
+    if (!research.companyId) {
+        await linkCompany(research, stored ? stored.embedding : null);
+        if (research.companyId) {
+            await Research.updateOne({ _id: research._id }, { $set: { companyId: research.companyId } });
+        }
+    }
+    await onStage('saved', 'Research saved');
+
+    await recordUsage(user._id, {
+        research: 1,
+        tokens: aiResults.tokensUsed,
+        embeddingCalls: 1
+    });
+
+    emitEvent('research.refreshed', { user, research, data: { version: research.version } });
+
+    console.log(`✅ Research ${research._id} refreshed to v${research.version}`);
+
+    return { research, aiResults, previousVersion };
+};
+
+const getPath = (object, path) =>
+    path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+/**
+ * Shape of a research record returned by the research endpoints
+ * @param {Object} research - Research document
+ * @returns {Object} Public research fields
+ */
+const toResearchResponse = (research) => ({
+    _id: research._id,
+    companyName: research.companyName,
+    companyWebsite: research.companyWebsite,
+    industry: research.industry,
+    results: research.results,
+    provenance: research.provenance,
+    companyId: research.companyId,
+    icpFit: research.icpFit,
+    schemaValidation: research.schemaValidation,
+    cache: research.cache,
+    createdAt: research.createdAt,
+    isSaved: research.isSaved,
+    rating: research.rating,
+    notes: research.notes,
+    tags: research.tags
+});
+
+/**
+ * Map a research pipeline error to an HTTP status and response body
+ * @param {Error} error - Error thrown by runResearch
+ * @returns {Object} { status, body, retryAfter }; retryAfter (seconds) only for some provider errors
+ */
+const classifyResearchError = (error) => {
+    const message = error.message || '';
+
+    if (error.code === 'TEAM_ACCESS_DENIED') {
+        return {
+            status: 403,
+            body: {
+                error: 'Access denied',
+                message
+            }
+        };
+    }
+
+    if (error.code === 'REFRESH_CONFLICT') {
+        return {
+            status: 409,
+            body: {
+                error: 'Refresh conflict',
+                message
+            }
+        };
+    }
+
+    const llmResponse = llmErrorResponse(error);
+    if (llmResponse) {
+        return llmResponse;
+    }
+
+    if (error.code === 'INVALID_COMPANY') {
+        return {
+            status: 400,
+            body: {
+                error: 'Invalid Company',
+                message,
+                type: 'COMPANY_VALIDATION_ERROR'
+            }
+        };
+    }
+
+    return {
+        status: 500,
+        body: {
+            error: 'Research generation failed',
+            message: 'An error occurred while generating company research'
+        }
+    };
+};
+
+module.exports = {
+    STAGES,
+    runResearch,
+    refreshResearch,
+    toResearchResponse,
+    classifyResearchError
+};
@@ -0,0 +1,21 @@
+const SellerProfile = require('../models/SellerProfile');
+
+/**
+ * Seller profile a generation writes for: the team's when a team is in play
+ * and has one, else the user's own
+ * @param {Object} user - User document
+ * @param {Object|null} [team] - Team document
+ * @returns {Promise<Object|null>} SellerProfile document
+ */
+const getSellerProfile = async (user, team = null) => {
+    if (team) {
+        const teamProfile = await SellerProfile.findOne({ teamId: team._id });
+        if (teamProfile) return teamProfile;
+    }
+
+    return SellerProfile.findOne({ userId: user._id });
+};
+
+module.exports = {
+    getSellerProfile
+};
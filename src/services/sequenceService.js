@@ -0,0 +1,94 @@
+const Sequence = require('../models/Sequence');
+const Team = require('../models/Team');
+const { generateOutreachSequence } = require('./openai');
+const { recordUsage } = require('./usageService');
+const { getSellerProfile } = require('./sellerProfileService');
+const { buildCadence } = require('../utils/sequences');
+const { SENIORITIES, inferDepartment, inferSeniority } = require('../utils/contacts');
+
+/**
+ * Who a sequence is written for. A contactId picks a decision maker from the
+ * research; a title/department describes a role; with neither the most
+ * senior contact that has not been rejected is used.
+ * @param {Object} research - Research document
+ * @param {Object} [persona] - { contactId } or { name, title, department, seniority }
+ * @returns {Object} Sequence persona
+ */
+const resolvePersona = (research, persona = {}) => {
+    const contacts = research.results.decisionMakers || [];
+
+    if (persona.contactId) {
+        const contact = contacts.find(item => String(item._id) === String(persona.contactId));
+        if (!contact) {
+            throw Object.assign(new Error('Contact not found on this research'), { code: 'CONTACT_NOT_FOUND' });
+        }
+        const { _id, name, title, department, seniority } = contact;
+        return { contactId: _id, name, title, department, seniority };
+    }
+
+    if (persona.title || persona.department || persona.name) {
+        return {
+            name: persona.name,
+            title: persona.title,
+            department: persona.department || (persona.title ? inferDepartment(persona.title) : undefined),
+            seniority: persona.seniority || (persona.title ? inferSeniority(persona.title) : undefined)
+        };
+    }
+
+    const [mostSenior] = contacts
+        .filter(contact => contact.verificationStatus !== 'rejected')
+        .sort((a, b) => SENIORITIES.indexOf(b.seniority) - SENIORITIES.indexOf(a.seniority));
+
+    return mostSenior ? resolvePersona(research, { contactId: mostSenior._id }) : {};
+};
+
+/**
+ * Generate and store an outreach sequence for a research record
+ * @param {Object} user - User document
+ * @param {Object} research - Research document the user can read
+ * @param {Object} options - { name, tone, length, persona, steps }
+ * @returns {Promise<Object>} Saved Sequence document
+ */
+const createSequence = async (user, research, { name, tone, length, persona, steps } = {}) => {
+    const resolvedPersona = resolvePersona(research, persona);
+    const cadence = buildCadence(steps);
+
+    // Written for the team the research is shared with, if the user is in it
+    const team = research.visibility === 'team'
+        ? await Team.findOne({ _id: research.teamId, 'members.userId': user._id })
+        : null;
+
+    const generated = await generateOutreachSequence(research, {
+        cadence,
+        tone,
+        length,
+        persona: resolvedPersona,
+        senderName: [user.firstName, user.lastName].filter(Boolean).join(' '),
+        sellerProfile: await getSellerProfile(user, team)
+    });
+
+    const sequence = await Sequence.create({
+        userId: user._id,
+        researchId: research._id,
+        companyName: research.companyName,
+        name: name || `${research.companyName} outreach`,
+        tone,
+        length,
+        persona: resolvedPersona,
+        steps: generated.steps,
+        model: generated.model,
+        tokensUsed: generated.tokensUsed
+    });
+
+    await recordUsage(user._id, {
+        sequences: 1,
+        tokens: generated.tokensUsed
+    });
+
+    return sequence;
+};
+
+module.exports = {
+    resolvePersona,
+    createSequence
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const {
+    generateToken,
+    generateRefreshToken,
+    verifyRefreshToken,
+    getTokenExpiry
+} = require('../utils/jwt');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * @param {Object} req - Express request
+ * @returns {Object} Device details stored with the session
+ */
+const getDeviceInfo = (req = {}) => ({
+    deviceId: (req.body && req.body.deviceId) || (req.headers && req.headers['x-device-id']) || undefined,
+    userAgent: req.headers && req.headers['user-agent'],
+    ipAddress: req.ip
+});
+
+/**
+ * Sign and persist a refresh token for a session family
+ * @param {Object} user - User document
+ * @param {string} familyId - Session id
+ * @param {Object} device - Device details from getDeviceInfo
+ * @returns {Promise<Object>} Stored token document and the raw token
+ */
+const issueRefreshToken = async (user, familyId, device) => {
+    const tokenId = crypto.randomUUID();
+    const refreshToken = generateRefreshToken({
+        userId: user._id,
+        jti: tokenId,
+        fid: familyId
+    });
+
+    const record = await RefreshToken.create({
+        userId: user._id,
+        tokenId,
+        familyId,
+        tokenHash: hashToken(refreshToken),
+        ...device,
+        expiresAt: getTokenExpiry(refreshToken)
+    });
+
+    return { record, refreshToken };
+};
+
+const generateAccessToken = (user, sessionId) => generateToken({
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    sid: sessionId
+});
+
+/**
+ * Start a new login session (one per device)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used for device details
+ * @returns {Promise<Object>} { token, refreshToken, sessionId }
+ */
+const createSession = async (user, req) => {
+    const familyId = crypto.randomUUID();
+    const { refreshToken } = await issueRefreshToken(user, familyId, getDeviceInfo(req));
+
+    return {
+        token: generateAccessToken(user, familyId),
+        refreshToken,
+        sessionId: familyId
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented token
+ * is retired; presenting it again revokes the whole session.
+ * @param {string} rawToken - Refresh token from the client
+ * @param {Object} req - Express request, used for device details
+ * @returns {Promise<Object>} { user, token, refreshToken, sessionId }
+ */
+const rotateSession = async (rawToken, req) => {
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(rawToken);
+    } catch (error) {
+        throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+    }
+
+    const record = await RefreshToken.findOne({ tokenId: decoded.jti });
+
+    if (!record || record.tokenHash !== hashToken(rawToken)) {
+        throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+    }
+
+    if (record.revokedAt) {
+        throw sessionError('SESSION_REVOKED', 'This session has been revoked');
+    }
+
+    const user = await User.findById(record.userId).select('-password');
+    if (!user || !user.isActive) {
+        await RefreshToken.revokeFamily(record.familyId, 'session-revoked');
+        throw sessionError('INVALID_REFRESH_TOKEN', 'Account is inactive or no longer exists');
+    }
+
+    const nextTokenId = crypto.randomUUID();
+
+    // Claim the token atomically so two concurrent refreshes cannot both win.
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: record._id, replacedBy: null, revokedAt: null },
+        { replacedBy: nextTokenId, lastUsedAt: new Date() },
+        { new: true }
+    );
+
+    if (!claimed) {
+        await RefreshToken.revokeFamily(record.familyId, 'reuse-detected');
+        console.warn(`⚠️ Refresh token reuse detected for user ${record.userId}, session ${record.familyId} revoked`);
+        throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used - session revoked');
+    }
+
+    const refreshToken = generateRefreshToken({
+        userId: user._id,
+        jti: nextTokenId,
+        fid: record.familyId
+    });
+
+    const device = getDeviceInfo(req);
+    await RefreshToken.create({
+        userId: user._id,
+        tokenId: nextTokenId,
+        familyId: record.familyId,
+        tokenHash: hashToken(refreshToken),
+        deviceId: device.deviceId || record.deviceId,
+        userAgent: device.userAgent,
+        ipAddress: device.ipAddress,
+        expiresAt: getTokenExpiry(refreshToken)
+    });
+
+    return {
+        user,
+        token: generateAccessToken(user, record.familyId),
+        refreshToken,
+        sessionId: record.familyId
+    };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} rawToken - Refresh token from the client
+ * @returns {Promise<Object|null>} Token record, or null if the token is unknown
+ */
+const revokeByRefreshToken = async (rawToken, reason = 'logout') => {
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(rawToken);
+    } catch (error) {
+        return null;
+    }
+
+    const record = await RefreshToken.findOne({ tokenId: decoded.jti });
+    if (!record || record.tokenHash !== hashToken(rawToken)) {
+        return null;
+    }
+
+    await RefreshToken.revokeFamily(record.familyId, reason);
+    return record;
+};
+
+/**
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session (family) id
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+const revokeSession = async (userId, sessionId, reason = 'session-revoked') => {
+    const result = await RefreshToken.updateMany(
+        { userId, familyId: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * @param {string} userId - User ID
+ * @param {string} exceptSessionId - Optional session to keep alive
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout-all', exceptSessionId = null) => {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        query.familyId = { $ne: exceptSessionId };
+    }
+    const familyIds = await RefreshToken.distinct('familyId', query);
+    await RefreshToken.revokeAllForUser(userId, reason, exceptSessionId);
+    return familyIds.length;
+};
+
+/**
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Active sessions, most recently used first
+ */
+const listSessions = async (userId) => {
+    const tokens = await RefreshToken.find({
+        userId,
+        revokedAt: null,
+        replacedBy: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .sort({ updatedAt: -1 })
+        .lean();
+
+    return tokens.map(token => ({
+        sessionId: token.familyId,
+        deviceId: token.deviceId,
+        userAgent: token.userAgent,
+        ipAddress: token.ipAddress,
+        lastUsedAt: token.lastUsedAt || token.createdAt,
+        expiresAt: token.expiresAt
+    }));
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    isSessionActive: (sessionId) => RefreshToken.isSessionActive(sessionId)
+};
@@ -0,0 +1,100 @@
+const Usage = require('../models/Usage');
+const { getPlan, UPGRADE_PATH } = require('../config/plans');
+
+/**
+ * @param {Date} date - Reference date
+ * @returns {string} Billing period in YYYY-MM (UTC)
+ */
+const getPeriod = (date = new Date()) =>
+    `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * @param {string} period - Billing period in YYYY-MM
+ * @returns {Date} Start of the following period
+ */
+const getPeriodEnd = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 1));
+};
+
+/**
+ * Add to a user's usage for the current period. Never throws: metering must
+ * not fail a request that has already been served.
+ * @param {string} userId - User ID
+ * @param {Object} deltas - { research, tokens, embeddingCalls, alternativePitches, sequences }
+ * @returns {Promise<Object|null>} Updated usage document
+ */
+const recordUsage = async (userId, deltas) => {
+    if (!Usage.METRICS.some(metric => deltas[metric])) {
+        return null;
+    }
+
+    try {
+        return await Usage.increment(userId, getPeriod(), deltas);
+    } catch (error) {
+        console.error('⚠️ Failed to record usage:', error);
+        return null;
+    }
+};
+
+/**
+ * @param {Object} user - User document
+ * @param {string} period - Billing period in YYYY-MM (defaults to current)
+ * @returns {Promise<Object>} Usage, limits and remaining allowance per metric
+ */
+const getUsageSummary = async (user, period = getPeriod()) => {
+    const plan = getPlan(user.role);
+    const usage = await Usage.findOne({ userId: user._id, period }).lean();
+
+    const metrics = {};
+    for (const metric of Usage.METRICS) {
+        const used = (usage && usage[metric]) || 0;
+        const limit = plan.quotas[metric];
+        metrics[metric] = {
+            used,
+            limit,
+            remaining: limit === null ? null : Math.max(limit - used, 0)
+        };
+    }
+
+    return {
+        period,
+        plan: user.role,
+        planName: plan.name,
+        resetsAt: getPeriodEnd(period),
+        metrics
+    };
+};
+
+/**
+ * Check whether a user may consume more of the given metrics this period
+ * @param {Object} user - User document
+ * @param {string[]} metrics - Metrics the request will consume
+ * @returns {Promise<Object>} { allowed, metric, used, limit, resetsAt, upgradeTo }
+ */
+const checkQuota = async (user, metrics) => {
+    const summary = await getUsageSummary(user);
+
+    for (const metric of metrics) {
+        const { used, limit } = summary.metrics[metric];
+        if (limit !== null && used >= limit) {
+            return {
+                allowed: false,
+                metric,
+                used,
+                limit,
+                resetsAt: summary.resetsAt,
+                upgradeTo: UPGRADE_PATH[user.role] || null
+            };
+        }
+    }
+
+    return { allowed: true };
+};
+
+module.exports = {
+    getPeriod,
+    recordUsage,
+    getUsageSummary,
+    checkQuota
+};
@@ -0,0 +1,512 @@
+/**
+ * In-process HNSW (Hierarchical Navigable Small World) index for cosine
+ * similarity search, after Malkov & Yashunin, "Efficient and robust
+ * approximate nearest neighbor search using HNSW graphs" (2016).
+ *
+ * Nodes are addressed by an internal numeric label; the caller's id is kept
+ * alongside. Removing or updating a vector tombstones the old label (it stays
+ * in the graph for navigation but is never returned); serialising the index
+ * drops tombstones, so a persisted snapshot is always compact.
+ */
+
+class BinaryHeap {
+    /**
+     * @param {Function} compare - (a, b) => negative when a should be on top
+     */
+    constructor(compare) {
+        this.items = [];
+        this.compare = compare;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(items[index], items[parent]) >= 0) break;
+            [items[index], items[parent]] = [items[parent], items[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (; ;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let next = index;
+                if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+                if (right < items.length && this.compare(items[right], items[next]) < 0) next = right;
+                if (next === index) break;
+                [items[index], items[next]] = [items[next], items[index]];
+                index = next;
+            }
+        }
+        return top;
+    }
+
+    toArray() {
+        return this.items.slice();
+    }
+}
+
+const normalize = (vector) => {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < normalized.length; i++) {
+        norm += normalized[i] * normalized[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < normalized.length; i++) {
+            normalized[i] /= norm;
+        }
+    }
+    return normalized;
+};
+
+const dot = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+};
+
+class HnswIndex {
+    /**
+     * @param {Object} options
+     * @param {number} options.M - Max neighbours per node on upper layers (layer 0 keeps 2M)
+     * @param {number} options.efConstruction - Beam width while inserting
+     * @param {number} options.efSearch - Default beam width while searching
+     * @param {Function} options.random - RNG in [0, 1), injectable for reproducible builds
+     */
+    constructor(options = {}) {
+        this.M = options.M || 16;
+        this.maxM0 = this.M * 2;
+        this.efConstruction = options.efConstruction || 100;
+        this.efSearch = options.efSearch || 64;
+        this.levelMultiplier = 1 / Math.log(this.M);
+        this.random = options.random || Math.random;
+
+        this.dimensions = null;
+        this.nodes = [];
+        this.labelsById = new Map();
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+    }
+
+    /**
+     * Number of live (searchable) vectors
+     */
+    get size() {
+        return this.labelsById.size;
+    }
+
+    has(id) {
+        return this.labelsById.has(String(id));
+    }
+
+    /**
+     * @returns {string[]} Ids of the live vectors
+     */
+    ids() {
+        return [...this.labelsById.keys()];
+    }
+
+    /**
+     * @param {string} id - Caller id
+     * @returns {Object|null} Meta stored with the live vector, if any
+     */
+    getMeta(id) {
+        const label = this.labelsById.get(String(id));
+        return label === undefined ? null : this.nodes[label].meta;
+    }
+
+    /**
+     * Replace the meta of a live vector without re-inserting it
+     * @returns {boolean} Whether the id was present
+     */
+    setMeta(id, meta) {
+        const label = this.labelsById.get(String(id));
+        if (label === undefined) return false;
+
+        this.nodes[label].meta = meta;
+        return true;
+    }
+
+    /**
+     * @param {Function} filter - (id, meta) => boolean
+     * @param {number} stopAt - Stop counting once this many match
+     * @returns {number} Live vectors passing the filter, at most stopAt
+     */
+    count(filter, stopAt = Infinity) {
+        let matching = 0;
+        for (const label of this.labelsById.values()) {
+            const node = this.nodes[label];
+            if (filter(node.id, node.meta) && ++matching >= stopAt) break;
+        }
+        return matching;
+    }
+
+    distance(a, b) {
+        return 1 - dot(a, b);
+    }
+
+    randomLevel() {
+        return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    }
+
+    /**
+     * Add a vector, replacing any existing vector with the same id
+     * @param {string} id - Caller id (e.g. a Mongo ObjectId string)
+     * @param {number[]} vector - Embedding
+     * @param {Object} meta - Small payload kept with the node (used by search filters)
+     */
+    add(id, vector, meta = {}) {
+        id = String(id);
+
+        if (this.dimensions === null) {
+            this.dimensions = vector.length;
+        } else if (vector.length !== this.dimensions) {
+            throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dimensions}`);
+        }
+
+        if (this.labelsById.has(id)) {
+            this.remove(id);
+        }
+
+        const label = this.nodes.length;
+        const level = this.randomLevel();
+        const node = {
+            id,
+            vector: normalize(vector),
+            level,
+            neighbors: Array.from({ length: level + 1 }, () => []),
+            deleted: false,
+            meta
+        };
+
+        this.nodes.push(node);
+        this.labelsById.set(id, label);
+
+        if (this.entryPoint === null) {
+            this.entryPoint = label;
+            this.maxLevel = level;
+            return;
+        }
+
+        let entryPoints = [this.entryPoint];
+
+        for (let layer = this.maxLevel; layer > level; layer--) {
+            entryPoints = [this.searchLayer(node.vector, entryPoints, 1, layer)[0].label];
+        }
+
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const candidates = this.searchLayer(node.vector, entryPoints, this.efConstruction, layer);
+            const neighbors = this.selectNeighbors(candidates, this.M);
+
+            node.neighbors[layer] = neighbors.map(candidate => candidate.label);
+
+            const maxConnections = layer === 0 ? this.maxM0 : this.M;
+            for (const neighbor of neighbors) {
+                const links = this.nodes[neighbor.label].neighbors[layer];
+                links.push(label);
+                if (links.length > maxConnections) {
+                    this.shrinkConnections(neighbor.label, layer, maxConnections);
+                }
+            }
+
+            entryPoints = candidates.map(candidate => candidate.label);
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = label;
+            this.maxLevel = level;
+        }
+    }
+
+    /**
+     * Tombstone a vector. It keeps routing searches but is never returned.
+     * @param {string} id - Caller id
+     * @returns {boolean} Whether the id was present
+     */
+    remove(id) {
+        id = String(id);
+        const label = this.labelsById.get(id);
+        if (label === undefined) return false;
+
+        this.nodes[label].deleted = true;
+        this.labelsById.delete(id);
+        this.deletedCount++;
+        return true;
+    }
+
+    /**
+     * Greedy beam search on one layer
+     * @returns {Array} Up to `ef` { label, distance } sorted nearest first
+     */
+    searchLayer(query, entryPoints, ef, layer) {
+        const visited = new Set(entryPoints);
+        const candidates = new BinaryHeap((a, b) => a.distance - b.distance);
+        const results = new BinaryHeap((a, b) => b.distance - a.distance);
+
+        for (const label of entryPoints) {
+            const node = this.nodes[label];
+            if (!node.vector) continue;
+            const item = { label, distance: this.distance(query, node.vector) };
+            candidates.push(item);
+            results.push(item);
+        }
+
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            if (results.size >= ef && current.distance > results.peek().distance) break;
+
+            const links = this.nodes[current.label].neighbors[layer] || [];
+            for (const label of links) {
+                if (visited.has(label)) continue;
+                visited.add(label);
+
+                const node = this.nodes[label];
+                // Nodes restored from a snapshot without a vector cannot be scored
+                if (!node.vector) continue;
+
+                const distance = this.distance(query, node.vector);
+                if (results.size < ef || distance < results.peek().distance) {
+                    const item = { label, distance };
+                    candidates.push(item);
+                    results.push(item);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.toArray().sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Neighbour selection heuristic (Algorithm 4 with keepPrunedConnections):
+     * prefer candidates that are closer to the base than to any already chosen
+     * neighbour, which keeps clusters connected to each other.
+     */
+    selectNeighbors(candidates, count) {
+        const selected = [];
+        const pruned = [];
+
+        for (const candidate of candidates) {
+            if (selected.length >= count) break;
+            const vector = this.nodes[candidate.label].vector;
+            const dominated = selected.some(chosen =>
+                this.distance(vector, this.nodes[chosen.label].vector) < candidate.distance
+            );
+            if (dominated) {
+                pruned.push(candidate);
+            } else {
+                selected.push(candidate);
+            }
+        }
+
+        for (const candidate of pruned) {
+            if (selected.length >= count) break;
+            selected.push(candidate);
+        }
+
+        return selected;
+    }
+
+    shrinkConnections(label, layer, maxConnections) {
+        const node = this.nodes[label];
+        const candidates = node.neighbors[layer]
+            .filter(neighbor => this.nodes[neighbor].vector)
+            .map(neighbor => ({
+                label: neighbor,
+                distance: this.distance(node.vector, this.nodes[neighbor].vector)
+            }))
+            .sort((a, b) => a.distance - b.distance);
+
+        node.neighbors[layer] = this.selectNeighbors(candidates, maxConnections).map(candidate => candidate.label);
+    }
+
+    /**
+     * @param {number[]} vector - Query embedding
+     * @param {number} k - Number of results
+     * @param {Object} options
+     * @param {number} options.ef - Beam width (defaults to efSearch)
+     * @param {Function} options.filter - (id, meta) => boolean, results failing it are skipped
+     * @returns {Array} [{ id, score, meta }] sorted by cosine similarity, highest first
+     */
+    search(vector, k = 10, { ef, filter } = {}) {
+        if (this.entryPoint === null || this.size === 0) return [];
+
+        if (vector.length !== this.dimensions) {
+            throw new Error('Vectors must have the same length');
+        }
+
+        const query = normalize(vector);
+        let beam = Math.max(ef || this.efSearch, k);
+
+        for (; ;) {
+            let entryPoints = [this.entryPoint];
+            for (let layer = this.maxLevel; layer > 0; layer--) {
+                const nearest = this.searchLayer(query, entryPoints, 1, layer);
+                if (nearest.length > 0) entryPoints = [nearest[0].label];
+            }
+
+            const candidates = this.searchLayer(query, entryPoints, beam, 0);
+            const results = [];
+
+            for (const candidate of candidates) {
+                const node = this.nodes[candidate.label];
+                if (node.deleted || (filter && !filter(node.id, node.meta))) continue;
+                results.push({ id: node.id, score: 1 - candidate.distance, meta: node.meta });
+                if (results.length === k) break;
+            }
+
+            // A selective filter or many tombstones can starve the beam; widen and retry
+            const exhausted = beam >= this.nodes.length;
+            if (results.length >= k || exhausted) {
+                return results;
+            }
+            beam = Math.min(beam * 2, this.nodes.length);
+        }
+    }
+
+    /**
+     * Exact search over every live vector, for small filtered sets and as the
+     * reference the graph search is measured against
+     * @param {number[]} vector - Query embedding
+     * @param {number} k - Number of results
+     * @param {Object} options
+     * @param {Function} options.filter - (id, meta) => boolean, results failing it are skipped
+     * @returns {Array} [{ id, score, meta }] sorted by cosine similarity, highest first
+     */
+    exactSearch(vector, k = 10, { filter } = {}) {
+        if (this.size === 0) return [];
+
+        if (vector.length !== this.dimensions) {
+            throw new Error('Vectors must have the same length');
+        }
+
+        const query = normalize(vector);
+        const results = [];
+
+        for (const label of this.labelsById.values()) {
+            const node = this.nodes[label];
+            if (filter && !filter(node.id, node.meta)) continue;
+            results.push({ id: node.id, score: dot(query, node.vector), meta: node.meta });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+
+    /**
+     * Serialise the graph without vectors, dropping tombstoned nodes
+     * @returns {Object} Plain JSON snapshot
+     */
+    toJSON() {
+        const relabel = new Map();
+        const live = [];
+
+        this.nodes.forEach((node, label) => {
+            if (!node.deleted) {
+                relabel.set(label, live.length);
+                live.push(node);
+            }
+        });
+
+        let entryPoint = relabel.has(this.entryPoint) ? relabel.get(this.entryPoint) : null;
+        let maxLevel = entryPoint === null ? -1 : this.maxLevel;
+
+        if (entryPoint === null && live.length > 0) {
+            const highest = live.reduce((best, node, index) => node.level > live[best].level ? index : best, 0);
+            entryPoint = highest;
+            maxLevel = live[highest].level;
+        }
+
+        return {
+            version: 1,
+            params: {
+                M: this.M,
+                efConstruction: this.efConstruction,
+                efSearch: this.efSearch
+            },
+            dimensions: this.dimensions,
+            entryPoint,
+            maxLevel,
+            nodes: live.map(node => ({
+                id: node.id,
+                level: node.level,
+                meta: node.meta,
+                neighbors: node.neighbors.map(links =>
+                    links.filter(label => relabel.has(label)).map(label => relabel.get(label))
+                )
+            }))
+        };
+    }
+
+    /**
+     * Restore an index from toJSON() output
+     * @param {Object} snapshot - Serialised graph
+     * @param {Function} getVector - id => number[] | null; missing vectors become tombstones
+     * @returns {HnswIndex} Restored index
+     */
+    static fromJSON(snapshot, getVector, options = {}) {
+        const index = new HnswIndex({ ...snapshot.params, ...options });
+        index.dimensions = snapshot.dimensions;
+        index.entryPoint = snapshot.entryPoint;
+        index.maxLevel = snapshot.maxLevel;
+
+        snapshot.nodes.forEach((stored, label) => {
+            const vector = getVector(stored.id);
+            const node = {
+                id: stored.id,
+                vector: vector && vector.length === snapshot.dimensions ? normalize(vector) : null,
+                level: stored.level,
+                neighbors: stored.neighbors,
+                deleted: false,
+                meta: stored.meta || {}
+            };
+
+            index.nodes.push(node);
+
+            if (node.vector) {
+                index.labelsById.set(node.id, label);
+            } else {
+                node.deleted = true;
+                index.deletedCount++;
+            }
+        });
+
+        // The entry point must be scorable, otherwise every search starts from a dead end
+        if (index.entryPoint !== null && !index.nodes[index.entryPoint].vector) {
+            index.entryPoint = null;
+            index.maxLevel = -1;
+            index.nodes.forEach((node, label) => {
+                if (node.vector && node.level > index.maxLevel) {
+                    index.entryPoint = label;
+                    index.maxLevel = node.level;
+                }
+            });
+        }
+
+        return index;
+    }
+}
+
+module.exports = HnswIndex;
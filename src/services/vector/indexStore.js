@@ -0,0 +1,67 @@
+const VectorIndexSnapshot = require('../../models/VectorIndexSnapshot');
+
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Write a serialised index as a new snapshot version and drop older versions
+ * @param {string} name - Index name
+ * @param {Object} snapshot - HnswIndex#toJSON() output
+ * @param {Date} builtAt - Embeddings updated after this are not in the snapshot
+ * @returns {Promise<Object>} { version, chunks, bytes }
+ */
+const saveSnapshot = async (name, snapshot, builtAt) => {
+    const buffer = Buffer.from(JSON.stringify(snapshot));
+    const version = builtAt.getTime();
+    const totalChunks = Math.max(Math.ceil(buffer.length / CHUNK_SIZE), 1);
+
+    for (let chunk = 0; chunk < totalChunks; chunk++) {
+        await VectorIndexSnapshot.create({
+            name,
+            version,
+            chunk,
+            totalChunks,
+            data: buffer.subarray(chunk * CHUNK_SIZE, (chunk + 1) * CHUNK_SIZE),
+            builtAt,
+            count: snapshot.nodes.length,
+            dimensions: snapshot.dimensions
+        });
+    }
+
+    await VectorIndexSnapshot.deleteMany({ name, version: { $lt: version } });
+
+    return { version, chunks: totalChunks, bytes: buffer.length };
+};
+
+/**
+ * Load the newest complete snapshot
+ * @param {string} name - Index name
+ * @returns {Promise<Object|null>} { snapshot, builtAt } or null when none is stored
+ */
+const loadSnapshot = async (name) => {
+    const versions = await VectorIndexSnapshot.find({ name, chunk: 0 })
+        .sort({ version: -1 })
+        .select('version totalChunks builtAt')
+        .lean();
+
+    for (const head of versions) {
+        const chunks = await VectorIndexSnapshot.find({ name, version: head.version })
+            .sort({ chunk: 1 })
+            .lean();
+
+        // A crashed writer can leave a partial version behind; fall back to an older one
+        if (chunks.length !== head.totalChunks) continue;
+
+        const buffer = Buffer.concat(chunks.map(chunk => chunk.data.buffer || chunk.data));
+        return {
+            snapshot: JSON.parse(buffer.toString()),
+            builtAt: head.builtAt
+        };
+    }
+
+    return null;
+};
+
+module.exports = {
+    saveSnapshot,
+    loadSnapshot
+};
@@ -1,42 +1,42 @@
-const OpenAI = require('openai');
 const mongoose = require('mongoose');
+const CompanyEmbedding = require('../models/CompanyEmbedding');
+const HnswIndex = require('./vector/hnswIndex');
+const { saveSnapshot, loadSnapshot } = require('./vector/indexStore');
+const { getEmbeddingClient } = require('./llm');
+const { isLlmError } = require('./llm/errors');
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
-
-const embeddingSchema = new mongoose.Schema({
-    companyName: { type: String, required: true, index: true },
-    researchData: { type: String, required: true },
-    embedding: { type: [Number], required: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    metadata: {
-        industry: String,
-        website: String,
-        tags: [String]
-    }
-}, {
-    timestamps: true
-});
-
-embeddingSchema.index({ companyName: 1, userId: 1 });
-embeddingSchema.index({ userId: 1, createdAt: -1 });
-
-const CompanyEmbedding = mongoose.model('CompanyEmbedding', embeddingSchema);
+const INDEX_NAME = 'company-embeddings';
+// findNearestAmong scores readable sets up to this size exactly
+const EXACT_SCAN_MAX = 2000;
 
 class VectorService {
- 
+    constructor() {
+        // 'hnsw' (approximate, default) or 'brute-force' (exact scan of the candidates)
+        this.backend = process.env.VECTOR_SEARCH_BACKEND || 'hnsw';
+        this.indexOptions = {
+            M: parseInt(process.env.VECTOR_INDEX_M) || 16,
+            efConstruction: parseInt(process.env.VECTOR_INDEX_EF_CONSTRUCTION) || 100,
+            efSearch: parseInt(process.env.VECTOR_INDEX_EF_SEARCH) || 64
+        };
+        this.syncIntervalMs = parseInt(process.env.VECTOR_INDEX_SYNC_MS) || 60 * 1000;
+        this.reconcileIntervalMs = parseInt(process.env.VECTOR_INDEX_RECONCILE_MS) || 10 * 60 * 1000;
+        this.persistDelayMs = parseInt(process.env.VECTOR_INDEX_PERSIST_MS) || 5 * 60 * 1000;
+
+        this.index = null;
+        this.indexReady = null;
+        this.lastSyncAt = null;
+        this.lastReconcileAt = Date.now();
+        this.syncTimer = null;
+        this.persistTimer = null;
+    }
+
     async generateEmbedding(text) {
         try {
-            const response = await openai.embeddings.create({
-                model: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
-                input: text,
-            });
-
-            return response.data[0].embedding;
+            return await getEmbeddingClient().embed(text);
         } catch (error) {
             console.error('Error generating embedding:', error);
-            throw new Error('Failed to generate embedding');
+            // Provider failures keep their code so callers can report them
+            throw isLlmError(error) ? error : new Error('Failed to generate embedding');
         }
     }
 
@@ -75,21 +75,27 @@ class VectorService {
      * @param {string} researchData - Research data text
      * @param {string} userId - User ID
      * @param {object} metadata - Optional metadata
+     * @param {object} links - Optional: { researchId, teamId, companyId } the embedding belongs to
+     * @param {number[]} vector - Optional: embedding of researchData, when already generated
      * @returns {Promise<object>} - Stored record
      */
-    async storeCompanyEmbedding(companyName, researchData, userId, metadata = {}) {
+    async storeCompanyEmbedding(companyName, researchData, userId, metadata = {}, links = {}, vector = null) {
         try {
-            const embedding = await this.generateEmbedding(researchData);
+            const embedding = vector || await this.generateEmbedding(researchData);
 
             const embeddingDoc = new CompanyEmbedding({
                 companyName,
                 researchData,
                 embedding,
                 userId: new mongoose.Types.ObjectId(userId),
+                researchId: links.researchId || undefined,
+                teamId: links.teamId || null,
+                companyId: links.companyId || undefined,
                 metadata
             });
 
             const result = await embeddingDoc.save();
+            this.onEmbeddingChanged(result);
             return result;
         } catch (error) {
             console.error('Error storing company embedding:', error);
@@ -99,38 +105,16 @@ class VectorService {
 
     /**
      * @param {string} queryText - Search query text
+     * @param {Object} access - Whose embeddings may be returned (see researchAccess.getAccess)
      * @param {number} limit - Number of results to return
      * @param {number} threshold - Similarity threshold (0-1)
-     * @param {string} excludeUserId - Optional: exclude results from this user
      * @returns {Promise<Array>} - Array of similar companies
      */
-    async searchSimilarCompanies(queryText, limit = 5, threshold = 0.7, excludeUserId = null) {
+    async searchSimilarCompanies(queryText, access, limit = 5, threshold = 0.7) {
         try {
             const queryEmbedding = await this.generateEmbedding(queryText);
 
-            const query = excludeUserId
-                ? { userId: { $ne: new mongoose.Types.ObjectId(excludeUserId) } }
-                : {};
-
-            const allEmbeddings = await CompanyEmbedding.find(query)
-                .populate('userId', 'name email')
-                .limit(1000) 
-                .lean();
-
-            const similarities = allEmbeddings.map(doc => {
-                const similarity = this.cosineSimilarity(queryEmbedding, doc.embedding);
-                return {
-                    ...doc,
-                    similarityScore: similarity
-                };
-            });
-
-            const results = similarities
-                .filter(item => item.similarityScore >= threshold)
-                .sort((a, b) => b.similarityScore - a.similarityScore)
-                .slice(0, limit);
-
-            return results;
+            return await this.findNearestAmong(queryEmbedding, access, limit, threshold);
         } catch (error) {
             console.error('Error searching similar companies:', error);
             throw error;
@@ -139,10 +123,12 @@ class VectorService {
 
     /**
      * @param {string} userId - User ID
+     * @param {Object} access - Whose embeddings may be recommended (see researchAccess.getAccess);
+     *   the user's own are always left out
      * @param {number} limit - Number of recommendations
      * @returns {Promise<Array>} - Array of recommended companies
      */
-    async getCompanyRecommendations(userId, limit = 5) {
+    async getCompanyRecommendations(userId, access, limit = 5) {
         try {
             // Get user's recent research history
             const userEmbeddings = await CompanyEmbedding.find({
@@ -158,30 +144,361 @@ class VectorService {
 
             const avgEmbedding = this.averageEmbeddings(userEmbeddings.map(e => e.embedding));
 
-            const otherEmbeddings = await CompanyEmbedding.find({
-                userId: { $ne: new mongoose.Types.ObjectId(userId) }
-            })
-                .populate('userId', 'name email')
-                .limit(500)
-                .lean();
+            return await this.findNearestAmong(avgEmbedding, { ...access, excludeUserId: userId }, limit, 0.6);
 
-            const recommendations = otherEmbeddings.map(doc => {
-                const similarity = this.cosineSimilarity(avgEmbedding, doc.embedding);
-                return {
-                    ...doc,
-                    similarityScore: similarity
-                };
+        } catch (error) {
+            console.error('Error getting company recommendations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mongo filter for the embeddings an access covers. Embeddings carry the
+     * owner and shared team of their research; ones stored without research
+     * belong to their owner only.
+     * @param {Object} access - { userId, teamIds, excludeUserId }
+     * @returns {Object|null} - Filter, or null when nothing is readable
+     */
+    accessQuery({ userId, teamIds = [], excludeUserId = null }) {
+        const readable = [
+            ...(userId ? [{ userId: new mongoose.Types.ObjectId(userId) }] : []),
+            ...(teamIds.length > 0 ? [{ teamId: { $in: teamIds } }] : [])
+        ];
+        if (readable.length === 0) return null;
+
+        return {
+            $or: readable,
+            ...(excludeUserId && { userId: { $ne: new mongoose.Types.ObjectId(excludeUserId) } })
+        };
+    }
+
+    /**
+     * The same test as accessQuery, on the meta kept in the index
+     * @returns {Function} - meta => boolean
+     */
+    accessPredicate({ userId, teamIds = [], excludeUserId = null }) {
+        const owner = userId ? String(userId) : null;
+        const teams = new Set(teamIds.map(String));
+        const excluded = excludeUserId ? String(excludeUserId) : null;
+
+        return (meta) => meta.userId !== excluded &&
+            (meta.userId === owner || (Boolean(meta.teamId) && teams.has(meta.teamId)));
+    }
+
+    /**
+     * Nearest embeddings a user may read. Access is filtered inside the index;
+     * when few embeddings pass the filter they are scored exactly, since a
+     * selective filter makes the graph walk visit most of the graph.
+     * @param {number[]} vector - Query embedding
+     * @param {Object} access - { userId, teamIds, excludeUserId } (see accessQuery)
+     * @param {number} limit - Number of results
+     * @param {number} threshold - Minimum cosine similarity
+     * @returns {Promise<Array>} - Embedding documents (without the vector) with similarityScore, most similar first
+     */
+    async findNearestAmong(vector, access, limit, threshold) {
+        const query = this.accessQuery(access);
+        if (!query) {
+            return [];
+        }
+
+        if (this.backend === 'brute-force') {
+            return this.bruteForceSearch(vector, query, limit, threshold);
+        }
+
+        const index = await this.ensureIndex();
+        const readable = this.accessPredicate(access);
+        const filter = (id, meta) => readable(meta);
+
+        const hits = index.count(filter, EXACT_SCAN_MAX + 1) <= EXACT_SCAN_MAX
+            ? index.exactSearch(vector, limit, { filter })
+            : index.search(vector, limit, { filter });
+
+        if (hits.length === 0) {
+            return [];
+        }
+
+        // The index learns of changes made on other instances at its next sync;
+        // access and scores are checked against the stored documents
+        const docs = await CompanyEmbedding.find({ ...query, _id: { $in: hits.map(hit => hit.id) } }).lean();
+
+        return docs
+            .map(({ embedding, ...doc }) => ({
+                ...doc,
+                similarityScore: this.cosineSimilarity(vector, embedding)
+            }))
+            .filter(item => item.similarityScore >= threshold)
+            .sort((a, b) => b.similarityScore - a.similarityScore)
+            .slice(0, limit);
+    }
+
+    /**
+     * Exact search over the stored embeddings matching a filter. Used when
+     * VECTOR_SEARCH_BACKEND=brute-force.
+     * @param {number[]} vector - Query embedding
+     * @param {Object} query - Embedding filter (see accessQuery)
+     * @returns {Promise<Array>} - Embedding documents (without the vector) with similarityScore, most similar first
+     */
+    async bruteForceSearch(vector, query, limit, threshold) {
+        const top = [];
+        const cursor = CompanyEmbedding.find(query).select('_id embedding').lean().cursor();
+
+        for await (const doc of cursor) {
+            const similarityScore = this.cosineSimilarity(vector, doc.embedding);
+            if (similarityScore < threshold) continue;
+
+            top.push({ _id: doc._id, similarityScore });
+            if (top.length > limit) {
+                top.sort((a, b) => b.similarityScore - a.similarityScore);
+                top.length = limit;
+            }
+        }
+
+        if (top.length === 0) {
+            return [];
+        }
+
+        const scores = new Map(top.map(item => [String(item._id), item.similarityScore]));
+        const docs = await CompanyEmbedding.find({ _id: { $in: top.map(item => item._id) } })
+            .select('-embedding')
+            .lean();
+
+        return docs
+            .map(doc => ({ ...doc, similarityScore: scores.get(String(doc._id)) }))
+            .sort((a, b) => b.similarityScore - a.similarityScore);
+    }
+
+    /**
+     * Load the ANN index on first use: restore the persisted snapshot if there
+     * is one, then apply embeddings written since it was built.
+     * @returns {Promise<HnswIndex>} - Ready index
+     */
+    ensureIndex() {
+        if (!this.indexReady) {
+            this.indexReady = this.loadIndex().catch(error => {
+                this.indexReady = null;
+                throw error;
             });
+        }
+        return this.indexReady;
+    }
+
+    async loadIndex() {
+        const startedAt = new Date();
+        const stored = await loadSnapshot(INDEX_NAME);
+
+        if (!stored) {
+            console.log('🧭 No vector index snapshot found, building one');
+            const { index } = await this.buildIndex();
+            this.index = index;
+            this.lastSyncAt = startedAt;
+            this.startSync();
+            this.schedulePersist(0);
+            return index;
+        }
+
+        const vectors = new Map();
+        const metas = new Map();
+        const pending = [];
+        const cursor = CompanyEmbedding.find().select('_id embedding userId teamId updatedAt').lean().cursor();
+
+        for await (const doc of cursor) {
+            const id = String(doc._id);
+            vectors.set(id, doc.embedding);
+            metas.set(id, this.indexMeta(doc));
+            if (doc.updatedAt > stored.builtAt) {
+                pending.push(doc);
+            }
+        }
 
-            return recommendations
-                .filter(item => item.similarityScore >= 0.6)
-                .sort((a, b) => b.similarityScore - a.similarityScore)
-                .slice(0, limit);
+        const index = HnswIndex.fromJSON(stored.snapshot, id => vectors.get(id), this.indexOptions);
+        vectors.clear();
 
+        // Access is filtered on the meta; take it from the stored documents, not
+        // from a snapshot that may predate it
+        for (const [id, meta] of metas) {
+            index.setMeta(id, meta);
+        }
+        metas.clear();
+
+        for (const doc of pending) {
+            this.addToIndex(index, doc);
+        }
+
+        console.log(`🧭 Vector index loaded: ${index.size} vectors (${pending.length} caught up since snapshot)`);
+
+        this.index = index;
+        this.lastSyncAt = startedAt;
+        this.startSync();
+        if (pending.length > 0 || index.deletedCount > 0) {
+            this.schedulePersist();
+        }
+        return index;
+    }
+
+    /**
+     * Build a fresh index from every stored embedding
+     * @returns {Promise<Object>} - { index, builtAt, durationMs }
+     */
+    async buildIndex() {
+        const builtAt = new Date();
+        const index = new HnswIndex(this.indexOptions);
+        const cursor = CompanyEmbedding.find().select('_id embedding userId teamId updatedAt').lean().cursor();
+
+        for await (const doc of cursor) {
+            this.addToIndex(index, doc);
+        }
+
+        return { index, builtAt, durationMs: Date.now() - builtAt.getTime() };
+    }
+
+    /**
+     * Rebuild the index from scratch, swap it in and persist it
+     * @returns {Promise<Object>} - Build statistics
+     */
+    async rebuildIndex() {
+        const { index, builtAt, durationMs } = await this.buildIndex();
+
+        this.index = index;
+        this.indexReady = Promise.resolve(index);
+        this.lastSyncAt = builtAt;
+
+        const saved = await saveSnapshot(INDEX_NAME, index.toJSON(), builtAt);
+
+        return {
+            vectors: index.size,
+            dimensions: index.dimensions,
+            durationMs,
+            snapshotBytes: saved.bytes,
+            snapshotChunks: saved.chunks
+        };
+    }
+
+    /**
+     * What the index keeps with a vector: enough to filter by access
+     */
+    indexMeta(doc) {
+        return {
+            userId: String(doc.userId),
+            teamId: doc.teamId ? String(doc.teamId) : null,
+            updatedAt: doc.updatedAt ? new Date(doc.updatedAt).getTime() : null
+        };
+    }
+
+    addToIndex(index, doc) {
+        const id = String(doc._id);
+        const meta = this.indexMeta(doc);
+        const { updatedAt } = meta;
+
+        // Sync also sees this instance's own writes; skip vectors already indexed
+        const existing = index.getMeta(id);
+        if (existing && updatedAt !== null && existing.updatedAt === updatedAt) {
+            return;
+        }
+
+        try {
+            index.add(id, doc.embedding, meta);
         } catch (error) {
-            console.error('Error getting company recommendations:', error);
-            throw error;
+            console.error(`⚠️ Skipping embedding ${doc._id} in vector index:`, error.message);
+        }
+    }
+
+    /**
+     * Pull embeddings written by other instances since the last sync, and
+     * every VECTOR_INDEX_RECONCILE_MS drop the ones they deleted
+     */
+    async syncIndex() {
+        if (!this.index) return;
+
+        if (Date.now() - this.lastReconcileAt >= this.reconcileIntervalMs) {
+            this.lastReconcileAt = Date.now();
+            await this.reconcileIndex();
+        }
+
+        const since = this.lastSyncAt;
+        this.lastSyncAt = new Date();
+
+        const cursor = CompanyEmbedding.find({ updatedAt: { $gt: since } })
+            .select('_id embedding userId teamId updatedAt')
+            .lean()
+            .cursor();
+
+        let changed = 0;
+        for await (const doc of cursor) {
+            this.addToIndex(this.index, doc);
+            changed++;
+        }
+
+        if (changed > 0) {
+            this.schedulePersist();
+        }
+    }
+
+    /**
+     * Remove vectors whose embedding no longer exists. Deletes leave nothing
+     * behind to sync from, so this compares the index with the stored ids.
+     * @returns {Promise<number>} - Vectors removed
+     */
+    async reconcileIndex() {
+        if (!this.index) return 0;
+
+        // Only ids indexed before the scan: anything added later was stored first
+        const indexed = this.index.ids();
+        const stored = new Set();
+        const cursor = CompanyEmbedding.find().select('_id').lean().cursor();
+
+        for await (const doc of cursor) {
+            stored.add(String(doc._id));
+        }
+
+        let removed = 0;
+        for (const id of indexed) {
+            if (!stored.has(id) && this.index.remove(id)) {
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            console.log(`🧭 Removed ${removed} deleted embedding(s) from the vector index`);
+            this.schedulePersist();
         }
+        return removed;
+    }
+
+    startSync() {
+        if (this.syncTimer) return;
+
+        this.syncTimer = setInterval(() => {
+            this.syncIndex().catch(error => console.error('Vector index sync error:', error));
+        }, this.syncIntervalMs);
+        this.syncTimer.unref();
+    }
+
+    schedulePersist(delay = this.persistDelayMs) {
+        if (this.persistTimer) return;
+
+        this.persistTimer = setTimeout(async () => {
+            this.persistTimer = null;
+            try {
+                await saveSnapshot(INDEX_NAME, this.index.toJSON(), this.lastSyncAt);
+            } catch (error) {
+                console.error('Vector index persist error:', error);
+            }
+        }, delay);
+        this.persistTimer.unref();
+    }
+
+    /**
+     * Keep an already-loaded index in step with a write made by this instance
+     */
+    onEmbeddingChanged(doc, removed = false) {
+        if (!this.index) return;
+
+        if (removed) {
+            this.index.remove(String(doc._id));
+        } else {
+            this.addToIndex(this.index, doc);
+        }
+        this.schedulePersist();
     }
 
     /**
@@ -225,6 +542,10 @@ class VectorService {
                 { new: true }
             );
 
+            if (result) {
+                this.onEmbeddingChanged(result);
+            }
+
             return result;
         } catch (error) {
             console.error('Error updating company embedding:', error);
@@ -232,6 +553,62 @@ class VectorService {
         }
     }
 
+    /**
+     * Embedding stored for a research record. Embeddings created before they
+     * were linked to research are matched by owner and company name.
+     * @param {object} research - Research document
+     * @returns {Promise<object|null>} - Embedding record
+     */
+    async findEmbeddingForResearch(research) {
+        const linked = await CompanyEmbedding.findOne({ researchId: research._id });
+        if (linked) {
+            return linked;
+        }
+
+        const legacy = await CompanyEmbedding.findOne({
+            researchId: { $exists: false },
+            userId: research.userId,
+            companyName: research.companyName
+        }).sort({ createdAt: -1 });
+
+        if (legacy) {
+            await CompanyEmbedding.updateOne({ _id: legacy._id }, { researchId: research._id, teamId: research.teamId || null });
+            await this.refreshIndexMeta({ _id: legacy._id });
+        }
+
+        return legacy;
+    }
+
+    /**
+     * Keep the embedding's team link in step with the research sharing state
+     * @param {string} researchId - Research ID
+     * @param {string|null} teamId - Team the research is shared with, or null
+     * @returns {Promise<number>} - Number of embeddings updated
+     */
+    async setEmbeddingTeam(researchId, teamId) {
+        const result = await CompanyEmbedding.updateMany(
+            { researchId },
+            { teamId: teamId || null }
+        );
+        await this.refreshIndexMeta({ researchId });
+        return result.modifiedCount;
+    }
+
+    /**
+     * Re-read the access meta of indexed embeddings after their owner or team
+     * changed, so this instance's searches see the change straight away
+     * @param {Object} filter - Embeddings to refresh
+     */
+    async refreshIndexMeta(filter) {
+        if (!this.index) return;
+
+        const docs = await CompanyEmbedding.find(filter).select('_id userId teamId updatedAt').lean();
+        for (const doc of docs) {
+            this.index.setMeta(String(doc._id), this.indexMeta(doc));
+        }
+        this.schedulePersist();
+    }
+
     /**
      * Delete company embedding
      * @param {string} id - Record ID
@@ -240,6 +617,9 @@ class VectorService {
     async deleteCompanyEmbedding(id) {
         try {
             const result = await CompanyEmbedding.findByIdAndDelete(id);
+            if (result) {
+                this.onEmbeddingChanged(result, true);
+            }
             return !!result;
         } catch (error) {
             console.error('Error deleting company embedding:', error);
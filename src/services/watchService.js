@@ -0,0 +1,221 @@
+const os = require('os');
+const Research = require('../models/Research');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const { refreshResearch } = require('./researchService');
+const { diffResults } = require('./researchDiff');
+const { checkQuota } = require('./usageService');
+const { emitEvent } = require('./webhookService');
+const { sendMail } = require('./mailer');
+const { formatContact } = require('../utils/contacts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields whose changes raise an alert unless a watch lists its own
+const DEFAULT_ALERT_FIELDS = (process.env.WATCH_MATERIAL_FIELDS || 'companyDetails.recentNews,decisionMakers,technologies')
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+const DEFAULT_CHANNELS = ['in_app'];
+
+/**
+ * @param {string} field - Changed field path from the diff
+ * @param {string[]} watched - Watched field paths; a parent path covers its children
+ */
+const isWatchedField = (field, watched) =>
+    watched.some(path => field === path || field.startsWith(`${path}.`));
+
+// List items that are objects, rendered the way exports and diffs label them
+const ITEM_FORMAT = {
+    decisionMakers: formatContact
+};
+
+const formatValue = (value, field) => {
+    if (!Array.isArray(value)) return String(value);
+    return value.map(ITEM_FORMAT[field] || String).join(', ');
+};
+
+const renderAlertEmail = (alert, user) => {
+    const lines = [
+        `Hi ${user.firstName},`,
+        '',
+        `ClientIQ noticed changes for ${alert.companyName} (version ${alert.fromVersion} → ${alert.toVersion}):`,
+        ''
+    ];
+
+    for (const change of alert.changes) {
+        lines.push(`• ${change.field} (${change.change})`);
+        if (change.addedItems && change.addedItems.length > 0) lines.push(`    + ${formatValue(change.addedItems, change.field)}`);
+        if (change.removedItems && change.removedItems.length > 0) lines.push(`    - ${formatValue(change.removedItems, change.field)}`);
+        if (!change.addedItems && change.after !== undefined) lines.push(`    now: ${formatValue(change.after, change.field)}`);
+    }
+
+    lines.push('', 'You are receiving this because the company is on your ClientIQ watchlist.');
+
+    return {
+        to: user.email,
+        subject: `${alert.companyName}: ${alert.changes.length} change${alert.changes.length === 1 ? '' : 's'} detected`,
+        text: lines.join('\n')
+    };
+};
+
+/**
+ * Re-research one watched record, compare it with the previous version and
+ * raise an alert on the configured channels when material fields changed
+ * @param {Object} research - Research document with watch.enabled
+ * @returns {Promise<Object|null>} Alert, or null when nothing material changed
+ */
+const runWatch = async (research) => {
+    const { watch } = research;
+    const user = await User.findById(watch.watchedBy).select('-password');
+
+    if (!user || !user.isActive) {
+        await Research.updateOne({ _id: research._id }, { $set: { 'watch.enabled': false, 'watch.lastError': 'Watcher account is inactive' } });
+        return null;
+    }
+
+    const quota = await checkQuota(user, ['research', 'tokens']);
+    if (!quota.allowed) {
+        await Research.updateOne({ _id: research._id }, {
+            $set: { 'watch.lastError': `Skipped: monthly ${quota.metric} quota reached`, 'watch.lockedAt': null }
+        });
+        return null;
+    }
+
+    const { research: refreshed, previousVersion } = await refreshResearch(user, research);
+
+    const watchedFields = watch.fields && watch.fields.length > 0 ? watch.fields : DEFAULT_ALERT_FIELDS;
+    const changes = diffResults(previousVersion.results, refreshed.toObject().results)
+        .filter(change => isWatchedField(change.field, watchedFields));
+
+    await Research.updateOne({ _id: research._id }, {
+        $set: { 'watch.lastRunAt': new Date(), 'watch.lockedAt': null },
+        $unset: { 'watch.lastError': '' }
+    });
+
+    if (changes.length === 0) {
+        return null;
+    }
+
+    const channels = watch.channels && watch.channels.length > 0 ? watch.channels : DEFAULT_CHANNELS;
+    const alert = await Alert.create({
+        userId: user._id,
+        researchId: refreshed._id,
+        companyName: refreshed.companyName,
+        changes,
+        fromVersion: previousVersion.version,
+        toVersion: refreshed.version,
+        channels,
+        // Alerts not meant for the in-app inbox start out read
+        readAt: channels.includes('in_app') ? undefined : new Date()
+    });
+
+    if (channels.includes('email')) {
+        try {
+            await sendMail(renderAlertEmail(alert, user));
+            alert.emailStatus = 'sent';
+        } catch (error) {
+            console.error(`⚠️ Failed to email alert ${alert._id}:`, error.message);
+            alert.emailStatus = 'failed';
+        }
+        await alert.save();
+    }
+
+    if (channels.includes('webhook')) {
+        emitEvent('research.changed', {
+            user,
+            research: refreshed,
+            data: { alertId: alert._id, fromVersion: alert.fromVersion, toVersion: alert.toVersion, changes }
+        });
+    }
+
+    console.log(`🔔 ${changes.length} watched change(s) for ${refreshed.companyName}`);
+    return alert;
+};
+
+/**
+ * Built-in scheduler for the watchlist. Each tick claims due records one at a
+ * time with an atomic findOneAndUpdate that also moves nextRunAt forward, so
+ * several API instances never refresh the same company twice.
+ */
+class WatchScheduler {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.intervalMs = parseInt(process.env.WATCH_SCHEDULER_INTERVAL_MS) || 15 * 60 * 1000;
+        this.batchSize = parseInt(process.env.WATCH_SCHEDULER_BATCH_SIZE) || 10;
+        this.staleAfterMs = 30 * 60 * 1000;
+        this.running = false;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.timer.unref();
+        console.log(`⏰ Watchlist scheduler ${this.workerId} started (every ${Math.round(this.intervalMs / 60000)} min)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    claim() {
+        const now = new Date();
+
+        return Research.findOneAndUpdate(
+            {
+                'watch.enabled': true,
+                'watch.nextRunAt': { $lte: now },
+                $or: [
+                    { 'watch.lockedAt': null },
+                    { 'watch.lockedAt': { $lt: new Date(now - this.staleAfterMs) } }
+                ]
+            },
+            [{
+                $set: {
+                    'watch.lockedAt': now,
+                    'watch.nextRunAt': { $add: [now, { $multiply: ['$watch.intervalDays', DAY_MS] }] }
+                }
+            }],
+            { sort: { 'watch.nextRunAt': 1 }, new: true }
+        );
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            for (let processed = 0; processed < this.batchSize; processed++) {
+                const research = await this.claim();
+                if (!research) break;
+
+                try {
+                    await runWatch(research);
+                } catch (error) {
+                    console.error(`Watch run for ${research.companyName} failed:`, error.message);
+                    await Research.updateOne({ _id: research._id }, {
+                        $set: { 'watch.lastError': error.message, 'watch.lastRunAt': new Date(), 'watch.lockedAt': null }
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Watchlist scheduler error:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+const watchScheduler = new WatchScheduler();
+
+module.exports = {
+    DEFAULT_ALERT_FIELDS,
+    DEFAULT_CHANNELS,
+    DAY_MS,
+    runWatch,
+    renderAlertEmail,
+    watchScheduler
+};
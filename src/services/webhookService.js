@@ -0,0 +1,347 @@
+const os = require('os');
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { assertPublicHost } = require('../utils/network');
+
+const SIGNATURE_HEADER = 'X-ClientIQ-Signature';
+const USER_AGENT = 'ClientIQ-Webhooks/1.0';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_RESPONSE_CHARS = 2000;
+
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Signature sent in X-ClientIQ-Signature as `t=<unix seconds>,v1=<hex>`,
+ * where v1 = HMAC-SHA256(secret, `${t}.${rawBody}`). Receivers should
+ * recompute it over the raw request body and reject stale timestamps.
+ * @param {string} secret - Endpoint signing secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} Header value
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * @param {string} url - Endpoint URL supplied by the user
+ * @returns {Promise<string|null>} Error message, or null when acceptable
+ */
+const checkWebhookUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Webhook URL must be an absolute URL';
+    }
+
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && allowPrivateUrls())) {
+        return 'Webhook URL must use https';
+    }
+
+    if (!allowPrivateUrls()) {
+        try {
+            await assertPublicHost(parsed.hostname, 'deliver to');
+        } catch (error) {
+            return error.code === 'ENOTFOUND' ? `Cannot resolve ${parsed.hostname}` : error.message;
+        }
+    }
+
+    return null;
+};
+
+const researchSummary = (research) => ({
+    _id: research._id,
+    userId: research.userId,
+    companyName: research.companyName,
+    companyWebsite: research.companyWebsite,
+    industry: research.industry,
+    isSaved: research.isSaved,
+    rating: research.rating,
+    tags: research.tags,
+    visibility: research.visibility,
+    teamId: research.teamId,
+    createdAt: research.createdAt
+});
+
+/**
+ * Queue an event for every active endpoint subscribed to it: the acting
+ * user's own endpoints, plus the team's endpoints when the research is
+ * shared with a team. Never throws: webhooks must not fail the request.
+ * @param {string} event - Event name, e.g. research.created
+ * @param {Object} context - { user, research, data }
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const emitEvent = async (event, { user, research = null, data = {} }) => {
+    try {
+        const audiences = [{ userId: user._id, teamId: null }];
+        if (research && research.teamId && research.visibility === 'team') {
+            audiences.push({ teamId: research.teamId });
+        }
+
+        const endpoints = await WebhookEndpoint.find({ active: true, events: event, $or: audiences }).select('_id');
+        if (endpoints.length === 0) {
+            return 0;
+        }
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            createdAt: new Date().toISOString(),
+            data: {
+                actorId: user._id,
+                ...(research ? { research: researchSummary(research) } : {}),
+                ...data
+            }
+        };
+
+        await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+            endpointId: endpoint._id,
+            event,
+            eventId: payload.id,
+            payload,
+            maxAttempts: MAX_ATTEMPTS
+        })));
+
+        setImmediate(() => webhookDispatcher.poll());
+        return endpoints.length;
+    } catch (error) {
+        console.error(`⚠️ Failed to queue webhook event ${event}:`, error);
+        return 0;
+    }
+};
+
+/**
+ * @param {number} attempts - Attempts made so far
+ * @param {string} retryAfter - Optional Retry-After header from the receiver
+ * @returns {number} Delay before the next attempt in ms
+ */
+const retryDelay = (attempts, retryAfter) => {
+    const backoff = RETRY_BASE_MS * 2 ** (attempts - 1);
+    const requested = parseInt(retryAfter) * 1000;
+    return Number.isFinite(requested) ? Math.max(backoff, requested) : backoff;
+};
+
+/**
+ * Mongo-backed delivery worker, following the same claim/poll pattern as the
+ * research queue so several API instances can share the delivery log.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.concurrency = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+        this.pollIntervalMs = parseInt(process.env.WEBHOOK_POLL_MS) || 5000;
+        this.staleAfterMs = TIMEOUT_MS * 6;
+        this.active = 0;
+        this.polling = false;
+        this.timer = null;
+        this.http = axios;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        this.timer.unref();
+        console.log(`📡 Webhook dispatcher ${this.workerId} started`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            while (this.active < this.concurrency) {
+                const delivery = await this.claim();
+                if (!delivery) break;
+
+                this.active++;
+                this.deliver(delivery)
+                    .catch(error => console.error(`Webhook delivery ${delivery._id} crashed:`, error))
+                    .finally(() => {
+                        this.active--;
+                        setImmediate(() => this.poll());
+                    });
+            }
+        } catch (error) {
+            console.error('Webhook dispatcher poll error:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    claim() {
+        const now = new Date();
+
+        return WebhookDelivery.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'delivering', lockedAt: { $lt: new Date(now - this.staleAfterMs) } }
+                ]
+            },
+            {
+                $set: { status: 'delivering', lockedAt: now },
+                $inc: { attempts: 1 }
+            },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * POST the payload once and record the outcome, scheduling a retry with
+     * exponential backoff (or the receiver's Retry-After) on failure
+     * @param {Object} delivery - Claimed WebhookDelivery document
+     */
+    async deliver(delivery) {
+        const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+encryptedSecret');
+        const startedAt = Date.now();
+        const attempt = { at: new Date() };
+        let retryAfter;
+
+        if (!endpoint || !endpoint.active) {
+            attempt.error = 'Endpoint was deleted or disabled';
+            return this.finish(delivery, endpoint, attempt, 'failed');
+        }
+
+        try {
+            const body = JSON.stringify(delivery.payload);
+
+            if (!allowPrivateUrls()) {
+                await assertPublicHost(new URL(endpoint.url).hostname, 'deliver to');
+            }
+
+            const response = await this.http.post(endpoint.url, body, {
+                timeout: TIMEOUT_MS,
+                maxRedirects: 0,
+                maxContentLength: 64 * 1024,
+                responseType: 'text',
+                transformResponse: data => data,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-ClientIQ-Event': delivery.event,
+                    'X-ClientIQ-Event-Id': delivery.eventId,
+                    'X-ClientIQ-Delivery': String(delivery._id),
+                    [SIGNATURE_HEADER]: signPayload(endpoint.getSecret(), body)
+                }
+            });
+
+            attempt.responseStatus = response.status;
+            attempt.responseBody = String(response.data || '').slice(0, MAX_RESPONSE_CHARS);
+            retryAfter = response.headers && response.headers['retry-after'];
+
+            if (response.status >= 200 && response.status < 300) {
+                attempt.durationMs = Date.now() - startedAt;
+                return this.finish(delivery, endpoint, attempt, 'succeeded');
+            }
+
+            attempt.error = `Endpoint responded with HTTP ${response.status}`;
+        } catch (error) {
+            attempt.error = error.message;
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+
+        if (delivery.attempts < delivery.maxAttempts) {
+            const nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts, retryAfter));
+            await WebhookDelivery.updateOne(
+                { _id: delivery._id },
+                { $set: { status: 'pending', nextAttemptAt, lastAttempt: attempt } }
+            );
+            console.warn(`↻ Webhook delivery ${delivery._id} failed (attempt ${delivery.attempts}), retrying at ${nextAttemptAt.toISOString()}`);
+            return;
+        }
+
+        return this.finish(delivery, endpoint, attempt, 'failed');
+    }
+
+    async finish(delivery, endpoint, attempt, status) {
+        await WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            { $set: { status, lastAttempt: attempt, completedAt: new Date() } }
+        );
+
+        if (endpoint) {
+            await WebhookEndpoint.updateOne(
+                { _id: endpoint._id },
+                { $set: { lastDeliveryAt: attempt.at, lastDeliveryStatus: status } }
+            );
+        }
+
+        if (status === 'failed') {
+            console.error(`❌ Webhook delivery ${delivery._id} (${delivery.event}) failed: ${attempt.error}`);
+        }
+    }
+
+    /**
+     * Send a logged delivery again as a new delivery with the same payload
+     * @param {Object} delivery - WebhookDelivery document
+     * @returns {Promise<Object>} New delivery
+     */
+    async replay(delivery) {
+        const replayed = await WebhookDelivery.create({
+            endpointId: delivery.endpointId,
+            event: delivery.event,
+            eventId: delivery.eventId,
+            payload: delivery.payload,
+            maxAttempts: MAX_ATTEMPTS,
+            replayOf: delivery._id
+        });
+
+        setImmediate(() => this.poll());
+        return replayed;
+    }
+}
+
+const webhookDispatcher = new WebhookDispatcher();
+
+/**
+ * Queue a `webhook.test` ping for one endpoint regardless of its event filter
+ * @param {Object} endpoint - WebhookEndpoint document
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} Delivery
+ */
+const sendTestEvent = async (endpoint, user) => {
+    const payload = {
+        id: crypto.randomUUID(),
+        event: 'webhook.test',
+        createdAt: new Date().toISOString(),
+        data: { actorId: user._id, message: 'Test event from ClientIQ' }
+    };
+
+    const delivery = await WebhookDelivery.create({
+        endpointId: endpoint._id,
+        event: payload.event,
+        eventId: payload.id,
+        payload,
+        maxAttempts: 1
+    });
+
+    setImmediate(() => webhookDispatcher.poll());
+    return delivery;
+};
+
+module.exports = {
+    EVENTS: WebhookEndpoint.EVENTS,
+    SIGNATURE_HEADER,
+    signPayload,
+    generateSecret,
+    checkWebhookUrl,
+    emitEvent,
+    sendTestEvent,
+    webhookDispatcher
+};
@@ -0,0 +1,386 @@
+const axios = require('axios');
+const { assertPublicHost } = require('../utils/network');
+
+const USER_AGENT = 'ClientIQBot/1.0 (+https://clientiq.app/bot)';
+const ROBOTS_AGENT = 'clientiqbot';
+
+const MAX_PAGE_BYTES = parseInt(process.env.GROUNDING_MAX_PAGE_BYTES) || 512 * 1024;
+const MAX_CHARS_PER_PAGE = parseInt(process.env.GROUNDING_MAX_CHARS_PER_PAGE) || 3000;
+const FETCH_TIMEOUT_MS = parseInt(process.env.GROUNDING_TIMEOUT_MS) || 8000;
+const MAX_REDIRECTS = 3;
+
+// Pages fetched besides the homepage, with the link patterns used to find them
+const PAGE_KINDS = {
+    about: { pattern: /\/(about|about-us|company|who-we-are|our-story)(\/|$|\?|#|\.html?)/i, fallback: '/about' },
+    contact: { pattern: /\/(contact|contact-us|get-in-touch)(\/|$|\?|#|\.html?)/i, fallback: '/contact' },
+    careers: { pattern: /\/(careers|jobs|join-us|work-with-us)(\/|$|\?|#|\.html?)/i, fallback: '/careers' }
+};
+
+const SOCIAL_PATTERNS = {
+    linkedin: /^https?:\/\/([a-z]+\.)?linkedin\.com\/(company|school|in)\/[^/?#]+/i,
+    twitter: /^https?:\/\/(www\.)?(twitter|x)\.com\/[A-Za-z0-9_]+/i,
+    facebook: /^https?:\/\/(www\.)?facebook\.com\/[^/?#]+/i,
+    instagram: /^https?:\/\/(www\.)?instagram\.com\/[^/?#]+/i,
+    youtube: /^https?:\/\/(www\.)?youtube\.com\/(c\/|channel\/|user\/|@)[^/?#]+/i
+};
+
+/**
+ * Refuse to fetch hosts that resolve to private or loopback addresses, since
+ * the website URL comes from the user.
+ */
+const assertFetchableHost = async (hostname) => {
+    if (process.env.GROUNDING_ALLOW_PRIVATE_HOSTS === 'true') return;
+    await assertPublicHost(hostname);
+};
+
+/**
+ * Default HTTP fetcher. Follows redirects manually so every hop is checked.
+ * @param {string} url - Absolute URL
+ * @returns {Promise<Object>} { status, url, contentType, body }
+ */
+const httpFetcher = async (url) => {
+    let current = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        await assertFetchableHost(new URL(current).hostname);
+
+        const response = await axios.get(current, {
+            timeout: FETCH_TIMEOUT_MS,
+            maxRedirects: 0,
+            maxContentLength: MAX_PAGE_BYTES,
+            responseType: 'text',
+            transformResponse: data => data,
+            validateStatus: () => true,
+            headers: {
+                'User-Agent': USER_AGENT,
+                Accept: 'text/html,text/plain;q=0.9,*/*;q=0.1'
+            }
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+            current = new URL(response.headers.location, current).toString();
+            continue;
+        }
+
+        return {
+            status: response.status,
+            url: current,
+            contentType: response.headers['content-type'] || '',
+            body: typeof response.data === 'string' ? response.data : ''
+        };
+    }
+
+    throw new Error(`Too many redirects for ${url}`);
+};
+
+let fetcher = httpFetcher;
+
+/**
+ * Replace the page fetcher, e.g. with a stub serving canned HTML in tests.
+ * Pass null to restore the HTTP fetcher.
+ * @param {Function|null} fn - async (url) => { status, url, contentType, body }
+ */
+const setFetcher = (fn) => {
+    fetcher = fn || httpFetcher;
+};
+
+/**
+ * @param {string} text - robots.txt content
+ * @returns {Array} Rules ({ allow, path }) that apply to our crawler
+ */
+const parseRobots = (text) => {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (current && (field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value });
+        }
+    }
+
+    const specific = groups.filter(group => group.agents.some(agent => agent !== '*' && ROBOTS_AGENT.includes(agent)));
+    const selected = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+    return selected.flatMap(group => group.rules);
+};
+
+const robotsPattern = (path) => {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path)
+        .split('*')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Longest matching rule wins; Allow wins ties. Supports * and $ wildcards.
+ */
+const isAllowedByRobots = (rules, path) => {
+    let best = null;
+
+    for (const rule of rules) {
+        if (!robotsPattern(rule.path).test(path)) continue;
+
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+
+    return !best || best.allow;
+};
+
+const decodeEntities = (text) => text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+
+/**
+ * @param {string} html - Page HTML
+ * @returns {Object} { title, text, links }
+ */
+const extractPage = (html) => {
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+    const links = [];
+    const linkPattern = /<a\b[^>]*href\s*=\s*["']([^"']+)["']/gi;
+    let match;
+    while ((match = linkPattern.exec(html)) !== null) {
+        links.push(decodeEntities(match[1].trim()));
+    }
+
+    const text = decodeEntities(html
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|svg|template|iframe)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/(p|div|li|h[1-6]|section|article|header|footer|tr|br)>/gi, '\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+
+    return {
+        title: titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '',
+        text,
+        links
+    };
+};
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9-]+(\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{7,}\d/g;
+
+/**
+ * Pull contact details out of a page
+ * @param {string} text - Extracted page text
+ * @param {string[]} links - Link targets found on the page
+ * @returns {Object} { emails, phones, social }
+ */
+const extractContacts = (text, links) => {
+    const emails = new Set();
+    const phones = new Set();
+    const social = {};
+
+    for (const link of links) {
+        if (/^mailto:/i.test(link)) {
+            const address = decodeURIComponent(link.slice(7).split('?')[0]).trim();
+            if (address) emails.add(address.toLowerCase());
+        } else if (/^tel:/i.test(link)) {
+            phones.add(decodeURIComponent(link.slice(4)).trim());
+        } else {
+            for (const [network, pattern] of Object.entries(SOCIAL_PATTERNS)) {
+                const found = link.match(pattern);
+                if (found && !social[network]) social[network] = found[0];
+            }
+        }
+    }
+
+    for (const address of text.match(EMAIL_PATTERN) || []) {
+        // Retina image names such as logo@2x.png look like addresses
+        if (!/\.(png|jpe?g|gif|svg|webp)$/i.test(address)) {
+            emails.add(address.toLowerCase());
+        }
+    }
+
+    for (const candidate of text.match(PHONE_PATTERN) || []) {
+        const digits = candidate.replace(/\D/g, '');
+        // 8-15 digits (E.164); skip dates and long numeric ids
+        if (digits.length >= 8 && digits.length <= 15 && !/^\d{4}[-.]\d{2}[-.]\d{2}/.test(candidate.trim())) {
+            phones.add(candidate.trim());
+        }
+    }
+
+    return { emails: [...emails], phones: [...phones], social };
+};
+
+/**
+ * @param {string} website - Website as entered by the user, with or without protocol
+ * @returns {URL} Homepage URL
+ */
+const normalizeWebsite = (website) => {
+    const withProtocol = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+    const url = new URL(withProtocol);
+    url.hash = '';
+    url.search = '';
+    url.pathname = '/';
+    return url;
+};
+
+const fetchText = async (url) => {
+    const response = await fetcher(url);
+
+    if (response.status >= 400) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    if (response.contentType && !/html|text\/plain/i.test(response.contentType)) {
+        throw new Error(`Unsupported content type ${response.contentType}`);
+    }
+
+    return { ...response, body: (response.body || '').slice(0, MAX_PAGE_BYTES) };
+};
+
+/**
+ * Fetch a company's homepage, about, contact and careers pages (honouring
+ * robots.txt) and extract text and contact details for grounding research.
+ *
+ * @param {string} website - Company website
+ * @returns {Promise<Object>} { website, sources: [{ id, kind, url, title, text, fetchedAt }],
+ *   contactInfo, contactSources: { field: [urls] }, skipped: [{ url, reason }] }
+ */
+const groundCompanyWebsite = async (website) => {
+    const homepage = normalizeWebsite(website);
+    const origin = homepage.origin;
+    const skipped = [];
+
+    let robotsRules = [];
+    try {
+        const robots = await fetcher(`${origin}/robots.txt`);
+        if (robots.status < 400 && robots.body) {
+            robotsRules = parseRobots(robots.body);
+        }
+    } catch (error) {
+        // No robots.txt (or unreachable) means no restrictions
+    }
+
+    const pages = [];
+    const visited = new Set();
+
+    const fetchPage = async (kind, url) => {
+        const target = new URL(url, origin);
+        target.hash = '';
+        const key = target.toString();
+
+        if (visited.has(key) || target.origin !== origin) return null;
+        visited.add(key);
+
+        if (!isAllowedByRobots(robotsRules, target.pathname)) {
+            skipped.push({ url: key, reason: 'Disallowed by robots.txt' });
+            return null;
+        }
+
+        try {
+            const response = await fetchText(key);
+            const page = { kind, url: response.url || key, ...extractPage(response.body), fetchedAt: new Date() };
+            pages.push(page);
+            return page;
+        } catch (error) {
+            skipped.push({ url: key, reason: error.message });
+            return null;
+        }
+    };
+
+    const home = await fetchPage('homepage', homepage.toString());
+    const links = home ? home.links : [];
+
+    for (const [kind, { pattern, fallback }] of Object.entries(PAGE_KINDS)) {
+        const discovered = links
+            .map(link => {
+                try {
+                    return new URL(link, origin);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .find(url => url && url.origin === origin && pattern.test(url.pathname));
+
+        await fetchPage(kind, discovered ? discovered.toString() : fallback);
+    }
+
+    const contactInfo = {
+        website: origin,
+        emails: [],
+        phones: []
+    };
+    // Page URLs each contact field was found on, for provenance
+    const contactSources = {
+        website: home ? [home.url] : []
+    };
+    const foundOn = (field, url) => {
+        contactSources[field] = contactSources[field] || [];
+        if (!contactSources[field].includes(url)) contactSources[field].push(url);
+    };
+
+    pages.forEach(page => {
+        const { emails, phones, social } = extractContacts(page.text, page.links);
+        if (emails.length > 0) foundOn('emails', page.url);
+        if (phones.length > 0) foundOn('phones', page.url);
+        contactInfo.emails.push(...emails.filter(email => !contactInfo.emails.includes(email)));
+        contactInfo.phones.push(...phones.filter(phone => !contactInfo.phones.includes(phone)));
+        for (const [network, url] of Object.entries(social)) {
+            if (!contactInfo[network]) {
+                contactInfo[network] = url;
+                foundOn(network, page.url);
+            }
+        }
+    });
+
+    return {
+        website: origin,
+        sources: pages.map((page, index) => ({
+            id: `S${index + 1}`,
+            kind: page.kind,
+            url: page.url,
+            title: page.title,
+            text: page.text.slice(0, MAX_CHARS_PER_PAGE),
+            fetchedAt: page.fetchedAt
+        })),
+        contactInfo,
+        contactSources,
+        skipped
+    };
+};
+
+module.exports = {
+    groundCompanyWebsite,
+    setFetcher,
+    httpFetcher,
+    parseRobots,
+    isAllowedByRobots,
+    extractPage,
+    extractContacts,
+    normalizeWebsite
+};
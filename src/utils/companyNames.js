@@ -0,0 +1,106 @@
+/**
+ * Company name normalisation and similarity, used to recognise "Tesla",
+ * "Tesla, Inc." and "tesla.com" as the same company.
+ */
+
+const { toDomain } = require('./contacts');
+
+// Legal forms and filler words dropped from the end (or start) of a name
+const LEGAL_SUFFIXES = [
+    'incorporated', 'inc', 'corporation', 'corp', 'company', 'co', 'limited', 'ltd', 'llc', 'llp', 'lp', 'plc',
+    'gmbh', 'ag', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'ab', 'as', 'oy', 'kk', 'pty', 'pvt', 'private',
+    'holdings', 'group'
+];
+
+// Something like "tesla.com" or "https://www.tesla.com/about"
+const DOMAIN_LIKE = /^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i;
+
+/**
+ * Domain when a name is really a website, e.g. "tesla.com"
+ * @param {string} name - Company name as entered
+ * @returns {string|undefined} Domain
+ */
+const domainFromName = (name) => {
+    const value = String(name || '').trim();
+    return DOMAIN_LIKE.test(value) ? toDomain(value) : undefined;
+};
+
+/**
+ * Lower-cased name without punctuation, legal suffixes or a domain's TLD
+ * @param {string} name - Company name as entered
+ * @returns {string} Normalised name ('' when nothing is left)
+ */
+const normalizeCompanyName = (name) => {
+    const domain = domainFromName(name);
+    let value = domain ? domain.split('.')[0] : String(name || '');
+
+    value = value
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\./g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+    const words = value.split(' ').filter(Boolean);
+    while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+        words.pop();
+    }
+    if (words.length > 1 && words[0] === 'the') {
+        words.shift();
+    }
+
+    return words.join(' ');
+};
+
+/**
+ * Jaro-Winkler similarity of two normalised names; favours a shared prefix,
+ * so "tesla" and "tesla motors" score higher than "tesla" and "atlas"
+ * @param {string} a - Normalised name
+ * @param {string} b - Normalised name
+ * @returns {number} 0-1
+ */
+const nameSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+            if (!bMatched[j] && a[i] === b[j]) {
+                aMatched[i] = true;
+                bMatched[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+module.exports = {
+    domainFromName,
+    normalizeCompanyName,
+    nameSimilarity
+};
@@ -0,0 +1,203 @@
+/**
+ * Structured decision-maker contacts stored in Research.results.decisionMakers.
+ *
+ * The model (and records created before contacts were structured) may give a
+ * plain "Name - Title" string; everything is normalised into
+ * { name, title, department, seniority, linkedinUrl, emailGuess, source,
+ * verificationStatus } with department and seniority inferred from the title
+ * when they are missing.
+ */
+
+const { buildAddress } = require('./emailPatterns');
+
+// Lowest to highest, so a minimum seniority can be compared by index
+const SENIORITIES = ['individual', 'manager', 'director', 'vp', 'c_level'];
+const DEPARTMENTS = ['executive', 'it', 'engineering', 'product', 'marketing', 'sales', 'finance', 'operations',
+    'hr', 'legal', 'customer_success', 'other'];
+const CONTACT_SOURCES = ['model', 'website', 'user'];
+const VERIFICATION_STATUSES = ['unverified', 'confirmed', 'rejected'];
+
+const SENIORITY_PATTERNS = [
+    ['c_level', /\b(chief|ceo|cto|cio|cfo|cmo|coo|cro|cpo|ciso|cdo|founder|co-founder|president|owner|managing director)\b/i],
+    ['vp', /\b(vp|svp|evp|vice president|head of)\b/i],
+    ['director', /\bdirector\b/i],
+    ['manager', /\b(manager|lead|supervisor)\b/i]
+];
+
+// Checked in order: the first match wins, so "CTO" is engineering rather than
+// executive and "Head of Product Development" is product
+const DEPARTMENT_PATTERNS = [
+    ['it', /\b(cio|ciso|information|it|infrastructure|security|systems|data)\b/i],
+    ['product', /\b(cpo|product)\b/i],
+    ['sales', /\b(cro|sales|revenue|business development|commercial|partnerships?)\b/i],
+    ['marketing', /\b(cmo|marketing|brand|growth|communications)\b/i],
+    ['finance', /\b(cfo|finance|financial|accounting|accountant|controller|treasury)\b/i],
+    ['operations', /\b(coo|operations|operating|supply chain|logistics|procurement)\b/i],
+    ['hr', /\b(chro|hr|human resources|people|talent|recruiting)\b/i],
+    ['legal', /\b(legal|counsel|compliance)\b/i],
+    ['customer_success', /\b(customer|support|success|service)\b/i],
+    ['engineering', /\b(cto|engineering|engineer|technology|technical|development|developer|software|r&d)\b/i],
+    ['executive', /\b(ceo|founder|co-founder|president|owner|managing director|chairman|chairwoman)\b/i]
+];
+
+const inferSeniority = (title) => {
+    const match = SENIORITY_PATTERNS.find(([, pattern]) => pattern.test(title || ''));
+    return match ? match[0] : 'individual';
+};
+
+const inferDepartment = (title) => {
+    const match = DEPARTMENT_PATTERNS.find(([, pattern]) => pattern.test(title || ''));
+    return match ? match[0] : 'other';
+};
+
+/**
+ * @param {string} seniority - Contact seniority
+ * @param {string} minimum - Required seniority
+ * @returns {boolean} True when seniority is at or above the minimum
+ */
+const seniorityAtLeast = (seniority, minimum) =>
+    SENIORITIES.indexOf(seniority) >= SENIORITIES.indexOf(minimum);
+
+/**
+ * @param {string} website - Company website, with or without protocol
+ * @returns {string|undefined} Bare domain, e.g. acme.com
+ */
+const toDomain = (website) => {
+    if (!website) return undefined;
+    try {
+        const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+        return url.hostname.replace(/^www\./, '').toLowerCase();
+    } catch (error) {
+        return undefined;
+    }
+};
+
+/**
+ * Split a legacy "Name - Title" string
+ * @param {string} value - Stored decision maker
+ * @returns {Object} { name, title }
+ */
+const splitNameAndTitle = (value) => {
+    const [name, title] = value.split(/\s+[-–—|]\s+|,\s+/, 2);
+    return { name: (name || '').trim(), title: title ? title.trim() : undefined };
+};
+
+const isLinkedInUrl = (value) => typeof value === 'string' && /^https?:\/\/([a-z]+\.)?linkedin\.com\//i.test(value);
+
+/**
+ * @param {string|Object} raw - Decision maker from the model, a legacy record or a user
+ * @param {Object} options
+ * @param {string} options.website - Company website, the email domain unless emailDomain is given
+ * @param {string} options.emailDomain - Company email domain
+ * @param {string} options.emailPattern - Company email pattern (see utils/emailPatterns)
+ * @param {string} options.source - Default source when the contact has none
+ * @returns {Object|null} Structured contact, or null without a usable name
+ */
+const normalizeContact = (raw, { website, emailDomain, emailPattern, source = 'model' } = {}) => {
+    const fields = typeof raw === 'string' ? splitNameAndTitle(raw) : { ...(raw || {}) };
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+
+    if (!name) return null;
+
+    const title = typeof fields.title === 'string' && fields.title.trim() ? fields.title.trim() : undefined;
+
+    return {
+        ...(fields._id ? { _id: fields._id } : {}),
+        name,
+        title,
+        department: DEPARTMENTS.includes(fields.department) ? fields.department : inferDepartment(title),
+        seniority: SENIORITIES.includes(fields.seniority) ? fields.seniority : inferSeniority(title),
+        linkedinUrl: isLinkedInUrl(fields.linkedinUrl) ? fields.linkedinUrl : undefined,
+        emailGuess: fields.emailGuess || buildAddress(name, emailDomain || toDomain(website), emailPattern),
+        source: CONTACT_SOURCES.includes(fields.source) ? fields.source : source,
+        verificationStatus: VERIFICATION_STATUSES.includes(fields.verificationStatus) ? fields.verificationStatus : 'unverified',
+        verifiedBy: fields.verifiedBy,
+        verifiedAt: fields.verifiedAt,
+        emailStatus: fields.emailStatus,
+        emailCheckedAt: fields.emailCheckedAt,
+        updatedAt: fields.updatedAt
+    };
+};
+
+/**
+ * Stable identity of a contact across refreshes
+ */
+const contactKey = (contact) =>
+    (typeof contact === 'string' ? splitNameAndTitle(contact).name : (contact && contact.name) || '').trim().toLowerCase();
+
+/**
+ * @param {Array} list - Decision makers in any supported shape
+ * @param {Object} options - See normalizeContact
+ * @returns {Array} Structured contacts without duplicates
+ */
+const normalizeDecisionMakers = (list, options = {}) => {
+    const seen = new Set();
+    const contacts = [];
+
+    for (const raw of Array.isArray(list) ? list : []) {
+        const contact = normalizeContact(raw, options);
+        const key = contact && contactKey(contact);
+        if (contact && !seen.has(key)) {
+            seen.add(key);
+            contacts.push(contact);
+        }
+    }
+
+    return contacts;
+};
+
+/**
+ * Contacts a user added, edited, confirmed or rejected are kept on refresh;
+ * regenerated contacts with the same name are dropped in their favour
+ * @param {Array} previous - Contacts before the refresh
+ * @param {Array} generated - Freshly generated contacts
+ * @returns {Array} Merged contacts
+ */
+const mergeContacts = (previous, generated) => {
+    const kept = (previous || []).filter(contact =>
+        typeof contact === 'object' && (contact.source === 'user' || contact.verificationStatus !== 'unverified'));
+    const keptKeys = new Set(kept.map(contactKey));
+
+    return [...kept, ...generated.filter(contact => !keptKeys.has(contactKey(contact)))];
+};
+
+/**
+ * @param {Array} contacts - Structured contacts
+ * @param {Object} filters - { minSeniority, seniority, department, verificationStatus }; list filters accept arrays
+ * @returns {Array} Matching contacts
+ */
+const filterContacts = (contacts, { minSeniority, seniority, department, verificationStatus } = {}) => {
+    const anyOf = (value) => (Array.isArray(value) ? value : [value]);
+
+    return contacts.filter(contact =>
+        (!minSeniority || seniorityAtLeast(contact.seniority, minSeniority)) &&
+        (!seniority || anyOf(seniority).includes(contact.seniority)) &&
+        (!department || anyOf(department).includes(contact.department)) &&
+        (!verificationStatus || anyOf(verificationStatus).includes(contact.verificationStatus)));
+};
+
+/**
+ * @param {string|Object} contact - Decision maker
+ * @returns {string} "Name - Title" label used in exports, notes and diffs
+ */
+const formatContact = (contact) => {
+    if (typeof contact === 'string') return contact;
+    return [contact.name, contact.title].filter(Boolean).join(' - ');
+};
+
+module.exports = {
+    SENIORITIES,
+    DEPARTMENTS,
+    CONTACT_SOURCES,
+    VERIFICATION_STATUSES,
+    inferSeniority,
+    inferDepartment,
+    seniorityAtLeast,
+    toDomain,
+    normalizeContact,
+    normalizeDecisionMakers,
+    contactKey,
+    mergeContacts,
+    filterContacts,
+    formatContact
+};
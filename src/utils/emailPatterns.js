@@ -0,0 +1,187 @@
+/**
+ * Company email address patterns: infer which format a company uses from
+ * addresses we already know, and build candidate addresses for a person.
+ */
+
+// Most common corporate formats first; used as the fallback order
+const PATTERNS = {
+    'first.last': ({ first, last }) => `${first}.${last}`,
+    first: ({ first }) => first,
+    flast: ({ first, last }) => `${first[0]}${last}`,
+    firstlast: ({ first, last }) => `${first}${last}`,
+    'first_last': ({ first, last }) => `${first}_${last}`,
+    'f.last': ({ first, last }) => `${first[0]}.${last}`,
+    firstl: ({ first, last }) => `${first}${last[0]}`,
+    'last.first': ({ first, last }) => `${last}.${first}`,
+    last: ({ last }) => last
+};
+
+const DEFAULT_PATTERN = 'first.last';
+
+// Outcomes of an address check, best first (see services/emailVerification)
+const EMAIL_STATUSES = ['deliverable', 'accept_all', 'unknown', 'undeliverable', 'no_mx', 'invalid'];
+
+// Shared mailboxes that say nothing about how personal addresses look
+const ROLE_MAILBOXES = new Set(['info', 'sales', 'contact', 'support', 'hello', 'admin', 'office', 'help', 'media',
+    'press', 'marketing', 'team', 'careers', 'jobs', 'hr', 'billing', 'accounts', 'enquiries', 'inquiries', 'service',
+    'noreply', 'no-reply', 'webmaster', 'privacy', 'legal', 'partners', 'investors', 'feedback', 'general']);
+
+// Free mail providers are never a company's own domain
+const FREE_MAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+    'live.com', 'aol.com', 'icloud.com', 'me.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com']);
+
+const EMAIL_SYNTAX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+/**
+ * @param {string} address - Email address
+ * @returns {boolean} True when the address is syntactically valid
+ */
+const isValidSyntax = (address) =>
+    typeof address === 'string' && address.length <= 254 && EMAIL_SYNTAX.test(address) &&
+    address.split('@')[0].length <= 64;
+
+const splitAddress = (address) => {
+    const [local, domain] = String(address).toLowerCase().split('@');
+    return { local, domain };
+};
+
+/**
+ * @param {string} name - Person's name
+ * @returns {Object|null} { first, last } in lowercase ASCII, or null for single names
+ */
+const nameParts = (name) => {
+    const parts = (name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s-]/g, '')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    if (parts.length < 2) return null;
+    return { first: parts[0].replace(/-/g, ''), last: parts[parts.length - 1] };
+};
+
+/**
+ * @param {string} name - Person's name
+ * @param {string} domain - Email domain
+ * @param {string} pattern - Key of PATTERNS
+ * @returns {string|undefined} Address, or undefined without a first and last name
+ */
+const buildAddress = (name, domain, pattern = DEFAULT_PATTERN) => {
+    const parts = nameParts(name);
+    if (!parts || !domain || !PATTERNS[pattern]) return undefined;
+    return `${PATTERNS[pattern](parts)}@${domain}`;
+};
+
+/**
+ * Pattern key(s) that turn a name into the local part of an address
+ */
+const matchingPatterns = (name, local) => {
+    const parts = nameParts(name);
+    if (!parts) return [];
+    return Object.keys(PATTERNS).filter(pattern => PATTERNS[pattern](parts) === local);
+};
+
+/**
+ * Best guess at the shape of a personal local part when the owner is unknown
+ */
+const shapeOf = (local) => {
+    if (/^[a-z]+\.[a-z]+$/.test(local)) return local.split('.')[0].length === 1 ? 'f.last' : 'first.last';
+    if (/^[a-z]+_[a-z]+$/.test(local)) return 'first_last';
+    return null;
+};
+
+/**
+ * Pick the company's email domain: the most common non-free domain among
+ * known addresses, falling back to the website domain
+ * @param {string[]} addresses - Known addresses
+ * @param {string} websiteDomain - Domain of the company website
+ * @returns {string|undefined} Domain
+ */
+const pickEmailDomain = (addresses, websiteDomain) => {
+    const counts = {};
+    for (const address of addresses) {
+        if (!isValidSyntax(address)) continue;
+        const { domain } = splitAddress(address);
+        if (!FREE_MAIL_DOMAINS.has(domain)) counts[domain] = (counts[domain] || 0) + 1;
+    }
+
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (websiteDomain && counts[websiteDomain]) return websiteDomain;
+    return ranked.length > 0 ? ranked[0][0] : websiteDomain;
+};
+
+/**
+ * Infer a company's address pattern. Addresses with a known owner count
+ * fully; personal-looking addresses without one count by their shape; role
+ * mailboxes (info@, sales@) are ignored.
+ * @param {string} domain - Company email domain
+ * @param {Array} known - [{ email, name }] where name is optional
+ * @returns {Object} { pattern, confidence (0-1), evidence: [email] }
+ */
+const inferPattern = (domain, known) => {
+    const votes = {};
+    const evidence = {};
+
+    const vote = (pattern, weight, email) => {
+        votes[pattern] = (votes[pattern] || 0) + weight;
+        evidence[pattern] = [...(evidence[pattern] || []), email];
+    };
+
+    for (const { email, name } of known) {
+        if (!isValidSyntax(email)) continue;
+        const { local, domain: addressDomain } = splitAddress(email);
+        if (addressDomain !== domain || ROLE_MAILBOXES.has(local)) continue;
+
+        const matches = name ? matchingPatterns(name, local) : [];
+        if (matches.length > 0) {
+            // "first" and "last" can coincide with other patterns for short names
+            matches.forEach(pattern => vote(pattern, 1 / matches.length, email));
+            continue;
+        }
+
+        const shape = shapeOf(local);
+        if (shape) vote(shape, 0.5, email);
+    }
+
+    const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) {
+        return { pattern: DEFAULT_PATTERN, confidence: 0.2, evidence: [] };
+    }
+
+    const [pattern, score] = ranked[0];
+    const total = ranked.reduce((sum, [, value]) => sum + value, 0);
+
+    return {
+        pattern,
+        // Agreement between addresses, discounted while there is little evidence
+        confidence: Math.round((score / total) * Math.min(1, 0.5 + score / 4) * 100) / 100,
+        evidence: evidence[pattern]
+    };
+};
+
+/**
+ * @param {string} name - Person's name
+ * @param {string} domain - Email domain
+ * @param {string} pattern - Inferred pattern, tried first
+ * @param {number} limit - Maximum number of candidates
+ * @returns {string[]} Candidate addresses, most likely first
+ */
+const candidateAddresses = (name, domain, pattern = DEFAULT_PATTERN, limit = Object.keys(PATTERNS).length) => {
+    const order = [pattern, ...Object.keys(PATTERNS).filter(key => key !== pattern)];
+    return [...new Set(order.map(key => buildAddress(name, domain, key)).filter(Boolean))].slice(0, limit);
+};
+
+module.exports = {
+    PATTERNS,
+    DEFAULT_PATTERN,
+    EMAIL_STATUSES,
+    ROLE_MAILBOXES,
+    isValidSyntax,
+    splitAddress,
+    buildAddress,
+    pickEmailDomain,
+    inferPattern,
+    candidateAddresses
+};
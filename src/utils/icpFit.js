@@ -0,0 +1,171 @@
+/**
+ * Ideal customer profile (ICP) fit: how well a researched company matches a
+ * seller profile's ICP, from 0 to 100.
+ *
+ * Only criteria the ICP defines are scored. A criterion whose company data is
+ * missing (no employee count, no headquarters) gets half its weight, so thin
+ * research neither passes nor fails on that criterion.
+ */
+
+const { COMPANY_SIZES } = require('./sellerProfile');
+const { seniorityAtLeast } = require('./contacts');
+
+const WEIGHTS = {
+    industry: 30,
+    companySize: 20,
+    region: 15,
+    technologies: 15,
+    buyers: 10,
+    keywords: 10
+};
+
+const GRADES = [
+    ['strong', 70],
+    ['moderate', 40],
+    ['weak', 0]
+];
+
+const lower = (value) => String(value || '').toLowerCase();
+
+// Either text contains the other, e.g. "Software" vs "Enterprise software"
+const overlaps = (a, b) => {
+    const x = lower(a).trim();
+    const y = lower(b).trim();
+    return Boolean(x && y) && (x.includes(y) || y.includes(x));
+};
+
+const WORD_SIZES = [
+    [/\b(enterprise|large|multinational|global)\b/, [1001, Infinity]],
+    [/\b(mid-?size|mid-?market|medium)\b/, [201, 1000]],
+    [/\b(small|smb)\b/, [11, 200]],
+    [/\b(startup|start-up|micro)\b/, [1, 50]]
+];
+
+/**
+ * Employee range from free text such as "10,000+", "51-200 employees" or "2.5k"
+ * @param {string} text - companyDetails.employees or companySize
+ * @returns {number[]|null} [min, max]
+ */
+const parseEmployeeRange = (text) => {
+    const value = lower(text).replace(/(\d),(?=\d{3})/g, '$1');
+    const numbers = [...value.matchAll(/(\d+(?:\.\d+)?)\s*(k|m)?\b/g)]
+        .map(([, number, unit]) => Math.round(parseFloat(number) * (unit === 'k' ? 1000 : unit === 'm' ? 1000000 : 1)));
+
+    if (numbers.length > 0) {
+        const min = Math.min(...numbers);
+        const max = /\+|over|more than/.test(value) && numbers.length === 1 ? Infinity : Math.max(...numbers);
+        return [min, max];
+    }
+
+    const word = WORD_SIZES.find(([pattern]) => pattern.test(value));
+    return word ? word[1] : null;
+};
+
+const criterion = (name, status, detail) => ({ criterion: name, weight: WEIGHTS[name], status, detail });
+
+/**
+ * @param {Object} research - { industry, results } of a research record
+ * @param {Object} icp - SellerProfile icp
+ * @returns {Object[]} Scored criteria
+ */
+const scoreCriteria = ({ industry, results = {} }, icp) => {
+    const details = results.companyDetails || {};
+    const contactInfo = results.contactInfo || {};
+    const criteria = [];
+
+    if (icp.industries && icp.industries.length > 0) {
+        const known = [industry, details.industry, details.sector].filter(Boolean);
+        const match = icp.industries.find(target => known.some(value => overlaps(value, target)));
+        criteria.push(known.length === 0
+            ? criterion('industry', 'unknown', 'Industry not known')
+            : criterion('industry', match ? 'match' : 'miss', match ? `Industry matches ${match}` : `Industry ${known[0]} is not targeted`));
+    }
+
+    if (icp.companySizes && icp.companySizes.length > 0) {
+        const range = parseEmployeeRange(details.employees) || parseEmployeeRange(details.companySize);
+        const match = range && icp.companySizes.find(size => {
+            const [min, max] = COMPANY_SIZES[size];
+            return range[0] <= max && range[1] >= min;
+        });
+        criteria.push(!range
+            ? criterion('companySize', 'unknown', 'Employee count not known')
+            : criterion('companySize', match ? 'match' : 'miss',
+                `${details.employees || details.companySize} employees${match ? ` fits ${match}` : ' is outside the targeted sizes'}`));
+    }
+
+    if (icp.regions && icp.regions.length > 0) {
+        const location = [details.headquarters, details.location, contactInfo.address].filter(Boolean).join(' | ');
+        const match = icp.regions.find(region => lower(location).includes(lower(region)));
+        criteria.push(!location
+            ? criterion('region', 'unknown', 'Headquarters not known')
+            : criterion('region', match ? 'match' : 'miss', match ? `Located in ${match}` : `Located in ${location}`));
+    }
+
+    if (icp.technologies && icp.technologies.length > 0) {
+        const used = results.technologies || [];
+        const matches = icp.technologies.filter(target => used.some(technology => overlaps(technology, target)));
+        criteria.push(used.length === 0
+            ? criterion('technologies', 'unknown', 'Technologies not known')
+            : criterion('technologies', matches.length > 0 ? 'match' : 'miss',
+                matches.length > 0 ? `Uses ${matches.join(', ')}` : 'None of the targeted technologies found'));
+    }
+
+    if ((icp.departments && icp.departments.length > 0) || icp.minSeniority) {
+        const contacts = (results.decisionMakers || []).filter(contact => contact.verificationStatus !== 'rejected');
+        const buyer = contacts.find(contact =>
+            (!icp.departments || icp.departments.length === 0 || icp.departments.includes(contact.department)) &&
+            (!icp.minSeniority || seniorityAtLeast(contact.seniority, icp.minSeniority)));
+        criteria.push(contacts.length === 0
+            ? criterion('buyers', 'unknown', 'No decision makers known')
+            : criterion('buyers', buyer ? 'match' : 'miss', buyer ? `${buyer.name} (${buyer.title}) matches the buyer profile` : 'No decision maker matches the buyer profile'));
+    }
+
+    if (icp.keywords && icp.keywords.length > 0) {
+        const text = lower([results.overview, ...(results.painPoints || []), details.businessModel, details.offerings].join(' '));
+        const matches = icp.keywords.filter(keyword => text.includes(lower(keyword)));
+        criteria.push(criterion('keywords', matches.length > 0 ? 'match' : 'miss',
+            matches.length > 0 ? `Mentions ${matches.join(', ')}` : 'No targeted keywords mentioned'));
+    }
+
+    return criteria;
+};
+
+/**
+ * Score a research record against a seller profile
+ * @param {Object} research - Research document or { industry, results }
+ * @param {Object|null} profile - SellerProfile document
+ * @returns {Object|null} { score, grade, criteria, competitorsFound, profileId, scoredAt }, or null
+ *   when there is no profile to score against
+ */
+const scoreIcpFit = (research, profile) => {
+    if (!profile) return null;
+
+    const criteria = scoreCriteria(research, profile.icp || {});
+    const total = criteria.reduce((sum, item) => sum + item.weight, 0);
+    const earned = criteria.reduce((sum, item) =>
+        sum + (item.status === 'match' ? item.weight : item.status === 'unknown' ? item.weight / 2 : 0), 0);
+    const score = total === 0 ? null : Math.round((earned / total) * 100);
+
+    const results = research.results || {};
+    const mentioned = lower([
+        ...(results.technologies || []),
+        results.overview,
+        results.additionalInsights,
+        (results.companyDetails || {}).recentNews
+    ].join(' '));
+
+    return {
+        score,
+        grade: score === null ? null : GRADES.find(([, minimum]) => score >= minimum)[0],
+        criteria,
+        competitorsFound: (profile.competitors || []).filter(competitor => mentioned.includes(lower(competitor))),
+        profileId: profile._id,
+        scoredAt: new Date()
+    };
+};
+
+module.exports = {
+    WEIGHTS,
+    parseEmployeeRange,
+    scoreIcpFit
+};
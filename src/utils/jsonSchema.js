@@ -0,0 +1,86 @@
+/**
+ * Minimal JSON Schema validator for model output. Supports the keywords the
+ * schemas in src/config use: type (string or list), properties, required,
+ * additionalProperties (as a schema), items, minItems, maxItems, minLength,
+ * minimum, maximum, enum and anyOf.
+ */
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected =>
+        expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/**
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Path of value, used in error messages
+ * @returns {Object[]} [{ path, message }], empty when the value is valid
+ */
+const validateSchema = (value, schema, path = '') => {
+    const errors = [];
+    const fail = (message) => errors.push({ path: path || '(root)', message });
+
+    if (schema.anyOf) {
+        if (!schema.anyOf.some(option => validateSchema(value, option, path).length === 0)) {
+            fail('does not match any allowed shape');
+        }
+        return errors;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        fail(schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, join(path, index))));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: join(path, key), message: 'is required' });
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const propertySchema = (schema.properties && schema.properties[key]) ||
+                (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (propertySchema && item !== undefined) {
+                errors.push(...validateSchema(item, propertySchema, join(path, key)));
+            }
+        }
+    }
+
+    return errors;
+};
+
+module.exports = {
+    validateSchema
+};
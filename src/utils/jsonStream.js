@@ -0,0 +1,86 @@
+/**
+ * Incremental reader for a streamed JSON object: reports each top-level
+ * property as soon as its value is complete, before the whole object has
+ * arrived. Anything it cannot parse is skipped; the caller still parses the
+ * full text once the stream ends.
+ */
+
+/**
+ * @param {Function} onProperty - Called with (key, value) for each completed top-level property
+ * @returns {Object} { write(chunk) }
+ */
+const createObjectStreamParser = (onProperty) => {
+    let buffer = '';
+    let position = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let keyStart = -1;
+    let key = null;
+    let valueStart = -1;
+
+    const emit = (end) => {
+        if (key === null || valueStart === -1) return;
+        try {
+            onProperty(key, JSON.parse(buffer.slice(valueStart, end)));
+        } catch (error) {
+            // Partial or invalid value - the final parse decides
+        }
+        key = null;
+        valueStart = -1;
+    };
+
+    const write = (chunk) => {
+        buffer += chunk;
+
+        for (; position < buffer.length; position++) {
+            const char = buffer[position];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                    if (depth === 1 && keyStart !== -1) {
+                        key = JSON.parse(buffer.slice(keyStart, position + 1));
+                        keyStart = -1;
+                    }
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+                // A string at depth 1 is a key unless we are past its colon
+                if (depth === 1 && key === null) {
+                    keyStart = position;
+                } else if (depth === 1 && valueStart === -1) {
+                    valueStart = position;
+                }
+            } else if (char === '{' || char === '[') {
+                if (depth === 1 && key !== null && valueStart === -1) {
+                    valueStart = position;
+                }
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) {
+                    emit(position);
+                }
+            } else if (char === ',' && depth === 1) {
+                emit(position);
+            } else if (depth === 1 && key !== null && valueStart === -1 && char !== ':' && !/\s/.test(char)) {
+                // Number, boolean or null
+                valueStart = position;
+            }
+        }
+    };
+
+    return { write };
+};
+
+module.exports = {
+    createObjectStreamParser
+};
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
 
 /**
  * @param {Object} payload - User data to include in token
@@ -52,13 +53,13 @@ const extractToken = (authHeader) => {
 };
 
 /**
- * @param {Object} payload - User data to include in token
+ * @param {Object} payload - User data to include in token (userId, jti, fid)
  * @returns {String} Refresh token
  */
 const generateRefreshToken = (payload) => {
     try {
         return jwt.sign(payload, JWT_SECRET, {
-            expiresIn: '30d',
+            expiresIn: REFRESH_TOKEN_EXPIRES_IN,
             issuer: 'clientiq-api',
             audience: 'clientiq-refresh'
         });
@@ -82,10 +83,20 @@ const verifyRefreshToken = (token) => {
     }
 };
 
+/**
+ * @param {String} token - Signed JWT
+ * @returns {Date|null} Expiry date, without verifying the signature
+ */
+const getTokenExpiry = (token) => {
+    const decoded = jwt.decode(token);
+    return decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+};
+
 module.exports = {
     generateToken,
     verifyToken,
     extractToken,
     generateRefreshToken,
-    verifyRefreshToken
+    verifyRefreshToken,
+    getTokenExpiry
 };
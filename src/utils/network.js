@@ -0,0 +1,38 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+const isPrivateAddress = (address) => {
+    if (net.isIPv6(address)) {
+        const lower = address.toLowerCase();
+        if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+        return lower === '::1' || lower === '::' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+    }
+
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 100 && b >= 64 && b <= 127);
+};
+
+/**
+ * Refuse hosts that resolve to private or loopback addresses. Used wherever
+ * the server calls a URL supplied by a user.
+ * @param {string} hostname - Host to check
+ * @param {string} action - Verb for the error message, e.g. "fetch"
+ */
+const assertPublicHost = async (hostname, action = 'fetch') => {
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.lookup(hostname, { all: true });
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`Refusing to ${action} private address for ${hostname}`);
+    }
+};
+
+module.exports = {
+    isPrivateAddress,
+    assertPublicHost
+};
@@ -0,0 +1,70 @@
+const { TEMPLATE_KINDS } = require('../config/promptTemplates');
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Labels for variables a template does not use itself (see buildPrompt). The
+// product is covered by the seller profile section instead.
+const CONTEXT_LABELS = {
+    industry: 'Industry',
+    persona: 'Audience'
+};
+
+/**
+ * @param {string} body - Template text
+ * @returns {string[]} Variable names referenced, in order of first use
+ */
+const templateVariables = (body) => [...new Set([...String(body).matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+/**
+ * Check a template body against its kind
+ * @param {string} kind - Key of TEMPLATE_KINDS
+ * @param {string} body - Template text
+ * @returns {Object} { unknown, missing } variable names; both empty when the template is usable
+ */
+const checkTemplate = (kind, body) => {
+    const { variables, required } = TEMPLATE_KINDS[kind];
+    const used = templateVariables(body);
+
+    return {
+        unknown: used.filter(name => !variables.includes(name)),
+        missing: required.filter(name => !used.includes(name))
+    };
+};
+
+/**
+ * Replace {{name}} with its value; variables without a value become empty
+ * @param {string} body - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (body, variables = {}) =>
+    String(body).replace(VARIABLE_PATTERN, (match, name) =>
+        (variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : ''));
+
+/**
+ * Full prompt for one template kind: the rendered template, a context section
+ * for industry/persona values the template does not reference itself,
+ * and the kind's output format.
+ * @param {string} kind - Key of TEMPLATE_KINDS
+ * @param {string} body - Template text
+ * @param {Object} variables - Values by name
+ * @param {string} [outputFormat] - Replaces the kind's output format
+ * @returns {string} Prompt text
+ */
+const buildPrompt = (kind, body, variables = {}, outputFormat = TEMPLATE_KINDS[kind].outputFormat) => {
+    const used = templateVariables(body);
+    const context = Object.keys(CONTEXT_LABELS)
+        .filter(name => !used.includes(name) && variables[name])
+        .map(name => `- ${CONTEXT_LABELS[name]}: ${variables[name]}`);
+
+    return renderTemplate(body, variables) +
+        (context.length > 0 ? `\n\nCONTEXT:\n${context.join('\n')}` : '') +
+        outputFormat;
+};
+
+module.exports = {
+    templateVariables,
+    checkTemplate,
+    renderTemplate,
+    buildPrompt
+};
@@ -0,0 +1,121 @@
+/**
+ * Checking model output against a JSON schema, and turning whatever is still
+ * wrong after the repair attempts into explicit unknowns (null or an empty
+ * list) rather than made-up values.
+ */
+
+const { validateSchema } = require('./jsonSchema');
+
+// Text models use when they have nothing to say
+const PLACEHOLDER_TEXT = /^(unknown|n\/?a|none|not (available|known|specified|applicable)|tbd|-)\.?$/i;
+
+const isUnknownValue = (value) =>
+    value === undefined || value === null ||
+    (typeof value === 'string' && (value.trim() === '' || PLACEHOLDER_TEXT.test(value.trim()))) ||
+    (Array.isArray(value) && value.length === 0);
+
+const unknownMarker = (schema) => {
+    const types = [].concat(schema.type || []);
+    if (types.includes('array')) return [];
+    if (types.includes('object')) return {};
+    return null;
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Parse and validate one model response
+ * @param {string} content - Raw completion text
+ * @param {Object} schema - JSON schema
+ * @returns {Object} { data, errors } - data is null when the text is not a JSON object
+ */
+const checkModelOutput = (content, schema) => {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        return { data: null, errors: [{ path: '(root)', message: `is not valid JSON (${error.message})` }] };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { data: null, errors: [{ path: '(root)', message: 'must be a JSON object' }] };
+    }
+
+    return { data, errors: validateSchema(data, schema) };
+};
+
+/**
+ * Replace invalid values with unknown markers: invalid list items are dropped,
+ * other invalid or placeholder values ("Unknown", "N/A") become null, [] or {}.
+ * Values the schema does not describe are kept as they are.
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - JSON schema
+ * @returns {*} Cleaned value
+ */
+const cleanToSchema = (value, schema) => {
+    if (value === undefined) return undefined;
+
+    if (validateSchema(value, { ...schema, properties: undefined, additionalProperties: undefined, items: undefined, required: undefined }).length > 0) {
+        return unknownMarker(schema);
+    }
+
+    if (typeof value === 'string' && PLACEHOLDER_TEXT.test(value.trim())) {
+        return null;
+    }
+
+    if (Array.isArray(value)) {
+        return schema.items
+            ? value.filter(item => !isUnknownValue(item) && validateSchema(item, schema.items).length === 0)
+            : value;
+    }
+
+    if (value && typeof value === 'object') {
+        const cleaned = { ...value };
+        for (const key of Object.keys(value)) {
+            const propertySchema = (schema.properties && schema.properties[key]) ||
+                (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (propertySchema) {
+                cleaned[key] = cleanToSchema(value[key], propertySchema);
+            }
+        }
+        for (const key of schema.required || []) {
+            if (cleaned[key] === undefined) {
+                cleaned[key] = unknownMarker((schema.properties && schema.properties[key]) || schema.additionalProperties || {});
+            }
+        }
+        return cleaned;
+    }
+
+    return value;
+};
+
+/**
+ * Fields the schema asks for whose value is unknown: missing, null or empty.
+ * Nested objects are reported per field, e.g. "contactInfo.phones".
+ * @param {Object} data - Cleaned output
+ * @param {Object} schema - JSON schema of an object
+ * @param {string} [path]
+ * @returns {string[]} Paths
+ */
+const findUnknownFields = (data, schema, path = '') => {
+    const unknown = [];
+
+    for (const key of schema.required || []) {
+        const value = data ? data[key] : undefined;
+        const propertySchema = (schema.properties && schema.properties[key]) || {};
+
+        if ([].concat(propertySchema.type || []).includes('object') && value && typeof value === 'object' && !Array.isArray(value)) {
+            unknown.push(...findUnknownFields(value, propertySchema, join(path, key)));
+        } else if (isUnknownValue(value)) {
+            unknown.push(join(path, key));
+        }
+    }
+
+    return unknown;
+};
+
+module.exports = {
+    checkModelOutput,
+    cleanToSchema,
+    findUnknownFields
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+const getKey = () => {
+    const secret = process.env.CREDENTIALS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('CREDENTIALS_ENCRYPTION_KEY (or JWT_SECRET) must be set to store credentials');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a third-party credential for storage
+ * @param {string} plaintext - Secret value
+ * @returns {string} iv:tag:ciphertext, base64 encoded
+ */
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Secret value
+ */
+const decryptSecret = (payload) => {
+    const [iv, tag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    encryptSecret,
+    decryptSecret
+};
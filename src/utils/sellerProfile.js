@@ -0,0 +1,73 @@
+/**
+ * Seller profile: what the user or team sells and who they sell to. The
+ * profile is given to the model when research, pitches and sequences are
+ * written, and research is scored against its ideal customer profile (see
+ * utils/icpFit).
+ */
+
+// Employee-count buckets an ideal customer profile can target
+const COMPANY_SIZES = {
+    '1-10': [1, 10],
+    '11-50': [11, 50],
+    '51-200': [51, 200],
+    '201-1000': [201, 1000],
+    '1001-5000': [1001, 5000],
+    '5001+': [5001, Infinity]
+};
+
+const MAX_LIST_ITEMS = 20;
+const MAX_CASE_STUDIES = 10;
+
+const list = (items) => items.map(item => `  * ${item}`).join('\n');
+
+/**
+ * Prompt section describing the seller, so pitches and pain points are
+ * written around what they actually offer
+ * @param {Object|null} profile - SellerProfile document or plain object
+ * @returns {string} Prompt text (empty without a profile)
+ */
+const buildSellerPrompt = (profile) => {
+    if (!profile) return '';
+
+    const icp = profile.icp || {};
+    const lines = [];
+
+    if (profile.product) lines.push(`- Product: ${profile.product}`);
+    if (profile.valuePropositions && profile.valuePropositions.length > 0) {
+        lines.push(`- Value propositions:\n${list(profile.valuePropositions)}`);
+    }
+
+    const icpParts = [
+        icp.industries && icp.industries.length > 0 && `industries ${icp.industries.join(', ')}`,
+        icp.companySizes && icp.companySizes.length > 0 && `${icp.companySizes.join(', ')} employees`,
+        icp.regions && icp.regions.length > 0 && `based in ${icp.regions.join(', ')}`,
+        icp.technologies && icp.technologies.length > 0 && `using ${icp.technologies.join(', ')}`,
+        icp.departments && icp.departments.length > 0 && `buyers in ${icp.departments.join(', ')}`
+    ].filter(Boolean);
+    if (icpParts.length > 0) lines.push(`- Ideal customers: ${icpParts.join('; ')}`);
+
+    if (profile.caseStudies && profile.caseStudies.length > 0) {
+        lines.push(`- Case studies:\n${list(profile.caseStudies.map(study =>
+            `${study.customer}${study.industry ? ` (${study.industry})` : ''}: ${study.summary}${study.result ? ` - ${study.result}` : ''}`))}`);
+    }
+    if (profile.competitors && profile.competitors.length > 0) {
+        lines.push(`- Competitors: ${profile.competitors.join(', ')}`);
+    }
+
+    if (lines.length === 0) return '';
+
+    return `
+
+SELLER PROFILE - the product the user sells. Write for this seller:
+${lines.join('\n')}
+- Favour pain points this product can solve and tie the pitch to the value propositions above
+- Mention a case study only if it is listed above and relevant to this company; never invent customers or results
+- If the company uses a listed competitor, position against it without disparaging it`;
+};
+
+module.exports = {
+    COMPANY_SIZES,
+    MAX_LIST_ITEMS,
+    MAX_CASE_STUDIES,
+    buildSellerPrompt
+};
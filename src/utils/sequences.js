@@ -0,0 +1,76 @@
+/**
+ * Outreach sequences: the touches of a cadence and the options that shape
+ * their copy. A cadence is an ordered list of { type, dayOffset }; the channel
+ * follows from the step type.
+ */
+
+const STEP_TYPES = {
+    cold_email: { channel: 'email', label: 'Cold email' },
+    follow_up: { channel: 'email', label: 'Follow-up email' },
+    linkedin_message: { channel: 'linkedin', label: 'LinkedIn message' },
+    call_script: { channel: 'call', label: 'Call script' },
+    breakup_email: { channel: 'email', label: 'Breakup email' }
+};
+
+const CHANNELS = ['email', 'linkedin', 'call'];
+const TONES = ['professional', 'friendly', 'direct', 'consultative', 'casual'];
+
+// Target length of each touch, as given to the model
+const LENGTHS = {
+    short: '40-70 words',
+    medium: '70-120 words',
+    long: '120-180 words'
+};
+
+const DEFAULT_CADENCE = [
+    { type: 'cold_email', dayOffset: 0 },
+    { type: 'linkedin_message', dayOffset: 2 },
+    { type: 'follow_up', dayOffset: 4 },
+    { type: 'call_script', dayOffset: 7 },
+    { type: 'follow_up', dayOffset: 10 },
+    { type: 'breakup_email', dayOffset: 14 }
+];
+
+const MAX_STEPS = 10;
+
+// Days between touches when a custom cadence leaves dayOffset out
+const DEFAULT_GAP_DAYS = 3;
+
+/**
+ * @param {string} type - Step type
+ * @returns {boolean} Whether the step is sent with a subject line
+ */
+const hasSubject = (type) => STEP_TYPES[type] && STEP_TYPES[type].channel === 'email';
+
+/**
+ * Build the cadence for a new sequence. Steps may be given as type names or
+ * { type, dayOffset }; missing offsets continue DEFAULT_GAP_DAYS after the
+ * previous touch.
+ * @param {Array} [steps] - Custom cadence, DEFAULT_CADENCE when empty
+ * @returns {Array} [{ type, channel, dayOffset }]
+ */
+const buildCadence = (steps) => {
+    const source = steps && steps.length > 0 ? steps : DEFAULT_CADENCE;
+    let previous = null;
+
+    return source.map((step) => {
+        const { type, dayOffset } = typeof step === 'string' ? { type: step } : step;
+        const offset = dayOffset !== undefined && dayOffset !== null
+            ? Number(dayOffset)
+            : previous === null ? 0 : previous + DEFAULT_GAP_DAYS;
+        previous = offset;
+
+        return { type, channel: STEP_TYPES[type].channel, dayOffset: offset };
+    });
+};
+
+module.exports = {
+    STEP_TYPES,
+    CHANNELS,
+    TONES,
+    LENGTHS,
+    DEFAULT_CADENCE,
+    MAX_STEPS,
+    hasSubject,
+    buildCadence
+};
@@ -0,0 +1,11 @@
+/**
+ * Neutralise values that spreadsheet apps would execute as formulas
+ * (CSV/formula injection) by prefixing them with a quote
+ * @param {string} value - Cell value
+ * @returns {string} Safe cell value
+ */
+const safeCell = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+module.exports = {
+    safeCell
+};
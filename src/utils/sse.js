@@ -0,0 +1,46 @@
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switch a response to a server-sent event stream with a keep-alive comment
+ * every 15 seconds
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(), isClosed() }
+ */
+const openEventStream = (res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    const close = () => {
+        closed = true;
+        clearInterval(heartbeat);
+    };
+    // The response closes when the client disconnects; the request's 'close'
+    // fires as soon as a POST body has been read
+    res.on('close', close);
+
+    return {
+        send: (event, data) => {
+            if (!closed && !res.writableEnded) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+        end: () => {
+            if (!closed) {
+                close();
+                res.end();
+            }
+        },
+        isClosed: () => closed
+    };
+};
+
+module.exports = {
+    openEventStream
+};
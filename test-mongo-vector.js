@@ -6,7 +6,7 @@
  */
 
 const mongoose = require('mongoose');
-const vectorService = require('../src/services/vectorService');
+const vectorService = require('./src/services/vectorService');
 require('dotenv').config();
 
 async function testMongoVectorSearch() {
@@ -20,6 +20,11 @@ async function testMongoVectorSearch() {
         });
         console.log('✅ Connected to MongoDB\n');
 
+        // The sample companies belong to different users sharing one team, so
+        // they are readable through that team's access
+        const testTeamId = new mongoose.Types.ObjectId();
+        const teamAccess = { userId: null, teamIds: [testTeamId] };
+
         // Sample data for testing
         const testCompanies = [
             {
@@ -51,7 +56,8 @@ async function testMongoVectorSearch() {
                     company.name,
                     company.data,
                     company.userId,
-                    company.metadata
+                    company.metadata,
+                    { teamId: testTeamId }
                 );
                 storedEmbeddings.push(result);
                 console.log(`✅ Stored embedding for ${company.name}`);
@@ -75,7 +81,7 @@ async function testMongoVectorSearch() {
         for (const query of searchQueries) {
             try {
                 console.log(`Search: "${query}"`);
-                const results = await vectorService.searchSimilarCompanies(query, 3, 0.5);
+                const results = await vectorService.searchSimilarCompanies(query, teamAccess, 3, 0.5);
 
                 if (results.length > 0) {
                     results.forEach((result, index) => {
@@ -95,7 +101,7 @@ async function testMongoVectorSearch() {
             console.log('💡 Testing recommendations...');
             try {
                 const userId = storedEmbeddings[0].userId;
-                const recommendations = await vectorService.getCompanyRecommendations(userId, 3);
+                const recommendations = await vectorService.getCompanyRecommendations(userId, teamAccess, 3);
 
                 if (recommendations.length > 0) {
                     console.log('Recommendations based on user history:');
@@ -181,11 +187,20 @@ async function performanceTest() {
             'mobile app development'
         ];
 
+        // Search as the owner of the newest embedding
+        const CompanyEmbedding = require('./src/models/CompanyEmbedding');
+        const latest = await CompanyEmbedding.findOne().sort({ createdAt: -1 }).select('userId').lean();
+        if (!latest) {
+            console.log('No stored embeddings to search');
+            return;
+        }
+        const access = { userId: latest.userId, teamIds: [] };
+
         const startTime = Date.now();
 
         for (const query of testQueries) {
             const queryStart = Date.now();
-            await vectorService.searchSimilarCompanies(query, 5, 0.6);
+            await vectorService.searchSimilarCompanies(query, access, 5, 0.6);
             const queryTime = Date.now() - queryStart;
             console.log(`Query "${query}": ${queryTime}ms`);
         }
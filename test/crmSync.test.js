@@ -0,0 +1,101 @@
+process.env.NODE_ENV = 'test';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Research = require('../src/models/Research');
+const CrmConnection = require('../src/models/CrmConnection');
+const { syncResearchToCrm } = require('../src/services/crm/crmSync');
+const { createFakeCrmApp } = require('../scripts/fake-crm-server');
+
+const research = {
+    _id: new mongoose.Types.ObjectId(),
+    companyName: 'Acme Corp',
+    companyWebsite: 'https://acme.example',
+    results: {
+        overview: 'Acme builds industrial robots.',
+        pitch: 'Automate your order hand-offs.',
+        decisionMakers: [
+            { name: 'Jane Doe', title: 'CTO' },
+            { name: 'John Roe', title: 'VP Sales' }
+        ]
+    },
+    crmSync: []
+};
+
+const sameEntry = (entry, owner) =>
+    Object.entries(owner).every(([key, value]) => String(entry[key]) === String(value));
+
+// Stand in for MongoDB: apply the crmSync updates to the record above
+Research.updateOne = async (filter, update) => {
+    const { $elemMatch: owner, $not: without } = filter.crmSync;
+
+    if (owner) {
+        const index = research.crmSync.findIndex(entry => sameEntry(entry, owner));
+        if (index === -1) return { matchedCount: 0 };
+        research.crmSync[index] = update.$set['crmSync.$'];
+        return { matchedCount: 1 };
+    }
+
+    if (research.crmSync.some(entry => sameEntry(entry, without.$elemMatch))) return { matchedCount: 0 };
+    research.crmSync.push(update.$push.crmSync);
+    return { matchedCount: 1 };
+};
+CrmConnection.updateOne = async () => ({ matchedCount: 1 });
+
+let server;
+let baseUrl;
+
+const connection = (userId) => ({
+    _id: new mongoose.Types.ObjectId(),
+    provider: 'hubspot',
+    userId,
+    instanceUrl: baseUrl,
+    getAccessToken: () => `token-${userId}`
+});
+
+const fakeRecords = async () => (await fetch(`${baseUrl}/__fake/records`)).json();
+
+before(async () => {
+    server = createFakeCrmApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('repeated syncs reuse the stored ids per user and provider', async () => {
+    const alice = connection(new mongoose.Types.ObjectId());
+    const bob = connection(new mongoose.Types.ObjectId());
+
+    const first = await syncResearchToCrm(research, alice);
+    assert.equal(first.status, 'synced');
+    assert.equal(first.contacts.length, 2);
+
+    const second = await syncResearchToCrm(research, alice);
+    assert.equal(second.status, 'synced');
+    assert.equal(second.companyId, first.companyId);
+    assert.equal(second.noteId, first.noteId);
+    assert.deepEqual(second.contacts, first.contacts);
+
+    let records = await fakeRecords();
+    assert.equal(Object.keys(records.hubspot.companies).length, 1);
+    assert.equal(Object.keys(records.hubspot.contacts).length, 2);
+    assert.equal(Object.keys(records.hubspot.notes).length, 1);
+    assert.equal(research.crmSync.length, 1);
+
+    // A teammate syncing the shared record gets an entry of their own
+    const teammate = await syncResearchToCrm(research, bob);
+    assert.notEqual(teammate.companyId, first.companyId);
+    assert.equal(research.crmSync.length, 2);
+
+    const again = await syncResearchToCrm(research, alice);
+    assert.equal(again.companyId, first.companyId);
+    assert.deepEqual(again.contacts, first.contacts);
+    assert.equal(research.crmSync.length, 2);
+
+    records = await fakeRecords();
+    assert.equal(Object.keys(records.hubspot.companies).length, 2);
+    assert.equal(Object.keys(records.hubspot.contacts).length, 4);
+    assert.equal(Object.keys(records.hubspot.notes).length, 2);
+});
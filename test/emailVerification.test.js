@@ -0,0 +1,101 @@
+process.env.NODE_ENV = 'test';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { inferPattern, pickEmailDomain, candidateAddresses } = require('../src/utils/emailPatterns');
+const { setResolver, verifyAddresses, verifyEmail, verifyResearchEmails, StubResolver } = require('../src/services/emailVerification');
+
+afterEach(() => setResolver(null));
+
+test('the pattern is inferred from addresses with known owners', () => {
+    const result = inferPattern('acme.io', [
+        { email: 'jdoe@acme.io', name: 'Jane Doe' },
+        { email: 'bsmith@acme.io', name: 'Bob Smith' },
+        { email: 'info@acme.io' },
+        { email: 'someone@other.io', name: 'Some One' }
+    ]);
+
+    assert.equal(result.pattern, 'flast');
+    assert.deepEqual(result.evidence, ['jdoe@acme.io', 'bsmith@acme.io']);
+    assert.ok(result.confidence > 0.5);
+});
+
+test('addresses without owners count by their shape, role mailboxes not at all', () => {
+    assert.equal(inferPattern('acme.io', [{ email: 'jane_doe@acme.io' }, { email: 'sales@acme.io' }]).pattern, 'first_last');
+    assert.deepEqual(inferPattern('acme.io', [{ email: 'sales@acme.io' }]), { pattern: 'first.last', confidence: 0.2, evidence: [] });
+});
+
+test('the company domain and candidate addresses follow the pattern', () => {
+    assert.equal(pickEmailDomain(['sales@gmail.com', 'info@acme.io'], 'acme.com'), 'acme.io');
+    assert.equal(pickEmailDomain(['info@acme.io', 'press@acme.com'], 'acme.com'), 'acme.com');
+    assert.deepEqual(candidateAddresses('José Álvarez', 'acme.io', 'flast', 3), [
+        'jalvarez@acme.io',
+        'jose.alvarez@acme.io',
+        'jose@acme.io'
+    ]);
+});
+
+test('addresses are verified through the stub resolver', async () => {
+    const resolver = new StubResolver({
+        domains: {
+            'acme.io': { mx: ['mx.acme.io'], mailboxes: ['jane.doe@acme.io'] },
+            'catchall.io': { mx: ['mx.catchall.io'], acceptAll: true },
+            'nomail.io': { mx: [] }
+        }
+    });
+    setResolver(resolver);
+
+    const results = await verifyAddresses([
+        'Jane.Doe@acme.io',
+        'john.roe@acme.io',
+        'anyone@catchall.io',
+        'someone@nomail.io',
+        'not-an-address'
+    ]);
+
+    assert.deepEqual(results.map(result => [result.email, result.status]), [
+        ['jane.doe@acme.io', 'deliverable'],
+        ['john.roe@acme.io', 'undeliverable'],
+        ['anyone@catchall.io', 'accept_all'],
+        ['someone@nomail.io', 'no_mx'],
+        ['not-an-address', 'invalid']
+    ]);
+    assert.equal(results[0].mxHost, 'mx.acme.io');
+    // One mailbox check per domain, with a random probe for accept-all servers
+    const acmeCheck = resolver.calls.find(call => call.method === 'checkMailboxes' && call.mxHost === 'mx.acme.io');
+    assert.equal(acmeCheck.addresses.length, 3);
+
+    assert.equal((await verifyEmail('unknown@elsewhere.io')).status, 'unknown');
+});
+
+test('research contacts get the first deliverable candidate', async () => {
+    setResolver(new StubResolver({
+        domains: { 'acme.io': { mx: ['mx.acme.io'], mailboxes: ['jdoe@acme.io', 'bsmith@acme.io', 'cwu@acme.io'] } }
+    }));
+
+    const research = {
+        companyWebsite: 'https://www.acme.io',
+        results: {
+            contactInfo: { emails: ['info@acme.io'] },
+            decisionMakers: [
+                { name: 'Jane Doe', title: 'CTO', emailGuess: 'jdoe@acme.io', source: 'user' },
+                { name: 'Bob Smith', title: 'CEO', emailGuess: 'bsmith@acme.io', emailStatus: 'deliverable' },
+                { name: 'Carol Wu', title: 'VP Sales' },
+                { name: 'Cher', title: 'Advisor' }
+            ]
+        }
+    };
+
+    const intel = await verifyResearchEmails(research);
+
+    assert.equal(intel.domain, 'acme.io');
+    assert.equal(intel.pattern, 'flast');
+    assert.equal(intel.hasMx, true);
+    assert.deepEqual(intel.addresses.map(address => [address.email, address.status]), [['info@acme.io', 'undeliverable']]);
+
+    const [jane, bob, carol, cher] = research.results.decisionMakers;
+    assert.deepEqual([jane.emailGuess, jane.emailStatus], ['jdoe@acme.io', 'deliverable']);
+    assert.deepEqual([bob.emailGuess, bob.emailStatus], ['bsmith@acme.io', 'deliverable']);
+    assert.deepEqual([carol.emailGuess, carol.emailStatus], ['cwu@acme.io', 'deliverable']);
+    assert.equal(cher.emailGuess, undefined);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HnswIndex = require('../src/services/vector/hnswIndex');
+
+// Seeded RNG so the graph and the dataset are the same on every run
+const seededRandom = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+};
+
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Embeddings cluster by topic; uniform random vectors would flatter the index
+const dataset = ({ count = 1500, dimensions = 32, clusters = 30, queries = 50 } = {}) => {
+    const random = seededRandom(42);
+    const centres = Array.from({ length: clusters }, () => Array.from({ length: dimensions }, () => gaussian(random)));
+
+    return {
+        vectors: Array.from({ length: count }, (_, i) => ({
+            id: `v${i}`,
+            vector: centres[i % clusters].map(value => value + gaussian(random) * 0.6)
+        })),
+        queries: Array.from({ length: queries }, (_, i) =>
+            centres[i % clusters].map(value => value + gaussian(random) * 0.8)
+        )
+    };
+};
+
+const buildIndex = (vectors) => {
+    const index = new HnswIndex({ M: 16, efConstruction: 100, efSearch: 64, random: seededRandom(7) });
+    vectors.forEach(item => index.add(item.id, item.vector, { owner: Number(item.id.slice(1)) % 4 }));
+    return index;
+};
+
+const recall = (index, queries, k, options = {}) => {
+    let found = 0;
+    for (const query of queries) {
+        const truth = new Set(index.exactSearch(query, k, options).map(hit => hit.id));
+        found += index.search(query, k, options).filter(hit => truth.has(hit.id)).length / truth.size;
+    }
+    return found / queries.length;
+};
+
+const { vectors, queries } = dataset();
+const index = buildIndex(vectors);
+
+test('graph search recalls the exact nearest neighbours', () => {
+    assert.equal(index.size, vectors.length);
+    assert.ok(recall(index, queries, 10) >= 0.95);
+});
+
+test('filtered search only returns matching vectors and keeps its recall', () => {
+    const filter = (id, meta) => meta.owner === 1;
+
+    for (const query of queries.slice(0, 10)) {
+        assert.ok(index.search(query, 10, { filter }).every(hit => hit.meta.owner === 1));
+    }
+    assert.ok(recall(index, queries, 10, { filter }) >= 0.9);
+});
+
+test('removed vectors are never returned', () => {
+    const copy = buildIndex(vectors.slice(0, 300));
+    const [nearest] = copy.exactSearch(queries[0], 1);
+
+    assert.equal(copy.remove(nearest.id), true);
+    assert.equal(copy.remove(nearest.id), false);
+    assert.equal(copy.has(nearest.id), false);
+    assert.ok(copy.search(queries[0], 20).every(hit => hit.id !== nearest.id));
+    assert.ok(copy.exactSearch(queries[0], 20).every(hit => hit.id !== nearest.id));
+});
+
+test('adding an existing id replaces its vector', () => {
+    const copy = buildIndex(vectors.slice(0, 300));
+    copy.add('v0', queries[5], { owner: 0 });
+
+    assert.equal(copy.size, 300);
+    assert.equal(copy.search(queries[5], 1)[0].id, 'v0');
+});
+
+test('a snapshot round trip returns the same results', () => {
+    const copy = buildIndex(vectors.slice(0, 500));
+    copy.remove('v3');
+
+    const byId = new Map(vectors.map(item => [item.id, item.vector]));
+    const snapshot = JSON.parse(JSON.stringify(copy.toJSON()));
+    const restored = HnswIndex.fromJSON(snapshot, id => byId.get(id));
+
+    assert.equal(restored.size, copy.size);
+    assert.equal(restored.has('v3'), false);
+    for (const query of queries) {
+        assert.deepEqual(
+            restored.search(query, 10).map(hit => hit.id),
+            copy.search(query, 10).map(hit => hit.id)
+        );
+    }
+});
+
+test('vectors missing on restore are dropped', () => {
+    const copy = buildIndex(vectors.slice(0, 200));
+    const byId = new Map(vectors.slice(1, 200).map(item => [item.id, item.vector]));
+    const restored = HnswIndex.fromJSON(copy.toJSON(), id => byId.get(id));
+
+    assert.equal(restored.size, 199);
+    assert.ok(restored.search(queries[0], 50).every(hit => hit.id !== 'v0'));
+});
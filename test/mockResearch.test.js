@@ -0,0 +1,68 @@
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'mock';
+// The cache lives in MongoDB
+process.env.RESEARCH_CACHE_DISABLED = 'true';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setProvider, getChatProvider, MockProvider } = require('../src/services/llm');
+const { generateCompanyResearch } = require('../src/services/openai');
+
+afterEach(() => setProvider('mock', null));
+
+test('research is generated offline from the mock provider fixtures', async () => {
+    const stages = [];
+    const sections = [];
+
+    const result = await generateCompanyResearch('Acme Corp', 'premium', null, {
+        onStage: (stage) => stages.push(stage),
+        onSection: (key) => sections.push(key)
+    });
+
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.model, 'mock-llm');
+    assert.match(result.companyOverview, /^Acme Corp is/);
+    assert.ok(result.painPoints.length > 0);
+    assert.ok(result.decisionMakers.every(contact => contact.name && contact.title));
+    assert.deepEqual(result.schemaValidation.errors, []);
+    assert.equal(result.companyValidation.isValid, true);
+    assert.ok(result.tokensUsed > 0);
+
+    assert.deepEqual(stages, ['validating', 'researching']);
+    assert.ok(sections.includes('companyOverview'));
+    assert.deepEqual(getChatProvider().calls.map(call => call.task).slice(-2), ['company-validation', 'company-research']);
+});
+
+test('companies the validator rejects fail with INVALID_COMPANY', async () => {
+    await assert.rejects(
+        generateCompanyResearch('ksdjfksdjf solutions', 'basic'),
+        error => error.code === 'INVALID_COMPANY' && /random character sequence/.test(error.message)
+    );
+});
+
+test('fixtures can be replaced per test', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-llm-'));
+    const defaults = path.join(__dirname, '..', 'src', 'services', 'llm', 'fixtures');
+    const research = JSON.parse(fs.readFileSync(path.join(defaults, 'company-research.json'), 'utf8'));
+
+    fs.copyFileSync(path.join(defaults, 'company-validation.json'), path.join(fixturesDir, 'company-validation.json'));
+    fs.writeFileSync(path.join(fixturesDir, 'company-research.json'), JSON.stringify({
+        default: { ...research.default, decisionMakers: [] }
+    }));
+
+    try {
+        const provider = new MockProvider({ fixturesDir, model: 'fixture-model' });
+        setProvider('mock', provider);
+
+        const result = await generateCompanyResearch('Globex', 'basic');
+
+        assert.equal(result.model, 'fixture-model');
+        assert.deepEqual(result.decisionMakers, []);
+        assert.equal(provider.calls.length, 2);
+    } finally {
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,78 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const researchService = require('../src/services/researchService');
+
+// Stand in for the pipeline (it needs MongoDB); the controller picks these up when required
+researchService.runResearch = async (user, input, { onStage, onSection }) => {
+    if (input.companyName === 'Broken Co') {
+        throw Object.assign(new Error('Company not found'), { code: 'INVALID_COMPANY' });
+    }
+    onStage('researching', 'Generating research');
+    onSection('overview', { overview: `${input.companyName} makes things` });
+    onStage('saved', 'Research saved');
+    return {
+        research: { _id: 'research-1', companyName: input.companyName },
+        aiResults: { model: 'mock-llm', tokensUsed: 42, researchMethod: 'Mock', cache: { hit: false } }
+    };
+};
+researchService.toResearchResponse = (research) => research;
+
+const { streamResearch } = require('../src/controllers/companyController');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/api/company/research/stream', (req, res, next) => {
+        req.user = { _id: 'user-1', role: 'basic' };
+        next();
+    }, streamResearch);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+const postStream = async (body) => {
+    const response = await fetch(`${baseUrl}/api/company/research/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(5000)
+    });
+    return { response, events: parseEvents(await response.text()) };
+};
+
+test('POST /research/stream sends stage, section and completed events, then ends', async () => {
+    const { response, events } = await postStream({ companyName: 'Acme' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    assert.deepEqual(events.map(item => item.event), ['stage', 'section', 'stage', 'completed']);
+    assert.equal(events[1].data.section, 'overview');
+    assert.equal(events[3].data.research.companyName, 'Acme');
+    assert.equal(events[3].data.tokensUsed, 42);
+});
+
+test('POST /research/stream reports a failure as a failed event', async () => {
+    const { events } = await postStream({ companyName: 'Broken Co' });
+
+    assert.deepEqual(events.map(item => item.event), ['failed']);
+    assert.equal(events[0].data.status, 400);
+});
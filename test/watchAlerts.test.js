@@ -0,0 +1,24 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffResults } = require('../src/services/researchDiff');
+const { renderAlertEmail } = require('../src/services/watchService');
+
+test('alert emails name added and removed decision makers', () => {
+    const before = { decisionMakers: [{ name: 'Jane Doe', title: 'CTO' }], technologies: ['Go'] };
+    const after = { decisionMakers: [{ name: 'John Roe', title: 'VP Sales' }], technologies: ['Go', 'Rust'] };
+
+    const email = renderAlertEmail({
+        companyName: 'Acme',
+        fromVersion: 1,
+        toVersion: 2,
+        changes: diffResults(before, after)
+    }, { firstName: 'Sam', email: 'sam@example.com' });
+
+    assert.match(email.text, /\+ John Roe - VP Sales/);
+    assert.match(email.text, /- Jane Doe - CTO/);
+    assert.match(email.text, /\+ Rust/);
+    assert.doesNotMatch(email.text, /\[object Object\]/);
+});
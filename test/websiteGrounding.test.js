@@ -0,0 +1,102 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { groundCompanyWebsite, setFetcher, httpFetcher } = require('../src/services/websiteGrounding');
+const { assertPublicHost } = require('../src/utils/network');
+const { buildProvenance } = require('../src/services/provenance');
+
+const ORIGIN = 'https://acme.example';
+
+const PAGES = {
+    '/robots.txt': 'User-agent: *\nDisallow: /careers',
+    '/': `<html><head><title>Acme</title></head><body>
+        <a href="/about-us">About</a> <a href="/contact">Contact</a> <a href="/careers">Jobs</a>
+        <p>Acme builds industrial robots.</p></body></html>`,
+    '/about-us': '<html><head><title>About Acme</title></head><body><p>Founded in 1999 in Ohio.</p></body></html>',
+    '/contact': `<html><head><title>Contact</title></head><body>
+        <a href="mailto:sales@acme.example">Email us</a> <p>Call +1 (555) 010-2030</p>
+        <a href="https://www.linkedin.com/company/acme">LinkedIn</a></body></html>`
+};
+
+const stubFetcher = async (url) => {
+    const { pathname } = new URL(url);
+    return PAGES[pathname] === undefined
+        ? { status: 404, url, contentType: 'text/html', body: '' }
+        : { status: 200, url, contentType: pathname === '/robots.txt' ? 'text/plain' : 'text/html', body: PAGES[pathname] };
+};
+
+const originalGet = axios.get;
+
+afterEach(() => {
+    setFetcher(null);
+    axios.get = originalGet;
+});
+
+test('private, loopback and link-local hosts are rejected', async () => {
+    for (const host of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+        await assert.rejects(assertPublicHost(host), /Refusing to fetch private address/, host);
+    }
+    await assertPublicHost('93.184.216.34');
+});
+
+test('the HTTP fetcher refuses private hosts before connecting', async () => {
+    axios.get = async () => assert.fail('no request should be made');
+
+    await assert.rejects(httpFetcher('http://127.0.0.1:8080/'), /Refusing to fetch private address/);
+    await assert.rejects(httpFetcher('http://169.254.169.254/latest/meta-data/'), /Refusing to fetch private address/);
+});
+
+test('redirects to private hosts are rejected', async () => {
+    const requested = [];
+    axios.get = async (url) => {
+        requested.push(url);
+        return { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' }, data: '' };
+    };
+
+    await assert.rejects(httpFetcher('http://93.184.216.34/'), /Refusing to fetch private address/);
+    assert.deepEqual(requested, ['http://93.184.216.34/']);
+});
+
+test('pages are fetched through the stub fetcher, honouring robots.txt', async () => {
+    setFetcher(stubFetcher);
+
+    const grounding = await groundCompanyWebsite('acme.example');
+
+    assert.equal(grounding.website, ORIGIN);
+    assert.deepEqual(
+        grounding.sources.map(source => [source.id, source.kind, source.url]),
+        [
+            ['S1', 'homepage', `${ORIGIN}/`],
+            ['S2', 'about', `${ORIGIN}/about-us`],
+            ['S3', 'contact', `${ORIGIN}/contact`]
+        ]
+    );
+    assert.match(grounding.sources[1].text, /Founded in 1999/);
+    assert.deepEqual(grounding.skipped, [{ url: `${ORIGIN}/careers`, reason: 'Disallowed by robots.txt' }]);
+
+    assert.deepEqual(grounding.contactInfo.emails, ['sales@acme.example']);
+    assert.deepEqual(grounding.contactInfo.phones, ['+1 (555) 010-2030']);
+    assert.equal(grounding.contactInfo.linkedin, 'https://www.linkedin.com/company/acme');
+    assert.deepEqual(grounding.contactSources.emails, [`${ORIGIN}/contact`]);
+});
+
+test('citations map to the fetched pages', async () => {
+    setFetcher(stubFetcher);
+    const grounding = await groundCompanyWebsite(ORIGIN);
+
+    const provenance = buildProvenance({
+        companyOverview: 'Acme builds industrial robots [S1] and was founded in 1999 [S2].',
+        customSalesPitch: 'A pitch citing a page that was never fetched [S9].',
+        technologies: ['ROS'],
+        fieldSources: { technologies: ['S3'] },
+        contactInfo: { emails: grounding.contactInfo.emails }
+    }, grounding);
+    const byField = Object.fromEntries(provenance.map(record => [record.field, record]));
+
+    assert.equal(byField.overview.source, 'website');
+    assert.deepEqual(byField.overview.urls, [`${ORIGIN}/`, `${ORIGIN}/about-us`]);
+    assert.deepEqual(byField.technologies.urls, [`${ORIGIN}/contact`]);
+    assert.equal(byField.pitch.source, 'model');
+    assert.deepEqual(byField.pitch.urls, []);
+    assert.deepEqual(byField['contactInfo.emails'].urls, [`${ORIGIN}/contact`]);
+});